@@ -2,22 +2,53 @@
  * PhraseMatch Admin JS
  *
  * Handles AJAX scanning, results rendering, occurrence selection,
- * confirmation modal, and removal requests.
+ * confirmation modal, removal requests (or proposals for approval), exporting
+ * results and importing reviewed plans, saved searches, reverting changesets
+ * and reviewing proposed changes. Each result can be previewed on its rendered
+ * page, with the match highlighted, before and after its change.
+ *
+ * On the Network Admin page (data.network) the selected sites are scanned one
+ * after the other, and results, previews and changes name their site.
  */
 (function ($) {
     'use strict';
 
-    var data       = window.PhraseMatchData || {};
-    var lastPhrase = '';
+    var data             = window.PhraseMatchData || {};
+    var network          = !!data.network;
+    var lastPhrase       = '';
+    var lastMatchOptions = [];
+
+    // What the last scan searched for: { phrase: … } or { rules: CSV }, sent again
+    // when applying changes, and the rules the server parsed from it.
+    var lastSearch = {};
+    var ruleList   = [];
 
-    // Pagination state.
+    // Parameters of the last scan, to rescan single items that changed since.
+    var lastParams = null;
+
+    // Results and pagination state. Each result also keeps its row's state: whether
+    // it is selected, and the mode and replacement chosen for it.
     var allResults   = [];
+    var viewResults  = [];
     var totalResults = 0;
     var currentPage  = 1;
     var perPage      = Math.max(1, parseInt(data.per_page, 10) || 15);
 
+    // Sort column of the results table ('' for scan order) and direction (1 or -1).
+    var sortBy  = '';
+    var sortDir = 1;
+
+    // Batched scan state: cursor, progress counters and the in-flight request, and
+    // on the network page the sites to scan and the one being scanned.
+    var scan      = null;
+    var batchSize = Math.max(1, parseInt(data.batch_size, 10) || 100);
+
     // Cache DOM elements.
     var $phrase        = $('#phrasematch-phrase');
+    var $rules         = $('#phrasematch-rules');
+    var $rulesHelp     = $('#phrasematch-rules-help');
+    var $rulesFile     = $('#phrasematch-rules-file');
+    var $table         = $('#phrasematch-results-table');
     var $scanBtn       = $('#phrasematch-scan-btn');
     var $results       = $('#phrasematch-results');
     var $heading       = $('#phrasematch-results-heading');
@@ -28,13 +59,100 @@
     var $rescanBtn     = $('#phrasematch-rescan-btn');
     var $removeSpinner = $('#phrasematch-remove-spinner');
     var $selCount      = $('#phrasematch-selection-count');
+    var $propose       = $('#phrasematch-propose');
     var $bulkReplace   = $('#phrasematch-bulk-replace');
     var $pagination    = $('#phrasematch-pagination');
+    var $resultFilters = $('.phrasematch-result-filter');
+    var $filterText    = $('#phrasematch-filter-text');
+    var $selectNotice  = $('#phrasematch-select-all-notice');
     var $modal         = $('#phrasematch-modal');
     var $modalSummary  = $('#phrasematch-modal-summary');
     var $modalConfirm  = $('#phrasematch-modal-confirm');
     var $modalCancel   = $('#phrasematch-modal-cancel');
-    var $backdrop      = $('.pm-modal-backdrop');
+    var $backdrop      = $modal.find('.pm-modal-backdrop');
+    var $renderModal   = $('#phrasematch-render-modal');
+    var $renderNotes   = $('#phrasematch-render-notes');
+    var $renderBefore  = $('#phrasematch-render-before');
+    var $renderAfter   = $('#phrasematch-render-after');
+    var $regexHint     = $('#phrasematch-regex-hint');
+    var $progress      = $('#phrasematch-progress');
+    var $progressFill  = $('#phrasematch-progress-fill');
+    var $progressText  = $('#phrasematch-progress-text');
+    var $cancelBtn     = $('#phrasematch-cancel-btn');
+    var $resume        = $('#phrasematch-resume');
+    var $resumeText    = $('#phrasematch-resume-text');
+    var $resumeBtn     = $('#phrasematch-resume-btn');
+    var $discardBtn    = $('#phrasematch-discard-btn');
+    var $revertNotices = $('#phrasematch-history-notices');
+    var $saveToggle    = $('#phrasematch-save-toggle');
+    var $savePanel     = $('#phrasematch-save-panel');
+    var $saveId        = $('#phrasematch-save-id');
+    var $saveName      = $('#phrasematch-save-name');
+    var $saveSchedule  = $('#phrasematch-save-schedule');
+    var $saveRecipient = $('#phrasematch-save-recipients');
+    var $saveAutoApply = $('#phrasematch-save-auto-apply');
+    var $saveAutoMode  = $('#phrasematch-save-auto-mode');
+    var $saveBtn       = $('#phrasematch-save-btn');
+    var $saveSpinner   = $('#phrasematch-save-spinner');
+    var $saveStatus    = $('#phrasematch-save-status');
+    var $savedNotices  = $('#phrasematch-saved-notices');
+    var $planFile      = $('#phrasematch-plan-file');
+    var $importSpinner = $('#phrasematch-import-spinner');
+    var $sitesAll      = $('#phrasematch-sites-all');
+
+    // In-flight dry-run request for the confirmation modal, and render request for the preview panel.
+    var previewRequest = null;
+    var renderRequest  = null;
+
+    // Location badge labels; single-line locations only allow text-only removal.
+    var locationLabels = {
+        title:     'Title',
+        content:   'Content',
+        excerpt:   'Excerpt',
+        meta:      'Custom field',
+        menu_item: 'Menu item',
+        widget:    'Widget',
+        term:      'Term description',
+        comment:   'Comment'
+    };
+    var textOnlyLocations = ['title', 'menu_item'];
+
+    // Match context badge labels; text and block attributes are always searched,
+    // the other contexts can be skipped from the scan form.
+    var contextLabels = {
+        text:            'Text',
+        block_attribute: 'Block attribute',
+        attribute:       'HTML attribute',
+        url:             'URL',
+        shortcode:       'Shortcode',
+        code:            'Code',
+        comment:         'HTML comment'
+    };
+    var alwaysContexts = ['text', 'block_attribute'];
+
+    // Wrapping filter labels.
+    var wrappingLabels = {
+        plain:           'No wrapper',
+        html_element:    'HTML element',
+        gutenberg_block: 'Block'
+    };
+
+    // Values the results table can be sorted by, per column.
+    var sortValues = {
+        title:    function (r) { return (r.title || '').toLowerCase(); },
+        rule:     function (r) { return r.rule || 0; },
+        location: function (r) { return locationLabels[r.location] || r.location; },
+        context:  function (r) { return getSnippetText(r).toLowerCase(); }
+    };
+
+    // Columns of exported results. Importing a reviewed file reads back match_id,
+    // action, mode, replace_with and content_hash (see Action_Plan).
+    var exportColumns = (network ? ['site_id', 'site'] : []).concat([
+        'match_id', 'item', 'title', 'type', 'status', 'location', 'field', 'offset',
+        'snippet', 'wrapping', 'mode', 'action', 'replace_with', 'content_hash'
+    ]);
+
+    var phrasePlaceholder = $phrase.attr('placeholder');
 
     // -------------------------------------------------------------------------
     // Scan
@@ -43,7 +161,7 @@
     $scanBtn.on('click', runScan);
 
     // Ctrl+Enter (or Cmd+Enter) triggers scan; plain Enter adds a newline.
-    $phrase.on('keydown', function (e) {
+    $phrase.add($rules).on('keydown', function (e) {
         if (e.which === 13 && (e.ctrlKey || e.metaKey)) {
             e.preventDefault();
             runScan();
@@ -58,27 +176,106 @@
 
     $rescanBtn.on('click', runScan);
 
-    // Bulk replace: fill all checked rows' replace inputs.
+    // Switch between a single phrase and a rule set.
+    $('input[name="phrasematch_search_mode"]').on('change', function () {
+        setSearchMode($(this).val());
+    });
+
+    // Load a CSV file into the rule set.
+    $rulesFile.on('change', function () {
+        var file = this.files && this.files[0];
+        if (!file || !window.FileReader) return;
+
+        var reader = new FileReader();
+        reader.onload = function () {
+            $rules.val(reader.result).focus();
+        };
+        reader.readAsText(file);
+        $(this).val('');
+    });
+
+    function setSearchMode(mode) {
+        var isRules = mode === 'rules';
+        $('input[name="phrasematch_search_mode"][value="' + mode + '"]').prop('checked', true);
+        $phrase.toggle(!isRules);
+        $rules.toggle(isRules);
+        $rulesHelp.toggle(isRules);
+    }
+
+    // Regex mode: swap the placeholder and show the pattern hint.
+    $('input[name="phrasematch_match_options[]"][value="regex"]').on('change', function () {
+        var isRegex = $(this).is(':checked');
+        $phrase.attr('placeholder', isRegex ? 'Enter a regular expression…' : phrasePlaceholder);
+        $regexHint.toggle(isRegex);
+        $('input[name="phrasematch_match_options[]"][value="ignore_accents"]').prop('disabled', isRegex);
+    });
+
+    // Bulk replace: fill the replacement of every selected row, on all pages.
     $bulkReplace.on('input', function () {
         var val = $(this).val();
+        getSelectedResults().forEach(function (r) { r.replace_with = val; });
         $('.phrasematch-row-cb:checked').each(function () {
             $(this).closest('tr').find('.pm-replace-input').val(val).trigger('input');
         });
     });
 
+    // "All sites" checks or clears every site, and follows the sites' checkboxes.
+    $sitesAll.on('change', function () {
+        $('input[name="phrasematch_sites[]"]').prop('checked', $(this).is(':checked'));
+    });
+
+    $('input[name="phrasematch_sites[]"]').on('change', function () {
+        $sitesAll.prop('checked', !$('input[name="phrasematch_sites[]"]:not(:checked)').length);
+    });
+
+    function getSelectedSites() {
+        return $('input[name="phrasematch_sites[]"]:checked').map(function () {
+            return parseInt($(this).val(), 10);
+        }).get();
+    }
+
     function runScan() {
-        var phrase = $.trim($phrase.val());
-        if (!phrase) {
-            $phrase.focus();
-            return;
+        var params = getScanParams();
+        if (!params) return;
+        startScan(params, null);
+    }
+
+    // The phrase, or the rule set as CSV.
+    function getSearch() {
+        var isRules = $('input[name="phrasematch_search_mode"]:checked').val() === 'rules';
+        var $input  = isRules ? $rules : $phrase;
+        var value   = $.trim($input.val());
+
+        if (!value) {
+            $input.focus();
+            return null;
         }
+        return isRules ? { rules: value } : { phrase: value };
+    }
 
+    function getScanParams() {
+        var search = getSearch();
+        if (!search) return null;
+
+        if (network && !getSelectedSites().length) {
+            return null;
+        }
+
+        var sources = [];
+        $('input[name="phrasematch_sources[]"]:checked').each(function () {
+            sources.push($(this).val());
+        });
+        if (!sources.length) {
+            return null;
+        }
+
+        // Post types only matter when post fields are searched.
         var postTypes = [];
         $('input[name="phrasematch_post_types[]"]:checked').each(function () {
             postTypes.push($(this).val());
         });
-        if (!postTypes.length) {
-            return;
+        if (!postTypes.length && $(sources).filter(['title', 'content', 'excerpt', 'meta']).length) {
+            return null;
         }
 
         var statuses = [];
@@ -86,112 +283,522 @@
             statuses.push($(this).val());
         });
 
-        lastPhrase = phrase;
+        var matchOptions = [];
+        $('input[name="phrasematch_match_options[]"]:checked').each(function () {
+            matchOptions.push($(this).val());
+        });
+
+        var contexts = alwaysContexts.slice();
+        $('input[name="phrasematch_skip_contexts[]"]:not(:checked)').each(function () {
+            contexts.push($(this).val());
+        });
+
+        return $.extend({
+            sources:       sources,
+            contexts:      contexts,
+            post_types:    postTypes,
+            statuses:      statuses,
+            match_options: matchOptions
+        }, search);
+    }
+
+    // -------------------------------------------------------------------------
+    // Batched scanning (progress, cancel, resume)
+    // -------------------------------------------------------------------------
+
+    $cancelBtn.on('click', cancelScan);
+
+    $resumeBtn.on('click', function () {
+        if (scan) {
+            continueScan();
+        } else if (data.scan_state) {
+            resumeSavedScan(data.scan_state);
+        }
+    });
+
+    $discardBtn.on('click', function () {
+        // Network scans are not stored; only the site's own interrupted scan is.
+        if (!network) {
+            $.post(data.ajax_url, { action: 'phrasematch_discard_scan', nonce: data.nonce });
+        }
+        data.scan_state = null;
+        scan = null;
+        $resume.hide();
+    });
+
+    // Offer to resume a scan that was interrupted by a reload or a failed request.
+    if (data.scan_state) {
+        showResumeNotice(data.scan_state.phrase, data.scan_state.scanned_items, data.scan_state.total_items, 'was interrupted');
+    }
+
+    function startScan(params, savedState) {
+        lastPhrase       = params.rules ? (savedState ? savedState.phrase : 'rule set') : params.phrase;
+        lastMatchOptions = params.match_options;
+        lastSearch       = params.rules ? { rules: params.rules } : { phrase: params.phrase };
+        lastParams       = params;
+        ruleList         = [];
+
+        $table.toggleClass('pm-has-rules', !!params.rules);
+
+        scan = {
+            params:      params,
+            scanId:      savedState ? savedState.scan_id : '',
+            cursor:      savedState ? savedState.cursor : '',
+            scanned:     savedState ? savedState.scanned_items : 0,
+            totalItems:  savedState ? savedState.total_items : 0,
+            restoreKeys: savedState ? savedState.matched_keys.slice() : [],
+            restoreOnly: !!(savedState && savedState.restore_only),
+            sites:       network ? getSelectedSites() : [],
+            siteIndex:   0,
+            siteScanned: 0,
+            siteTotal:   0,
+            started:     false,
+            xhr:         null,
+            cancelled:   false
+        };
 
-        $scanBtn.prop('disabled', true);
         $results.hide();
         $tbody.empty();
-        $notices.empty();
         $pagination.hide().empty();
+        resetResults();
+        continueScan();
+    }
 
-        $.post(data.ajax_url, {
-            action:     'phrasematch_scan',
-            nonce:      data.nonce,
-            phrase:     phrase,
-            post_types: postTypes,
-            statuses:   statuses
-        })
+    function continueScan() {
+        scan.cancelled = false;
+        $scanBtn.prop('disabled', true);
+        $resume.hide();
+        $progress.show();
+        updateProgress();
+        scanNextBatch();
+    }
+
+    function scanNextBatch() {
+        var request = {
+            action: network ? 'phrasematch_network_scan' : 'phrasematch_scan',
+            nonce:  data.nonce
+        };
+
+        // Restore the results of an interrupted scan before continuing after its cursor.
+        if (scan.restoreKeys.length) {
+            request.objects = scan.restoreKeys.slice(0, batchSize);
+        } else if (network) {
+            request.site_id = scan.sites[scan.siteIndex];
+            request.cursor  = scan.cursor;
+        } else {
+            request.scan_id = scan.scanId;
+            request.cursor  = scan.cursor;
+        }
+
+        scan.xhr = $.post(data.ajax_url, $.extend(request, scan.params))
         .done(function (response) {
-            if (response.success) {
-                renderResults(response.data.results, response.data.total, response.data.phrase);
+            if (!scan || scan.cancelled) return;
+
+            if (!response.success) {
+                scanFailed(response.data.message || 'An error occurred.');
+                return;
+            }
+
+            var result = response.data;
+            lastPhrase = result.phrase;
+            ruleList   = result.rules || [];
+            appendResults(result.results);
+
+            if (request.objects) {
+                scan.restoreKeys = scan.restoreKeys.slice(request.objects.length);
+                if (!scan.restoreKeys.length && scan.restoreOnly) {
+                    finishScan();
+                } else {
+                    scanNextBatch();
+                }
+                return;
+            }
+
+            var done = result.done;
+
+            scan.started  = true;
+            scan.cursor   = result.cursor;
+            scan.scanned += result.scanned;
+
+            if (network) {
+                // Each site counts its items when its scan starts.
+                scan.siteScanned += result.scanned;
+                if (result.total_items !== null) {
+                    scan.siteTotal   = result.total_items;
+                    scan.totalItems += result.total_items;
+                }
+
+                // Go on with the next site.
+                if (done && scan.siteIndex < scan.sites.length - 1) {
+                    scan.siteIndex++;
+                    scan.siteScanned = 0;
+                    scan.siteTotal   = 0;
+                    scan.cursor      = '';
+                    done             = false;
+                }
             } else {
-                showNotice('error', response.data.message || 'An error occurred.');
-                $results.show();
+                scan.scanId = result.scan_id;
+                if (result.total_items !== null) {
+                    scan.totalItems = result.total_items;
+                }
+            }
+            updateProgress();
+
+            if (done) {
+                finishScan();
+            } else {
+                scanNextBatch();
             }
         })
-        .fail(function () {
-            showNotice('error', 'Request failed. Please try again.');
-            $results.show();
-        })
-        .always(function () {
-            $scanBtn.prop('disabled', false);
+        .fail(function (xhr, status) {
+            if (status === 'abort') return;
+            scanFailed('Request failed. Please try again.');
         });
     }
 
+    function cancelScan() {
+        if (!scan) return;
+        scan.cancelled = true;
+        if (scan.xhr) {
+            scan.xhr.abort();
+        }
+        stopScan();
+        showResumeNotice(lastPhrase, scan.scanned, scan.totalItems, 'was cancelled');
+    }
+
+    function scanFailed(message) {
+        showNotice('error', escHtml(message));
+        $results.show();
+
+        stopScan();
+
+        // A scan that never started (e.g. an invalid pattern) cannot be resumed.
+        if (scan.started) {
+            showResumeNotice(lastPhrase, scan.scanned, scan.totalItems, 'stopped');
+        } else {
+            scan = null;
+        }
+    }
+
+    function stopScan() {
+        $progress.hide();
+        $scanBtn.prop('disabled', false);
+    }
+
+    function finishScan() {
+        stopScan();
+        scan = null;
+        data.scan_state = null;
+
+        if (!allResults.length) {
+            $heading.text('No matches found for "' + lastPhrase + '"');
+        } else {
+            updateHeading(false);
+        }
+        $results.show();
+    }
+
+    function resumeSavedScan(state) {
+        // Restore the form so the scan continues with the same parameters.
+        fillForm(state);
+
+        var params = getScanParams();
+        if (!params) return;
+        startScan(params, state);
+    }
+
+    // Set the search form to the parameters of a stored scan or saved search.
+    function fillForm(state) {
+        var options = state.match_options || {};
+
+        if (state.rules) {
+            setSearchMode('rules');
+            $rules.val(state.rules);
+        } else {
+            setSearchMode('phrase');
+            $phrase.val(state.phrase).trigger('input');
+        }
+        $('input[name="phrasematch_sources[]"]').each(function () {
+            $(this).prop('checked', state.sources.indexOf($(this).val()) !== -1);
+        });
+        $('input[name="phrasematch_post_types[]"]').each(function () {
+            $(this).prop('checked', state.post_types.indexOf($(this).val()) !== -1);
+        });
+        $('input[name="phrasematch_statuses[]"]').each(function () {
+            $(this).prop('checked', state.statuses.indexOf($(this).val()) !== -1);
+        });
+        $('input[name="phrasematch_match_options[]"]').each(function () {
+            $(this).prop('checked', !!options[$(this).val()]).trigger('change');
+        });
+        if (state.contexts) {
+            $('input[name="phrasematch_skip_contexts[]"]').each(function () {
+                $(this).prop('checked', state.contexts.indexOf($(this).val()) === -1);
+            });
+        }
+    }
+
+    function updateProgress() {
+        var percent = network ? getNetworkPercent() : (scan.totalItems > 0 ? Math.min(100, Math.round(scan.scanned / scan.totalItems * 100)) : 0);
+        $progressFill.css('width', percent + '%');
+        $progress.find('.pm-progress-bar').attr('aria-valuenow', percent);
+
+        if (scan.restoreKeys.length) {
+            $progressText.text('Restoring earlier results…');
+        } else if (network) {
+            $progressText.text(
+                'Site ' + (scan.siteIndex + 1) + ' of ' + scan.sites.length + ': scanned ' + formatNumber(scan.siteScanned) +
+                ' of ' + formatNumber(scan.siteTotal) + ' items (' + percent + '% of all sites)'
+            );
+        } else {
+            $progressText.text('Scanned ' + formatNumber(scan.scanned) + ' of ' + formatNumber(scan.totalItems) + ' items (' + percent + '%)');
+        }
+    }
+
+    // Sites count equally, as their items are only counted when their scan starts.
+    function getNetworkPercent() {
+        var site = scan.siteTotal > 0 ? Math.min(1, scan.siteScanned / scan.siteTotal) : 0;
+        return Math.min(100, Math.round((scan.siteIndex + site) / scan.sites.length * 100));
+    }
+
+    function showResumeNotice(phrase, scanned, total, reason) {
+        $resumeText.text(
+            'The scan for "' + phrase + '" ' + reason + ' after ' + formatNumber(scanned) +
+            ' of ' + formatNumber(total) + ' items.'
+        );
+        $resume.show();
+    }
+
     // -------------------------------------------------------------------------
-    // Render results (with pagination)
+    // Render results (filters, sorting, pagination)
     // -------------------------------------------------------------------------
 
-    function renderResults(results, total, phrase) {
+    function resetResults() {
         $notices.empty();
-        $selectAll.prop('checked', false);
         $removeBtn.prop('disabled', true);
         $rescanBtn.hide();
         $bulkReplace.val('');
-        updateSelectionCount();
+        $resultFilters.val('');
+        $filterText.val('');
 
-        allResults   = results || [];
-        totalResults = total || 0;
+        allResults   = [];
+        viewResults  = [];
+        totalResults = 0;
         currentPage  = 1;
+        sortBy       = '';
+        sortDir      = 1;
 
-        if (!allResults.length) {
-            $heading.text('No matches found for "' + phrase + '"');
-            $pagination.hide().empty();
-            $tbody.empty();
-            $results.show();
-            return;
-        }
+        updateSortHeaders();
+        updateFilterOptions();
+        updateRemoveButton();
+    }
 
-        $heading.text(totalResults + ' occurrence' + (totalResults !== 1 ? 's' : '') + ' found');
-        renderCurrentPage();
-        renderPagination();
+    function appendResults(results) {
+        if (!results || !results.length) return;
+
+        allResults   = allResults.concat(results);
+        totalResults = allResults.length;
+
+        updateFilterOptions();
+        refreshView(false);
+        updateHeading(!!scan);
         $results.show();
     }
 
-    function renderCurrentPage() {
-        $tbody.empty();
-        $selectAll.prop('checked', false);
-        $removeBtn.prop('disabled', true);
-        updateSelectionCount();
+    function updateHeading(inProgress) {
+        $heading.text(
+            totalResults + ' occurrence' + (totalResults !== 1 ? 's' : '') + ' found' + (inProgress ? ' so far…' : '')
+        );
+    }
 
-        var start = (currentPage - 1) * perPage;
-        var pageResults = allResults.slice(start, start + perPage);
-        if (!pageResults.length) return;
+    // Filter and sort the results again. The visible page is only re-rendered
+    // when its rows changed (or when forced), so results that arrive during a scan
+    // do not interrupt typing in a row.
+    function refreshView(force) {
+        var before = getPageResults();
+        var after;
 
-        // Group current page items by post_id for visual grouping (post title shown once per group).
-        var grouped = {};
-        var order   = [];
-        pageResults.forEach(function (r) {
-            if (!grouped[r.post_id]) {
-                grouped[r.post_id] = [];
-                order.push(r.post_id);
-            }
-            grouped[r.post_id].push(r);
+        viewResults = getViewResults();
+        currentPage = Math.min(currentPage, Math.max(1, Math.ceil(viewResults.length / perPage)));
+        after       = getPageResults();
+
+        if (force || before.length !== after.length || before.some(function (r, i) { return r !== after[i]; })) {
+            renderCurrentPage();
+        }
+        renderPagination();
+        updateRemoveButton();
+    }
+
+    // The results that pass the filters, in the chosen order (scan order by default).
+    // Network results stay grouped by site, in the order the sites were scanned.
+    function getViewResults() {
+        var filters = {};
+        var text    = $.trim($filterText.val()).toLowerCase();
+        var view;
+
+        $resultFilters.each(function () {
+            if ($(this).val()) filters[$(this).data('field')] = $(this).val();
+        });
+
+        view = allResults.filter(function (r) {
+            var matches = Object.keys(filters).every(function (field) {
+                return String(r[field]) === filters[field];
+            });
+            return matches && (!text || getSnippetText(r).toLowerCase().indexOf(text) !== -1);
         });
 
-        order.forEach(function (postId) {
-            var items = grouped[postId];
-            items.forEach(function (item, idx) {
-                var $row = buildResultRow(item, items, idx);
-                $tbody.append($row);
+        if (!sortBy) return view;
+
+        // Sort stably: equal rows keep their scan order.
+        return view
+            .map(function (r, i) { return { result: r, index: i }; })
+            .sort(function (a, b) {
+                var x = sortValues[sortBy](a.result);
+                var y = sortValues[sortBy](b.result);
+                return (network ? a.result.site_id - b.result.site_id : 0) ||
+                    (x < y ? -1 : (x > y ? 1 : 0)) * sortDir || a.index - b.index;
+            })
+            .map(function (entry) { return entry.result; });
+    }
+
+    function getPageResults() {
+        var start = (currentPage - 1) * perPage;
+        return viewResults.slice(start, start + perPage);
+    }
+
+    // Results of one item that pass the filters.
+    function getObjectResults(objectId) {
+        return viewResults.filter(function (r) { return getObjectId(r) === objectId; });
+    }
+
+    // Identifies a result's item: its object key, prefixed with its site on the network page.
+    function getObjectId(item) {
+        return item.site_id ? item.site_id + '/' + item.object_key : item.object_key;
+    }
+
+    // A result's item title, after its site on the network page.
+    function getItemTitle(item) {
+        var title = item.title || item.object_key;
+        return item.site_name ? item.site_name + ' \u203a ' + title : title;
+    }
+
+    // Plain text of a result's snippet, for the text filter, sorting and exports.
+    function getSnippetText(item) {
+        if (item.snippet_text === undefined) {
+            item.snippet_text = new DOMParser().parseFromString(item.snippet, 'text/html').body.textContent;
+        }
+        return item.snippet_text;
+    }
+
+    // Offer the values found in the results in each filter, keeping the chosen one.
+    function updateFilterOptions() {
+        $resultFilters.each(function () {
+            var $select = $(this);
+            var field   = $select.data('field');
+            var current = $select.val();
+            var values  = [];
+            var labels  = {};
+
+            allResults.forEach(function (r) {
+                if (values.indexOf(r[field]) === -1) {
+                    values.push(r[field]);
+                    labels[r[field]] = field === 'site_id' ? r.site_name : '';
+                }
             });
+            values.sort(function (a, b) { return a < b ? -1 : (a > b ? 1 : 0); });
+
+            if ($select.data('values') === values.join('\n')) return;
+            $select.data('values', values.join('\n'));
+
+            $select.find('option').not(':first').remove();
+            values.forEach(function (value) {
+                var label = field === 'location' ? locationLabels[value] : (field === 'wrapping' ? wrappingLabels[value] : labels[value]);
+                $select.append($('<option></option>').val(value).text(label || value));
+            });
+            $select.val(values.indexOf(current) !== -1 ? current : '');
         });
     }
 
-    function buildResultRow(item, items, idx) {
-        var $row = $('<tr></tr>');
+    $resultFilters.on('change', function () {
+        currentPage = 1;
+        refreshView(true);
+    });
+
+    $filterText.on('input', function () {
+        currentPage = 1;
+        refreshView(true);
+    });
+
+    // Sort by a column: ascending, then descending, then back to scan order.
+    $('.pm-sort-btn').on('click', function () {
+        var column = $(this).data('sort');
+
+        if (sortBy !== column) {
+            sortBy  = column;
+            sortDir = 1;
+        } else if (sortDir === 1) {
+            sortDir = -1;
+        } else {
+            sortBy = '';
+        }
+
+        updateSortHeaders();
+        currentPage = 1;
+        refreshView(true);
+    });
+
+    function updateSortHeaders() {
+        $('.pm-sort-btn').each(function () {
+            var order = sortDir === 1 ? 'ascending' : 'descending';
+            $(this).closest('th').attr('aria-sort', $(this).data('sort') === sortBy ? order : 'none');
+        });
+    }
+
+    function renderCurrentPage() {
+        var pageResults = getPageResults();
+
+        $tbody.empty();
+
+        if (!pageResults.length && allResults.length) {
+            $tbody.append(
+                $('<tr><td class="pm-no-results">No occurrences match these filters.</td></tr>')
+                    .find('td').attr('colspan', $table.find('thead th').length).end()
+            );
+        }
+
+        // Consecutive rows of the same item (and site) are grouped: the title is shown once per group.
+        pageResults.forEach(function (item, i) {
+            var prev = i > 0 ? pageResults[i - 1] : null;
+            $tbody.append(buildResultRow(item, !prev || getObjectId(prev) !== getObjectId(item), !prev || prev.site_id !== item.site_id));
+        });
+
+        updateSelectAll();
+    }
+
+    function buildResultRow(item, showTitle, showSite) {
+        var $row     = $('<tr></tr>');
+        var blocks   = item.blocks || [];
+        var textOnly = isTextOnly(item);
+        var rule     = lastSearch.rules ? ruleList[item.rule] : null;
+        var items    = showTitle ? getObjectResults(getObjectId(item)) : [];
 
         var $cbTd = $('<td class="pm-col-cb"></td>');
         $cbTd.append(
             $('<input type="checkbox" class="phrasematch-row-cb" />')
-                .data('post-id', item.post_id)
-                .data('char-offset', item.char_offset)
-                .data('location', item.location)
+                .data('item', item)
+                .prop('checked', !!item.selected)
         );
         $row.append($cbTd);
 
+        if (network) {
+            var $siteTd = $('<td class="pm-col-site"></td>');
+            if (showSite) {
+                $siteTd.append($('<span class="pm-site-name"></span>').text(item.site_name));
+            }
+            $row.append($siteTd);
+        }
+
         var $titleTd = $('<td class="pm-col-post"></td>');
-        if (idx === 0) {
+        if (showTitle) {
             var $link = $('<a class="pm-post-link"></a>')
                 .attr('href', item.edit_url)
                 .attr('target', '_blank')
@@ -210,66 +817,156 @@
                 );
             }
             $titleTd.append($meta);
+            if (items.length > 1) {
+                $titleTd.append(
+                    $('<button type="button" class="button-link pm-select-object"></button>').data('object', getObjectId(item))
+                );
+            }
         }
         $row.append($titleTd);
 
+        var $ruleTd = $('<td class="pm-col-rule"></td>');
+        if (rule) {
+            $ruleTd.append($('<span class="pm-rule-phrase"></span>').text(rule.phrase));
+            if (rule.replace_with) {
+                $ruleTd.append(' \u2192 ', $('<span class="pm-rule-replacement"></span>').text(rule.replace_with));
+            }
+        }
+        $row.append($ruleTd);
+
         var $locTd = $('<td class="pm-col-location"></td>');
-        $locTd.html(item.location === 'title'
-            ? '<span class="pm-badge pm-badge-title">Title</span>'
-            : '<span class="pm-badge pm-badge-content">Content</span>');
+        $locTd.append(
+            $('<span class="pm-badge"></span>')
+                .addClass('pm-badge-' + (item.location === 'title' ? 'title' : 'content'))
+                .text(locationLabels[item.location] || item.location)
+        );
+        if (item.field_label) {
+            $locTd.append($('<span class="pm-field-label"></span>').text(item.field_label));
+        }
+        if (item.context) {
+            $locTd.append(
+                ' ',
+                $('<span class="pm-badge pm-badge-context"></span>')
+                    .addClass(alwaysContexts.indexOf(item.context) === -1 ? 'pm-badge-context-markup' : '')
+                    .text(contextLabels[item.context] || item.context)
+            );
+        }
+        if (blocks.length) {
+            $locTd.append($('<span class="pm-block-path"></span>').text(blocks.map(function (b) { return b.name; }).join(' \u203a ')));
+        }
         $row.append($locTd);
 
         var $ctxTd = $('<td class="pm-col-context"></td>');
         $ctxTd.append('<code class="pm-snippet">' + item.snippet + '</code>');
+        $ctxTd.append(
+            $('<button type="button" class="button-link pm-render-btn">Preview on page</button>').data('item', item)
+        );
         $row.append($ctxTd);
 
         var $replaceTd = $('<td class="pm-col-replace"></td>');
         var $replaceInput = $('<input type="text" class="pm-replace-input" />')
             .attr('placeholder', 'Leave empty to remove')
+            .attr('title', lastMatchOptions.indexOf('regex') !== -1 ? 'Use $1, $2, … to insert capture groups' : '')
             .on('input', function () {
                 var hasValue = !!$(this).val();
+                item.replace_with = $(this).val();
                 var $modeSelect = $(this).closest('tr').find('.pm-mode-select');
                 if (hasValue) {
                     $modeSelect.prop('disabled', true).addClass('pm-mode-disabled');
                 } else {
-                    var isTitle = $(this).closest('tr').find('.phrasematch-row-cb').data('location') === 'title';
-                    $modeSelect.prop('disabled', isTitle).removeClass('pm-mode-disabled');
+                    $modeSelect.prop('disabled', textOnly).removeClass('pm-mode-disabled');
                 }
             });
         $replaceTd.append($replaceInput);
         $row.append($replaceTd);
 
         var $modeTd = $('<td class="pm-col-mode"></td>');
-        var $select = $('<select class="pm-mode-select phrasematch-mode-select"></select>');
+        var $select = $('<select class="pm-mode-select phrasematch-mode-select"></select>')
+            .on('change', function () {
+                item.mode = $(this).val();
+            });
         $select.append('<option value="text_only">Text only</option>');
-        if (item.location === 'title') {
+        if (textOnly) {
             $select.prop('disabled', true);
         } else {
-            var htmlDisabled  = (item.wrapping !== 'html_element' && item.wrapping !== 'gutenberg_block');
-            var blockDisabled = (item.wrapping !== 'gutenberg_block');
-            $select.append($('<option value="html_element">HTML element</option>').prop('disabled', htmlDisabled));
-            $select.append($('<option value="gutenberg_block">Gutenberg block</option>').prop('disabled', blockDisabled));
-            if (item.wrapping === 'gutenberg_block') $select.val('gutenberg_block');
-            else if (item.wrapping === 'html_element') $select.val('html_element');
+            var modes     = getAllowedModes(item);
+            var innermost = blocks.length ? blocks[blocks.length - 1].name : '';
+            var parent    = blocks.length > 1 ? blocks[blocks.length - 2].name : '';
+            $select.append($('<option value="html_element">HTML element</option>').prop('disabled', modes.indexOf('html_element') === -1));
+            $select.append(
+                $('<option value="gutenberg_block"></option>')
+                    .text(innermost ? 'Innermost block (' + innermost + ')' : 'Innermost block')
+                    .prop('disabled', !innermost)
+            );
+            $select.append(
+                $('<option value="parent_block"></option>')
+                    .text(parent ? 'Parent block (' + parent + ')' : 'Parent block')
+                    .prop('disabled', !parent)
+            );
+            $select.val(getItemMode(item));
         }
         $modeTd.append($select);
         $row.append($modeTd);
+
+        // Show the replacement typed earlier, or start from the rule's.
+        if (getItemReplacement(item)) {
+            $replaceInput.val(item.replace_with !== undefined ? item.replace_with : rule.replace_with).trigger('input');
+        }
         return $row;
     }
 
+    // Attribute values, single-line locations and users who may not remove blocks only allow text-only removal.
+    function isTextOnly(item) {
+        return !!(item.attribute && item.attribute.length) || textOnlyLocations.indexOf(item.location) !== -1 || !data.can_remove_blocks;
+    }
+
+    // Removal modes a match allows. Mirrors Action_Plan::get_allowed_modes().
+    function getAllowedModes(item) {
+        var blocks = item.blocks || [];
+        var modes  = ['text_only'];
+
+        if (isTextOnly(item)) return modes;
+
+        if (item.wrapping === 'html_element' || item.wrapping === 'gutenberg_block') modes.push('html_element');
+        if (blocks.length) modes.push('gutenberg_block');
+        if (blocks.length > 1) modes.push('parent_block');
+        return modes;
+    }
+
+    // The rule's mode where the match allows it, otherwise the widest wrapper detected around the match.
+    function getSuggestedMode(item) {
+        var rule  = lastSearch.rules ? ruleList[item.rule] : null;
+        var modes = getAllowedModes(item);
+
+        if (rule && !rule.replace_with && modes.indexOf(rule.mode) !== -1) return rule.mode;
+        if (modes.indexOf(item.wrapping) !== -1) return item.wrapping;
+        return 'text_only';
+    }
+
+    // The mode and replacement chosen in a result's row, or the ones the row starts with.
+    function getItemMode(item) {
+        return item.mode || getSuggestedMode(item);
+    }
+
+    function getItemReplacement(item) {
+        var rule = lastSearch.rules ? ruleList[item.rule] : null;
+        return $.trim(item.replace_with !== undefined ? item.replace_with : (rule ? rule.replace_with : ''));
+    }
+
     function renderPagination() {
-        var totalPages = Math.ceil(totalResults / perPage);
+        var totalPages = Math.ceil(viewResults.length / perPage);
         if (totalPages <= 1) {
             $pagination.hide().empty();
             return;
         }
 
         var start = (currentPage - 1) * perPage + 1;
-        var end   = Math.min(currentPage * perPage, totalResults);
+        var end   = Math.min(currentPage * perPage, viewResults.length);
 
         var $nav = $('<nav class="pm-pagination-nav" aria-label="Results pages"></nav>');
         var $info = $('<span class="pm-pagination-info"></span>')
-            .text('Showing ' + start + '\u2013' + end + ' of ' + totalResults);
+            .text('Showing ' + start + '\u2013' + end + ' of ' + viewResults.length +
+                  (viewResults.length < totalResults ? ' (filtered from ' + totalResults + ')' : ''));
 
         var $list = $('<ul class="pm-pagination-list"></ul>');
 
@@ -316,7 +1013,7 @@
     }
 
     function goToPage(page) {
-        var totalPages = Math.ceil(totalResults / perPage);
+        var totalPages = Math.ceil(viewResults.length / perPage);
         if (page < 1 || page > totalPages) return;
         currentPage = page;
         renderCurrentPage();
@@ -328,35 +1025,98 @@
     // Selection
     // -------------------------------------------------------------------------
 
+    // The selection lives on the results themselves (`selected`), so it survives
+    // page changes, filtering and sorting. Only selected results that pass the
+    // filters are applied.
+
     $selectAll.on('change', function () {
         var checked = $(this).is(':checked');
-        $('.phrasematch-row-cb').prop('checked', checked);
-        updateRemoveButton();
+        getPageResults().forEach(function (r) { r.selected = checked; });
+        syncCheckboxes();
     });
 
     $(document).on('change', '.phrasematch-row-cb', function () {
+        $(this).data('item').selected = $(this).is(':checked');
         updateRemoveButton();
-        if (!$(this).is(':checked')) {
-            $selectAll.prop('checked', false);
-        } else {
-            var allChecked = ($('.phrasematch-row-cb').length === $('.phrasematch-row-cb:checked').length);
-            $selectAll.prop('checked', allChecked);
-        }
     });
 
+    $(document).on('click', '.phrasematch-select-view', function () {
+        viewResults.forEach(function (r) { r.selected = true; });
+        syncCheckboxes();
+    });
+
+    $(document).on('click', '.phrasematch-clear-selection', function () {
+        clearSelection();
+    });
+
+    // Select every match of an item, or clear them when all are selected.
+    $(document).on('click', '.pm-select-object', function () {
+        var items  = getObjectResults(String($(this).data('object')));
+        var select = !items.every(function (r) { return r.selected; });
+
+        items.forEach(function (r) { r.selected = select; });
+        syncCheckboxes();
+    });
+
+    function getSelectedResults() {
+        return viewResults.filter(function (r) { return r.selected; });
+    }
+
+    function clearSelection() {
+        allResults.forEach(function (r) { r.selected = false; });
+        syncCheckboxes();
+    }
+
+    function syncCheckboxes() {
+        $('.phrasematch-row-cb').each(function () {
+            $(this).prop('checked', !!$(this).data('item').selected);
+        });
+        updateRemoveButton();
+    }
+
     function updateRemoveButton() {
-        var count = $('.phrasematch-row-cb:checked').length;
+        var count = getSelectedResults().length;
         $removeBtn.prop('disabled', count === 0);
         updateSelectionCount();
+        updateSelectAll();
     }
 
     function updateSelectionCount() {
-        var count = $('.phrasematch-row-cb:checked').length;
-        if (count > 0) {
-            $selCount.text(count + ' selected');
+        var count  = getSelectedResults().length;
+        var hidden = allResults.filter(function (r) { return r.selected; }).length - count;
+        var text   = count > 0 ? count + ' selected' : '';
+
+        if (hidden > 0) {
+            text += (text ? ', ' : '') + hidden + ' more hidden by the filters (not applied)';
+        }
+        $selCount.text(text);
+    }
+
+    // Header checkbox, the offer to extend a full page to every match, and the per-item buttons.
+    function updateSelectAll() {
+        var page    = getPageResults();
+        var pageAll = page.length > 0 && page.every(function (r) { return r.selected; });
+        var count   = getSelectedResults().length;
+
+        $selectAll.prop('checked', pageAll);
+
+        if (pageAll && viewResults.length > page.length) {
+            $selectNotice.html(count === viewResults.length
+                ? 'All <strong>' + count + '</strong> matches are selected. ' +
+                  '<button type="button" class="button-link phrasematch-clear-selection">Clear selection</button>'
+                : 'All ' + page.length + ' matches on this page are selected. ' +
+                  '<button type="button" class="button-link phrasematch-select-view">Select all ' + viewResults.length + ' matches</button>'
+            ).show();
         } else {
-            $selCount.text('');
+            $selectNotice.hide().empty();
         }
+
+        $('.pm-select-object').each(function () {
+            var items = getObjectResults(String($(this).data('object')));
+            $(this).text(items.every(function (r) { return r.selected; })
+                ? 'Deselect all in this item'
+                : 'Select all ' + items.length + ' in this item');
+        });
     }
 
     // -------------------------------------------------------------------------
@@ -382,40 +1142,53 @@
         if (e.which === 27 && $modal.is(':visible')) {
             hideModal();
         }
+        if (e.which === 27 && $renderModal.is(':visible')) {
+            hideRenderModal();
+        }
     });
 
     function getSelectedItems() {
-        var items = [];
-        $('.phrasematch-row-cb:checked').each(function () {
-            var $cb  = $(this);
-            var $row = $cb.closest('tr');
-            items.push({
-                post_id:      $cb.data('post-id'),
-                char_offset:  $cb.data('char-offset'),
-                location:     $cb.data('location'),
-                mode:         $row.find('.phrasematch-mode-select').val(),
-                replace_with: $.trim($row.find('.pm-replace-input').val())
-            });
-        });
-        return items;
+        return getSelectedResults().map(getRequestItem);
+    }
+
+    // A selected result as sent to apply or preview it.
+    function getRequestItem(item) {
+        var blocks      = item.blocks || [];
+        var isAttribute = !!(item.attribute && item.attribute.length);
+
+        return {
+            site_id:      item.site_id,
+            object_key:   item.object_key,
+            field:        item.field,
+            path:         item.path,
+            adapter:      item.adapter || '',
+            block:        isAttribute ? blocks[blocks.length - 1].path : [],
+            attribute:    item.attribute || [],
+            char_offset:  item.char_offset,
+            location:     item.location,
+            rule:         item.rule || 0,
+            content_hash: item.content_hash || '',
+            modified:     item.modified || '',
+            mode:         getItemMode(item),
+            replace_with: getItemReplacement(item)
+        };
     }
 
     function showConfirmationModal(items) {
         var grouped = {};
         items.forEach(function (it) {
-            if (!grouped[it.post_id]) {
-                grouped[it.post_id] = { title: '', items: [] };
+            var id = getObjectId(it);
+            if (!grouped[id]) {
+                grouped[id] = { title: '', items: [] };
             }
-            grouped[it.post_id].items.push(it);
+            grouped[id].items.push(it);
         });
 
-        // Gather titles from the table.
-        $('.phrasematch-row-cb:checked').each(function () {
-            var pid   = $(this).data('post-id');
-            var $row  = $(this).closest('tr');
-            var title = $row.find('.pm-post-link').first().text();
-            if (title && grouped[pid]) {
-                grouped[pid].title = title;
+        // Gather titles from the results, as selected rows may be on other pages.
+        allResults.forEach(function (r) {
+            var id = getObjectId(r);
+            if (grouped[id] && !grouped[id].title) {
+                grouped[id].title = getItemTitle(r);
             }
         });
 
@@ -443,11 +1216,11 @@
                    ' of &ldquo;' + escHtml(lastPhrase) + '&rdquo; (' +
                    summaryParts.join(', ') + '):</p><ul>';
 
-        Object.keys(grouped).forEach(function (pid) {
-            var g = grouped[pid];
-            var postTitle = escHtml(g.title || 'Post #' + pid);
+        Object.keys(grouped).forEach(function (key) {
+            var g = grouped[key];
+            var postTitle = escHtml(g.title || key);
 
-            // Break down per post.
+            // Break down per item.
             var replaceItems = [];
             var removeCount  = 0;
             g.items.forEach(function (it) {
@@ -477,13 +1250,66 @@
             html += '<li><strong>' + postTitle + '</strong> &mdash; ' + details.join(', ') + '</li>';
         });
 
-        html += '</ul><p>Changes can be reverted via the Revisions screen of each post.</p>';
+        html += '</ul>';
+        html += '<div id="phrasematch-diff-preview" class="pm-diff-preview">' +
+                '<p class="pm-diff-loading"><span class="spinner is-active"></span> Loading preview&hellip;</p></div>';
+        html += isProposing()
+            ? '<p>Nothing is saved yet: the changes are saved once a user who can approve changes approves them in the Review tab.</p>'
+            : '<p>Changes can be undone from the History tab' + (network ? ' of each site' : '') + ', or for posts via their Revisions screen.</p>';
 
         $modalSummary.html(html);
+        $modalConfirm.text(isProposing() ? 'Yes, Propose' : 'Yes, Apply');
         $modal.show();
+
+        loadPreview(items);
+    }
+
+    // Dry run: fetch a before/after diff of every affected item.
+    function loadPreview(items) {
+        if (previewRequest) {
+            previewRequest.abort();
+        }
+
+        $modalConfirm.prop('disabled', true);
+
+        previewRequest = $.post(data.ajax_url, $.extend({
+            action:        network ? 'phrasematch_network_preview' : 'phrasematch_preview',
+            nonce:         data.nonce,
+            match_options: lastMatchOptions,
+            items:         JSON.stringify(items)
+        }, lastSearch))
+        .done(function (response) {
+            var $preview = $('#phrasematch-diff-preview');
+
+            if (!response.success) {
+                $preview.html('<p class="pm-diff-error">' + escHtml(response.data.message || 'Could not build the preview.') + '</p>');
+                return;
+            }
+
+            var html = '';
+            response.data.previews.forEach(function (p) {
+                html += '<div class="pm-diff-post">' +
+                        '<h3 class="pm-diff-title">' + escHtml(getItemTitle(p)) + '</h3>';
+                html += p.success ? p.diff : '<p class="pm-diff-error">' + escHtml(p.message) + '</p>';
+                html += '</div>';
+            });
+            $preview.html(html);
+        })
+        .fail(function (xhr, status) {
+            if (status !== 'abort') {
+                $('#phrasematch-diff-preview').html('<p class="pm-diff-error">Could not build the preview.</p>');
+            }
+        })
+        .always(function () {
+            previewRequest = null;
+            $modalConfirm.prop('disabled', false);
+        });
     }
 
     function hideModal() {
+        if (previewRequest) {
+            previewRequest.abort();
+        }
         $modal.hide();
     }
 
@@ -494,15 +1320,21 @@
         $removeBtn.prop('disabled', true);
         $removeSpinner.addClass('is-active');
 
-        $.post(data.ajax_url, {
-            action: 'phrasematch_remove',
-            nonce:  data.nonce,
-            phrase: lastPhrase,
-            items:  JSON.stringify(items)
-        })
+        $.post(data.ajax_url, $.extend({
+            action:        network ? 'phrasematch_network_remove' : 'phrasematch_remove',
+            nonce:         data.nonce,
+            match_options: lastMatchOptions,
+            items:         JSON.stringify(items),
+            propose:       isProposing() ? 1 : 0
+        }, lastSearch))
         .done(function (response) {
             if (response.success) {
-                renderRemovalResults(response.data.results);
+                clearSelection();
+                renderRemovalResults(
+                    response.data.results,
+                    network ? response.data.history_urls : (response.data.history_url ? [{ history_url: response.data.history_url }] : []),
+                    !!response.data.proposed
+                );
             } else {
                 showNotice('error', response.data.message || 'An error occurred during removal.');
             }
@@ -516,16 +1348,35 @@
         });
     }
 
-    function renderRemovalResults(results) {
+    function isProposing() {
+        return !network && $propose.is(':checked');
+    }
+
+    // Batches are the changesets recorded, one per site on the network page.
+    function renderRemovalResults(results, batches, proposed) {
         $notices.empty();
 
+        batches.forEach(function (batch) {
+            showNotice(
+                'info',
+                proposed
+                    ? 'These changes were proposed as one batch and await approval. <a href="' + escAttr(batch.history_url) + '">View batch</a>'
+                    : (batch.site_name ? 'The changes on ' + escHtml(batch.site_name) + ' were' : 'These changes were') +
+                      ' recorded as one batch. <a href="' + escAttr(batch.history_url) + '">View or undo this batch</a>'
+            );
+        });
+
         results.forEach(function (r) {
-            var type = r.success ? 'success' : 'error';
-            var msg  = '<strong>' + escHtml(r.title) + '</strong>: ' + escHtml(r.message);
+            var type = r.success ? 'success' : (r.skipped ? 'warning' : 'error');
+            var msg  = '<strong>' + escHtml(getItemTitle(r)) + '</strong>: ' + escHtml(r.message);
 
             if (r.success && r.revisions_url) {
                 msg += ' &mdash; <a href="' + escAttr(r.revisions_url) + '" target="_blank">View Revisions</a>';
             }
+            if (r.skipped === 'stale' && lastParams) {
+                msg += ' <button type="button" class="button button-small phrasematch-rescan-object" data-object="' +
+                       escAttr(r.object_key) + '" data-site="' + escAttr(r.site_id || '') + '">Rescan this item</button>';
+            }
 
             showNotice(type, msg);
         });
@@ -533,11 +1384,599 @@
         $rescanBtn.show();
     }
 
+    // Replace the results of an item that was edited after the scan with its current matches.
+    $(document).on('click', '.phrasematch-rescan-object', function () {
+        var $btn      = $(this);
+        var objectKey = String($btn.data('object'));
+        var siteId    = $btn.data('site') || undefined;
+
+        $btn.prop('disabled', true).text('Rescanning…');
+
+        $.post(data.ajax_url, $.extend({}, lastParams, {
+            action:  network ? 'phrasematch_network_scan' : 'phrasematch_scan',
+            nonce:   data.nonce,
+            site_id: siteId,
+            objects: [objectKey]
+        }))
+        .done(function (response) {
+            if (!response.success) {
+                $btn.prop('disabled', false).text('Rescan this item');
+                showNotice('error', escHtml(response.data.message || 'An error occurred.'));
+                return;
+            }
+
+            replaceObjectResults([getObjectId({ object_key: objectKey, site_id: siteId })], response.data.results);
+            $btn.closest('.notice').remove();
+        })
+        .fail(function () {
+            $btn.prop('disabled', false).text('Rescan this item');
+            showNotice('error', 'Request failed. Please try again.');
+        });
+    });
+
+    // Swap the rows of the given items (see getObjectId()) for fresh results, keeping
+    // each item's place in the list; items that were not listed yet are added at the end.
+    function replaceObjectResults(objectIds, results) {
+        var fresh  = {};
+        var merged = [];
+
+        (results || []).forEach(function (r) {
+            var id = getObjectId(r);
+            (fresh[id] = fresh[id] || []).push(r);
+        });
+
+        allResults.forEach(function (r) {
+            var id = getObjectId(r);
+            if (objectIds.indexOf(id) === -1) {
+                merged.push(r);
+            } else if (fresh[id]) {
+                Array.prototype.push.apply(merged, fresh[id]);
+                delete fresh[id];
+            }
+        });
+        Object.keys(fresh).forEach(function (key) {
+            Array.prototype.push.apply(merged, fresh[key]);
+        });
+
+        allResults   = merged;
+        totalResults = allResults.length;
+
+        updateFilterOptions();
+        refreshView(true);
+        updateHeading(false);
+    }
+
+    // -------------------------------------------------------------------------
+    // Rendered preview of a result
+    // -------------------------------------------------------------------------
+
+    $(document).on('click', '.pm-render-btn', function () {
+        var item      = $(this).data('item');
+        var $row      = $(this).closest('tr');
+        var change    = getItemReplacement(item)
+            ? 'replaced with \u201c' + getItemReplacement(item) + '\u201d'
+            : 'removed: ' + $row.find('.pm-mode-select option:selected').text();
+
+        $('#phrasematch-render-title').text(getItemTitle(item) || '(no title)');
+        $('#phrasematch-render-after-title').text('After the change (' + change + ')');
+        $renderNotes.html('<p class="pm-diff-loading"><span class="spinner is-active"></span> Rendering&hellip;</p>');
+        $renderBefore.attr('srcdoc', '');
+        $renderAfter.attr('srcdoc', '');
+        $('#phrasematch-render-after-pane').show();
+        $renderModal.show();
+
+        if (renderRequest) {
+            renderRequest.abort();
+        }
+
+        renderRequest = $.post(data.ajax_url, $.extend({
+            action:        network ? 'phrasematch_network_render_preview' : 'phrasematch_render_preview',
+            nonce:         data.nonce,
+            match_options: lastMatchOptions,
+            items:         JSON.stringify([getRequestItem(item)])
+        }, lastSearch))
+        .done(function (response) {
+            if (!response.success) {
+                $renderNotes.html('<p class="pm-diff-error">' + escHtml(response.data.message || 'Could not render the item.') + '</p>');
+                $('#phrasematch-render-after-pane').hide();
+                return;
+            }
+
+            var p     = response.data;
+            var notes = [];
+
+            if (item.context && item.context !== 'text') {
+                notes.push('This match is not visible text (' + escHtml(contextLabels[item.context] || item.context) + '), so it may not show on the page.');
+            }
+            if (item.location === 'meta') {
+                notes.push('Custom fields are shown on their own: where they appear on the page depends on the theme.');
+            }
+            if (!p.before_marked) {
+                notes.push('The match could not be highlighted: it is not part of the rendered text.');
+            }
+            if (p.after_message) {
+                notes.push(escHtml(p.after_message));
+            }
+
+            $renderNotes.html(notes.map(function (note) { return '<p class="pm-render-note">' + note + '</p>'; }).join(''));
+            showRendered($renderBefore, p.before);
+
+            if (p.after) {
+                showRendered($renderAfter, p.after);
+            } else if (!p.after_message) {
+                // Users who cannot change content only see the current page.
+                $('#phrasematch-render-after-pane').hide();
+            }
+        })
+        .fail(function (xhr, status) {
+            if (status !== 'abort') {
+                $renderNotes.html('<p class="pm-diff-error">Could not render the item.</p>');
+            }
+        })
+        .always(function () {
+            renderRequest = null;
+        });
+    });
+
+    // Load a rendered page into a frame and scroll its highlight into view.
+    function showRendered($frame, html) {
+        $frame.off('load').on('load', function () {
+            var doc  = this.contentDocument;
+            var mark = doc ? doc.querySelector('.pm-preview-mark') : null;
+            if (mark) {
+                mark.scrollIntoView({ block: 'center' });
+            }
+        });
+        $frame.attr('srcdoc', html);
+    }
+
+    function hideRenderModal() {
+        if (renderRequest) {
+            renderRequest.abort();
+        }
+        $renderModal.hide();
+        $renderBefore.attr('srcdoc', '');
+        $renderAfter.attr('srcdoc', '');
+    }
+
+    $('#phrasematch-render-close').on('click', hideRenderModal);
+    $renderModal.find('.pm-modal-backdrop').on('click', hideRenderModal);
+
+    // -------------------------------------------------------------------------
+    // Export results, import a reviewed plan
+    // -------------------------------------------------------------------------
+
+    $('.phrasematch-export-btn').on('click', function () {
+        var rows  = allResults.map(getExportRow);
+        var stamp = new Date().toISOString().slice(0, 10);
+
+        if (!rows.length) return;
+
+        if ($(this).data('format') === 'json') {
+            download('phrasematch-' + stamp + '.json', 'application/json', JSON.stringify({
+                search:  lastParams,
+                matches: rows
+            }, null, 2));
+        } else {
+            download('phrasematch-' + stamp + '.csv', 'text/csv', toCsv(rows));
+        }
+    });
+
+    // One exported row: what reviewers need to decide, and the suggested mode.
+    function getExportRow(item) {
+        return {
+            site_id:      item.site_id,
+            site:         item.site_name,
+            match_id:     getMatchId(item),
+            item:         item.object_key,
+            title:        item.title || '',
+            type:         item.post_type || '',
+            status:       item.post_status || '',
+            location:     item.location,
+            field:        item.field_label || item.field,
+            offset:       item.char_offset,
+            snippet:      getSnippetText(item),
+            wrapping:     item.wrapping,
+            mode:         getItemMode(item),
+            action:       '',
+            replace_with: getItemReplacement(item),
+            content_hash: item.content_hash || ''
+        };
+    }
+
+    // Identifies a match as long as its item is unchanged. Mirrors Action_Plan::get_match_id().
+    function getMatchId(item) {
+        return [
+            item.object_key,
+            item.field,
+            (item.path || []).join('.'),
+            (item.attribute || []).join('.'),
+            item.char_offset
+        ].join('|');
+    }
+
+    function toCsv(rows) {
+        var lines = [exportColumns.join(',')];
+
+        rows.forEach(function (row) {
+            lines.push(exportColumns.map(function (column) { return csvCell(row[column]); }).join(','));
+        });
+
+        // The byte order mark makes spreadsheets read the file as UTF-8.
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    }
+
+    // Quote a cell, and keep spreadsheets from running it as a formula (undone on import).
+    function csvCell(value) {
+        var str = value === undefined || value === null ? '' : String(value);
+
+        if (/^[=+\-@]/.test(str)) str = "'" + str;
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+
+    function download(filename, type, content) {
+        var url   = window.URL.createObjectURL(new Blob([content], { type: type + ';charset=utf-8' }));
+        var $link = $('<a></a>').attr({ href: url, download: filename }).appendTo('body');
+
+        $link[0].click();
+        $link.remove();
+        setTimeout(function () { window.URL.revokeObjectURL(url); }, 0);
+    }
+
+    $planFile.on('change', function () {
+        var file = this.files && this.files[0];
+        if (!file) return;
+
+        $(this).val('');
+
+        // The plan is checked against the matches of the scan it was exported from.
+        if (!lastParams) {
+            showNotice('error', 'Run the scan the plan was exported from first, then import the plan.');
+            return;
+        }
+
+        if (!window.FileReader) {
+            showNotice('error', 'Your browser cannot read files. Please use a current browser to import the plan.');
+            return;
+        }
+
+        var reader = new FileReader();
+        reader.onload = function () {
+            importPlan(reader.result);
+        };
+        reader.readAsText(file);
+    });
+
+    // The server rescans the items of the plan and checks each row against their
+    // current matches; the rows that pass come back preselected.
+    function importPlan(text) {
+        $importSpinner.addClass('is-active');
+
+        $.post(data.ajax_url, $.extend({}, lastParams, {
+            action: 'phrasematch_import_plan',
+            nonce:  data.nonce,
+            plan:   text
+        }))
+        .done(function (response) {
+            if (!response.success) {
+                showNotice('error', escHtml(response.data.message || 'The plan could not be imported.'));
+                return;
+            }
+
+            var errors = response.data.errors;
+            var first  = -1;
+
+            // The plan replaces the selection; show every result so that no planned row is hidden.
+            allResults.forEach(function (r) { r.selected = false; });
+            response.data.results.forEach(function (r) {
+                if (r.plan) {
+                    r.selected     = true;
+                    r.mode         = r.plan.mode;
+                    r.replace_with = r.plan.replace_with;
+                }
+            });
+            $resultFilters.val('');
+            $filterText.val('');
+            replaceObjectResults(response.data.objects, response.data.results);
+
+            $.each(viewResults, function (i, r) {
+                if (r.selected) {
+                    first = i;
+                    return false;
+                }
+            });
+            if (first !== -1) {
+                goToPage(Math.floor(first / perPage) + 1);
+            }
+
+            $notices.empty();
+            showNotice(
+                errors.length ? 'warning' : 'success',
+                escHtml(response.data.message) + errors.slice(0, 20).map(function (e) { return '<br>' + escHtml(e); }).join('') +
+                    (errors.length > 20 ? '<br>…' : '')
+            );
+        })
+        .fail(function () {
+            showNotice('error', 'Request failed. Please try again.');
+        })
+        .always(function () {
+            $importSpinner.removeClass('is-active');
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Saved searches
+    // -------------------------------------------------------------------------
+
+    $saveToggle.on('click', function () {
+        var open = !$savePanel.is(':visible');
+        $savePanel.toggle(open);
+        $saveToggle.attr('aria-expanded', open ? 'true' : 'false');
+        if (open) {
+            $saveName.focus();
+        }
+    });
+
+    $saveBtn.on('click', function () {
+        var params = getScanParams();
+        if (!params) return;
+
+        var notify = [];
+        $('input[name="phrasematch_save_notify[]"]:checked').each(function () {
+            notify.push($(this).val());
+        });
+
+        $saveBtn.prop('disabled', true);
+        $saveSpinner.addClass('is-active');
+        $saveStatus.empty();
+
+        $.post(data.ajax_url, $.extend({
+            action: 'phrasematch_save_search',
+            nonce:  data.nonce,
+            search: {
+                id:         $saveId.val(),
+                name:       $.trim($saveName.val()),
+                schedule:   $saveSchedule.val(),
+                notify:     notify,
+                recipients: $saveRecipient.val(),
+                auto_apply: $saveAutoApply.is(':checked') ? 1 : 0,
+                auto_mode:  $saveAutoMode.val()
+            }
+        }, params))
+        .done(function (response) {
+            if (!response.success) {
+                $saveStatus.text(response.data.message || 'An error occurred.');
+                return;
+            }
+            $saveId.val(response.data.id);
+            $saveStatus.html(escHtml(response.data.message) + ' <a href="' + escAttr(response.data.url) + '">View saved searches</a>');
+        })
+        .fail(function () {
+            $saveStatus.text('Request failed. Please try again.');
+        })
+        .always(function () {
+            $saveBtn.prop('disabled', false);
+            $saveSpinner.removeClass('is-active');
+        });
+    });
+
+    // Opened from a saved search: load its parameters and the items it last matched.
+    if (data.saved_search) {
+        loadSavedSearch(data.saved_search);
+    }
+
+    function loadSavedSearch(search) {
+        fillForm(search);
+
+        $saveId.val(search.id);
+        $saveName.val(search.name);
+        $saveSchedule.val(search.schedule);
+        $('input[name="phrasematch_save_notify[]"]').each(function () {
+            $(this).prop('checked', search.notify.indexOf($(this).val()) !== -1);
+        });
+        $saveRecipient.val(search.recipients);
+        $saveAutoApply.prop('checked', !!search.auto_apply);
+        $saveAutoMode.val(search.auto_mode);
+        $saveToggle.trigger('click');
+
+        if (!search.matched_keys.length) return;
+
+        var params = getScanParams();
+        if (!params) return;
+        startScan(params, {
+            phrase:        search.phrase,
+            scan_id:       '',
+            cursor:        '',
+            scanned_items: 0,
+            total_items:   0,
+            matched_keys:  search.matched_keys,
+            restore_only:  true
+        });
+    }
+
+    $(document).on('click', '.phrasematch-run-search-btn', function () {
+        var $btn = $(this);
+
+        $btn.prop('disabled', true);
+        $savedNotices.empty();
+
+        $.post(data.ajax_url, {
+            action:    'phrasematch_run_search',
+            nonce:     data.nonce,
+            search_id: $btn.data('search')
+        })
+        .done(function (response) {
+            if (response.success && !response.data.message) {
+                window.location.reload();
+                return;
+            }
+            showNotice(response.success ? 'info' : 'error', escHtml(response.data.message || 'An error occurred.'), $savedNotices);
+            $btn.prop('disabled', false);
+        })
+        .fail(function () {
+            showNotice('error', 'Request failed. Please try again.', $savedNotices);
+            $btn.prop('disabled', false);
+        });
+    });
+
+    $(document).on('click', '.phrasematch-delete-search-btn', function () {
+        var $btn = $(this);
+
+        if (!window.confirm('Delete this saved search? Its scheduled runs stop as well.')) return;
+
+        $btn.prop('disabled', true);
+
+        $.post(data.ajax_url, {
+            action:    'phrasematch_delete_search',
+            nonce:     data.nonce,
+            search_id: $btn.data('search')
+        })
+        .done(function (response) {
+            if (response.success) {
+                window.location.reload();
+                return;
+            }
+            showNotice('error', escHtml(response.data.message || 'An error occurred.'), $savedNotices);
+            $btn.prop('disabled', false);
+        })
+        .fail(function () {
+            showNotice('error', 'Request failed. Please try again.', $savedNotices);
+            $btn.prop('disabled', false);
+        });
+    });
+
+    // -------------------------------------------------------------------------
+    // History (revert changesets)
+    // -------------------------------------------------------------------------
+
+    $(document).on('click', '.phrasematch-revert-btn', function () {
+        var $btn     = $(this);
+        var question = $btn.data('item')
+            ? 'Restore this item to its state before the change?'
+            : 'Restore every item in this changeset to its state before the change?';
+
+        if (window.confirm(question)) {
+            revertChangeset($btn, false);
+        }
+    });
+
+    function revertChangeset($btn, force) {
+        var request = {
+            action:       'phrasematch_revert',
+            nonce:        data.nonce,
+            changeset_id: $btn.data('changeset'),
+            force:        force ? 1 : 0
+        };
+
+        if ($btn.data('item')) {
+            request.item_ids = [$btn.data('item')];
+        }
+
+        $btn.prop('disabled', true);
+        $revertNotices.empty();
+
+        $.post(data.ajax_url, request)
+        .done(function (response) {
+            if (response.success) {
+                var failed = response.data.results.filter(function (r) { return !r.success; });
+                if (!failed.length) {
+                    window.location.reload();
+                    return;
+                }
+                failed.forEach(function (r) {
+                    showNotice('error', '<strong>' + escHtml(r.title) + '</strong>: ' + escHtml(r.message), $revertNotices);
+                });
+                return;
+            }
+
+            var conflicts = response.data.conflicts || [];
+            if (conflicts.length) {
+                var titles = conflicts.map(conflictLine).join('\n');
+                if (window.confirm(response.data.message + '\n\n' + titles + '\n\nRevert anyway? Edits made since will be lost; items being edited are skipped.')) {
+                    revertChangeset($btn, true);
+                    return;
+                }
+            } else {
+                showNotice('error', escHtml(response.data.message || 'An error occurred while reverting.'), $revertNotices);
+            }
+            $btn.prop('disabled', false);
+        })
+        .fail(function () {
+            showNotice('error', 'Request failed. Please try again.', $revertNotices);
+            $btn.prop('disabled', false);
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Review (approve or reject proposed changes)
+    // -------------------------------------------------------------------------
+
+    $(document).on('click', '.phrasematch-review-btn', function () {
+        var $btn = $(this);
+
+        if ($btn.data('decision') === 'approve' || window.confirm('Discard these proposed changes?')) {
+            reviewChanges($btn, false);
+        }
+    });
+
+    function reviewChanges($btn, force) {
+        var request = {
+            action:       'phrasematch_review',
+            nonce:        data.nonce,
+            changeset_id: $btn.data('changeset'),
+            item_ids:     [$btn.data('item')],
+            decision:     $btn.data('decision'),
+            force:        force ? 1 : 0
+        };
+        var $buttons = $btn.closest('td').find('.phrasematch-review-btn');
+
+        $buttons.prop('disabled', true);
+        $revertNotices.empty();
+
+        $.post(data.ajax_url, request)
+        .done(function (response) {
+            if (response.success) {
+                var failed = response.data.results.filter(function (r) { return !r.success; });
+                if (!failed.length) {
+                    window.location.reload();
+                    return;
+                }
+                failed.forEach(function (r) {
+                    showNotice('error', '<strong>' + escHtml(r.title) + '</strong>: ' + escHtml(r.message), $revertNotices);
+                });
+                return;
+            }
+
+            var conflicts = response.data.conflicts || [];
+            if (conflicts.length) {
+                var titles = conflicts.map(conflictLine).join('\n');
+                if (window.confirm(response.data.message + '\n\n' + titles + '\n\nApprove anyway? Edits made since will be lost; items being edited are skipped.')) {
+                    reviewChanges($btn, true);
+                    return;
+                }
+            } else {
+                showNotice('error', escHtml(response.data.message || 'An error occurred while reviewing.'), $revertNotices);
+            }
+            $buttons.prop('disabled', false);
+        })
+        .fail(function () {
+            showNotice('error', 'Request failed. Please try again.', $revertNotices);
+            $buttons.prop('disabled', false);
+        });
+    }
+
     // -------------------------------------------------------------------------
     // Helpers
     // -------------------------------------------------------------------------
 
-    function showNotice(type, messageHtml) {
+    // One line of the list of conflicts shown before overwriting them.
+    function conflictLine(conflict) {
+        var line = '- ' + (conflict.title || conflict.object_key);
+
+        return conflict.locked_by ? line + ' (' + conflict.locked_by + ' is editing it)' : line;
+    }
+
+    function showNotice(type, messageHtml, $container) {
         var $notice = $(
             '<div class="notice notice-' + type + ' inline is-dismissible">' +
             '<p>' + messageHtml + '</p>' +
@@ -550,7 +1989,7 @@
             $notice.fadeOut(200, function () { $(this).remove(); });
         });
 
-        $notices.append($notice);
+        ($container || $notices).append($notice);
     }
 
     function escHtml(str) {
@@ -560,6 +1999,10 @@
         return div.innerHTML;
     }
 
+    function formatNumber(num) {
+        return (parseInt(num, 10) || 0).toLocaleString();
+    }
+
     function escAttr(str) {
         return str
             .replace(/&/g, '&amp;')
@@ -0,0 +1,352 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * A reviewed action plan: scan results exported as CSV or JSON, with the action
+ * and replacement of each match filled in outside WordPress (e.g. by a legal
+ * team in a spreadsheet), then imported again.
+ *
+ * The Scan tab exports one row per match:
+ *
+ *     match_id,item,title,type,status,location,field,offset,snippet,wrapping,mode,action,replace_with,content_hash
+ *
+ * Only match_id, action, mode, replace_with and content_hash are read back; the
+ * other columns are there for the reviewers. The action is "remove", "replace" or
+ * "skip" (an empty action skips the match too), and mode is the removal mode of
+ * a "remove" row. Columns may come in any order, and JSON exports may be
+ * imported as the object written by the export or as a plain list of rows.
+ *
+ * Nothing is applied on import: validate() checks every row against a fresh scan
+ * of its item, and the rows that pass are preselected in the results table for
+ * the usual confirmation.
+ */
+class Action_Plan {
+
+    /**
+     * Actions of a row.
+     */
+    public const ACTIONS = [ 'remove', 'replace', 'skip' ];
+
+    /**
+     * Columns read on import, as named in the header row.
+     */
+    private const COLUMNS = [ 'match_id', 'action', 'mode', 'replace_with', 'content_hash' ];
+
+    /**
+     * Rows, each with the row number shown in errors and the columns read.
+     *
+     * @var array<int, array{row: int, match_id: string, action: string, mode: string, replace_with: string, content_hash: string}>
+     */
+    private array $rows = [];
+
+    private string $error = '';
+
+    /**
+     * @param array $rows Rows keyed by column name, keyed by their row number.
+     */
+    public function __construct( array $rows ) {
+        foreach ( $rows as $number => $row ) {
+            if ( ! is_array( $row ) ) {
+                continue;
+            }
+
+            $action = strtolower( trim( self::cell( $row, 'action' ) ) );
+            $hash   = strtolower( trim( self::cell( $row, 'content_hash' ) ) );
+
+            $this->rows[] = [
+                'row'          => (int) $number,
+                // Only compared with the IDs of scan results, never output.
+                'match_id'     => trim( self::cell( $row, 'match_id' ) ),
+                'action'       => '' === $action ? 'skip' : sanitize_key( $action ),
+                'mode'         => sanitize_key( self::cell( $row, 'mode' ) ),
+                'replace_with' => sanitize_text_field( self::unescape_cell( self::cell( $row, 'replace_with' ) ) ),
+                'content_hash' => preg_match( '/^[a-f0-9]{32}$/', $hash ) ? $hash : '',
+            ];
+        }
+
+        if ( empty( $this->rows ) ) {
+            $this->error = __( 'The file contains no matches.', 'phrasematch' );
+        }
+    }
+
+    /**
+     * Build a plan from an exported file.
+     *
+     * @param string $text Unslashed contents of the CSV or JSON file.
+     *
+     * @return self
+     */
+    public static function from_file( string $text ): self {
+        $text = trim( (string) preg_replace( '/^\xEF\xBB\xBF/', '', $text ) );
+
+        if ( '' !== $text && in_array( $text[0], [ '[', '{' ], true ) ) {
+            $data = json_decode( $text, true );
+            $rows = is_array( $data ) && isset( $data['matches'] ) ? $data['matches'] : $data;
+
+            if ( ! is_array( $rows ) || ! wp_is_numeric_array( $rows ) ) {
+                return self::invalid( __( 'The file is not a valid PhraseMatch export.', 'phrasematch' ) );
+            }
+
+            // Number JSON rows from 1, like the lines of a spreadsheet without a header.
+            return new self( empty( $rows ) ? [] : array_combine( range( 1, count( $rows ) ), $rows ) );
+        }
+
+        $rows = self::parse_csv( $text );
+
+        if ( null === $rows ) {
+            return self::invalid( __( 'The file has no match_id and action columns. Export the results, fill in the action column and import that file.', 'phrasematch' ) );
+        }
+
+        return new self( $rows );
+    }
+
+    /**
+     * Identifier of a scan result that stays the same as long as its item is not
+     * edited: object key, field, path within the field and offset. admin.js builds
+     * the same identifier when exporting.
+     *
+     * @param array $result Scan result.
+     */
+    public static function get_match_id( array $result ): string {
+        return implode( '|', [
+            $result['object_key'],
+            $result['field'],
+            implode( '.', (array) ( $result['path'] ?? [] ) ),
+            implode( '.', (array) ( $result['attribute'] ?? [] ) ),
+            (int) $result['char_offset'],
+        ] );
+    }
+
+    /**
+     * Removal modes a scan result allows, see Remover::MODES.
+     *
+     * @param array $result Scan result.
+     *
+     * @return string[]
+     */
+    public static function get_allowed_modes( array $result ): array {
+        if ( ! empty( $result['attribute'] ) || in_array( $result['location'], Remover::TEXT_ONLY_LOCATIONS, true ) ) {
+            return [ 'text_only' ];
+        }
+
+        $blocks = (array) ( $result['blocks'] ?? [] );
+        $modes  = [ 'text_only' ];
+
+        if ( in_array( $result['wrapping'], [ 'html_element', 'gutenberg_block' ], true ) ) {
+            $modes[] = 'html_element';
+        }
+        if ( count( $blocks ) > 0 ) {
+            $modes[] = 'gutenberg_block';
+        }
+        if ( count( $blocks ) > 1 ) {
+            $modes[] = 'parent_block';
+        }
+
+        return $modes;
+    }
+
+    /**
+     * Object keys of the rows that change something, i.e. the items to rescan before validate().
+     *
+     * @return string[]
+     */
+    public function get_object_keys(): array {
+        $keys = [];
+
+        foreach ( $this->rows as $row ) {
+            $key = strstr( $row['match_id'], '|', true );
+
+            if ( 'skip' !== $row['action'] && false !== $key && null !== Content_Store::parse_key( $key ) ) {
+                $keys[ $key ] = true;
+            }
+        }
+
+        return array_keys( $keys );
+    }
+
+    /**
+     * Check every row against the current matches of its item.
+     *
+     * A row is selected when its match is still found at the same place, its item
+     * was not edited since the export, the action and mode suit the match, and the
+     * user may make the change (see Capabilities::check_changes()).
+     *
+     * @param array $results Fresh scan results of get_object_keys().
+     * @param int   $user_id User who applies the plan.
+     *
+     * @return array{selected: array<string, array{mode: string, replace_with: string}>, errors: string[], skipped: int}
+     *         Selections keyed by match ID, one message per rejected row, and the number of skipped rows.
+     */
+    public function validate( array $results, int $user_id ): array {
+        $by_id = [];
+
+        foreach ( $results as $result ) {
+            $by_id[ self::get_match_id( $result ) ] = $result;
+        }
+
+        $selected = [];
+        $errors   = [];
+        $skipped  = 0;
+
+        foreach ( $this->rows as $row ) {
+            if ( 'skip' === $row['action'] ) {
+                ++$skipped;
+                continue;
+            }
+
+            $message = $this->check_row( $row, $by_id[ $row['match_id'] ] ?? null, $user_id );
+
+            if ( '' !== $message ) {
+                /* translators: 1: row number in the imported file, 2: error message */
+                $errors[] = sprintf( __( 'Row %1$d: %2$s', 'phrasematch' ), $row['row'], $message );
+                continue;
+            }
+
+            $selected[ $row['match_id'] ] = [
+                'mode'         => 'replace' === $row['action'] ? 'text_only' : ( '' === $row['mode'] ? 'text_only' : $row['mode'] ),
+                'replace_with' => 'replace' === $row['action'] ? $row['replace_with'] : '',
+            ];
+        }
+
+        return [
+            'selected' => $selected,
+            'errors'   => $errors,
+            'skipped'  => $skipped,
+        ];
+    }
+
+    /**
+     * Get the error that makes the file unusable, or empty string.
+     */
+    public function get_error(): string {
+        return $this->error;
+    }
+
+    /**
+     * Why a row cannot be applied.
+     *
+     * @param array      $row     Row.
+     * @param array|null $result  Current scan result of the row's match, null when it is gone.
+     * @param int        $user_id User ID.
+     *
+     * @return string Error message, '' when the row can be applied.
+     */
+    private function check_row( array $row, ?array $result, int $user_id ): string {
+        if ( ! in_array( $row['action'], self::ACTIONS, true ) ) {
+            /* translators: %s: action given in the file */
+            return sprintf( __( 'Unknown action “%s”. Use remove, replace or skip.', 'phrasematch' ), $row['action'] );
+        }
+
+        if ( null === $result ) {
+            return __( 'The match is no longer there. The item was edited, or it no longer matches this search.', 'phrasematch' );
+        }
+
+        if ( '' !== $row['content_hash'] && $row['content_hash'] !== ( $result['content_hash'] ?? '' ) ) {
+            return __( 'The item was edited after the export. Export it again and review the new matches.', 'phrasematch' );
+        }
+
+        if ( 'replace' === $row['action'] ) {
+            if ( '' === $row['replace_with'] ) {
+                return __( 'No replacement given.', 'phrasematch' );
+            }
+        } elseif ( '' !== $row['mode'] && ! in_array( $row['mode'], self::get_allowed_modes( $result ), true ) ) {
+            /* translators: %s: removal mode given in the file */
+            return sprintf( __( 'The mode “%s” is not possible for this match.', 'phrasematch' ), $row['mode'] );
+        }
+
+        return Capabilities::check_changes( $user_id, $result['object_key'], [
+            [
+                'mode'         => '' === $row['mode'] || 'replace' === $row['action'] ? 'text_only' : $row['mode'],
+                'replace_with' => 'replace' === $row['action'] ? $row['replace_with'] : '',
+            ],
+        ] );
+    }
+
+    /**
+     * Read the rows of a CSV export, keyed by column name.
+     *
+     * Cells may span lines, as spreadsheets write them.
+     *
+     * @param string $csv CSV text.
+     *
+     * @return array<int, array<string, string>>|null Rows keyed by row number (the header being row 1),
+     *                                                null without the required columns.
+     */
+    private static function parse_csv( string $csv ): ?array {
+        $handle = fopen( 'php://temp', 'r+' );
+        fwrite( $handle, $csv );
+        rewind( $handle );
+
+        $delimiter = Rule_Set::detect_delimiter( (string) strtok( $csv, "\r\n" ) );
+        $header    = fgetcsv( $handle, 0, $delimiter, '"', '' );
+        $columns   = is_array( $header ) ? array_map( 'strtolower', array_map( 'trim', (array) $header ) ) : [];
+        $rows      = [];
+        $number    = 1;
+
+        if ( ! in_array( 'match_id', $columns, true ) || ! in_array( 'action', $columns, true ) ) {
+            fclose( $handle );
+            return null;
+        }
+
+        $columns = array_intersect( $columns, self::COLUMNS );
+
+        while ( false !== ( $cells = fgetcsv( $handle, 0, $delimiter, '"', '' ) ) ) {
+            ++$number;
+
+            if ( [ null ] === $cells ) {
+                continue;
+            }
+
+            $row = [];
+            foreach ( $columns as $index => $column ) {
+                $row[ $column ] = (string) ( $cells[ $index ] ?? '' );
+            }
+            $rows[ $number ] = $row;
+        }
+
+        fclose( $handle );
+
+        return $rows;
+    }
+
+    /**
+     * Value of a column of a row, '' when it is missing or not a scalar (in JSON).
+     *
+     * @param array  $row    Row.
+     * @param string $column Column name.
+     */
+    private static function cell( array $row, string $column ): string {
+        return isset( $row[ $column ] ) && is_scalar( $row[ $column ] ) ? (string) $row[ $column ] : '';
+    }
+
+    /**
+     * Undo the escaping of cells that a spreadsheet would read as a formula
+     * (a leading apostrophe before =, +, - or @), as done by the export.
+     *
+     * @param string $value Cell value.
+     */
+    private static function unescape_cell( string $value ): string {
+        return preg_match( "/^'[=+\\-@]/", $value ) ? substr( $value, 1 ) : $value;
+    }
+
+    /**
+     * A plan without rows that reports the given error.
+     *
+     * @param string $error Error message.
+     *
+     * @return self
+     */
+    private static function invalid( string $error ): self {
+        $plan        = new self( [] );
+        $plan->error = $error;
+
+        return $plan;
+    }
+}
@@ -10,9 +10,64 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 /**
  * Renders the PhraseMatch admin page under Tools.
+ *
+ * The page is split into tabs: the scanner itself, the saved searches, the
+ * change history, for approvers and users with open proposals the review queue
+ * of proposed changes and, for administrators, the audit log and the role settings.
+ * The page is open to users who can scan (see Capabilities); controls for
+ * changing content are only shown to users who may use them.
  */
 class Admin_Page {
 
+    private History_Page $history_page;
+    private Saved_Searches_Page $saved_searches_page;
+    private Audit_Log_Page $audit_log_page;
+    private Settings_Page $settings_page;
+
+    public function __construct( History_Page $history_page, Saved_Searches_Page $saved_searches_page, Audit_Log_Page $audit_log_page, Settings_Page $settings_page ) {
+        $this->history_page        = $history_page;
+        $this->saved_searches_page = $saved_searches_page;
+        $this->audit_log_page      = $audit_log_page;
+        $this->settings_page       = $settings_page;
+    }
+
+    /**
+     * Get the URL of a tab of the admin page.
+     *
+     * @param string $tab  Tab slug.
+     * @param array  $args Extra query arguments.
+     *
+     * @return string Admin URL.
+     */
+    public static function get_tab_url( string $tab, array $args = [] ): string {
+        return add_query_arg(
+            array_merge( [ 'page' => 'phrasematch', 'tab' => $tab ], $args ),
+            admin_url( 'tools.php' )
+        );
+    }
+
+    /**
+     * Get the URL of a changeset's detail view in the History tab.
+     *
+     * @param int $changeset_id Changeset ID.
+     *
+     * @return string Admin URL.
+     */
+    public static function get_changeset_url( int $changeset_id ): string {
+        return self::get_tab_url( 'history', [ 'changeset' => $changeset_id ] );
+    }
+
+    /**
+     * Get the URL of the Scan tab with a saved search and the items it last matched loaded.
+     *
+     * @param int $search_id Saved search ID.
+     *
+     * @return string Admin URL.
+     */
+    public static function get_saved_search_url( int $search_id ): string {
+        return self::get_tab_url( 'scan', [ 'saved_search' => $search_id ] );
+    }
+
     /**
      * Register the admin menu item.
      */
@@ -20,7 +75,7 @@ class Admin_Page {
         add_management_page(
             __( 'PhraseMatch', 'phrasematch' ),
             __( 'PhraseMatch', 'phrasematch' ),
-            'manage_options',
+            Capabilities::SCAN,
             'phrasematch',
             [ $this, 'render' ]
         );
@@ -30,17 +85,78 @@ class Admin_Page {
      * Render the admin page.
      */
     public function render(): void {
-        $post_types        = get_post_types( [ 'public' => true ], 'objects' );
-        $revisions_enabled = ! ( defined( 'WP_POST_REVISIONS' ) && false === WP_POST_REVISIONS );
+        $tabs = [
+            'scan'    => __( 'Scan', 'phrasematch' ),
+            'saved'   => __( 'Saved Searches', 'phrasematch' ),
+            'history' => __( 'History', 'phrasematch' ),
+        ];
+        // Approvers review proposals; their authors may withdraw them from the same tab.
+        $pending = $this->history_page->count_pending();
+        if ( current_user_can( Capabilities::APPROVE ) || $pending > 0 ) {
+            /* translators: %d: number of proposed changes waiting for approval */
+            $tabs['review'] = sprintf( __( 'Review (%d)', 'phrasematch' ), $pending );
+        }
+        if ( current_user_can( 'manage_options' ) ) {
+            $tabs['log']      = __( 'Audit Log', 'phrasematch' );
+            $tabs['settings'] = __( 'Settings', 'phrasematch' );
+        }
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only tab switch.
+        $current = isset( $_GET['tab'] ) ? sanitize_key( wp_unslash( $_GET['tab'] ) ) : 'scan';
+        if ( ! isset( $tabs[ $current ] ) ) {
+            $current = 'scan';
+        }
         ?>
         <div class="wrap" id="phrasematch-app">
 
             <!-- Header -->
             <div class="pm-header">
                 <h1 class="pm-title"><?php esc_html_e( 'PhraseMatch', 'phrasematch' ); ?> <span class="pm-version"><?php echo esc_html( PHRASEMATCH_VERSION ); ?></span></h1>
-                <p class="pm-subtitle"><?php esc_html_e( 'Find, remove, or replace specific phrases in your posts, pages, and custom post types.', 'phrasematch' ); ?></p>
+                <p class="pm-subtitle"><?php esc_html_e( 'Find, remove, or replace specific phrases in your posts, custom fields, menus, widgets, terms, and comments.', 'phrasematch' ); ?></p>
             </div>
 
+            <!-- Tabs -->
+            <nav class="nav-tab-wrapper pm-tabs">
+                <?php foreach ( $tabs as $slug => $label ) : ?>
+                    <a
+                        href="<?php echo esc_url( self::get_tab_url( $slug ) ); ?>"
+                        class="nav-tab<?php echo $slug === $current ? ' nav-tab-active' : ''; ?>"
+                    ><?php echo esc_html( $label ); ?></a>
+                <?php endforeach; ?>
+            </nav>
+
+            <?php
+            if ( 'history' === $current ) {
+                $this->history_page->render();
+            } elseif ( 'review' === $current ) {
+                $this->history_page->render_review();
+            } elseif ( 'saved' === $current ) {
+                $this->saved_searches_page->render();
+            } elseif ( 'log' === $current ) {
+                $this->audit_log_page->render();
+            } elseif ( 'settings' === $current ) {
+                $this->settings_page->render();
+            } else {
+                $this->render_scan_tab();
+            }
+            ?>
+
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the Scan tab: search form, results table and confirmation modal.
+     *
+     * The network variant, shown by Network_Admin_Page, adds a site picker and a
+     * site column, and leaves out saving searches and importing plans, which
+     * belong to a single site.
+     *
+     * @param bool $network Whether to render the network variant.
+     */
+    public function render_scan_tab( bool $network = false ): void {
+        $post_types        = get_post_types( [ 'public' => true ], 'objects' );
+        $revisions_enabled = ! ( defined( 'WP_POST_REVISIONS' ) && false === WP_POST_REVISIONS );
+        ?>
             <!-- Backup reminder -->
             <div class="pm-notice pm-notice-warning pm-backup-notice">
                 <?php esc_html_e( 'Always run a backup before making any major changes.', 'phrasematch' ); ?>
@@ -49,6 +165,18 @@ class Admin_Page {
             <!-- Search card -->
             <div class="pm-card">
 
+                <!-- Search mode -->
+                <div class="pm-search-mode">
+                    <label class="pm-checkbox">
+                        <input type="radio" name="phrasematch_search_mode" value="phrase" checked />
+                        <?php esc_html_e( 'Single phrase', 'phrasematch' ); ?>
+                    </label>
+                    <label class="pm-checkbox">
+                        <input type="radio" name="phrasematch_search_mode" value="rules" />
+                        <?php esc_html_e( 'Rule set', 'phrasematch' ); ?>
+                    </label>
+                </div>
+
                 <!-- Search bar row -->
                 <div class="pm-search-bar">
                     <textarea
@@ -58,13 +186,78 @@ class Admin_Page {
                         placeholder="<?php esc_attr_e( 'Enter the exact phrase to search for…', 'phrasematch' ); ?>"
                         autocomplete="off"
                     ></textarea>
+                    <textarea
+                        id="phrasematch-rules"
+                        class="pm-search-input pm-rules-input"
+                        rows="6"
+                        placeholder="<?php echo esc_attr( "Acme Corp,Globex\nAcme,Globex\nlimited time offer,,gutenberg_block" ); ?>"
+                        autocomplete="off"
+                        spellcheck="false"
+                        style="display: none;"
+                    ></textarea>
                     <button type="button" id="phrasematch-scan-btn" class="button button-primary pm-scan-btn">
                         <?php esc_html_e( 'Scan', 'phrasematch' ); ?>
                     </button>
                 </div>
 
+                <!-- Rule set help and CSV upload -->
+                <div id="phrasematch-rules-help" class="pm-rules-help" style="display: none;">
+                    <p>
+                        <?php
+                        printf(
+                            /* translators: %s: list of removal modes */
+                            esc_html__( 'One rule per line: phrase, replacement, mode. Leave the replacement empty to remove matches. The mode is optional: %s. Quote phrases that contain commas, or separate the columns with tabs. Where matches of two rules overlap, the rule listed first wins.', 'phrasematch' ),
+                            '<code>' . implode( '</code>, <code>', array_map( 'esc_html', Remover::MODES ) ) . '</code>'
+                        );
+                        ?>
+                    </p>
+                    <label for="phrasematch-rules-file" class="button button-small"><?php esc_html_e( 'Load CSV file…', 'phrasematch' ); ?></label>
+                    <input type="file" id="phrasematch-rules-file" class="screen-reader-text" accept=".csv,.tsv,.txt,text/csv,text/plain" />
+                </div>
+
                 <!-- Filters row -->
                 <div class="pm-filters">
+                    <?php if ( $network ) : ?>
+                        <div class="pm-filter-group pm-site-filter">
+                            <span class="pm-filter-label"><?php esc_html_e( 'Sites:', 'phrasematch' ); ?></span>
+                            <label class="pm-checkbox">
+                                <input type="checkbox" id="phrasematch-sites-all" checked />
+                                <strong><?php esc_html_e( 'All sites', 'phrasematch' ); ?></strong>
+                            </label>
+                            <?php foreach ( Network_Admin_Page::get_sites() as $site ) : ?>
+                                <label class="pm-checkbox">
+                                    <input type="checkbox" name="phrasematch_sites[]" value="<?php echo esc_attr( (string) $site->blog_id ); ?>" checked />
+                                    <?php echo esc_html( '' !== $site->blogname ? $site->blogname : $site->domain . $site->path ); ?>
+                                </label>
+                            <?php endforeach; ?>
+                        </div>
+                    <?php endif; ?>
+                    <div class="pm-filter-group">
+                        <span class="pm-filter-label"><?php esc_html_e( 'Search in:', 'phrasematch' ); ?></span>
+                        <?php
+                        $sources = [
+                            'title'     => __( 'Titles', 'phrasematch' ),
+                            'content'   => __( 'Content', 'phrasematch' ),
+                            'excerpt'   => __( 'Excerpts', 'phrasematch' ),
+                            'meta'      => __( 'Custom fields', 'phrasematch' ),
+                            'menu_item' => __( 'Menu items', 'phrasematch' ),
+                            'widget'    => __( 'Widgets', 'phrasematch' ),
+                            'term'      => __( 'Term descriptions', 'phrasematch' ),
+                            'comment'   => __( 'Comments', 'phrasematch' ),
+                        ];
+                        foreach ( $sources as $value => $label ) :
+                            ?>
+                            <label class="pm-checkbox">
+                                <input
+                                    type="checkbox"
+                                    name="phrasematch_sources[]"
+                                    value="<?php echo esc_attr( $value ); ?>"
+                                    <?php checked( in_array( $value, Scanner::DEFAULT_SOURCES, true ) ); ?>
+                                />
+                                <?php echo esc_html( $label ); ?>
+                            </label>
+                        <?php endforeach; ?>
+                    </div>
                     <div class="pm-filter-group">
                         <span class="pm-filter-label"><?php esc_html_e( 'Post types:', 'phrasematch' ); ?></span>
                         <?php foreach ( $post_types as $pt ) : ?>
@@ -101,16 +294,161 @@ class Admin_Page {
                             </label>
                         <?php endforeach; ?>
                     </div>
+                    <div class="pm-filter-group">
+                        <span class="pm-filter-label"><?php esc_html_e( 'Match:', 'phrasematch' ); ?></span>
+                        <?php
+                        $match_options = [
+                            'case_sensitive' => __( 'Case-sensitive', 'phrasematch' ),
+                            'whole_word'     => __( 'Whole word', 'phrasematch' ),
+                            'regex'          => __( 'Regular expression', 'phrasematch' ),
+                            'ignore_accents' => __( 'Ignore accents', 'phrasematch' ),
+                            'visible_text'   => __( 'Across tags and spaces', 'phrasematch' ),
+                        ];
+                        foreach ( $match_options as $value => $label ) :
+                            ?>
+                            <label class="pm-checkbox">
+                                <input
+                                    type="checkbox"
+                                    name="phrasematch_match_options[]"
+                                    value="<?php echo esc_attr( $value ); ?>"
+                                />
+                                <?php echo esc_html( $label ); ?>
+                            </label>
+                        <?php endforeach; ?>
+                    </div>
+                    <div class="pm-filter-group">
+                        <span class="pm-filter-label"><?php esc_html_e( 'Skip matches in:', 'phrasematch' ); ?></span>
+                        <?php
+                        $skip_contexts = [
+                            'attribute' => __( 'HTML attributes', 'phrasematch' ),
+                            'url'       => __( 'URLs', 'phrasematch' ),
+                            'shortcode' => __( 'Shortcode tags', 'phrasematch' ),
+                            'code'      => __( 'Code', 'phrasematch' ),
+                            'comment'   => __( 'HTML comments', 'phrasematch' ),
+                        ];
+                        foreach ( $skip_contexts as $value => $label ) :
+                            ?>
+                            <label class="pm-checkbox">
+                                <input
+                                    type="checkbox"
+                                    name="phrasematch_skip_contexts[]"
+                                    value="<?php echo esc_attr( $value ); ?>"
+                                    <?php checked( ! in_array( $value, Match_Context::DEFAULT_CONTEXTS, true ) ); ?>
+                                />
+                                <?php echo esc_html( $label ); ?>
+                            </label>
+                        <?php endforeach; ?>
+                    </div>
+                </div>
+
+                <!-- Save search -->
+                <?php if ( ! $network ) : ?>
+                    <div class="pm-save-search">
+                        <button type="button" id="phrasematch-save-toggle" class="button-link" aria-expanded="false" aria-controls="phrasematch-save-panel">
+                            <?php esc_html_e( 'Save search…', 'phrasematch' ); ?>
+                        </button>
+                        <div id="phrasematch-save-panel" class="pm-save-panel" style="display: none;">
+                            <input type="hidden" id="phrasematch-save-id" value="0" />
+                            <div class="pm-save-row">
+                                <label for="phrasematch-save-name" class="pm-filter-label"><?php esc_html_e( 'Name:', 'phrasematch' ); ?></label>
+                                <input type="text" id="phrasematch-save-name" class="regular-text" />
+                            </div>
+                            <div class="pm-save-row">
+                                <label for="phrasematch-save-schedule" class="pm-filter-label"><?php esc_html_e( 'Run:', 'phrasematch' ); ?></label>
+                                <select id="phrasematch-save-schedule">
+                                    <?php foreach ( Saved_Searches_Page::get_schedule_labels() as $value => $label ) : ?>
+                                        <option value="<?php echo esc_attr( $value ); ?>" <?php selected( 'daily', $value ); ?>><?php echo esc_html( $label ); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </div>
+                            <div class="pm-save-row">
+                                <span class="pm-filter-label"><?php esc_html_e( 'Report new occurrences by:', 'phrasematch' ); ?></span>
+                                <?php foreach ( Saved_Searches_Page::get_notification_labels() as $value => $label ) : ?>
+                                    <label class="pm-checkbox">
+                                        <input type="checkbox" name="phrasematch_save_notify[]" value="<?php echo esc_attr( $value ); ?>" checked />
+                                        <?php echo esc_html( $label ); ?>
+                                    </label>
+                                <?php endforeach; ?>
+                                <input
+                                    type="text"
+                                    id="phrasematch-save-recipients"
+                                    class="regular-text"
+                                    placeholder="<?php echo esc_attr( (string) get_option( 'admin_email' ) ); ?>"
+                                    aria-label="<?php esc_attr_e( 'Email recipients', 'phrasematch' ); ?>"
+                                />
+                            </div>
+                            <?php if ( current_user_can( Capabilities::MODIFY ) ) : ?>
+                                <div class="pm-save-row">
+                                    <label class="pm-checkbox">
+                                        <input type="checkbox" id="phrasematch-save-auto-apply" />
+                                        <?php esc_html_e( 'Auto-apply: modify every match right away, removing', 'phrasematch' ); ?>
+                                    </label>
+                                    <select id="phrasematch-save-auto-mode" aria-label="<?php esc_attr_e( 'Auto-apply mode', 'phrasematch' ); ?>">
+                                        <?php
+                                        $auto_modes = [
+                                            'auto'            => __( 'the detected wrapper', 'phrasematch' ),
+                                            'text_only'       => __( 'the text only', 'phrasematch' ),
+                                            'html_element'    => __( 'the HTML element', 'phrasematch' ),
+                                            'gutenberg_block' => __( 'the Gutenberg block', 'phrasematch' ),
+                                            'parent_block'    => __( 'the parent block', 'phrasematch' ),
+                                        ];
+                                        if ( ! current_user_can( Capabilities::REMOVE_BLOCKS ) ) {
+                                            $auto_modes = array_intersect_key( $auto_modes, [ 'text_only' => true ] );
+                                        }
+                                        foreach ( $auto_modes as $value => $label ) :
+                                            ?>
+                                            <option value="<?php echo esc_attr( $value ); ?>"><?php echo esc_html( $label ); ?></option>
+                                        <?php endforeach; ?>
+                                    </select>
+                                </div>
+                                <p class="pm-save-hint"><?php esc_html_e( 'Rules with a replacement replace their matches instead. Auto-applied changes are recorded in the History tab.', 'phrasematch' ); ?></p>
+                            <?php endif; ?>
+                            <div class="pm-save-row">
+                                <button type="button" id="phrasematch-save-btn" class="button"><?php esc_html_e( 'Save', 'phrasematch' ); ?></button>
+                                <span class="spinner" id="phrasematch-save-spinner"></span>
+                                <span id="phrasematch-save-status" class="pm-selection-count"></span>
+                            </div>
+                        </div>
+                    </div>
+                <?php endif; ?>
+
+                <!-- Scan progress -->
+                <div id="phrasematch-progress" class="pm-progress" style="display: none;">
+                    <div class="pm-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100">
+                        <div id="phrasematch-progress-fill" class="pm-progress-fill"></div>
+                    </div>
+                    <div class="pm-progress-footer">
+                        <span id="phrasematch-progress-text" class="pm-progress-text"></span>
+                        <button type="button" id="phrasematch-cancel-btn" class="button button-small">
+                            <?php esc_html_e( 'Cancel', 'phrasematch' ); ?>
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Interrupted scan -->
+                <div id="phrasematch-resume" class="pm-notice pm-notice-warning pm-resume" style="display: none;">
+                    <span id="phrasematch-resume-text"></span>
+                    <button type="button" id="phrasematch-resume-btn" class="button button-small">
+                        <?php esc_html_e( 'Resume', 'phrasematch' ); ?>
+                    </button>
+                    <button type="button" id="phrasematch-discard-btn" class="button-link">
+                        <?php esc_html_e( 'Discard', 'phrasematch' ); ?>
+                    </button>
+                </div>
+
+                <!-- Regex hint -->
+                <div id="phrasematch-regex-hint" class="pm-notice pm-notice-info" style="display: none;">
+                    <?php esc_html_e( 'Enter a PCRE pattern without delimiters, e.g. utm_source=\w+. Replacements can reference capture groups with $1, $2, …', 'phrasematch' ); ?>
                 </div>
 
                 <!-- Revisions notice -->
                 <?php if ( ! $revisions_enabled ) : ?>
                     <div class="pm-notice pm-notice-warning">
-                        <?php esc_html_e( 'Revisions are disabled. Removed content cannot be restored automatically. Proceed with caution.', 'phrasematch' ); ?>
+                        <?php esc_html_e( 'Revisions are disabled. Removed content can only be restored from the History tab. Proceed with caution.', 'phrasematch' ); ?>
                     </div>
                 <?php else : ?>
                     <div class="pm-notice pm-notice-info">
-                        <?php esc_html_e( 'Revisions are enabled — any removal can be undone from the post editor.', 'phrasematch' ); ?>
+                        <?php esc_html_e( 'Revisions are enabled — any removal can be undone from the post editor, or for a whole batch from the History tab.', 'phrasematch' ); ?>
                     </div>
                 <?php endif; ?>
             </div>
@@ -122,6 +460,17 @@ class Admin_Page {
                 <div class="pm-results-header">
                     <h2 id="phrasematch-results-heading" class="pm-results-title"></h2>
                     <div class="pm-results-actions-top">
+                        <button type="button" class="button phrasematch-export-btn" data-format="csv">
+                            <?php esc_html_e( 'Export CSV', 'phrasematch' ); ?>
+                        </button>
+                        <button type="button" class="button phrasematch-export-btn" data-format="json">
+                            <?php esc_html_e( 'Export JSON', 'phrasematch' ); ?>
+                        </button>
+                        <?php if ( ! $network && current_user_can( Capabilities::MODIFY ) ) : ?>
+                            <label for="phrasematch-plan-file" class="button"><?php esc_html_e( 'Import Reviewed Plan…', 'phrasematch' ); ?></label>
+                            <input type="file" id="phrasematch-plan-file" class="screen-reader-text" accept=".csv,.json,.txt,text/csv,application/json" />
+                            <span class="spinner" id="phrasematch-import-spinner"></span>
+                        <?php endif; ?>
                         <button type="button" id="phrasematch-rescan-btn" class="button pm-btn-rescan" style="display: none;">
                             <?php esc_html_e( 'Re-scan', 'phrasematch' ); ?>
                         </button>
@@ -131,6 +480,33 @@ class Admin_Page {
                 <!-- Notices -->
                 <div id="phrasematch-results-notices"></div>
 
+                <!-- Result filters; the options are filled in from the results -->
+                <div class="pm-result-filters">
+                    <?php
+                    $result_filters = $network ? [ 'site_id' => __( 'All sites', 'phrasematch' ) ] : [];
+                    $result_filters += [
+                        'post_type'   => __( 'All types', 'phrasematch' ),
+                        'post_status' => __( 'All statuses', 'phrasematch' ),
+                        'location'    => __( 'All locations', 'phrasematch' ),
+                        'wrapping'    => __( 'All wrappings', 'phrasematch' ),
+                    ];
+                    foreach ( $result_filters as $field => $label ) :
+                        ?>
+                        <select class="phrasematch-result-filter" data-field="<?php echo esc_attr( $field ); ?>" aria-label="<?php echo esc_attr( $label ); ?>">
+                            <option value=""><?php echo esc_html( $label ); ?></option>
+                        </select>
+                    <?php endforeach; ?>
+                    <input
+                        type="search"
+                        id="phrasematch-filter-text"
+                        class="pm-filter-text"
+                        placeholder="<?php esc_attr_e( 'Filter by context…', 'phrasematch' ); ?>"
+                        aria-label="<?php esc_attr_e( 'Filter by context', 'phrasematch' ); ?>"
+                    />
+                </div>
+
+                <div id="phrasematch-select-all-notice" class="pm-notice pm-notice-info pm-select-all-notice" style="display: none;"></div>
+
                 <!-- Results table -->
                 <div class="pm-card pm-card-flush">
                     <div class="pm-table-wrap">
@@ -140,16 +516,28 @@ class Admin_Page {
                                     <th class="pm-col-cb">
                                         <input type="checkbox" id="phrasematch-select-all" />
                                     </th>
-                                    <th class="pm-col-post"><?php esc_html_e( 'Post', 'phrasematch' ); ?></th>
-                                    <th class="pm-col-location"><?php esc_html_e( 'Location', 'phrasematch' ); ?></th>
-                                    <th class="pm-col-context"><?php esc_html_e( 'Context', 'phrasematch' ); ?></th>
+                                    <?php if ( $network ) : ?>
+                                        <th class="pm-col-site"><?php esc_html_e( 'Site', 'phrasematch' ); ?></th>
+                                    <?php endif; ?>
+                                    <th class="pm-col-post" aria-sort="none">
+                                        <button type="button" class="pm-sort-btn" data-sort="title"><?php esc_html_e( 'Item', 'phrasematch' ); ?></button>
+                                    </th>
+                                    <th class="pm-col-rule" aria-sort="none">
+                                        <button type="button" class="pm-sort-btn" data-sort="rule"><?php esc_html_e( 'Rule', 'phrasematch' ); ?></button>
+                                    </th>
+                                    <th class="pm-col-location" aria-sort="none">
+                                        <button type="button" class="pm-sort-btn" data-sort="location"><?php esc_html_e( 'Location', 'phrasematch' ); ?></button>
+                                    </th>
+                                    <th class="pm-col-context" aria-sort="none">
+                                        <button type="button" class="pm-sort-btn" data-sort="context"><?php esc_html_e( 'Context', 'phrasematch' ); ?></button>
+                                    </th>
                                     <th class="pm-col-replace">
                                         <?php esc_html_e( 'Replace With', 'phrasematch' ); ?>
                                         <input
                                             type="text"
                                             id="phrasematch-bulk-replace"
                                             class="pm-bulk-replace-input"
-                                            placeholder="<?php esc_attr_e( 'Fill checked rows…', 'phrasematch' ); ?>"
+                                            placeholder="<?php esc_attr_e( 'Fill selected rows…', 'phrasematch' ); ?>"
                                         />
                                     </th>
                                     <th class="pm-col-mode"><?php esc_html_e( 'Mode', 'phrasematch' ); ?></th>
@@ -162,13 +550,25 @@ class Admin_Page {
                 </div>
 
                 <!-- Bottom action bar -->
-                <div class="pm-action-bar">
-                    <button type="button" id="phrasematch-remove-btn" class="button button-primary" disabled>
-                        <?php esc_html_e( 'Apply Changes', 'phrasematch' ); ?>
-                    </button>
-                    <span class="spinner" id="phrasematch-remove-spinner"></span>
-                    <span id="phrasematch-selection-count" class="pm-selection-count"></span>
-                </div>
+                <?php if ( current_user_can( Capabilities::MODIFY ) ) : ?>
+                    <div class="pm-action-bar">
+                        <button type="button" id="phrasematch-remove-btn" class="button button-primary" disabled>
+                            <?php esc_html_e( 'Apply Changes', 'phrasematch' ); ?>
+                        </button>
+                        <span class="spinner" id="phrasematch-remove-spinner"></span>
+                        <span id="phrasematch-selection-count" class="pm-selection-count"></span>
+                        <?php if ( ! $network ) : ?>
+                            <?php $must_propose = Capabilities::requires_approval( get_current_user_id() ); ?>
+                            <label class="pm-checkbox pm-propose-toggle">
+                                <input type="checkbox" id="phrasematch-propose" value="1" <?php checked( $must_propose ); ?> <?php disabled( $must_propose ); ?> />
+                                <?php esc_html_e( 'Propose for approval', 'phrasematch' ); ?>
+                            </label>
+                            <?php if ( $must_propose ) : ?>
+                                <span class="pm-propose-note"><?php esc_html_e( 'Your changes are saved once a user who can approve changes approves them.', 'phrasematch' ); ?></span>
+                            <?php endif; ?>
+                        <?php endif; ?>
+                    </div>
+                <?php endif; ?>
             </div>
 
             <!-- Confirmation modal -->
@@ -190,7 +590,33 @@ class Admin_Page {
                 </div>
             </div>
 
-        </div>
+            <!-- Rendered preview of a result -->
+            <div id="phrasematch-render-modal" class="pm-modal" style="display: none;">
+                <div class="pm-modal-backdrop"></div>
+                <div class="pm-modal-dialog pm-render-dialog">
+                    <div class="pm-modal-header">
+                        <h2 id="phrasematch-render-title"><?php esc_html_e( 'Preview on Page', 'phrasematch' ); ?></h2>
+                    </div>
+                    <div class="pm-modal-body">
+                        <div id="phrasematch-render-notes"></div>
+                        <div class="pm-render-panes">
+                            <div class="pm-render-pane">
+                                <h3 class="pm-diff-title"><?php esc_html_e( 'Now', 'phrasematch' ); ?></h3>
+                                <iframe id="phrasematch-render-before" class="pm-render-frame" sandbox="allow-same-origin" title="<?php esc_attr_e( 'Rendered item now', 'phrasematch' ); ?>"></iframe>
+                            </div>
+                            <div class="pm-render-pane" id="phrasematch-render-after-pane">
+                                <h3 class="pm-diff-title" id="phrasematch-render-after-title"><?php esc_html_e( 'After the change', 'phrasematch' ); ?></h3>
+                                <iframe id="phrasematch-render-after" class="pm-render-frame" sandbox="allow-same-origin" title="<?php esc_attr_e( 'Rendered item after the change', 'phrasematch' ); ?>"></iframe>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="pm-modal-footer">
+                        <button type="button" id="phrasematch-render-close" class="button">
+                            <?php esc_html_e( 'Close', 'phrasematch' ); ?>
+                        </button>
+                    </div>
+                </div>
+            </div>
         <?php
     }
 }
@@ -10,15 +10,34 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 /**
  * Registers and handles AJAX endpoints for scanning and removal.
+ *
+ * Scanning requires Capabilities::SCAN and changing content Capabilities::MODIFY;
+ * on top of that, results and changes are limited to the objects the user can edit.
+ * The network_* actions work on other sites of a multisite network and require
+ * Capabilities::NETWORK instead.
  */
 class Ajax_Handler {
 
     private Scanner $scanner;
     private Remover $remover;
-
-    public function __construct( Scanner $scanner, Remover $remover ) {
-        $this->scanner = $scanner;
-        $this->remover = $remover;
+    private Scan_State $scan_state;
+    private Journal $journal;
+    private Content_Store $store;
+    private Saved_Searches $saved_searches;
+    private Scheduler $scheduler;
+    private Audit_Log $audit_log;
+    private Render_Preview $render_preview;
+
+    public function __construct( Scanner $scanner, Remover $remover, Scan_State $scan_state, Journal $journal, Content_Store $store, Saved_Searches $saved_searches, Scheduler $scheduler, Audit_Log $audit_log, Render_Preview $render_preview ) {
+        $this->scanner        = $scanner;
+        $this->remover        = $remover;
+        $this->scan_state     = $scan_state;
+        $this->journal        = $journal;
+        $this->store          = $store;
+        $this->saved_searches = $saved_searches;
+        $this->scheduler      = $scheduler;
+        $this->audit_log      = $audit_log;
+        $this->render_preview = $render_preview;
     }
 
     /**
@@ -27,136 +46,967 @@ class Ajax_Handler {
     public function register(): void {
         add_action( 'wp_ajax_phrasematch_scan', [ $this, 'handle_scan' ] );
         add_action( 'wp_ajax_phrasematch_remove', [ $this, 'handle_remove' ] );
+        add_action( 'wp_ajax_phrasematch_preview', [ $this, 'handle_preview' ] );
+        add_action( 'wp_ajax_phrasematch_render_preview', [ $this, 'handle_render_preview' ] );
+        add_action( 'wp_ajax_phrasematch_import_plan', [ $this, 'handle_import_plan' ] );
+        add_action( 'wp_ajax_phrasematch_discard_scan', [ $this, 'handle_discard_scan' ] );
+        add_action( 'wp_ajax_phrasematch_revert', [ $this, 'handle_revert' ] );
+        add_action( 'wp_ajax_phrasematch_review', [ $this, 'handle_review' ] );
+        add_action( 'wp_ajax_phrasematch_save_search', [ $this, 'handle_save_search' ] );
+        add_action( 'wp_ajax_phrasematch_delete_search', [ $this, 'handle_delete_search' ] );
+        add_action( 'wp_ajax_phrasematch_run_search', [ $this, 'handle_run_search' ] );
+        add_action( 'wp_ajax_phrasematch_network_scan', [ $this, 'handle_network_scan' ] );
+        add_action( 'wp_ajax_phrasematch_network_preview', [ $this, 'handle_network_preview' ] );
+        add_action( 'wp_ajax_phrasematch_network_render_preview', [ $this, 'handle_network_render_preview' ] );
+        add_action( 'wp_ajax_phrasematch_network_remove', [ $this, 'handle_network_remove' ] );
     }
 
     /**
-     * AJAX handler: scan for phrase occurrences.
+     * AJAX handler: scan one batch of content for phrase occurrences.
+     *
+     * A scan without a cursor starts a new scan (and counts its candidates for
+     * progress reporting); subsequent requests pass the scan_id and the cursor of
+     * the previous batch. Passing objects (object keys) instead rescans just those
+     * objects, which is how the results of an interrupted scan are restored before
+     * resuming.
+     *
+     * Either a phrase or a rule set (`rules`, as CSV) is searched; see
+     * get_rules_from_request(). Each result names its rule.
      */
     public function handle_scan(): void {
         if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
             wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
         }
 
-        if ( ! current_user_can( 'manage_options' ) ) {
+        if ( ! current_user_can( Capabilities::SCAN ) ) {
             wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
         }
 
-        $phrase     = isset( $_POST['phrase'] ) ? sanitize_text_field( wp_unslash( $_POST['phrase'] ) ) : '';
-        $post_types = isset( $_POST['post_types'] ) && is_array( $_POST['post_types'] )
-            ? array_map( 'sanitize_key', wp_unslash( $_POST['post_types'] ) )
-            : [];
-        $statuses   = isset( $_POST['statuses'] ) && is_array( $_POST['statuses'] )
-            ? array_map( 'sanitize_key', wp_unslash( $_POST['statuses'] ) )
-            : [ 'publish' ];
+        $rules = $this->get_rules_from_request();
 
-        if ( '' === $phrase ) {
-            wp_send_json_error( [ 'message' => __( 'Please enter a phrase to search for.', 'phrasematch' ) ] );
+        if ( '' !== $rules->get_error() ) {
+            wp_send_json_error( [ 'message' => $rules->get_error() ] );
         }
 
-        if ( empty( $post_types ) ) {
-            wp_send_json_error( [ 'message' => __( 'Please select at least one post type.', 'phrasematch' ) ] );
+        $filters    = $this->get_filters_from_request();
+        $post_types = $filters['post_types'];
+        $statuses   = $filters['statuses'];
+        $sources    = $filters['sources'];
+        $contexts   = $filters['contexts'];
+        $user_id    = get_current_user_id();
+        $objects = isset( $_POST['objects'] ) && is_array( $_POST['objects'] )
+            ? array_filter( array_map( 'sanitize_text_field', wp_unslash( $_POST['objects'] ) ) )
+            : [];
+
+        if ( ! empty( $objects ) ) {
+            $results = $this->scanner->scan_rules_objects( $rules, $objects, $post_types, $statuses, $sources, $contexts );
+            $results = Capabilities::filter_results( $user_id, $results );
+
+            wp_send_json_success( [
+                'results'       => $results,
+                'total'         => count( $results ),
+                'phrase'        => $rules->get_label(),
+                'rules'         => $rules->get_rules(),
+                'match_options' => $rules->get_options(),
+            ] );
         }
 
-        // Validate post types against registered types.
-        $valid_types = get_post_types( [ 'public' => true ] );
-        $post_types  = array_intersect( $post_types, array_keys( $valid_types ) );
+        $cursor      = isset( $_POST['cursor'] ) ? sanitize_text_field( wp_unslash( $_POST['cursor'] ) ) : '';
+        $scan_id     = isset( $_POST['scan_id'] ) ? sanitize_key( wp_unslash( $_POST['scan_id'] ) ) : '';
+        $total_items = null;
 
-        if ( empty( $post_types ) ) {
-            wp_send_json_error( [ 'message' => __( 'None of the selected post types are valid.', 'phrasematch' ) ] );
+        if ( '' === $scan_id ) {
+            $total_items = $this->scanner->count_rules_candidates( $rules, $post_types, $statuses, $sources, $user_id );
+            $state       = $this->scan_state->start( $user_id, $rules, $post_types, $statuses, $sources, $contexts, $total_items );
+            $scan_id     = $state['scan_id'];
+            $cursor      = '';
+
+            $this->audit_log->log_scan( $user_id, 'admin', $rules->get_label(), $post_types, $sources );
         }
 
-        $results = $this->scanner->scan( $phrase, $post_types, $statuses );
+        // Objects the user cannot edit are neither scanned nor counted, so they do not show in the progress either.
+        $batch = $this->scanner->scan_rules_batch( $rules, $post_types, $statuses, $sources, $contexts, $cursor, 0, $user_id );
+        $this->scan_state->advance( $user_id, $scan_id, $batch );
 
         wp_send_json_success( [
-            'results' => $results,
-            'total'   => count( $results ),
-            'phrase'  => $phrase,
+            'results'       => $batch['results'],
+            'total'         => count( $batch['results'] ),
+            'phrase'        => $rules->get_label(),
+            'rules'         => $rules->get_rules(),
+            'match_options' => $rules->get_options(),
+            'scan_id'       => $scan_id,
+            'cursor'        => $batch['cursor'],
+            'scanned'       => $batch['scanned'],
+            'done'          => $batch['done'],
+            'total_items'   => $total_items,
         ] );
     }
 
+    /**
+     * AJAX handler: forget the current user's interrupted scan.
+     */
+    public function handle_discard_scan(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! current_user_can( Capabilities::SCAN ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $this->scan_state->clear( get_current_user_id() );
+
+        wp_send_json_success();
+    }
+
     /**
      * AJAX handler: remove or replace selected phrase occurrences.
      *
      * Items are received as a JSON string to avoid jQuery nested-object
      * serialization issues with $.post(). Each item may include an optional
      * replace_with field; when non-empty the phrase is replaced rather than removed.
+     * For a rule set each item names its rule, and all rules are applied to an
+     * object in one update.
+     *
+     * The run is recorded in the change journal as one changeset. With `propose`,
+     * or when the user's changes require approval (see Capabilities::requires_approval()),
+     * nothing is saved: the changes are recorded as a pending changeset for review.
      */
     public function handle_remove(): void {
         if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
             wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
         }
 
-        if ( ! current_user_can( 'manage_options' ) ) {
+        if ( ! current_user_can( Capabilities::MODIFY ) ) {
             wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
         }
 
-        $phrase     = isset( $_POST['phrase'] ) ? sanitize_text_field( wp_unslash( $_POST['phrase'] ) ) : '';
-        $items_json = isset( $_POST['items'] ) ? sanitize_text_field( wp_unslash( $_POST['items'] ) ) : '';
+        $rules   = $this->get_rules_from_request();
+        $propose = ! empty( $_POST['propose'] ) || Capabilities::requires_approval( get_current_user_id() );
+        $applied = $this->apply_occurrences( $rules, $this->get_occurrences_from_request( $rules ), 'admin', $propose );
 
-        // Decode the JSON items string.
-        $items = is_string( $items_json ) ? json_decode( $items_json, true ) : [];
+        wp_send_json_success( [
+            'results'     => $applied['results'],
+            'proposed'    => $propose,
+            'history_url' => $applied['changeset_id'] ? Admin_Page::get_changeset_url( $applied['changeset_id'] ) : '',
+        ] );
+    }
 
-        if ( '' === $phrase || ! is_array( $items ) || empty( $items ) ) {
-            wp_send_json_error( [ 'message' => __( 'Missing phrase or items to process.', 'phrasematch' ) ] );
+    /**
+     * AJAX: dry run of handle_remove(). Computes each object's changed fields
+     * after the selected changes and returns a diff against the current version,
+     * without saving anything.
+     */
+    public function handle_preview(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
         }
 
-        // Group items by post_id.
-        $grouped = [];
-        foreach ( $items as $item ) {
-            if ( ! is_array( $item ) ) {
-                continue;
-            }
+        if ( ! current_user_can( Capabilities::MODIFY ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $rules = $this->get_rules_from_request();
+
+        wp_send_json_success( [ 'previews' => $this->preview_occurrences( $rules, $this->get_occurrences_from_request( $rules ) ) ] );
+    }
+
+    /**
+     * AJAX: render the object of one result as visitors see it, with the match
+     * highlighted, and for users who can change content also with the result's
+     * change applied (see Render_Preview). `items` holds the one result, sent
+     * like for handle_remove().
+     */
+    public function handle_render_preview(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! current_user_can( Capabilities::SCAN ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $rules   = $this->get_rules_from_request();
+        $preview = $this->render_occurrence( $rules, $this->get_occurrences_from_request( $rules ) );
+
+        if ( ! $preview['success'] ) {
+            wp_send_json_error( [ 'message' => $preview['message'] ] );
+        }
+
+        wp_send_json_success( $preview );
+    }
+
+    /**
+     * AJAX: handle_render_preview() for a result on another site of the network.
+     */
+    public function handle_network_render_preview(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! is_multisite() || ! current_user_can( Capabilities::NETWORK ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $rules   = $this->get_rules_from_request();
+        $by_site = $this->get_site_occurrences_from_request( $rules );
+        $site_id = (int) key( $by_site );
+
+        switch_to_blog( $site_id );
+        $preview = $this->render_occurrence( $rules, $by_site[ $site_id ] ?? [] );
+        restore_current_blog();
 
-            $post_id      = absint( $item['post_id'] ?? 0 );
-            $mode         = sanitize_key( $item['mode'] ?? 'text_only' );
-            $char_offset  = (int) ( $item['char_offset'] ?? -1 );
-            $location     = sanitize_key( $item['location'] ?? 'content' );
-            $replace_with = isset( $item['replace_with'] ) ? sanitize_text_field( $item['replace_with'] ) : '';
+        if ( ! $preview['success'] ) {
+            wp_send_json_error( [ 'message' => $preview['message'] ] );
+        }
+
+        wp_send_json_success( $preview );
+    }
+
+    /**
+     * AJAX handler: import a reviewed action plan (see Action_Plan).
+     *
+     * The items named by the plan are rescanned with the posted search, and each
+     * row is checked against their current matches. Nothing is changed: the fresh
+     * results are returned with the selections that passed, for the Scan tab to
+     * preselect and confirm as usual.
+     */
+    public function handle_import_plan(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! current_user_can( Capabilities::MODIFY ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $rules = $this->get_rules_from_request();
+
+        if ( '' !== $rules->get_error() ) {
+            wp_send_json_error( [ 'message' => $rules->get_error() ] );
+        }
+
+        $filters = $this->get_filters_from_request();
+
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Each cell is sanitized by Action_Plan.
+        $plan = Action_Plan::from_file( isset( $_POST['plan'] ) ? (string) wp_unslash( $_POST['plan'] ) : '' );
 
-            if ( 0 === $post_id || $char_offset < 0 ) {
-                continue;
+        if ( '' !== $plan->get_error() ) {
+            wp_send_json_error( [ 'message' => $plan->get_error() ] );
+        }
+
+        $objects = $plan->get_object_keys();
+        $results = empty( $objects ) ? [] : $this->scanner->scan_rules_objects( $rules, $objects, $filters['post_types'], $filters['statuses'], $filters['sources'], $filters['contexts'] );
+        $results = Capabilities::filter_results( get_current_user_id(), $results );
+        $checked = $plan->validate( $results, get_current_user_id() );
+
+        foreach ( $results as $index => $result ) {
+            $match_id = Action_Plan::get_match_id( $result );
+
+            if ( isset( $checked['selected'][ $match_id ] ) ) {
+                $results[ $index ]['plan'] = $checked['selected'][ $match_id ];
             }
+        }
 
-            if ( ! in_array( $mode, [ 'text_only', 'html_element', 'gutenberg_block' ], true ) ) {
-                $mode = 'text_only';
+        wp_send_json_success( [
+            'results' => $results,
+            'objects' => $objects,
+            'errors'  => $checked['errors'],
+            'message' => sprintf(
+                /* translators: 1: number of selected matches, 2: number of skipped rows, 3: number of rejected rows */
+                __( 'Imported plan: %1$d match(es) selected, %2$d skipped, %3$d could not be used. Review the selection and apply it.', 'phrasematch' ),
+                count( $checked['selected'] ),
+                $checked['skipped'],
+                count( $checked['errors'] )
+            ),
+        ] );
+    }
+
+    /**
+     * AJAX handler: scan one batch of one site of the network (see Network_Admin_Page).
+     *
+     * Works like handle_scan(), with the site to scan in `site_id`: the Network
+     * Admin page scans the selected sites one after the other, each from an empty
+     * cursor, which also counts the site's candidates. Network scans are not kept
+     * for resuming after a reload. Each result names its site.
+     */
+    public function handle_network_scan(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! is_multisite() || ! current_user_can( Capabilities::NETWORK ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $rules = $this->get_rules_from_request();
+
+        if ( '' !== $rules->get_error() ) {
+            wp_send_json_error( [ 'message' => $rules->get_error() ] );
+        }
+
+        // phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified above.
+        $site_id = isset( $_POST['site_id'] ) ? absint( $_POST['site_id'] ) : 0;
+        $cursor  = isset( $_POST['cursor'] ) ? sanitize_text_field( wp_unslash( $_POST['cursor'] ) ) : '';
+        $objects = isset( $_POST['objects'] ) && is_array( $_POST['objects'] )
+            ? array_filter( array_map( 'sanitize_text_field', wp_unslash( $_POST['objects'] ) ) )
+            : [];
+        // phpcs:enable WordPress.Security.NonceVerification.Missing
+
+        if ( ! Network_Admin_Page::is_scannable_site( $site_id ) ) {
+            wp_send_json_error( [ 'message' => __( 'The selected site does not exist.', 'phrasematch' ) ] );
+        }
+
+        // Post types are checked against the ones registered on the network's main site.
+        $filters = $this->get_filters_from_request();
+        $user_id = get_current_user_id();
+
+        switch_to_blog( $site_id );
+        Installer::maybe_upgrade();
+
+        if ( ! empty( $objects ) ) {
+            $results = $this->scanner->scan_rules_objects( $rules, $objects, $filters['post_types'], $filters['statuses'], $filters['sources'], $filters['contexts'] );
+            $results = $this->add_site( Capabilities::filter_results( $user_id, $results ), $site_id );
+            restore_current_blog();
+
+            wp_send_json_success( [
+                'results'       => $results,
+                'total'         => count( $results ),
+                'phrase'        => $rules->get_label(),
+                'rules'         => $rules->get_rules(),
+                'match_options' => $rules->get_options(),
+            ] );
+        }
+
+        $total_items = null;
+
+        if ( '' === $cursor ) {
+            $total_items = $this->scanner->count_rules_candidates( $rules, $filters['post_types'], $filters['statuses'], $filters['sources'], $user_id );
+
+            $this->audit_log->log_scan( $user_id, 'network', $rules->get_label(), $filters['post_types'], $filters['sources'] );
+        }
+
+        $batch   = $this->scanner->scan_rules_batch( $rules, $filters['post_types'], $filters['statuses'], $filters['sources'], $filters['contexts'], $cursor, 0, $user_id );
+        $results = $this->add_site( $batch['results'], $site_id );
+        restore_current_blog();
+
+        wp_send_json_success( [
+            'results'       => $results,
+            'total'         => count( $results ),
+            'phrase'        => $rules->get_label(),
+            'rules'         => $rules->get_rules(),
+            'match_options' => $rules->get_options(),
+            'cursor'        => $batch['cursor'],
+            'scanned'       => $batch['scanned'],
+            'done'          => $batch['done'],
+            'total_items'   => $total_items,
+        ] );
+    }
+
+    /**
+     * AJAX: dry run of handle_network_remove(), like handle_preview() for each site.
+     */
+    public function handle_network_preview(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! is_multisite() || ! current_user_can( Capabilities::NETWORK ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $rules    = $this->get_rules_from_request();
+        $previews = [];
+
+        foreach ( $this->get_site_occurrences_from_request( $rules ) as $site_id => $grouped ) {
+            switch_to_blog( $site_id );
+            $previews = array_merge( $previews, $this->add_site( $this->preview_occurrences( $rules, $grouped ), $site_id ) );
+            restore_current_blog();
+        }
+
+        wp_send_json_success( [ 'previews' => $previews ] );
+    }
+
+    /**
+     * AJAX handler: remove or replace selected occurrences on several sites of the network.
+     *
+     * Items are sent as for handle_remove(), each with the `site_id` of its result.
+     * The Remover runs on each site in turn, and each site records its changes as
+     * one changeset in its own History tab and audit log.
+     */
+    public function handle_network_remove(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! is_multisite() || ! current_user_can( Capabilities::NETWORK ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $rules   = $this->get_rules_from_request();
+        $results = [];
+        $batches = [];
+
+        foreach ( $this->get_site_occurrences_from_request( $rules ) as $site_id => $grouped ) {
+            switch_to_blog( $site_id );
+            Installer::maybe_upgrade();
+
+            $applied = $this->apply_occurrences( $rules, $grouped, 'network' );
+            $results = array_merge( $results, $this->add_site( $applied['results'], $site_id ) );
+
+            if ( $applied['changeset_id'] ) {
+                $batches[] = [
+                    'site_name'   => $this->get_site_name(),
+                    'history_url' => Admin_Page::get_changeset_url( $applied['changeset_id'] ),
+                ];
             }
 
-            if ( ! in_array( $location, [ 'title', 'content' ], true ) ) {
-                $location = 'content';
+            restore_current_blog();
+        }
+
+        wp_send_json_success( [
+            'results'      => $results,
+            'history_urls' => $batches,
+        ] );
+    }
+
+    /**
+     * AJAX handler: revert a changeset, or some of its items, from the change journal.
+     *
+     * Without `force`, items edited after the changeset was applied are returned as
+     * conflicts and nothing is changed, so the user can confirm overwriting them.
+     * Nothing is reverted either when the user cannot edit one of the items, or
+     * when the user's changes need approval (see Capabilities::requires_approval()).
+     */
+    public function handle_revert(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! current_user_can( Capabilities::MODIFY ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        // A revert is saved right away, so it would bypass the review.
+        if ( Capabilities::requires_approval( get_current_user_id() ) ) {
+            wp_send_json_error( [ 'message' => __( 'Your changes need approval, so you cannot revert changes yourself. Ask a user who can approve changes to revert them.', 'phrasematch' ) ] );
+        }
+
+        $changeset_id = isset( $_POST['changeset_id'] ) ? absint( $_POST['changeset_id'] ) : 0;
+        $item_ids     = isset( $_POST['item_ids'] ) && is_array( $_POST['item_ids'] )
+            ? array_filter( array_map( 'absint', wp_unslash( $_POST['item_ids'] ) ) )
+            : [];
+        $force        = ! empty( $_POST['force'] );
+
+        if ( 0 === $changeset_id ) {
+            wp_send_json_error( [ 'message' => __( 'Missing changeset to revert.', 'phrasematch' ) ] );
+        }
+
+        $changeset = $this->journal->get_changeset( $changeset_id );
+
+        foreach ( null === $changeset ? [] : $changeset['items'] as $item ) {
+            if ( ( empty( $item_ids ) || in_array( $item['id'], $item_ids, true ) ) && ! Capabilities::can_edit_object( get_current_user_id(), $item['object_key'] ) ) {
+                wp_send_json_error( [
+                    'message'   => sprintf(
+                        /* translators: %s: item title */
+                        __( 'You are not allowed to edit “%s”, so the changes cannot be reverted.', 'phrasematch' ),
+                        $this->store->get_label( $item['object_key'] )
+                    ),
+                    'conflicts' => [],
+                ] );
             }
+        }
+
+        $result = $this->journal->revert( $changeset_id, array_values( $item_ids ), $force );
+
+        if ( ! $result['success'] ) {
+            wp_send_json_error( [
+                'message'   => $result['message'],
+                'conflicts' => $result['conflicts'],
+            ] );
+        }
+
+        $this->audit_log->log_revert( get_current_user_id(), $changeset['phrase'], $changeset_id, $result['results'] );
+
+        wp_send_json_success( [ 'results' => $result['results'] ] );
+    }
+
+    /**
+     * AJAX handler: approve or reject proposed changes of a changeset.
+     *
+     * `decision` is `approve` or `reject`; `item_ids` limits the review to some
+     * items. Without `force`, approving items edited after they were proposed
+     * returns them as conflicts and nothing is saved, as for handle_revert().
+     * Users cannot approve their own proposals, but may withdraw them by rejecting.
+     */
+    public function handle_review(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
 
-            // Title matches are always text_only when removing.
-            if ( 'title' === $location && '' === $replace_with ) {
-                $mode = 'text_only';
+        $changeset_id = isset( $_POST['changeset_id'] ) ? absint( $_POST['changeset_id'] ) : 0;
+        $item_ids     = isset( $_POST['item_ids'] ) && is_array( $_POST['item_ids'] )
+            ? array_filter( array_map( 'absint', wp_unslash( $_POST['item_ids'] ) ) )
+            : [];
+        $approve      = isset( $_POST['decision'] ) && 'approve' === $_POST['decision'];
+        $force        = ! empty( $_POST['force'] );
+        $changeset    = 0 === $changeset_id ? null : $this->journal->get_changeset( $changeset_id );
+
+        if ( null === $changeset ) {
+            wp_send_json_error( [ 'message' => __( 'Missing changeset to review.', 'phrasematch' ) ] );
+        }
+
+        $own = get_current_user_id() === $changeset['user_id'];
+
+        if ( $own && $approve ) {
+            wp_send_json_error( [ 'message' => __( 'You cannot approve your own proposed changes.', 'phrasematch' ) ] );
+        }
+
+        if ( ! $own && ! current_user_can( Capabilities::APPROVE ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        foreach ( $changeset['items'] as $item ) {
+            if ( $approve && ( empty( $item_ids ) || in_array( $item['id'], $item_ids, true ) ) && ! Capabilities::can_edit_object( get_current_user_id(), $item['object_key'] ) ) {
+                wp_send_json_error( [
+                    'message'   => sprintf(
+                        /* translators: %s: item title */
+                        __( 'You are not allowed to edit “%s”, so the changes cannot be approved.', 'phrasematch' ),
+                        $this->store->get_label( $item['object_key'] )
+                    ),
+                    'conflicts' => [],
+                ] );
             }
+        }
+
+        $result = $approve
+            ? $this->journal->approve( $changeset_id, array_values( $item_ids ), $force, get_current_user_id() )
+            : $this->journal->reject( $changeset_id, array_values( $item_ids ), get_current_user_id() );
+
+        if ( ! $result['success'] ) {
+            wp_send_json_error( [
+                'message'   => $result['message'],
+                'conflicts' => $result['conflicts'],
+            ] );
+        }
+
+        $this->audit_log->log_review( get_current_user_id(), $approve ? 'approve' : 'reject', $changeset['phrase'], $changeset_id, $result['results'] );
+
+        wp_send_json_success( [ 'results' => $result['results'] ] );
+    }
+
+    /**
+     * AJAX handler: create or update a saved search from the scan form.
+     *
+     * The search parameters are posted like for a scan; `search` holds the name,
+     * schedule, notification and auto-apply settings (see Saved_Searches::sanitize()).
+     */
+    public function handle_save_search(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! current_user_can( Capabilities::SCAN ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $rules = $this->get_rules_from_request();
+
+        if ( '' !== $rules->get_error() ) {
+            wp_send_json_error( [ 'message' => $rules->get_error() ] );
+        }
+
+        $input  = isset( $_POST['search'] ) && is_array( $_POST['search'] ) ? wp_unslash( $_POST['search'] ) : [];
+        $search = Saved_Searches::sanitize( $input, $rules, $this->get_filters_from_request(), get_current_user_id() );
+
+        if ( 0 !== $search['id'] && ! $this->can_manage_search( $this->saved_searches->get( $search['id'] ) ) ) {
+            wp_send_json_error( [ 'message' => __( 'You can only change your own saved searches.', 'phrasematch' ) ] );
+        }
+
+        // Auto-apply changes content as the owner of the search, within what they may do.
+        if ( ! current_user_can( Capabilities::MODIFY ) ) {
+            $search['auto_apply'] = false;
+        } elseif ( ! current_user_can( Capabilities::REMOVE_BLOCKS ) ) {
+            $search['auto_mode'] = 'text_only';
+        }
+
+        if ( '' === $search['name'] ) {
+            wp_send_json_error( [ 'message' => __( 'Please enter a name for the saved search.', 'phrasematch' ) ] );
+        }
+
+        $recipients = preg_split( '/[\s,;]+/', (string) ( $input['recipients'] ?? '' ), -1, PREG_SPLIT_NO_EMPTY );
+
+        if ( count( (array) $recipients ) !== count( Saved_Searches::parse_recipients( $search['recipients'] ) ) ) {
+            wp_send_json_error( [ 'message' => __( 'Please enter valid email addresses, separated by commas.', 'phrasematch' ) ] );
+        }
+
+        $search = $this->saved_searches->save( $search );
+        $this->scheduler->schedule( $search );
+
+        wp_send_json_success( [
+            'id'      => $search['id'],
+            'message' => __( 'Search saved.', 'phrasematch' ),
+            'url'     => Admin_Page::get_tab_url( 'saved' ),
+        ] );
+    }
+
+    /**
+     * AJAX handler: delete a saved search and its scheduled runs.
+     */
+    public function handle_delete_search(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! current_user_can( Capabilities::SCAN ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $search_id = isset( $_POST['search_id'] ) ? absint( $_POST['search_id'] ) : 0;
+
+        if ( ! $this->can_manage_search( $this->saved_searches->get( $search_id ) ) ) {
+            wp_send_json_error( [ 'message' => __( 'You can only delete your own saved searches.', 'phrasematch' ) ] );
+        }
+
+        $this->scheduler->unschedule( $search_id );
+        $this->saved_searches->delete( $search_id );
+
+        wp_send_json_success();
+    }
+
+    /**
+     * AJAX handler: run a saved search now.
+     *
+     * The run scans as much as fits in this request (see Scheduler); a longer run
+     * continues in the background.
+     */
+    public function handle_run_search(): void {
+        if ( ! check_ajax_referer( 'phrasematch_nonce', 'nonce', false ) ) {
+            wp_send_json_error( [ 'message' => __( 'Security check failed.', 'phrasematch' ) ] );
+        }
+
+        if ( ! current_user_can( Capabilities::SCAN ) ) {
+            wp_send_json_error( [ 'message' => __( 'You do not have permission to perform this action.', 'phrasematch' ) ] );
+        }
+
+        $search_id = isset( $_POST['search_id'] ) ? absint( $_POST['search_id'] ) : 0;
+        $search    = $this->saved_searches->get( $search_id );
+
+        if ( null === $search ) {
+            wp_send_json_error( [ 'message' => __( 'Saved search not found.', 'phrasematch' ) ] );
+        }
+
+        if ( ! $this->can_manage_search( $search ) ) {
+            wp_send_json_error( [ 'message' => __( 'You can only run your own saved searches.', 'phrasematch' ) ] );
+        }
+
+        if ( ! $this->scheduler->start( $search_id ) ) {
+            wp_send_json_success( [ 'message' => __( 'The search is still running in the background. Reload this page later to see the result.', 'phrasematch' ) ] );
+        }
+
+        wp_send_json_success( [ 'message' => '' ] );
+    }
+
+    /**
+     * Whether the current user may change, run or delete a saved search: their own,
+     * or any search for administrators.
+     *
+     * @param array|null $search Saved search.
+     */
+    private function can_manage_search( ?array $search ): bool {
+        return null === $search || get_current_user_id() === (int) $search['user_id'] || current_user_can( 'manage_options' );
+    }
 
-            if ( ! isset( $grouped[ $post_id ] ) ) {
-                $grouped[ $post_id ] = [];
+    /**
+     * Read the scan filters from the request: post types, statuses, sources and match contexts.
+     *
+     * Sends a JSON error (and exits) when post fields are searched without a valid post type.
+     *
+     * @return array{post_types: string[], statuses: string[], sources: string[], contexts: string[]}
+     */
+    private function get_filters_from_request(): array {
+        // phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified by the calling handler.
+        $post_types = isset( $_POST['post_types'] ) && is_array( $_POST['post_types'] )
+            ? array_map( 'sanitize_key', wp_unslash( $_POST['post_types'] ) )
+            : [];
+        $statuses   = isset( $_POST['statuses'] ) && is_array( $_POST['statuses'] )
+            ? array_map( 'sanitize_key', wp_unslash( $_POST['statuses'] ) )
+            : [ 'publish' ];
+        $sources    = isset( $_POST['sources'] ) && is_array( $_POST['sources'] )
+            ? Scanner::sanitize_sources( array_map( 'sanitize_key', wp_unslash( $_POST['sources'] ) ) )
+            : Scanner::DEFAULT_SOURCES;
+        $contexts   = isset( $_POST['contexts'] ) && is_array( $_POST['contexts'] )
+            ? Match_Context::sanitize_contexts( array_map( 'sanitize_key', wp_unslash( $_POST['contexts'] ) ) )
+            : Match_Context::DEFAULT_CONTEXTS;
+        // phpcs:enable WordPress.Security.NonceVerification.Missing
+
+        // Post types only matter when post fields are searched.
+        $needs_types = ! empty( array_intersect( Scanner::POST_SOURCES, $sources ) );
+
+        if ( empty( $post_types ) && $needs_types ) {
+            wp_send_json_error( [ 'message' => __( 'Please select at least one post type.', 'phrasematch' ) ] );
+        }
+
+        // Validate post types against registered types.
+        $valid_types = get_post_types( [ 'public' => true ] );
+        $post_types  = array_values( array_intersect( $post_types, array_keys( $valid_types ) ) );
+
+        if ( empty( $post_types ) && $needs_types ) {
+            wp_send_json_error( [ 'message' => __( 'None of the selected post types are valid.', 'phrasematch' ) ] );
+        }
+
+        return [
+            'post_types' => $post_types,
+            'statuses'   => $statuses,
+            'sources'    => $sources,
+            'contexts'   => $contexts,
+        ];
+    }
+
+    /**
+     * Build the rule set to search with from the request: the posted rule set
+     * (`rules`, CSV with one rule per line) or, without one, the single phrase.
+     *
+     * Regular expressions are taken verbatim (only unslashed and UTF-8 checked),
+     * because sanitize_text_field() would strip characters that are meaningful in a pattern.
+     * The rule set is read unsanitized so its line breaks survive, and each cell is
+     * sanitized by Rule_Set. Patterns are never output unescaped.
+     */
+    private function get_rules_from_request(): Rule_Set {
+        // phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified by the calling handler.
+        $options = isset( $_POST['match_options'] ) && is_array( $_POST['match_options'] )
+            ? Matcher::sanitize_options( wp_unslash( $_POST['match_options'] ) )
+            : Matcher::DEFAULT_OPTIONS;
+
+        // phpcs:disable WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized by Rule_Set / below depending on the match mode.
+        if ( isset( $_POST['rules'] ) ) {
+            return Rule_Set::from_csv( (string) wp_unslash( $_POST['rules'] ), $options );
+        }
+
+        $raw = isset( $_POST['phrase'] ) ? (string) wp_unslash( $_POST['phrase'] ) : '';
+        // phpcs:enable WordPress.Security.ValidatedSanitizedInput.InputNotSanitized, WordPress.Security.NonceVerification.Missing
+
+        return Rule_Set::from_phrase( Matcher::sanitize_phrase( $raw, $options ), $options );
+    }
+
+    /**
+     * Read the selected occurrences from the request, validated and grouped by object key.
+     *
+     * Sends a JSON error (and exits) when the phrase or items are missing or a
+     * pattern is invalid.
+     *
+     * @param Rule_Set $rules Rules built from the same request.
+     *
+     * @return array<string, array> Object key => list of occurrences.
+     */
+    private function get_occurrences_from_request( Rule_Set $rules ): array {
+        return $this->remover->group_occurrences( $this->get_items_from_request( $rules ) );
+    }
+
+    /**
+     * Decode the selected items of the request (`items`, as JSON).
+     *
+     * Sends a JSON error (and exits) when the phrase or items are missing or a
+     * pattern is invalid.
+     *
+     * @param Rule_Set $rules Rules built from the same request.
+     *
+     * @return array Items as sent, validated by Remover::group_occurrences().
+     */
+    private function get_items_from_request( Rule_Set $rules ): array {
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified by the calling handler.
+        $items_json = isset( $_POST['items'] ) ? sanitize_text_field( wp_unslash( $_POST['items'] ) ) : '';
+
+        // Decode the JSON items string.
+        $items = is_string( $items_json ) ? json_decode( $items_json, true ) : [];
+
+        if ( empty( $rules->get_rules() ) || ! is_array( $items ) || empty( $items ) ) {
+            wp_send_json_error( [ 'message' => __( 'Missing phrase or items to process.', 'phrasematch' ) ] );
+        }
+
+        if ( '' !== $rules->get_error() ) {
+            wp_send_json_error( [ 'message' => $rules->get_error() ] );
+        }
+
+        return $items;
+    }
+
+    /**
+     * Read the selected occurrences of a network request, grouped by site and then
+     * by object key like get_occurrences_from_request().
+     *
+     * Sends a JSON error (and exits) when an item names a site that cannot be scanned.
+     *
+     * @param Rule_Set $rules Rules built from the same request.
+     *
+     * @return array<int, array<string, array>> Site ID => object key => list of occurrences.
+     */
+    private function get_site_occurrences_from_request( Rule_Set $rules ): array {
+        $by_site = [];
+
+        foreach ( $this->get_items_from_request( $rules ) as $item ) {
+            $site_id = is_array( $item ) ? absint( $item['site_id'] ?? 0 ) : 0;
+
+            if ( ! isset( $by_site[ $site_id ] ) && ! Network_Admin_Page::is_scannable_site( $site_id ) ) {
+                wp_send_json_error( [ 'message' => __( 'The selected site does not exist.', 'phrasematch' ) ] );
             }
 
-            $grouped[ $post_id ][] = [
-                'char_offset'  => $char_offset,
-                'mode'         => $mode,
-                'location'     => $location,
-                'replace_with' => $replace_with,
-            ];
+            $by_site[ $site_id ][] = $item;
         }
 
+        return array_map( [ $this->remover, 'group_occurrences' ], $by_site );
+    }
+
+    /**
+     * Apply the selected occurrences to the current site, recorded as one changeset
+     * in the change journal and logged to the audit log.
+     *
+     * @param Rule_Set $rules   Rules the occurrences were found with.
+     * @param array    $grouped Object key => list of occurrences.
+     * @param string   $source  Audit log source, see Audit_Log::SOURCES.
+     * @param bool     $propose Record the changes as a proposal for approval instead of saving them.
+     *
+     * @return array{results: array, changeset_id: int} Result per object, and the changeset ID (0 when nothing was recorded).
+     */
+    private function apply_occurrences( Rule_Set $rules, array $grouped, string $source, bool $propose = false ): array {
         $post_results = [];
+        $status       = $propose ? 'pending' : 'applied';
+        $changeset_id = $this->journal->create_changeset( get_current_user_id(), $rules->get_label(), $rules->get_options(), $status );
+
+        foreach ( $grouped as $object_key => $occurrences ) {
+            $object_key = (string) $object_key;
+            $denied     = Capabilities::check_changes( get_current_user_id(), $object_key, $occurrences );
+
+            if ( '' !== $denied ) {
+                $result = [ 'success' => false, 'message' => $denied, 'revisions_url' => '' ];
+            } elseif ( $propose ) {
+                $result = $this->remover->propose( $object_key, $rules->get_matchers(), $occurrences );
+            } else {
+                $result = $this->remover->remove( $object_key, $rules->get_matchers(), $occurrences );
+            }
+
+            if ( $result['success'] ) {
+                $this->journal->add_item( $changeset_id, $object_key, $result['before'], $result['after'], $occurrences, $status );
+            }
 
-        foreach ( $grouped as $post_id => $occurrences ) {
-            $result = $this->remover->remove( $post_id, $phrase, $occurrences );
+            $this->audit_log->log_changes( get_current_user_id(), $source, $rules->get_label(), $object_key, $occurrences, $result, $result['success'] ? $changeset_id : 0, $propose ? 'propose' : 'apply' );
 
             $post_results[] = [
-                'post_id'       => $post_id,
-                'title'         => get_the_title( $post_id ),
+                'object_key'    => $object_key,
+                'title'         => $this->store->get_label( $object_key ),
                 'success'       => $result['success'],
                 'message'       => $result['message'],
+                'skipped'       => $result['skipped'] ?? '',
                 'revisions_url' => $result['revisions_url'],
             ];
         }
 
-        wp_send_json_success( [ 'results' => $post_results ] );
+        $this->journal->finish_changeset( $changeset_id );
+
+        return [
+            'results'      => $post_results,
+            'changeset_id' => $changeset_id,
+        ];
+    }
+
+    /**
+     * Render the object of the first selected occurrence on the current site
+     * (see Render_Preview::render()). The change is only rendered for users who
+     * may make it.
+     *
+     * @param Rule_Set $rules   Rules the occurrence was found with.
+     * @param array    $grouped Object key => list of occurrences.
+     *
+     * @return array Rendered preview, or `success` false with a `message`.
+     */
+    private function render_occurrence( Rule_Set $rules, array $grouped ): array {
+        $object_key = (string) key( $grouped );
+        $occurrence = $grouped[ $object_key ][0] ?? null;
+
+        if ( null === $occurrence || ! Capabilities::can_edit_object( get_current_user_id(), $object_key ) ) {
+            return [
+                'success' => false,
+                'message' => null === $occurrence
+                    ? __( 'Missing phrase or items to process.', 'phrasematch' )
+                    : __( 'You do not have permission to perform this action.', 'phrasematch' ),
+            ];
+        }
+
+        $can_modify = current_user_can( Capabilities::MODIFY );
+        $denied     = $can_modify ? Capabilities::check_changes( get_current_user_id(), $object_key, [ $occurrence ] ) : '';
+        $preview    = $this->render_preview->render( $object_key, $occurrence, $rules->get_matchers(), $can_modify && '' === $denied );
+
+        if ( '' !== $denied ) {
+            $preview['after_message'] = $denied;
+        }
+
+        return $preview;
     }
 
+    /**
+     * Compute the diff of each object of the current site after the selected
+     * occurrences are applied, without saving anything.
+     *
+     * @param Rule_Set $rules   Rules the occurrences were found with.
+     * @param array    $grouped Object key => list of occurrences.
+     *
+     * @return array[] Preview per object.
+     */
+    private function preview_occurrences( Rule_Set $rules, array $grouped ): array {
+        $previews = [];
+
+        foreach ( $grouped as $object_key => $occurrences ) {
+            $object_key = (string) $object_key;
+            $denied     = Capabilities::check_changes( get_current_user_id(), $object_key, $occurrences );
+            $result     = '' === $denied
+                ? $this->remover->preview( $object_key, $rules->get_matchers(), $occurrences )
+                : [ 'success' => false, 'message' => $denied ];
+            $diff       = '';
+
+            if ( $result['success'] ) {
+                foreach ( $result['after'] as $field => $after ) {
+                    $diff .= History_Page::render_field_diff( $result['before'][ $field ], $after, $this->store->get_field_label( $object_key, $field ) );
+                }
+            }
+
+            $previews[] = [
+                'object_key' => $object_key,
+                'title'      => $this->store->get_label( $object_key ),
+                'success'    => $result['success'],
+                'message'    => $result['message'],
+                'skipped'    => $result['skipped'] ?? '',
+                'diff'       => $diff,
+            ];
+        }
+
+        return $previews;
+    }
+
+    /**
+     * Name the site of network results, which were built on that site.
+     *
+     * @param array[] $results Scan results, previews or removal results.
+     * @param int     $site_id ID of the current (switched to) site.
+     *
+     * @return array[]
+     */
+    private function add_site( array $results, int $site_id ): array {
+        $site_name = $this->get_site_name();
+
+        foreach ( $results as $index => $result ) {
+            $results[ $index ]['site_id']   = $site_id;
+            $results[ $index ]['site_name'] = $site_name;
+        }
+
+        return $results;
+    }
+
+    /**
+     * Name of the current site, or its address when it has none.
+     */
+    private function get_site_name(): string {
+        $name = (string) get_bloginfo( 'name' );
+
+        return '' !== $name ? $name : untrailingslashit( (string) preg_replace( '#^https?://#', '', home_url() ) );
+    }
 }
@@ -0,0 +1,289 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Renders the Audit Log tab: a filterable list of every scan and change (see
+ * Audit_Log), and streams the filtered log as a CSV download.
+ *
+ * The log is only shown to administrators.
+ */
+class Audit_Log_Page {
+
+    /**
+     * Entries shown per page.
+     */
+    private const PER_PAGE = 50;
+
+    private Audit_Log $audit_log;
+    private Content_Store $store;
+
+    public function __construct( Audit_Log $audit_log, Content_Store $store ) {
+        $this->audit_log = $audit_log;
+        $this->store     = $store;
+    }
+
+    /**
+     * Register the admin-post handler of the CSV export.
+     */
+    public function register(): void {
+        add_action( 'admin_post_phrasematch_export_audit_log', [ $this, 'handle_export' ] );
+    }
+
+    /**
+     * Render the filters and a page of entries.
+     */
+    public function render(): void {
+        // phpcs:disable WordPress.Security.NonceVerification.Recommended -- Read-only filters.
+        $filters = Audit_Log::sanitize_filters( wp_unslash( $_GET ) );
+        $page    = isset( $_GET['paged'] ) ? max( 1, absint( $_GET['paged'] ) ) : 1;
+        // phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+        $entries = $this->audit_log->get_entries( $filters, $page, self::PER_PAGE );
+        $pages   = (int) ceil( $entries['total'] / self::PER_PAGE );
+        $args    = array_filter( [
+            'user'       => $filters['user'],
+            'log_action' => $filters['action'],
+            'source'     => $filters['source'],
+            'phrase'     => $filters['phrase'],
+            'post_id'    => $filters['post_id'],
+            'from'       => $filters['from'],
+            'to'         => $filters['to'],
+        ] );
+
+        $export_url = wp_nonce_url(
+            add_query_arg( array_merge( [ 'action' => 'phrasematch_export_audit_log' ], $args ), admin_url( 'admin-post.php' ) ),
+            'phrasematch_export_audit_log'
+        );
+        ?>
+            <p class="pm-history-meta">
+                <?php esc_html_e( 'Every scan and every change made with PhraseMatch, including failed and skipped changes, from the admin page, the REST API, WP-CLI and saved searches.', 'phrasematch' ); ?>
+            </p>
+
+            <form method="get" class="pm-log-filters" action="<?php echo esc_url( admin_url( 'tools.php' ) ); ?>">
+                <input type="hidden" name="page" value="phrasematch" />
+                <input type="hidden" name="tab" value="log" />
+                <?php
+                wp_dropdown_users( [
+                    'name'             => 'user',
+                    'selected'         => $filters['user'],
+                    'show_option_all'  => __( 'All users', 'phrasematch' ),
+                    'include_selected' => true,
+                ] );
+                ?>
+                <select name="log_action" aria-label="<?php esc_attr_e( 'Action', 'phrasematch' ); ?>">
+                    <option value=""><?php esc_html_e( 'All actions', 'phrasematch' ); ?></option>
+                    <?php foreach ( $this->get_action_labels() as $value => $label ) : ?>
+                        <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $filters['action'], $value ); ?>><?php echo esc_html( $label ); ?></option>
+                    <?php endforeach; ?>
+                </select>
+                <select name="source" aria-label="<?php esc_attr_e( 'Source', 'phrasematch' ); ?>">
+                    <option value=""><?php esc_html_e( 'All sources', 'phrasematch' ); ?></option>
+                    <?php foreach ( $this->get_source_labels() as $value => $label ) : ?>
+                        <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $filters['source'], $value ); ?>><?php echo esc_html( $label ); ?></option>
+                    <?php endforeach; ?>
+                </select>
+                <input type="search" name="phrase" value="<?php echo esc_attr( $filters['phrase'] ); ?>" placeholder="<?php esc_attr_e( 'Phrase', 'phrasematch' ); ?>" />
+                <input type="number" name="post_id" min="1" class="small-text" value="<?php echo esc_attr( $filters['post_id'] ? (string) $filters['post_id'] : '' ); ?>" placeholder="<?php esc_attr_e( 'Post ID', 'phrasematch' ); ?>" />
+                <input type="date" name="from" value="<?php echo esc_attr( $filters['from'] ); ?>" aria-label="<?php esc_attr_e( 'From', 'phrasematch' ); ?>" />
+                <input type="date" name="to" value="<?php echo esc_attr( $filters['to'] ); ?>" aria-label="<?php esc_attr_e( 'To', 'phrasematch' ); ?>" />
+                <button type="submit" class="button"><?php esc_html_e( 'Filter', 'phrasematch' ); ?></button>
+                <?php if ( ! empty( $args ) ) : ?>
+                    <a href="<?php echo esc_url( Admin_Page::get_tab_url( 'log' ) ); ?>"><?php esc_html_e( 'Reset', 'phrasematch' ); ?></a>
+                <?php endif; ?>
+                <a class="button pm-log-export" href="<?php echo esc_url( $export_url ); ?>"><?php esc_html_e( 'Export CSV', 'phrasematch' ); ?></a>
+            </form>
+
+            <div class="pm-card pm-card-flush">
+                <div class="pm-table-wrap">
+                    <table class="pm-table pm-history-table pm-log-table">
+                        <thead>
+                            <tr>
+                                <th class="pm-col-date"><?php esc_html_e( 'Date', 'phrasematch' ); ?></th>
+                                <th class="pm-col-user"><?php esc_html_e( 'User', 'phrasematch' ); ?></th>
+                                <th class="pm-col-action"><?php esc_html_e( 'Action', 'phrasematch' ); ?></th>
+                                <th><?php esc_html_e( 'Phrase', 'phrasematch' ); ?></th>
+                                <th><?php esc_html_e( 'Item', 'phrasematch' ); ?></th>
+                                <th><?php esc_html_e( 'Change', 'phrasematch' ); ?></th>
+                                <th><?php esc_html_e( 'Result', 'phrasematch' ); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <?php if ( empty( $entries['items'] ) ) : ?>
+                                <tr>
+                                    <td colspan="7" class="pm-empty"><?php esc_html_e( 'No log entries found.', 'phrasematch' ); ?></td>
+                                </tr>
+                            <?php endif; ?>
+                            <?php foreach ( $entries['items'] as $entry ) : ?>
+                                <tr>
+                                    <td><?php echo esc_html( get_date_from_gmt( $entry['created_at'], get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) ) ); ?></td>
+                                    <td><?php echo esc_html( $this->get_user_name( $entry['user_id'] ) ); ?></td>
+                                    <td>
+                                        <?php echo esc_html( $this->get_action_labels()[ $entry['action'] ] ?? $entry['action'] ); ?>
+                                        <span class="pm-post-meta"><?php echo esc_html( $this->get_source_labels()[ $entry['source'] ] ?? $entry['source'] ); ?></span>
+                                    </td>
+                                    <td><?php echo esc_html( $entry['phrase'] ); ?></td>
+                                    <td><?php $this->render_item( $entry ); ?></td>
+                                    <td><?php echo esc_html( $this->describe_change( $entry ) ); ?></td>
+                                    <td>
+                                        <?php if ( ! $entry['success'] ) : ?>
+                                            <span class="pm-badge pm-badge-warning"><?php esc_html_e( 'Failed', 'phrasematch' ); ?></span>
+                                        <?php endif; ?>
+                                        <?php echo esc_html( $entry['message'] ); ?>
+                                        <?php if ( $entry['changeset_id'] ) : ?>
+                                            <a class="pm-post-meta" href="<?php echo esc_url( Admin_Page::get_changeset_url( $entry['changeset_id'] ) ); ?>">
+                                                <?php
+                                                /* translators: %d: changeset ID */
+                                                echo esc_html( sprintf( __( 'Changeset #%d', 'phrasematch' ), $entry['changeset_id'] ) );
+                                                ?>
+                                            </a>
+                                        <?php endif; ?>
+                                    </td>
+                                </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                </div>
+                <?php if ( $pages > 1 ) : ?>
+                    <div class="pm-pagination">
+                        <?php
+                        echo wp_kses_post( paginate_links( [
+                            'base'    => add_query_arg( 'paged', '%#%', Admin_Page::get_tab_url( 'log', $args ) ),
+                            'format'  => '',
+                            'current' => $page,
+                            'total'   => $pages,
+                        ] ) );
+                        ?>
+                    </div>
+                <?php endif; ?>
+            </div>
+        <?php
+    }
+
+    /**
+     * admin-post handler: download the filtered log as CSV.
+     */
+    public function handle_export(): void {
+        check_admin_referer( 'phrasematch_export_audit_log' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'You do not have permission to perform this action.', 'phrasematch' ) );
+        }
+
+        $filters = Audit_Log::sanitize_filters( wp_unslash( $_GET ) );
+
+        nocache_headers();
+        header( 'Content-Type: text/csv; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename=phrasematch-audit-log-' . gmdate( 'Y-m-d' ) . '.csv' );
+
+        $handle = fopen( 'php://output', 'w' );
+        $this->audit_log->export_csv( $filters, $handle );
+        fclose( $handle );
+        exit;
+    }
+
+    /**
+     * Render the item an entry is about, linked to its editor when it still exists.
+     *
+     * @param array $entry Log entry.
+     */
+    private function render_item( array $entry ): void {
+        if ( '' === $entry['object_key'] ) {
+            echo '&mdash;';
+            return;
+        }
+
+        $edit_url = $this->store->get_edit_url( $entry['object_key'] );
+        $label    = $this->store->get_label( $entry['object_key'] );
+
+        if ( $edit_url ) {
+            printf( '<a class="pm-post-link" href="%1$s" target="_blank">%2$s</a>', esc_url( $edit_url ), esc_html( '' !== $label ? $label : __( '(no title)', 'phrasematch' ) ) );
+        } else {
+            echo esc_html( '' !== $label ? $label : $entry['object_key'] );
+        }
+        ?>
+        <span class="pm-post-meta"><?php echo esc_html( $entry['object_key'] ); ?></span>
+        <?php
+    }
+
+    /**
+     * Describe the change of an apply entry, e.g. "Content: replaced with “X”".
+     *
+     * @param array $entry Log entry.
+     *
+     * @return string Description; empty for scans and reverts.
+     */
+    private function describe_change( array $entry ): string {
+        if ( 'apply' !== $entry['action'] ) {
+            return '';
+        }
+
+        $modes = [
+            'text_only'       => __( 'removed (text only)', 'phrasematch' ),
+            'html_element'    => __( 'removed (HTML element)', 'phrasematch' ),
+            'gutenberg_block' => __( 'removed (Gutenberg block)', 'phrasematch' ),
+            'parent_block'    => __( 'removed (parent block)', 'phrasematch' ),
+        ];
+
+        $change = 'replace' === $entry['mode']
+            /* translators: %s: replacement text */
+            ? sprintf( __( 'replaced with “%s”', 'phrasematch' ), $entry['replace_with'] )
+            : ( $modes[ $entry['mode'] ] ?? $entry['mode'] );
+
+        return ucfirst( str_replace( '_', ' ', $entry['location'] ) ) . ': ' . $change;
+    }
+
+    /**
+     * Labels of the actions, see Audit_Log::ACTIONS.
+     *
+     * @return array<string, string>
+     */
+    private function get_action_labels(): array {
+        return [
+            'scan'    => __( 'Scan', 'phrasematch' ),
+            'apply'   => __( 'Apply', 'phrasematch' ),
+            'propose' => __( 'Propose', 'phrasematch' ),
+            'approve' => __( 'Approve', 'phrasematch' ),
+            'reject'  => __( 'Reject', 'phrasematch' ),
+            'revert'  => __( 'Revert', 'phrasematch' ),
+        ];
+    }
+
+    /**
+     * Labels of the sources, see Audit_Log::SOURCES.
+     *
+     * @return array<string, string>
+     */
+    private function get_source_labels(): array {
+        return [
+            'admin'    => __( 'Admin page', 'phrasematch' ),
+            'network'  => __( 'Network Admin', 'phrasematch' ),
+            'rest'     => __( 'REST API', 'phrasematch' ),
+            'cli'      => __( 'WP-CLI', 'phrasematch' ),
+            'schedule' => __( 'Saved search', 'phrasematch' ),
+        ];
+    }
+
+    /**
+     * Get a user's display name.
+     *
+     * @param int $user_id User ID.
+     *
+     * @return string Display name, or a placeholder for deleted users and runs without a user.
+     */
+    private function get_user_name( int $user_id ): string {
+        if ( 0 === $user_id ) {
+            return __( '(system)', 'phrasematch' );
+        }
+
+        $user = get_userdata( $user_id );
+
+        return $user ? $user->display_name : __( '(unknown user)', 'phrasematch' );
+    }
+}
@@ -0,0 +1,356 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Custom table with no WordPress API; rows change on every write.
+
+/**
+ * Keeps a permanent record of who scanned for what and who changed what.
+ *
+ * Unlike the change journal (see Journal), which stores field values so changes
+ * can be reverted, the audit log is a flat, append-only list meant for review and
+ * export: one entry per scan, and one per occurrence that was applied or reverted
+ * with the mode, the replacement and the result message of the object it belongs
+ * to. Proposed changes are logged per occurrence like applied ones, and their
+ * approval or rejection per object. Entries are never changed or removed by the
+ * plugin.
+ *
+ * Actions: scan | apply | propose | approve | reject | revert.
+ * Sources: admin (the PhraseMatch page) | rest | cli | schedule (saved searches).
+ */
+class Audit_Log {
+
+    /**
+     * Valid actions.
+     */
+    public const ACTIONS = [ 'scan', 'apply', 'propose', 'approve', 'reject', 'revert' ];
+
+    /**
+     * Valid sources.
+     */
+    public const SOURCES = [ 'admin', 'network', 'rest', 'cli', 'schedule' ];
+
+    /**
+     * Rows read at a time when exporting.
+     */
+    private const EXPORT_CHUNK = 500;
+
+    /**
+     * Record a scan.
+     *
+     * @param int      $user_id    User who ran the scan (0 for scheduled runs without a user).
+     * @param string   $source     Where the scan was run from, see SOURCES.
+     * @param string   $phrase     The phrase, or the label of the rule set (see Rule_Set::get_label()).
+     * @param string[] $post_types Post types scanned.
+     * @param string[] $sources    Sources scanned.
+     */
+    public function log_scan( int $user_id, string $source, string $phrase, array $post_types, array $sources ): void {
+        $this->insert( [
+            'user_id' => $user_id,
+            'action'  => 'scan',
+            'source'  => $source,
+            'phrase'  => $phrase,
+            'success' => 1,
+            'message' => sprintf(
+                /* translators: 1: comma-separated sources, 2: comma-separated post types */
+                __( 'Searched %1$s of %2$s.', 'phrasematch' ),
+                implode( ', ', $sources ),
+                empty( $post_types ) ? '-' : implode( ', ', $post_types )
+            ),
+        ] );
+    }
+
+    /**
+     * Record the changes applied to (or proposed for) one object: an entry per
+     * occurrence, each with the result of the object as a whole (see Remover::remove()).
+     *
+     * @param int    $user_id      User who applied the changes.
+     * @param string $source       Where the changes were applied from, see SOURCES.
+     * @param string $phrase       The phrase, or the label of the rule set.
+     * @param string $object_key   Object key.
+     * @param array  $occurrences  The occurrences, see Remover::group_occurrences().
+     * @param array  $result       Result with `success` and `message`.
+     * @param int    $changeset_id Changeset recording the change, 0 when there is none.
+     * @param string $action       'apply', or 'propose' for changes proposed for approval.
+     */
+    public function log_changes( int $user_id, string $source, string $phrase, string $object_key, array $occurrences, array $result, int $changeset_id, string $action = 'apply' ): void {
+        foreach ( $occurrences as $occ ) {
+            $this->insert( [
+                'user_id'      => $user_id,
+                'action'       => $action,
+                'source'       => $source,
+                'phrase'       => $phrase,
+                'object_key'   => $object_key,
+                'location'     => $occ['location'],
+                'mode'         => '' === $occ['replace_with'] ? $occ['mode'] : 'replace',
+                'replace_with' => $occ['replace_with'],
+                'success'      => $result['success'] ? 1 : 0,
+                'message'      => $result['message'],
+                'changeset_id' => $changeset_id,
+            ] );
+        }
+    }
+
+    /**
+     * Record reverted changeset items, as returned by Journal::revert().
+     *
+     * @param int    $user_id      User who reverted the items.
+     * @param string $phrase       Phrase of the changeset.
+     * @param int    $changeset_id Changeset ID.
+     * @param array  $results      Result per item: object_key, success, message.
+     */
+    public function log_revert( int $user_id, string $phrase, int $changeset_id, array $results ): void {
+        $this->log_item_results( $user_id, 'revert', $phrase, $changeset_id, $results );
+    }
+
+    /**
+     * Record approved or rejected proposals, as returned by Journal::approve() and Journal::reject().
+     *
+     * @param int    $user_id      User who reviewed the items.
+     * @param string $action       'approve' or 'reject'.
+     * @param string $phrase       Phrase of the changeset.
+     * @param int    $changeset_id Changeset ID.
+     * @param array  $results      Result per item: object_key, success, message.
+     */
+    public function log_review( int $user_id, string $action, string $phrase, int $changeset_id, array $results ): void {
+        $this->log_item_results( $user_id, $action, $phrase, $changeset_id, $results );
+    }
+
+    /**
+     * Record an entry per changeset item result.
+     *
+     * @param int    $user_id      User who acted on the items.
+     * @param string $action       Action, see ACTIONS.
+     * @param string $phrase       Phrase of the changeset.
+     * @param int    $changeset_id Changeset ID.
+     * @param array  $results      Result per item: object_key, success, message.
+     */
+    private function log_item_results( int $user_id, string $action, string $phrase, int $changeset_id, array $results ): void {
+        foreach ( $results as $result ) {
+            $this->insert( [
+                'user_id'      => $user_id,
+                'action'       => $action,
+                'source'       => 'admin',
+                'phrase'       => $phrase,
+                'object_key'   => $result['object_key'],
+                'success'      => $result['success'] ? 1 : 0,
+                'message'      => $result['message'],
+                'changeset_id' => $changeset_id,
+            ] );
+        }
+    }
+
+    /**
+     * Get a page of entries matching the filters, newest first.
+     *
+     * @param array $filters  See sanitize_filters().
+     * @param int   $page     1-based page number.
+     * @param int   $per_page Entries per page.
+     *
+     * @return array{items: array<int, array>, total: int}
+     */
+    public function get_entries( array $filters, int $page, int $per_page ): array {
+        global $wpdb;
+
+        $table = Installer::table( 'audit_log' );
+        $where = $this->build_where( $filters );
+
+        // phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is not user input; the WHERE clause is prepared by build_where().
+        $total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table} WHERE {$where}" );
+        $rows  = $wpdb->get_results(
+            $wpdb->prepare( "SELECT * FROM {$table} WHERE {$where} ORDER BY id DESC LIMIT %d OFFSET %d", $per_page, max( 0, $page - 1 ) * $per_page ),
+            ARRAY_A
+        );
+        // phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+        return [
+            'items' => array_map( [ $this, 'hydrate' ], $rows ? $rows : [] ),
+            'total' => $total,
+        ];
+    }
+
+    /**
+     * Write all entries matching the filters as CSV, newest first.
+     *
+     * Entries are read in chunks so large logs can be exported without running
+     * out of memory. Cells that a spreadsheet would run as a formula are prefixed
+     * with an apostrophe.
+     *
+     * @param array    $filters See sanitize_filters().
+     * @param resource $handle  Stream to write to.
+     */
+    public function export_csv( array $filters, $handle ): void {
+        global $wpdb;
+
+        $table   = Installer::table( 'audit_log' );
+        $where   = $this->build_where( $filters );
+        $last_id = PHP_INT_MAX;
+
+        fputcsv( $handle, [ 'id', 'date_gmt', 'user_id', 'user', 'action', 'source', 'phrase', 'post_id', 'object_key', 'location', 'mode', 'replace_with', 'success', 'message', 'changeset_id' ] );
+
+        do {
+            // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is not user input; the WHERE clause is prepared by build_where().
+            $rows = $wpdb->get_results( $wpdb->prepare( "SELECT * FROM {$table} WHERE {$where} AND id < %d ORDER BY id DESC LIMIT %d", $last_id, self::EXPORT_CHUNK ), ARRAY_A );
+
+            foreach ( $rows ? $rows : [] as $row ) {
+                $entry   = $this->hydrate( $row );
+                $user    = get_userdata( $entry['user_id'] );
+                $last_id = $entry['id'];
+
+                fputcsv( $handle, array_map( [ $this, 'escape_csv_cell' ], [
+                    $entry['id'],
+                    $entry['created_at'],
+                    $entry['user_id'],
+                    $user ? $user->user_login : '',
+                    $entry['action'],
+                    $entry['source'],
+                    $entry['phrase'],
+                    $entry['post_id'],
+                    $entry['object_key'],
+                    $entry['location'],
+                    $entry['mode'],
+                    $entry['replace_with'],
+                    $entry['success'] ? 1 : 0,
+                    $entry['message'],
+                    $entry['changeset_id'],
+                ] ) );
+            }
+        } while ( $rows && count( $rows ) === self::EXPORT_CHUNK );
+    }
+
+    /**
+     * Build filters from unslashed request input.
+     *
+     * @param array $input Raw input: user, log_action, source, phrase, post_id, from, to (Y-m-d, site time).
+     *
+     * @return array{user: int, action: string, source: string, phrase: string, post_id: int, from: string, to: string}
+     */
+    public static function sanitize_filters( array $input ): array {
+        $action = sanitize_key( (string) ( $input['log_action'] ?? '' ) );
+        $source = sanitize_key( (string) ( $input['source'] ?? '' ) );
+        $from   = (string) ( $input['from'] ?? '' );
+        $to     = (string) ( $input['to'] ?? '' );
+
+        return [
+            'user'    => absint( $input['user'] ?? 0 ),
+            'action'  => in_array( $action, self::ACTIONS, true ) ? $action : '',
+            'source'  => in_array( $source, self::SOURCES, true ) ? $source : '',
+            'phrase'  => sanitize_text_field( (string) ( $input['phrase'] ?? '' ) ),
+            'post_id' => absint( $input['post_id'] ?? 0 ),
+            'from'    => preg_match( '/^\d{4}-\d{2}-\d{2}$/', $from ) ? $from : '',
+            'to'      => preg_match( '/^\d{4}-\d{2}-\d{2}$/', $to ) ? $to : '',
+        ];
+    }
+
+    /**
+     * Build the prepared WHERE clause for the filters.
+     *
+     * @param array $filters See sanitize_filters().
+     *
+     * @return string SQL condition.
+     */
+    private function build_where( array $filters ): string {
+        global $wpdb;
+
+        $clauses = [ '1=1' ];
+
+        if ( ! empty( $filters['user'] ) ) {
+            $clauses[] = $wpdb->prepare( 'user_id = %d', $filters['user'] );
+        }
+
+        if ( ! empty( $filters['action'] ) ) {
+            $clauses[] = $wpdb->prepare( 'action = %s', $filters['action'] );
+        }
+
+        if ( ! empty( $filters['source'] ) ) {
+            $clauses[] = $wpdb->prepare( 'source = %s', $filters['source'] );
+        }
+
+        if ( ! empty( $filters['phrase'] ) ) {
+            $clauses[] = $wpdb->prepare( 'phrase LIKE %s', '%' . $wpdb->esc_like( $filters['phrase'] ) . '%' );
+        }
+
+        if ( ! empty( $filters['post_id'] ) ) {
+            $clauses[] = $wpdb->prepare( 'post_id = %d', $filters['post_id'] );
+        }
+
+        // Dates are picked in site time; entries are stored in GMT.
+        if ( ! empty( $filters['from'] ) ) {
+            $clauses[] = $wpdb->prepare( 'created_at >= %s', get_gmt_from_date( $filters['from'] . ' 00:00:00' ) );
+        }
+
+        if ( ! empty( $filters['to'] ) ) {
+            $clauses[] = $wpdb->prepare( 'created_at <= %s', get_gmt_from_date( $filters['to'] . ' 23:59:59' ) );
+        }
+
+        return implode( ' AND ', $clauses );
+    }
+
+    /**
+     * Insert an entry.
+     *
+     * @param array $entry Column => value; missing columns get their defaults.
+     */
+    private function insert( array $entry ): void {
+        global $wpdb;
+
+        $object_key = (string) ( $entry['object_key'] ?? '' );
+        $parsed     = Content_Store::parse_key( $object_key );
+
+        $wpdb->insert(
+            Installer::table( 'audit_log' ),
+            [
+                'created_at'   => current_time( 'mysql', true ),
+                'user_id'      => (int) $entry['user_id'],
+                'action'       => $entry['action'],
+                'source'       => $entry['source'],
+                'phrase'       => $entry['phrase'],
+                'post_id'      => null !== $parsed && 'post' === $parsed['type'] ? (int) $parsed['id'] : 0,
+                'object_key'   => $object_key,
+                'location'     => (string) ( $entry['location'] ?? '' ),
+                'mode'         => (string) ( $entry['mode'] ?? '' ),
+                'replace_with' => (string) ( $entry['replace_with'] ?? '' ),
+                'success'      => (int) $entry['success'],
+                'message'      => (string) $entry['message'],
+                'changeset_id' => (int) ( $entry['changeset_id'] ?? 0 ),
+            ],
+            [ '%s', '%d', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%d', '%s', '%d' ]
+        );
+    }
+
+    /**
+     * Cast a database row to typed values.
+     *
+     * @param array $row Raw row.
+     *
+     * @return array
+     */
+    private function hydrate( array $row ): array {
+        foreach ( [ 'id', 'user_id', 'post_id', 'changeset_id' ] as $column ) {
+            $row[ $column ] = (int) $row[ $column ];
+        }
+
+        $row['success'] = (bool) $row['success'];
+
+        return $row;
+    }
+
+    /**
+     * Keep a CSV cell from being run as a formula when the file is opened in a spreadsheet.
+     *
+     * @param mixed $value Cell value.
+     *
+     * @return string
+     */
+    private function escape_csv_cell( $value ): string {
+        $value = (string) $value;
+
+        return '' !== $value && in_array( $value[0], [ '=', '+', '-', '@', "\t", "\r" ], true ) ? "'" . $value : $value;
+    }
+}
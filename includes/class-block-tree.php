@@ -0,0 +1,261 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * The block structure of a piece of content, with the byte range of every block.
+ *
+ * Block names, attributes, nesting and paths come from parse_blocks(), so the
+ * tree is exactly what the editor and the front end see: namespaced blocks,
+ * nested groups and columns, self-closing blocks and attributes containing `}`
+ * are all handled by core. parse_blocks() does not report where a block sits in
+ * the source, so the block comment delimiters are located with the same
+ * tokenizer pattern core uses and paired with the parsed blocks in document order.
+ *
+ * A block path is the list of indexes leading to the block in the parse_blocks()
+ * result: the first index counts top-level blocks including freeform HTML
+ * between them, the rest index into innerBlocks.
+ *
+ * Edits touch only the bytes of the affected block, so the rest of the content
+ * (including how its delimiters were formatted) is left exactly as it was.
+ */
+class Block_Tree {
+
+    /**
+     * Block comment delimiter, as matched by WP_Block_Parser::next_token().
+     */
+    private const DELIMITER_PATTERN = '/<!--\s+(?P<closer>\/)?wp:(?P<namespace>[a-z][a-z0-9_-]*\/)?(?P<name>[a-z][a-z0-9_-]*)\s+(?P<attrs>{(?:(?:[^}]+|}+(?=})|(?!}\s+\/?-->).)*+)?}\s+)?(?P<void>\/)?-->/s';
+
+    /**
+     * Blocks in document order (parents before their children). Each block holds
+     * name, attrs, path, depth and the byte offsets start, opener_end,
+     * closer_start and end. Empty when the content has no blocks.
+     *
+     * @var array<int, array>
+     */
+    private array $blocks = [];
+
+    /**
+     * @param string $content Content that may contain block markup.
+     */
+    public function __construct( string $content ) {
+        if ( ! has_blocks( $content ) ) {
+            return;
+        }
+
+        $parsed = [];
+        $this->collect( parse_blocks( $content ), [], $parsed );
+
+        $spans = $this->locate( $content );
+
+        // Both walks must agree before offsets can be trusted; otherwise report no blocks.
+        if ( count( $spans ) !== count( $parsed ) ) {
+            return;
+        }
+
+        foreach ( $parsed as $index => $block ) {
+            $this->blocks[] = $block + $spans[ $index ];
+        }
+    }
+
+    /**
+     * Get every block in document order.
+     *
+     * @return array<int, array> Blocks.
+     */
+    public function get_blocks(): array {
+        return $this->blocks;
+    }
+
+    /**
+     * Get the block at a path.
+     *
+     * @param int[] $path Block path.
+     *
+     * @return array|null The block or null.
+     */
+    public function get_block( array $path ): ?array {
+        foreach ( $this->blocks as $block ) {
+            if ( $block['path'] === $path ) {
+                return $block;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the blocks enclosing a byte range, outermost first.
+     *
+     * @param int $offset Byte offset.
+     * @param int $length Length of the range in bytes.
+     *
+     * @return array<int, array> Blocks; the last one is the innermost.
+     */
+    public function get_chain( int $offset, int $length ): array {
+        $chain = [];
+
+        foreach ( $this->blocks as $block ) {
+            if ( $block['opener_end'] <= $offset && $offset + $length <= $block['closer_start'] ) {
+                $chain[] = $block;
+            }
+        }
+
+        return $chain;
+    }
+
+    /**
+     * Get the ancestors of a block followed by the block itself, outermost first.
+     *
+     * @param array $block Block from this tree.
+     *
+     * @return array<int, array> Blocks.
+     */
+    public function get_lineage( array $block ): array {
+        return array_values( array_filter( $this->blocks, static function ( array $candidate ) use ( $block ): bool {
+            return array_slice( $block['path'], 0, count( $candidate['path'] ) ) === $candidate['path'];
+        } ) );
+    }
+
+    /**
+     * Whether a byte range overlaps a block comment delimiter.
+     *
+     * @param int $offset Byte offset.
+     * @param int $length Length of the range in bytes.
+     *
+     * @return bool
+     */
+    public function overlaps_delimiter( int $offset, int $length ): bool {
+        $end = $offset + max( 1, $length );
+
+        foreach ( $this->blocks as $block ) {
+            if ( ( $offset < $block['opener_end'] && $end > $block['start'] )
+                || ( $offset < $block['end'] && $end > $block['closer_start'] ) ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the markup between a block's delimiters.
+     *
+     * @param string $content The content the tree was built from.
+     * @param array  $block   Block from this tree.
+     *
+     * @return string Inner markup, '' for self-closing blocks.
+     */
+    public static function get_inner_content( string $content, array $block ): string {
+        return (string) substr( $content, $block['opener_end'], $block['closer_start'] - $block['opener_end'] );
+    }
+
+    /**
+     * Remove a block, including its delimiters and inner blocks.
+     *
+     * @param string $content The content the tree was built from.
+     * @param array  $block   Block from this tree.
+     *
+     * @return string Modified content.
+     */
+    public static function remove_block( string $content, array $block ): string {
+        return substr( $content, 0, $block['start'] ) . substr( $content, $block['end'] );
+    }
+
+    /**
+     * Re-serialize a block with new attributes, keeping its inner markup as is.
+     *
+     * @param string $content The content the tree was built from.
+     * @param array  $block   Block from this tree.
+     * @param array  $attrs   New attributes.
+     *
+     * @return string Modified content.
+     */
+    public static function replace_attributes( string $content, array $block, array $attrs ): string {
+        $markup = get_comment_delimited_block_content( $block['name'], $attrs, self::get_inner_content( $content, $block ) );
+
+        return substr( $content, 0, $block['start'] ) . $markup . substr( $content, $block['end'] );
+    }
+
+    /**
+     * Flatten parsed blocks into document order, skipping freeform HTML.
+     *
+     * @param array $blocks Blocks as returned by parse_blocks() or a block's innerBlocks.
+     * @param int[] $parent Path of the parent block.
+     * @param array $out    Collected blocks.
+     */
+    private function collect( array $blocks, array $parent, array &$out ): void {
+        foreach ( $blocks as $index => $block ) {
+            if ( empty( $block['blockName'] ) ) {
+                continue;
+            }
+
+            $path  = array_merge( $parent, [ (int) $index ] );
+            $out[] = [
+                'name'  => (string) $block['blockName'],
+                'attrs' => is_array( $block['attrs'] ) ? $block['attrs'] : [],
+                'path'  => $path,
+                'depth' => count( $path ) - 1,
+            ];
+
+            $this->collect( $block['innerBlocks'], $path, $out );
+        }
+    }
+
+    /**
+     * Find the byte range of every block in document order.
+     *
+     * Pairs openers and closers the way core's parser does: a closer ends the
+     * most recently opened block whatever its name, stray closers are ignored and
+     * blocks left open end with the content.
+     *
+     * @param string $content Content.
+     *
+     * @return array<int, array{start: int, opener_end: int, closer_start: int, end: int}> Ranges.
+     */
+    private function locate( string $content ): array {
+        $spans = [];
+        $stack = [];
+
+        preg_match_all( self::DELIMITER_PATTERN, $content, $tokens, PREG_OFFSET_CAPTURE | PREG_SET_ORDER );
+
+        foreach ( $tokens as $token ) {
+            $start = $token[0][1];
+            $end   = $start + strlen( $token[0][0] );
+
+            if ( ! empty( $token['closer'][0] ) ) {
+                if ( empty( $stack ) ) {
+                    continue;
+                }
+                $index                           = array_pop( $stack );
+                $spans[ $index ]['closer_start'] = $start;
+                $spans[ $index ]['end']          = $end;
+                continue;
+            }
+
+            $spans[] = [
+                'start'        => $start,
+                'opener_end'   => $end,
+                'closer_start' => $end,
+                'end'          => $end,
+            ];
+
+            if ( empty( $token['void'][0] ) ) {
+                $stack[] = count( $spans ) - 1;
+            }
+        }
+
+        foreach ( $stack as $index ) {
+            $spans[ $index ]['closer_start'] = strlen( $content );
+            $spans[ $index ]['end']          = strlen( $content );
+        }
+
+        return $spans;
+    }
+}
@@ -0,0 +1,224 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * The plugin's capabilities and the per-object permission checks built on them.
+ *
+ * Access is split into four capabilities that are granted to roles from the
+ * Settings tab (see Settings_Page): scanning, modifying (removing the text of a
+ * match or replacing it), removing whole HTML elements or blocks around a match,
+ * and approving the changes others proposed. Users who can manage options always
+ * have all four.
+ *
+ * When approval is required (see requires_approval()), changes by users who
+ * cannot approve are stored as proposals for review (see Journal and the
+ * Review tab of History_Page) instead of being saved.
+ *
+ * On a multisite network, super admins can also scan and change every site
+ * from Network Admin (see NETWORK and Network_Admin_Page).
+ *
+ * On top of the capability, every object is checked on its own: results are
+ * only reported, and changes only made, for objects the user can edit
+ * (edit_post, edit_term, edit_comment, or edit_theme_options for widgets).
+ */
+class Capabilities {
+
+    /**
+     * Scan for matches and manage saved searches.
+     */
+    public const SCAN = 'phrasematch_scan';
+
+    /**
+     * Remove or replace the text of matches, and revert changesets.
+     */
+    public const MODIFY = 'phrasematch_modify';
+
+    /**
+     * Remove the HTML element or block around a match.
+     */
+    public const REMOVE_BLOCKS = 'phrasematch_remove_blocks';
+
+    /**
+     * Approve or reject the changes proposed by other users.
+     */
+    public const APPROVE = 'phrasematch_approve';
+
+    /**
+     * All capabilities, each implying the ones before it.
+     */
+    public const ALL = [ self::SCAN, self::MODIFY, self::REMOVE_BLOCKS, self::APPROVE ];
+
+    /**
+     * Option that, when set, turns the changes of users who cannot approve into proposals.
+     */
+    public const REQUIRE_APPROVAL_OPTION = 'phrasematch_require_approval';
+
+    /**
+     * Scan and change the sites of a multisite network from Network Admin. A core
+     * network capability rather than a plugin one, so it is not set per role.
+     */
+    public const NETWORK = 'manage_network_options';
+
+    /**
+     * Hook into WordPress.
+     */
+    public function register(): void {
+        add_filter( 'user_has_cap', [ $this, 'grant_to_administrators' ] );
+    }
+
+    /**
+     * user_has_cap filter: users who can manage options have every plugin capability,
+     * so administrators keep access whatever the role settings say.
+     *
+     * @param array<string, bool> $allcaps Capabilities of the user.
+     *
+     * @return array<string, bool>
+     */
+    public function grant_to_administrators( array $allcaps ): array {
+        if ( ! empty( $allcaps['manage_options'] ) ) {
+            foreach ( self::ALL as $cap ) {
+                $allcaps[ $cap ] = true;
+            }
+        }
+
+        return $allcaps;
+    }
+
+    /**
+     * Labels of the capabilities, for the Settings tab.
+     *
+     * @return array<string, string>
+     */
+    public static function get_labels(): array {
+        return [
+            self::SCAN          => __( 'Scan', 'phrasematch' ),
+            self::MODIFY        => __( 'Remove and replace text', 'phrasematch' ),
+            self::REMOVE_BLOCKS => __( 'Remove elements and blocks', 'phrasematch' ),
+            self::APPROVE       => __( 'Approve changes', 'phrasematch' ),
+        ];
+    }
+
+    /**
+     * Whether a user's changes must be proposed for approval instead of being saved.
+     *
+     * @param int $user_id User ID.
+     */
+    public static function requires_approval( int $user_id ): bool {
+        return (bool) get_option( self::REQUIRE_APPROVAL_OPTION ) && ! user_can( $user_id, self::APPROVE );
+    }
+
+    /**
+     * Roles whose plugin capabilities can be set, i.e. those without manage_options.
+     *
+     * @return array<string, \WP_Role>
+     */
+    public static function get_editable_roles(): array {
+        return array_filter( wp_roles()->role_objects, static function ( \WP_Role $role ): bool {
+            return ! $role->has_cap( 'manage_options' );
+        } );
+    }
+
+    /**
+     * Grant each role exactly the given capabilities.
+     *
+     * A capability implies the ones listed before it in ALL, so e.g. a role that
+     * may modify content may also scan.
+     *
+     * @param array<string, string[]> $role_caps Role name => capabilities; roles left out lose all of them.
+     */
+    public static function set_role_caps( array $role_caps ): void {
+        foreach ( self::get_editable_roles() as $name => $role ) {
+            $granted = array_intersect( self::ALL, (array) ( $role_caps[ $name ] ?? [] ) );
+            $level   = empty( $granted ) ? -1 : max( array_keys( $granted ) );
+
+            foreach ( self::ALL as $index => $cap ) {
+                if ( $index <= $level ) {
+                    $role->add_cap( $cap );
+                } elseif ( $role->has_cap( $cap ) ) {
+                    $role->remove_cap( $cap );
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether a user can edit an object.
+     *
+     * @param int    $user_id    User ID.
+     * @param string $object_key Object key, see Content_Store.
+     */
+    public static function can_edit_object( int $user_id, string $object_key ): bool {
+        $parsed = Content_Store::parse_key( $object_key );
+
+        if ( null === $parsed ) {
+            return false;
+        }
+
+        switch ( $parsed['type'] ) {
+            case 'post':
+                return user_can( $user_id, 'edit_post', (int) $parsed['id'] );
+            case 'term':
+                return user_can( $user_id, 'edit_term', (int) $parsed['id'] );
+            case 'comment':
+                return user_can( $user_id, 'edit_comment', (int) $parsed['id'] );
+            default:
+                return user_can( $user_id, 'edit_theme_options' );
+        }
+    }
+
+    /**
+     * Drop the scan results of objects the user cannot edit.
+     *
+     * @param int   $user_id User ID.
+     * @param array $results Scan results.
+     *
+     * @return array The results the user may see, reindexed.
+     */
+    public static function filter_results( int $user_id, array $results ): array {
+        $allowed = [];
+
+        return array_values( array_filter( $results, static function ( array $result ) use ( $user_id, &$allowed ): bool {
+            $key = $result['object_key'];
+
+            if ( ! isset( $allowed[ $key ] ) ) {
+                $allowed[ $key ] = self::can_edit_object( $user_id, $key );
+            }
+
+            return $allowed[ $key ];
+        } ) );
+    }
+
+    /**
+     * Check that a user may make the given changes to an object.
+     *
+     * @param int    $user_id     User ID.
+     * @param string $object_key  Object key.
+     * @param array  $occurrences Occurrences to apply, see Remover::group_occurrences().
+     *
+     * @return string Why the changes are not allowed; '' when they are.
+     */
+    public static function check_changes( int $user_id, string $object_key, array $occurrences ): string {
+        if ( ! user_can( $user_id, self::MODIFY ) || ! self::can_edit_object( $user_id, $object_key ) ) {
+            return __( 'You are not allowed to edit this item.', 'phrasematch' );
+        }
+
+        if ( user_can( $user_id, self::REMOVE_BLOCKS ) ) {
+            return '';
+        }
+
+        foreach ( $occurrences as $occ ) {
+            if ( '' === $occ['replace_with'] && 'text_only' !== $occ['mode'] ) {
+                return __( 'You are not allowed to remove HTML elements or blocks. Remove only the text instead.', 'phrasematch' );
+            }
+        }
+
+        return '';
+    }
+}
@@ -0,0 +1,634 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Find, remove and replace phrases in post titles, content and the other scan sources.
+ *
+ * Registered as `wp phrasematch`. Uses the same Scanner, Remover and Journal as
+ * the admin page, so every modification made here shows up in the History tab
+ * and can be reverted from there.
+ *
+ * Exit codes: 0 on success, 1 on invalid input, failed modifications, or (with
+ * --fail-on-match) when `scan` finds any match.
+ */
+class CLI_Command {
+
+    /**
+     * Columns shown by `scan` unless --fields is given.
+     */
+    private const SCAN_FIELDS = [ 'object_key', 'post_type', 'post_status', 'location', 'context', 'offset', 'wrapping', 'snippet' ];
+
+    /**
+     * Valid values for --mode.
+     */
+    private const MODES = [ 'auto', 'text_only', 'html_element', 'gutenberg_block', 'parent_block' ];
+
+    private Scanner $scanner;
+    private Remover $remover;
+    private Journal $journal;
+    private Audit_Log $audit_log;
+
+    public function __construct( Scanner $scanner, Remover $remover, Journal $journal, Audit_Log $audit_log ) {
+        $this->scanner   = $scanner;
+        $this->remover   = $remover;
+        $this->journal   = $journal;
+        $this->audit_log = $audit_log;
+    }
+
+    /**
+     * List every occurrence of a phrase.
+     *
+     * ## OPTIONS
+     *
+     * <phrase>
+     * : The phrase (or, with --regex, the pattern) to search for.
+     *
+     * [--post_type=<types>]
+     * : Comma-separated post types.
+     * ---
+     * default: post,page
+     * ---
+     *
+     * [--status=<statuses>]
+     * : Comma-separated post statuses.
+     * ---
+     * default: publish
+     * ---
+     *
+     * [--source=<sources>]
+     * : Comma-separated places to search: title, content, excerpt, meta, menu_item, widget, term, comment.
+     * ---
+     * default: title,content
+     * ---
+     *
+     * [--context=<contexts>]
+     * : Comma-separated match contexts to include: text, block_attribute, attribute, url, shortcode, code, comment.
+     * By default matches inside HTML attributes, URLs, shortcode tags, code and HTML comments are skipped.
+     * ---
+     * default: text,block_attribute
+     * ---
+     *
+     * [--case-sensitive]
+     * : Match letter case exactly.
+     *
+     * [--whole-word]
+     * : Only match the phrase as a whole word.
+     *
+     * [--regex]
+     * : Treat the phrase as a PCRE pattern without delimiters.
+     *
+     * [--ignore-accents]
+     * : Match letters with or without accents, e.g. "cafe" also finds "café". Ignored with --regex.
+     *
+     * [--visible-text]
+     * : Match the text as displayed, across inline tags, entities and line breaks, e.g. "limited time" also finds "limited <strong>time</strong>".
+     *
+     * [--fields=<fields>]
+     * : Comma-separated fields to show. Also available: post_id, title, field, field_label, block, match_length, edit_url.
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     *   - count
+     * ---
+     *
+     * [--fail-on-match]
+     * : Exit with status 1 when any match is found, e.g. to fail a CI job when a banned phrase reappears.
+     *
+     * ## EXAMPLES
+     *
+     *     wp phrasematch scan "Call now" --post_type=post,page,product
+     *     wp phrasematch scan 'utm_source=\w+' --regex --format=csv > matches.csv
+     *     wp phrasematch scan "lorem ipsum" --status=publish,draft --format=count --fail-on-match
+     *     wp phrasematch scan "Call now" --source=excerpt,meta,widget,comment
+     *     wp phrasematch scan "old-domain.com" --context=url,attribute
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function scan( array $args, array $assoc_args ): void {
+        $matcher    = $this->get_matcher( $args[0], $assoc_args );
+        $post_types = $this->get_post_types( $assoc_args );
+        $sources    = $this->get_sources( $assoc_args );
+        $results    = $this->scanner->scan( $matcher, $post_types, $this->get_statuses( $assoc_args ), $sources, $this->get_contexts( $assoc_args ) );
+        $format     = $assoc_args['format'] ?? 'table';
+        $fields     = isset( $assoc_args['fields'] ) ? wp_parse_list( $assoc_args['fields'] ) : self::SCAN_FIELDS;
+
+        $this->audit_log->log_scan( get_current_user_id(), 'cli', $matcher->get_phrase(), $post_types, $sources );
+
+        $rows = array_map( [ $this, 'format_result' ], $results );
+
+        \WP_CLI\Utils\format_items( $format, $rows, $fields );
+
+        if ( 'table' === $format ) {
+            \WP_CLI::log( sprintf(
+                /* translators: 1: number of matches, 2: number of items */
+                __( 'Found %1$d match(es) in %2$d item(s).', 'phrasematch' ),
+                count( $results ),
+                count( array_unique( wp_list_pluck( $results, 'object_key' ) ) )
+            ) );
+        }
+
+        if ( ! empty( $results ) && \WP_CLI\Utils\get_flag_value( $assoc_args, 'fail-on-match', false ) ) {
+            \WP_CLI::halt( 1 );
+        }
+    }
+
+    /**
+     * Remove every occurrence of a phrase.
+     *
+     * When "Require approval" is on and the user running the command (set with
+     * the global --user argument) cannot approve changes, the changes are
+     * proposed for review in the Review tab instead of being saved.
+     *
+     * ## OPTIONS
+     *
+     * <phrase>
+     * : The phrase (or, with --regex, the pattern) to remove.
+     *
+     * [--mode=<mode>]
+     * : What to remove. "auto" removes the widest wrapper detected for each match
+     * (the same default as the admin page); html_element and gutenberg_block fall
+     * back to a narrower removal when the match is not wrapped that way.
+     * gutenberg_block removes the innermost block around the match, parent_block
+     * the block that contains it (e.g. a group or column).
+     * ---
+     * default: auto
+     * options:
+     *   - auto
+     *   - text_only
+     *   - html_element
+     *   - gutenberg_block
+     *   - parent_block
+     * ---
+     *
+     * [--post_type=<types>]
+     * : Comma-separated post types.
+     * ---
+     * default: post,page
+     * ---
+     *
+     * [--status=<statuses>]
+     * : Comma-separated post statuses.
+     * ---
+     * default: publish
+     * ---
+     *
+     * [--source=<sources>]
+     * : Comma-separated places to search: title, content, excerpt, meta, menu_item, widget, term, comment.
+     * ---
+     * default: title,content
+     * ---
+     *
+     * [--context=<contexts>]
+     * : Comma-separated match contexts to include: text, block_attribute, attribute, url, shortcode, code, comment.
+     * By default matches inside HTML attributes, URLs, shortcode tags, code and HTML comments are skipped.
+     * ---
+     * default: text,block_attribute
+     * ---
+     *
+     * [--case-sensitive]
+     * : Match letter case exactly.
+     *
+     * [--whole-word]
+     * : Only match the phrase as a whole word.
+     *
+     * [--regex]
+     * : Treat the phrase as a PCRE pattern without delimiters.
+     *
+     * [--ignore-accents]
+     * : Match letters with or without accents, e.g. "cafe" also finds "café". Ignored with --regex.
+     *
+     * [--visible-text]
+     * : Match the text as displayed, across inline tags, entities and line breaks, e.g. "limited time" also finds "limited <strong>time</strong>".
+     *
+     * [--dry-run]
+     * : Report what would change without saving anything.
+     *
+     * [--yes]
+     * : Skip the confirmation prompt.
+     *
+     * ## EXAMPLES
+     *
+     *     wp phrasematch remove "Sponsored content" --mode=gutenberg_block --dry-run
+     *     wp phrasematch remove "Call now" --post_type=post,page --yes
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function remove( array $args, array $assoc_args ): void {
+        $this->modify( $args[0], '', $assoc_args );
+    }
+
+    /**
+     * Replace every occurrence of a phrase.
+     *
+     * When "Require approval" is on and the user running the command (set with
+     * the global --user argument) cannot approve changes, the changes are
+     * proposed for review in the Review tab instead of being saved.
+     *
+     * ## OPTIONS
+     *
+     * <phrase>
+     * : The phrase (or, with --regex, the pattern) to replace.
+     *
+     * <replacement>
+     * : The replacement text. With --regex it may reference capture groups ($1, ${1} or \1).
+     *
+     * [--post_type=<types>]
+     * : Comma-separated post types.
+     * ---
+     * default: post,page
+     * ---
+     *
+     * [--status=<statuses>]
+     * : Comma-separated post statuses.
+     * ---
+     * default: publish
+     * ---
+     *
+     * [--source=<sources>]
+     * : Comma-separated places to search: title, content, excerpt, meta, menu_item, widget, term, comment.
+     * ---
+     * default: title,content
+     * ---
+     *
+     * [--context=<contexts>]
+     * : Comma-separated match contexts to include: text, block_attribute, attribute, url, shortcode, code, comment.
+     * By default matches inside HTML attributes, URLs, shortcode tags, code and HTML comments are skipped.
+     * ---
+     * default: text,block_attribute
+     * ---
+     *
+     * [--case-sensitive]
+     * : Match letter case exactly.
+     *
+     * [--whole-word]
+     * : Only match the phrase as a whole word.
+     *
+     * [--regex]
+     * : Treat the phrase as a PCRE pattern without delimiters.
+     *
+     * [--ignore-accents]
+     * : Match letters with or without accents, e.g. "cafe" also finds "café". Ignored with --regex.
+     *
+     * [--visible-text]
+     * : Match the text as displayed, across inline tags, entities and line breaks, e.g. "limited time" also finds "limited <strong>time</strong>".
+     *
+     * [--dry-run]
+     * : Report what would change without saving anything.
+     *
+     * [--yes]
+     * : Skip the confirmation prompt.
+     *
+     * ## EXAMPLES
+     *
+     *     wp phrasematch replace "Acme Inc" "Acme Corp" --whole-word --yes
+     *     wp phrasematch replace 'http://(example\.com)' 'https://$1' --regex --dry-run
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function replace( array $args, array $assoc_args ): void {
+        if ( '' === $args[1] ) {
+            \WP_CLI::error( __( 'The replacement must not be empty. Use `wp phrasematch remove` to delete matches.', 'phrasematch' ) );
+        }
+
+        $this->modify( $args[0], $args[1], $assoc_args );
+    }
+
+    /**
+     * Shared implementation of `remove` and `replace`.
+     *
+     * @param string $phrase      Phrase or pattern.
+     * @param string $replacement Replacement text; '' to remove.
+     * @param array  $assoc_args  Associative arguments.
+     */
+    private function modify( string $phrase, string $replacement, array $assoc_args ): void {
+        $matcher = $this->get_matcher( $phrase, $assoc_args );
+        $mode    = $assoc_args['mode'] ?? 'auto';
+        $dry_run = (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false );
+        $propose = ! $dry_run && Capabilities::requires_approval( get_current_user_id() );
+
+        if ( ! in_array( $mode, self::MODES, true ) ) {
+            \WP_CLI::error( sprintf(
+                /* translators: %s: list of valid modes */
+                __( 'Invalid mode. Use one of: %s.', 'phrasematch' ),
+                implode( ', ', self::MODES )
+            ) );
+        }
+
+        $post_types = $this->get_post_types( $assoc_args );
+        $sources    = $this->get_sources( $assoc_args );
+        $results    = $this->scanner->scan( $matcher, $post_types, $this->get_statuses( $assoc_args ), $sources, $this->get_contexts( $assoc_args ) );
+
+        $this->audit_log->log_scan( get_current_user_id(), 'cli', $matcher->get_phrase(), $post_types, $sources );
+
+        if ( empty( $results ) ) {
+            \WP_CLI::success( __( 'No matches found. Nothing to do.', 'phrasematch' ) );
+            return;
+        }
+
+        $grouped = $this->group_occurrences( $results, $mode, $replacement );
+        $titles  = wp_list_pluck( $results, 'title', 'object_key' );
+
+        if ( ! $dry_run ) {
+            \WP_CLI::confirm(
+                sprintf(
+                    /* translators: 1: number of matches, 2: number of items */
+                    __( 'Modify %1$d match(es) in %2$d item(s)?', 'phrasematch' ),
+                    count( $results ),
+                    count( $grouped )
+                ),
+                $assoc_args
+            );
+        }
+
+        $status       = $propose ? 'pending' : 'applied';
+        $changeset_id = $dry_run ? 0 : $this->journal->create_changeset( get_current_user_id(), $matcher->get_phrase(), $matcher->get_options(), $status );
+        $progress     = $dry_run ? null : \WP_CLI\Utils\make_progress_bar( __( 'Modifying items', 'phrasematch' ), count( $grouped ) );
+        $rows         = [];
+        $failed       = 0;
+
+        foreach ( $grouped as $object_key => $occurrences ) {
+            $object_key = (string) $object_key;
+
+            if ( $dry_run ) {
+                $result = $this->remover->preview( $object_key, [ $matcher ], $occurrences );
+            } else {
+                $result = $propose
+                    ? $this->remover->propose( $object_key, [ $matcher ], $occurrences )
+                    : $this->remover->remove( $object_key, [ $matcher ], $occurrences );
+
+                if ( $result['success'] ) {
+                    $this->journal->add_item( $changeset_id, $object_key, $result['before'], $result['after'], $occurrences, $status );
+                }
+
+                $this->audit_log->log_changes( get_current_user_id(), 'cli', $matcher->get_phrase(), $object_key, $occurrences, $result, $result['success'] ? $changeset_id : 0, $propose ? 'propose' : 'apply' );
+            }
+
+            if ( $progress ) {
+                $progress->tick();
+            }
+
+            if ( ! $result['success'] ) {
+                $failed++;
+            }
+
+            $rows[] = [
+                'object_key' => $object_key,
+                'title'      => $titles[ $object_key ],
+                'result'     => $result['success'] ? 'ok' : 'failed',
+                'message'    => $result['message'],
+            ];
+        }
+
+        if ( $progress ) {
+            $progress->finish();
+            $this->journal->finish_changeset( $changeset_id );
+        }
+
+        \WP_CLI\Utils\format_items( 'table', $rows, [ 'object_key', 'title', 'result', 'message' ] );
+
+        $succeeded = count( $rows ) - $failed;
+
+        if ( $dry_run ) {
+            $summary = sprintf(
+                /* translators: 1: number of items, 2: number of items that would fail */
+                __( 'Dry run: %1$d item(s) would be modified, %2$d would fail. Nothing was saved.', 'phrasematch' ),
+                $succeeded,
+                $failed
+            );
+        } elseif ( $propose ) {
+            $summary = sprintf(
+                /* translators: 1: number of items, 2: number of items that failed */
+                __( 'Your changes need approval: proposed changes to %1$d item(s), %2$d failed. Nothing was saved yet.', 'phrasematch' ),
+                $succeeded,
+                $failed
+            );
+
+            if ( $succeeded > 0 && $changeset_id ) {
+                $summary .= ' ' . sprintf(
+                    /* translators: %d: changeset ID */
+                    __( 'Recorded as changeset #%d; approve it from Tools → PhraseMatch → Review.', 'phrasematch' ),
+                    $changeset_id
+                );
+            }
+        } else {
+            $summary = sprintf(
+                /* translators: 1: number of items modified, 2: number of items that failed */
+                __( 'Modified %1$d item(s), %2$d failed.', 'phrasematch' ),
+                $succeeded,
+                $failed
+            );
+
+            if ( $succeeded > 0 && $changeset_id ) {
+                $summary .= ' ' . sprintf(
+                    /* translators: %d: changeset ID */
+                    __( 'Recorded as changeset #%d; revert it from Tools → PhraseMatch → History.', 'phrasematch' ),
+                    $changeset_id
+                );
+            }
+        }
+
+        if ( $failed > 0 ) {
+            \WP_CLI::error( $summary );
+        }
+
+        \WP_CLI::success( $summary );
+    }
+
+    /**
+     * Turn scan results into the per-object occurrence lists Remover expects.
+     *
+     * @param array  $results     Scanner results.
+     * @param string $mode        Removal mode, or 'auto' for the detected wrapping.
+     * @param string $replacement Replacement text; '' to remove.
+     *
+     * @return array<string, array> Object key => list of occurrences.
+     */
+    private function group_occurrences( array $results, string $mode, string $replacement ): array {
+        $grouped = [];
+
+        foreach ( $results as $result ) {
+            $occ_mode = 'auto' === $mode ? $result['wrapping'] : $mode;
+
+            // Titles, menu labels and block attributes have no wrappers; 'plain' is the scanner's name for text_only.
+            if ( in_array( $result['location'], [ 'title', 'menu_item' ], true ) || ! empty( $result['attribute'] ) || ! in_array( $occ_mode, self::MODES, true ) ) {
+                $occ_mode = 'text_only';
+            }
+
+            // An attribute match belongs to the last block of the result's lineage.
+            $block = empty( $result['attribute'] ) ? [] : end( $result['blocks'] );
+
+            $grouped[ $result['object_key'] ][] = [
+                'field'        => $result['field'],
+                'path'         => $result['path'],
+                'adapter'      => $result['adapter'] ?? '',
+                'block'        => empty( $block ) ? [] : $block['path'],
+                'attribute'    => $result['attribute'],
+                'char_offset'  => $result['char_offset'],
+                'mode'         => $occ_mode,
+                'location'     => $result['location'],
+                'replace_with' => $replacement,
+                'content_hash' => $result['content_hash'],
+            ];
+        }
+
+        return $grouped;
+    }
+
+    /**
+     * Flatten a scan result into a row for format_items().
+     *
+     * @param array $result Scanner result.
+     *
+     * @return array Row.
+     */
+    private function format_result( array $result ): array {
+        // The snippet is built for the admin table: escaped HTML with a <mark> around the match.
+        $snippet = str_replace( [ '<mark>', '</mark>' ], '', $result['snippet'] );
+        $snippet = html_entity_decode( $snippet, ENT_QUOTES, 'UTF-8' );
+
+        return [
+            'object_key'   => $result['object_key'],
+            'post_id'      => $result['post_id'],
+            'post_type'    => $result['post_type'],
+            'post_status'  => $result['post_status'],
+            'title'        => $result['title'],
+            'location'     => $result['location'],
+            'field'        => $result['field'],
+            'field_label'  => $result['field_label'],
+            'block'        => implode( ' > ', wp_list_pluck( $result['blocks'], 'name' ) ),
+            'offset'       => $result['char_offset'],
+            'match_length' => $result['match_length'],
+            'wrapping'     => $result['wrapping'],
+            'context'      => $result['context'],
+            'snippet'      => preg_replace( '/\s+/', ' ', $snippet ),
+            'edit_url'     => (string) $result['edit_url'],
+        ];
+    }
+
+    /**
+     * Build the Matcher from the phrase and match flags, exiting on an invalid pattern.
+     *
+     * @param string $phrase     Phrase or pattern.
+     * @param array  $assoc_args Associative arguments.
+     *
+     * @return Matcher Matcher.
+     */
+    private function get_matcher( string $phrase, array $assoc_args ): Matcher {
+        $matcher = new Matcher( $phrase, [
+            'case_sensitive' => (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'case-sensitive', false ),
+            'whole_word'     => (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'whole-word', false ),
+            'regex'          => (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'regex', false ),
+            'ignore_accents' => (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'ignore-accents', false ),
+            'visible_text'   => (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'visible-text', false ),
+        ] );
+
+        if ( '' !== $matcher->get_error() ) {
+            \WP_CLI::error( $matcher->get_error() );
+        }
+
+        return $matcher;
+    }
+
+    /**
+     * Parse --post_type, exiting when a type is not registered.
+     *
+     * @param array $assoc_args Associative arguments.
+     *
+     * @return string[] Post types.
+     */
+    private function get_post_types( array $assoc_args ): array {
+        $post_types = array_map( 'sanitize_key', wp_parse_list( $assoc_args['post_type'] ?? 'post,page' ) );
+        $unknown    = array_diff( $post_types, get_post_types() );
+
+        if ( empty( $post_types ) ) {
+            \WP_CLI::error( __( 'Please specify at least one post type.', 'phrasematch' ) );
+        }
+
+        if ( ! empty( $unknown ) ) {
+            \WP_CLI::error( sprintf(
+                /* translators: %s: comma-separated post types */
+                __( 'Unknown post type(s): %s.', 'phrasematch' ),
+                implode( ', ', $unknown )
+            ) );
+        }
+
+        return $post_types;
+    }
+
+    /**
+     * Parse --source, exiting when a source is unknown.
+     *
+     * @param array $assoc_args Associative arguments.
+     *
+     * @return string[] Sources.
+     */
+    private function get_sources( array $assoc_args ): array {
+        $sources = array_map( 'sanitize_key', wp_parse_list( $assoc_args['source'] ?? implode( ',', Scanner::DEFAULT_SOURCES ) ) );
+        $unknown = array_diff( $sources, Scanner::SOURCES );
+
+        if ( empty( $sources ) || ! empty( $unknown ) ) {
+            \WP_CLI::error( sprintf(
+                /* translators: %s: list of valid sources */
+                __( 'Invalid source. Use one or more of: %s.', 'phrasematch' ),
+                implode( ', ', Scanner::SOURCES )
+            ) );
+        }
+
+        return $sources;
+    }
+
+    /**
+     * Parse --context, exiting when a context is unknown.
+     *
+     * @param array $assoc_args Associative arguments.
+     *
+     * @return string[] Match contexts.
+     */
+    private function get_contexts( array $assoc_args ): array {
+        $contexts = array_map( 'sanitize_key', wp_parse_list( $assoc_args['context'] ?? implode( ',', Match_Context::DEFAULT_CONTEXTS ) ) );
+        $unknown  = array_diff( $contexts, Match_Context::CONTEXTS );
+
+        if ( empty( $contexts ) || ! empty( $unknown ) ) {
+            \WP_CLI::error( sprintf(
+                /* translators: %s: list of valid contexts */
+                __( 'Invalid context. Use one or more of: %s.', 'phrasematch' ),
+                implode( ', ', Match_Context::CONTEXTS )
+            ) );
+        }
+
+        return $contexts;
+    }
+
+    /**
+     * Parse --status.
+     *
+     * @param array $assoc_args Associative arguments.
+     *
+     * @return string[] Post statuses.
+     */
+    private function get_statuses( array $assoc_args ): array {
+        $statuses = array_map( 'sanitize_key', wp_parse_list( $assoc_args['status'] ?? 'publish' ) );
+
+        if ( empty( $statuses ) ) {
+            \WP_CLI::error( __( 'Please specify at least one post status.', 'phrasematch' ) );
+        }
+
+        return $statuses;
+    }
+}
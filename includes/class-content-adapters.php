@@ -0,0 +1,143 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Registry of the content adapters (see Content_Adapter), and helpers shared
+ * by them.
+ *
+ * Built in are Elementor layouts (`_elementor_data`), serialized arrays (e.g.
+ * ACF or SEO plugin fields) and any other JSON object or array. Add adapters
+ * for other page builders with the `phrasematch_content_adapters` filter; the
+ * first adapter that supports a field decodes it, so put specific adapters
+ * before generic ones.
+ */
+class Content_Adapters {
+
+    /**
+     * Registered adapters by name, once loaded.
+     *
+     * @var array<string, Content_Adapter>|null
+     */
+    private static ?array $adapters = null;
+
+    /**
+     * Get the registered adapters, most specific first.
+     *
+     * @return array<string, Content_Adapter> Adapters by name.
+     */
+    public static function get_all(): array {
+        if ( null === self::$adapters ) {
+            self::$adapters = [];
+
+            $adapters = (array) apply_filters( 'phrasematch_content_adapters', [
+                new Elementor_Adapter(),
+                new Serialized_Adapter(),
+                new Json_Adapter(),
+            ] );
+
+            foreach ( $adapters as $adapter ) {
+                if ( $adapter instanceof Content_Adapter ) {
+                    self::$adapters[ $adapter->get_name() ] = $adapter;
+                }
+            }
+        }
+
+        return self::$adapters;
+    }
+
+    /**
+     * Get an adapter by name.
+     *
+     * @param string $name Adapter name.
+     */
+    public static function get( string $name ): ?Content_Adapter {
+        return self::get_all()[ $name ] ?? null;
+    }
+
+    /**
+     * Find the adapter that decodes a custom field.
+     *
+     * @param string $meta_key Meta key.
+     * @param string $raw      Raw meta value.
+     *
+     * @return Content_Adapter|null Null for plain text.
+     */
+    public static function find( string $meta_key, string $raw ): ?Content_Adapter {
+        foreach ( self::get_all() as $adapter ) {
+            if ( $adapter->supports( $meta_key, $raw ) ) {
+                return $adapter;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect the strings inside a decoded value, with their paths.
+     *
+     * @param mixed $data  Decoded value.
+     * @param array $path  Path of $data.
+     * @param int   $depth Remaining nesting depth.
+     *
+     * @return array<int, array{path: array, value: string}>
+     */
+    public static function get_string_leaves( $data, array $path = [], int $depth = 10 ): array {
+        if ( is_string( $data ) ) {
+            // A scalar has no path to address it by.
+            return empty( $path ) ? [] : [ [ 'path' => $path, 'value' => $data ] ];
+        }
+
+        if ( ( ! is_array( $data ) && ! $data instanceof \stdClass ) || 0 === $depth ) {
+            return [];
+        }
+
+        $leaves = [];
+        foreach ( (array) $data as $key => $value ) {
+            $leaves = array_merge( $leaves, self::get_string_leaves( $value, array_merge( $path, [ $key ] ), $depth - 1 ) );
+        }
+
+        return $leaves;
+    }
+
+    /**
+     * Get the value at a path inside decoded data (arrays and plain objects).
+     *
+     * @param mixed $data Decoded value.
+     * @param array $path Keys to follow.
+     *
+     * @return mixed Value, or null when the path does not exist.
+     */
+    public static function get_at_path( $data, array $path ) {
+        foreach ( $path as $segment ) {
+            if ( is_array( $data ) && array_key_exists( $segment, $data ) ) {
+                $data = $data[ $segment ];
+            } elseif ( $data instanceof \stdClass && property_exists( $data, (string) $segment ) ) {
+                $data = $data->{$segment};
+            } else {
+                return null;
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Readable form of a path: keys joined by "›", list indexes counted from 1.
+     *
+     * @param array $path Keys.
+     *
+     * @return string Label, e.g. "tabs › #2 › tab_title".
+     */
+    public static function get_path_label( array $path ): string {
+        return implode( ' › ', array_map( static function ( $key ): string {
+            return is_int( $key ) ? '#' . ( $key + 1 ) : (string) $key;
+        }, $path ) );
+    }
+}
@@ -0,0 +1,475 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Reads and writes the text fields PhraseMatch can modify, for every kind of object.
+ *
+ * Objects are addressed by an object key, fields by name:
+ *
+ *  - post:{ID}           post_title, post_content, post_excerpt, meta:{meta_id}
+ *  - term:{term_id}      description
+ *  - comment:{ID}        comment_content
+ *  - widget:{widget_id}  any top-level string setting of the instance, e.g. text or content
+ *
+ * Values are the raw strings as stored: meta values stay serialized, so a value
+ * can be written back exactly as it was read (e.g. when reverting). Writes go
+ * through the WordPress APIs so caches are invalidated and hooks run.
+ */
+class Content_Store {
+
+    /**
+     * Object types and the pattern their ID must match.
+     */
+    private const KEY_PATTERNS = [
+        'post'    => '/^\d+$/',
+        'term'    => '/^\d+$/',
+        'comment' => '/^\d+$/',
+        'widget'  => '/^[a-z0-9_-]+-\d+$/',
+    ];
+
+    /**
+     * Build an object key.
+     *
+     * @param string     $type Object type: post, term, comment or widget.
+     * @param int|string $id   Object ID (widget ID for widgets).
+     *
+     * @return string Object key, e.g. 'post:12'.
+     */
+    public static function key( string $type, $id ): string {
+        return $type . ':' . $id;
+    }
+
+    /**
+     * Split an object key into its type and ID.
+     *
+     * @param string $key Object key.
+     *
+     * @return array{type: string, id: string}|null Null for malformed keys.
+     */
+    public static function parse_key( string $key ): ?array {
+        $parts = explode( ':', $key, 2 );
+
+        if ( 2 !== count( $parts ) || ! isset( self::KEY_PATTERNS[ $parts[0] ] ) || ! preg_match( self::KEY_PATTERNS[ $parts[0] ], $parts[1] ) ) {
+            return null;
+        }
+
+        return [
+            'type' => $parts[0],
+            'id'   => $parts[1],
+        ];
+    }
+
+    /**
+     * Fingerprint of a raw field value. Scan results carry the fingerprint of
+     * their field so that an edit made after the scan is noticed before the
+     * field is modified (see Remover).
+     *
+     * @param string $raw Raw field value.
+     *
+     * @return string Hash.
+     */
+    public static function hash( string $raw ): string {
+        return md5( $raw );
+    }
+
+    /**
+     * Last modification time of an object.
+     *
+     * @param string $key Object key.
+     *
+     * @return string GMT MySQL datetime; '' for objects that do not record it (terms, comments, widgets).
+     */
+    public function get_modified( string $key ): string {
+        $parsed = self::parse_key( $key );
+        $post   = null !== $parsed && 'post' === $parsed['type'] ? get_post( (int) $parsed['id'] ) : null;
+
+        return $post ? (string) $post->post_modified_gmt : '';
+    }
+
+    /**
+     * Read raw field values.
+     *
+     * @param string   $key    Object key.
+     * @param string[] $fields Field names.
+     *
+     * @return array<string, string>|null Field => value, or null when the object
+     *                                    or one of the fields does not exist.
+     */
+    public function read( string $key, array $fields ): ?array {
+        $parsed = self::parse_key( $key );
+        if ( null === $parsed ) {
+            return null;
+        }
+
+        $object = $this->get_object( $parsed );
+        if ( null === $object ) {
+            return null;
+        }
+
+        $values = [];
+        foreach ( $fields as $field ) {
+            $value = $this->read_field( $parsed, $object, $field );
+            if ( null === $value ) {
+                return null;
+            }
+            $values[ $field ] = $value;
+        }
+
+        return $values;
+    }
+
+    /**
+     * Write raw field values.
+     *
+     * @param string                $key    Object key.
+     * @param array<string, string> $values Field => value.
+     *
+     * @return true|\WP_Error
+     */
+    public function write( string $key, array $values ) {
+        $parsed = self::parse_key( $key );
+        $object = null === $parsed ? null : $this->get_object( $parsed );
+
+        if ( null === $object ) {
+            return new \WP_Error( 'phrasematch_not_found', __( 'The item no longer exists.', 'phrasematch' ) );
+        }
+
+        switch ( $parsed['type'] ) {
+            case 'post':
+                return $this->write_post( $object, $values );
+
+            case 'term':
+                // wp_update_term() expects slashed data.
+                $result = wp_update_term( $object->term_id, $object->taxonomy, wp_slash( [
+                    'description' => $values['description'] ?? $object->description,
+                ] ) );
+                return is_wp_error( $result ) ? $result : true;
+
+            case 'comment':
+                // wp_update_comment() expects slashed data.
+                $result = wp_update_comment( wp_slash( [
+                    'comment_ID'      => $object->comment_ID,
+                    'comment_content' => $values['comment_content'] ?? $object->comment_content,
+                ] ), true );
+                return is_wp_error( $result ) ? $result : true;
+
+            case 'widget':
+                return $this->write_widget( $parsed['id'], $values );
+        }
+
+        return new \WP_Error( 'phrasematch_not_found', __( 'The item no longer exists.', 'phrasematch' ) );
+    }
+
+    /**
+     * Name of the user who has an object open in the editor right now, going by
+     * the post edit lock. Only posts are locked.
+     *
+     * @param string $key Object key.
+     *
+     * @return string User name, or empty string when nobody else is editing it.
+     */
+    public function get_lock_holder( string $key ): string {
+        $parsed = self::parse_key( $key );
+
+        if ( null === $parsed || 'post' !== $parsed['type'] ) {
+            return '';
+        }
+
+        if ( ! function_exists( 'wp_check_post_lock' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/post.php';
+        }
+
+        $lock_user = wp_check_post_lock( (int) $parsed['id'] );
+
+        if ( ! $lock_user ) {
+            return '';
+        }
+
+        $user = get_userdata( $lock_user );
+
+        return $user ? $user->display_name : __( 'another user', 'phrasematch' );
+    }
+
+    /**
+     * Human-readable name of an object, e.g. a post title or "Comment by …".
+     *
+     * @param string $key Object key.
+     *
+     * @return string Label.
+     */
+    public function get_label( string $key ): string {
+        $parsed = self::parse_key( $key );
+        $object = null === $parsed ? null : $this->get_object( $parsed );
+
+        if ( null === $object ) {
+            return $key;
+        }
+
+        switch ( $parsed['type'] ) {
+            case 'post':
+                return get_the_title( $object );
+
+            case 'term':
+                return $object->name;
+
+            case 'comment':
+                return sprintf(
+                    /* translators: 1: comment author, 2: post title */
+                    __( 'Comment by %1$s on “%2$s”', 'phrasematch' ),
+                    $object->comment_author,
+                    get_the_title( (int) $object->comment_post_ID )
+                );
+
+            case 'widget':
+                if ( ! empty( $object['title'] ) && is_string( $object['title'] ) ) {
+                    return $object['title'];
+                }
+                /* translators: %s: widget ID, e.g. text-2 */
+                return sprintf( __( 'Widget %s', 'phrasematch' ), $parsed['id'] );
+        }
+
+        return $key;
+    }
+
+    /**
+     * Human-readable name of a field, e.g. "Content" or "Custom field: seo_description".
+     *
+     * @param string $key   Object key.
+     * @param string $field Field name.
+     *
+     * @return string Label.
+     */
+    public function get_field_label( string $key, string $field ): string {
+        $labels = [
+            'post_title'      => 0 === strpos( $key, 'post:' ) && 'nav_menu_item' === get_post_type( (int) substr( $key, 5 ) )
+                ? __( 'Menu item label', 'phrasematch' )
+                : __( 'Title', 'phrasematch' ),
+            'post_content'    => __( 'Content', 'phrasematch' ),
+            'post_excerpt'    => __( 'Excerpt', 'phrasematch' ),
+            'description'     => __( 'Description', 'phrasematch' ),
+            'comment_content' => __( 'Comment', 'phrasematch' ),
+        ];
+
+        if ( isset( $labels[ $field ] ) ) {
+            return $labels[ $field ];
+        }
+
+        $meta = $this->get_meta_row( $field );
+        if ( null !== $meta ) {
+            /* translators: %s: meta key */
+            return sprintf( __( 'Custom field: %s', 'phrasematch' ), $meta->meta_key );
+        }
+
+        /* translators: %s: widget setting name, e.g. text */
+        return sprintf( __( 'Widget setting: %s', 'phrasematch' ), $field );
+    }
+
+    /**
+     * Admin URL where the object can be edited.
+     *
+     * @param string $key Object key.
+     *
+     * @return string URL, or '' when the object does not exist.
+     */
+    public function get_edit_url( string $key ): string {
+        $parsed = self::parse_key( $key );
+        $object = null === $parsed ? null : $this->get_object( $parsed );
+
+        if ( null === $object ) {
+            return '';
+        }
+
+        switch ( $parsed['type'] ) {
+            case 'post':
+                return 'nav_menu_item' === $object->post_type
+                    ? admin_url( 'nav-menus.php' )
+                    : (string) get_edit_post_link( $object->ID, 'raw' );
+
+            case 'term':
+                return (string) get_edit_term_link( $object->term_id, $object->taxonomy );
+
+            case 'comment':
+                return admin_url( 'comment.php?action=editcomment&c=' . $object->comment_ID );
+
+            case 'widget':
+                return admin_url( 'widgets.php' );
+        }
+
+        return '';
+    }
+
+    /**
+     * Split a widget ID such as "custom_html-3" into its base and instance number.
+     *
+     * @param string $widget_id Widget ID.
+     *
+     * @return array{0: string, 1: int}
+     */
+    public static function split_widget_id( string $widget_id ): array {
+        $pos = (int) strrpos( $widget_id, '-' );
+
+        return [ substr( $widget_id, 0, $pos ), (int) substr( $widget_id, $pos + 1 ) ];
+    }
+
+    /**
+     * Load the object behind a parsed key.
+     *
+     * @param array $parsed Parsed key.
+     *
+     * @return \WP_Post|\WP_Term|\WP_Comment|array|null Widget instances are arrays.
+     */
+    private function get_object( array $parsed ) {
+        switch ( $parsed['type'] ) {
+            case 'post':
+                return get_post( (int) $parsed['id'] );
+
+            case 'term':
+                $term = get_term( (int) $parsed['id'] );
+                return $term instanceof \WP_Term ? $term : null;
+
+            case 'comment':
+                return get_comment( (int) $parsed['id'] );
+
+            case 'widget':
+                list( $id_base, $number ) = self::split_widget_id( $parsed['id'] );
+                $instances                = get_option( 'widget_' . $id_base );
+                return is_array( $instances ) && isset( $instances[ $number ] ) && is_array( $instances[ $number ] )
+                    ? $instances[ $number ]
+                    : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Read one raw field of a loaded object.
+     *
+     * @param array  $parsed Parsed key.
+     * @param mixed  $object Loaded object.
+     * @param string $field  Field name.
+     *
+     * @return string|null Null when the field does not exist.
+     */
+    private function read_field( array $parsed, $object, string $field ): ?string {
+        switch ( $parsed['type'] ) {
+            case 'post':
+                if ( in_array( $field, [ 'post_title', 'post_content', 'post_excerpt' ], true ) ) {
+                    return (string) $object->$field;
+                }
+
+                $meta = $this->get_meta_row( $field );
+                return null !== $meta && (int) $meta->post_id === (int) $object->ID ? (string) $meta->meta_value : null;
+
+            case 'term':
+                return 'description' === $field ? (string) $object->description : null;
+
+            case 'comment':
+                return 'comment_content' === $field ? (string) $object->comment_content : null;
+
+            case 'widget':
+                return isset( $object[ $field ] ) && is_string( $object[ $field ] ) ? $object[ $field ] : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Write post fields and meta values.
+     *
+     * @param \WP_Post              $post   Post.
+     * @param array<string, string> $values Field => raw value.
+     *
+     * @return true|\WP_Error
+     */
+    private function write_post( \WP_Post $post, array $values ) {
+        $postarr = array_intersect_key( $values, array_flip( [ 'post_title', 'post_content', 'post_excerpt' ] ) );
+
+        if ( ! empty( $postarr ) ) {
+            // wp_update_post() expects slashed data; unslashed content would lose its backslashes.
+            $result = wp_update_post( wp_slash( [ 'ID' => $post->ID ] + $postarr ), true );
+
+            if ( is_wp_error( $result ) ) {
+                return $result;
+            }
+        }
+
+        foreach ( array_diff_key( $values, $postarr ) as $field => $raw ) {
+            $meta = $this->get_meta_row( $field );
+
+            if ( null === $meta || (int) $meta->post_id !== (int) $post->ID ) {
+                return new \WP_Error( 'phrasematch_not_found', __( 'The custom field no longer exists.', 'phrasematch' ) );
+            }
+
+            if ( $raw === $meta->meta_value ) {
+                continue;
+            }
+
+            // update_metadata_by_mid() serializes but, unlike update_post_meta(), does not unslash; hand it the unserialized value.
+            $updated = update_metadata_by_mid( 'post', (int) $meta->meta_id, maybe_unserialize( $raw ) );
+
+            if ( ! $updated ) {
+                return new \WP_Error(
+                    'phrasematch_meta_failed',
+                    /* translators: %s: meta key */
+                    sprintf( __( 'Could not update the custom field %s.', 'phrasematch' ), $meta->meta_key )
+                );
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Write settings of a widget instance.
+     *
+     * @param string                $widget_id Widget ID, e.g. text-2.
+     * @param array<string, string> $values    Setting => value.
+     *
+     * @return true|\WP_Error
+     */
+    private function write_widget( string $widget_id, array $values ) {
+        list( $id_base, $number ) = self::split_widget_id( $widget_id );
+
+        $option    = 'widget_' . $id_base;
+        $instances = get_option( $option );
+
+        if ( ! is_array( $instances ) || ! isset( $instances[ $number ] ) || ! is_array( $instances[ $number ] ) ) {
+            return new \WP_Error( 'phrasematch_not_found', __( 'The widget no longer exists.', 'phrasematch' ) );
+        }
+
+        $instances[ $number ] = array_merge( $instances[ $number ], $values );
+        update_option( $option, $instances );
+
+        return true;
+    }
+
+    /**
+     * Fetch a post meta row by a meta:{meta_id} field name.
+     *
+     * The raw (serialized) value is read directly: get_metadata_by_mid() would
+     * unserialize it.
+     *
+     * @param string $field Field name.
+     *
+     * @return object|null Row with meta_id, post_id, meta_key and meta_value.
+     */
+    private function get_meta_row( string $field ): ?object {
+        global $wpdb;
+
+        if ( ! preg_match( '/^meta:(\d+)$/', $field, $m ) ) {
+            return null;
+        }
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Raw value by meta ID; no API returns it serialized.
+        $row = $wpdb->get_row( $wpdb->prepare( "SELECT meta_id, post_id, meta_key, meta_value FROM {$wpdb->postmeta} WHERE meta_id = %d", (int) $m[1] ) );
+
+        return $row ? $row : null;
+    }
+}
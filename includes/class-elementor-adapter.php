@@ -0,0 +1,168 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Content adapter for Elementor layouts, stored as JSON in `_elementor_data`.
+ *
+ * Only the settings of each element that are known to hold visible text are
+ * searched (see TEXT_SETTINGS), so a change cannot touch layout, style, icon or
+ * animation values that happen to contain the phrase, such as "boxed" or "star".
+ * Strings are labelled by their widget and setting, e.g. "Heading widget › title".
+ */
+class Elementor_Adapter extends Json_Adapter {
+
+    /**
+     * Settings of the built-in widgets that hold visible text, also as fields of
+     * repeater items such as tabs or icon list entries.
+     */
+    private const TEXT_SETTINGS = [
+        'title',
+        'editor',
+        'text',
+        'description',
+        'caption',
+        'content',
+        'heading',
+        'sub_heading',
+        'html',
+        'title_text',
+        'description_text',
+        'title_text_a',
+        'description_text_a',
+        'title_text_b',
+        'description_text_b',
+        'button',
+        'button_text',
+        'tab_title',
+        'tab_content',
+        'testimonial_content',
+        'testimonial_name',
+        'testimonial_job',
+        'alert_title',
+        'alert_description',
+        'blockquote_content',
+        'inner_text',
+        'prefix',
+        'suffix',
+        'before_text',
+        'highlighted_text',
+        'rotating_text',
+        'after_text',
+        'item_text',
+        'period',
+        'footer_additional_info',
+        'ribbon_title',
+        'field_label',
+        'placeholder',
+        'success_message',
+        'read_more_text',
+    ];
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_name(): string {
+        return 'elementor';
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_label(): string {
+        return __( 'Elementor', 'phrasematch' );
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function supports( string $meta_key, string $raw ): bool {
+        return '_elementor_data' === $meta_key && parent::supports( $meta_key, $raw );
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_texts( $data ): array {
+        return $this->get_element_texts( $data, [] );
+    }
+
+    /**
+     * Collect the text settings of a list of elements and of their children.
+     *
+     * @param mixed $elements Elements.
+     * @param array $path     Path of the list.
+     *
+     * @return array<int, array{path: array, value: string, label: string}>
+     */
+    private function get_element_texts( $elements, array $path ): array {
+        if ( ! is_array( $elements ) ) {
+            return [];
+        }
+
+        $texts = [];
+        foreach ( $elements as $index => $element ) {
+            if ( ! $element instanceof \stdClass ) {
+                continue;
+            }
+
+            $element_path = array_merge( $path, [ $index ] );
+            $element_name = $this->get_element_name( $element );
+
+            $leaves = Content_Adapters::get_string_leaves( $element->settings ?? null, array_merge( $element_path, [ 'settings' ] ) );
+            foreach ( $leaves as $leaf ) {
+                $keys = array_slice( $leaf['path'], count( $element_path ) + 1 );
+                if ( ! $this->is_text_setting( $keys ) ) {
+                    continue;
+                }
+
+                $texts[] = $leaf + [ 'label' => $element_name . ' › ' . Content_Adapters::get_path_label( $keys ) ];
+            }
+
+            $texts = array_merge( $texts, $this->get_element_texts( $element->elements ?? null, array_merge( $element_path, [ 'elements' ] ) ) );
+        }
+
+        return $texts;
+    }
+
+    /**
+     * Readable name of an element, e.g. "Heading widget" or "Container".
+     *
+     * @param \stdClass $element Element.
+     */
+    private function get_element_name( \stdClass $element ): string {
+        $type = is_string( $element->elType ?? null ) ? $element->elType : 'element';
+
+        if ( 'widget' === $type && is_string( $element->widgetType ?? null ) ) {
+            /* translators: %s: Elementor widget type, e.g. "Heading" */
+            return sprintf( __( '%s widget', 'phrasematch' ), ucwords( str_replace( [ '-', '_' ], ' ', $element->widgetType ) ) );
+        }
+
+        return ucfirst( $type );
+    }
+
+    /**
+     * Whether a setting, given by its keys below `settings`, holds visible text:
+     * its name, or that of a repeater item's field, is a known text setting.
+     * Filter the names with `phrasematch_elementor_text_settings`, e.g. for the
+     * widgets of an add-on.
+     *
+     * @param array $keys Keys.
+     */
+    private function is_text_setting( array $keys ): bool {
+        $names = array_values( array_filter( $keys, 'is_string' ) );
+        $name  = end( $names );
+
+        if ( false === $name ) {
+            return false;
+        }
+
+        return in_array( $name, (array) apply_filters( 'phrasematch_elementor_text_settings', self::TEXT_SETTINGS ), true );
+    }
+}
@@ -0,0 +1,637 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Renders the History tab: the list of recorded changesets and the detail view
+ * of a single changeset, from which it (or individual items) can be reverted.
+ * Only items the current user can edit are shown (see Capabilities::can_edit_object()).
+ * Also renders the Review tab: the proposed changes that wait for approval,
+ * with a diff of each item.
+ *
+ * Reverting is handled over AJAX by Ajax_Handler::handle_revert(), reviewing
+ * by Ajax_Handler::handle_review().
+ */
+class History_Page {
+
+    /**
+     * Changesets shown per page in the list view.
+     */
+    private const PER_PAGE = 20;
+
+    private Journal $journal;
+    private Content_Store $store;
+
+    public function __construct( Journal $journal, Content_Store $store ) {
+        $this->journal = $journal;
+        $this->store   = $store;
+    }
+
+    /**
+     * Render the list or, when a changeset is requested, its detail view.
+     */
+    public function render(): void {
+        // phpcs:disable WordPress.Security.NonceVerification.Recommended -- Read-only navigation.
+        $changeset_id = isset( $_GET['changeset'] ) ? absint( $_GET['changeset'] ) : 0;
+        $page         = isset( $_GET['paged'] ) ? max( 1, absint( $_GET['paged'] ) ) : 1;
+        // phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+        if ( $changeset_id > 0 ) {
+            $this->render_changeset( $changeset_id );
+        } else {
+            $this->render_list( $page );
+        }
+    }
+
+    /**
+     * Render a page of changesets.
+     *
+     * Only changesets with items the current user can edit are listed, and only
+     * those items are counted.
+     *
+     * @param int $page 1-based page number.
+     */
+    private function render_list( int $page ): void {
+        $visible    = $this->get_visible_counts();
+        $changesets = $this->journal->get_changesets( $page, self::PER_PAGE, array_keys( $visible ) );
+        $pages      = (int) ceil( $changesets['total'] / self::PER_PAGE );
+        ?>
+            <div class="pm-card pm-card-flush">
+                <div class="pm-table-wrap">
+                    <table class="pm-table pm-history-table">
+                        <thead>
+                            <tr>
+                                <th class="pm-col-date"><?php esc_html_e( 'Date', 'phrasematch' ); ?></th>
+                                <th class="pm-col-user"><?php esc_html_e( 'User', 'phrasematch' ); ?></th>
+                                <th><?php esc_html_e( 'Phrase', 'phrasematch' ); ?></th>
+                                <th class="pm-col-count"><?php esc_html_e( 'Posts', 'phrasematch' ); ?></th>
+                                <th class="pm-col-status"><?php esc_html_e( 'Status', 'phrasematch' ); ?></th>
+                                <th class="pm-col-actions"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <?php if ( empty( $changesets['items'] ) ) : ?>
+                                <tr>
+                                    <td colspan="6" class="pm-empty"><?php esc_html_e( 'No changes have been recorded yet.', 'phrasematch' ); ?></td>
+                                </tr>
+                            <?php endif; ?>
+                            <?php foreach ( $changesets['items'] as $changeset ) : ?>
+                                <tr>
+                                    <td><?php echo esc_html( $this->format_date( $changeset['created_at'] ) ); ?></td>
+                                    <td><?php echo esc_html( $this->get_user_name( $changeset['user_id'] ) ); ?></td>
+                                    <td>
+                                        <a class="pm-post-link" href="<?php echo esc_url( Admin_Page::get_changeset_url( $changeset['id'] ) ); ?>">
+                                            <?php echo esc_html( $changeset['phrase'] ); ?>
+                                        </a>
+                                        <span class="pm-post-meta"><?php echo esc_html( $this->describe_match_options( $changeset['match_options'] ) ); ?></span>
+                                    </td>
+                                    <td><?php echo esc_html( (string) $visible[ $changeset['id'] ]['visible'] ); ?></td>
+                                    <td><?php $this->render_status_badge( $changeset['status'] ); ?></td>
+                                    <td>
+                                        <?php if ( $visible[ $changeset['id'] ]['applied'] > 0 && $visible[ $changeset['id'] ]['visible'] === $visible[ $changeset['id'] ]['total'] && $this->can_revert() ) : ?>
+                                            <button type="button" class="button button-small phrasematch-revert-btn" data-changeset="<?php echo esc_attr( (string) $changeset['id'] ); ?>">
+                                                <?php esc_html_e( 'Revert', 'phrasematch' ); ?>
+                                            </button>
+                                        <?php endif; ?>
+                                    </td>
+                                </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                </div>
+                <?php if ( $pages > 1 ) : ?>
+                    <div class="pm-pagination">
+                        <?php
+                        echo wp_kses_post( paginate_links( [
+                            'base'    => add_query_arg( 'paged', '%#%', Admin_Page::get_tab_url( 'history' ) ),
+                            'format'  => '',
+                            'current' => $page,
+                            'total'   => $pages,
+                        ] ) );
+                        ?>
+                    </div>
+                <?php endif; ?>
+            </div>
+            <div id="phrasematch-history-notices"></div>
+        <?php
+    }
+
+    /**
+     * Render a single changeset with its items.
+     *
+     * @param int $changeset_id Changeset ID.
+     */
+    private function render_changeset( int $changeset_id ): void {
+        $changeset = $this->journal->get_changeset( $changeset_id );
+        $items     = null === $changeset ? [] : array_values( array_filter( $changeset['items'], static function ( array $item ): bool {
+            return Capabilities::can_edit_object( get_current_user_id(), $item['object_key'] );
+        } ) );
+
+        if ( empty( $items ) ) {
+            ?>
+            <div class="pm-notice pm-notice-warning"><?php esc_html_e( 'Changeset not found.', 'phrasematch' ); ?></div>
+            <?php
+            return;
+        }
+
+        $hidden      = count( $changeset['items'] ) - count( $items );
+        $has_applied = in_array( 'applied', wp_list_pluck( $items, 'status' ), true );
+        ?>
+            <p><a href="<?php echo esc_url( Admin_Page::get_tab_url( 'history' ) ); ?>">&larr; <?php esc_html_e( 'All changes', 'phrasematch' ); ?></a></p>
+
+            <div class="pm-results-header">
+                <h2 class="pm-results-title">
+                    <?php
+                    printf(
+                        /* translators: 1: changeset ID, 2: phrase */
+                        esc_html__( 'Changeset #%1$d: “%2$s”', 'phrasematch' ),
+                        (int) $changeset['id'],
+                        esc_html( $changeset['phrase'] )
+                    );
+                    ?>
+                </h2>
+                <?php if ( $has_applied && 0 === $hidden && $this->can_revert() ) : ?>
+                    <button type="button" class="button phrasematch-revert-btn" data-changeset="<?php echo esc_attr( (string) $changeset['id'] ); ?>">
+                        <?php esc_html_e( 'Revert Changeset', 'phrasematch' ); ?>
+                    </button>
+                <?php endif; ?>
+            </div>
+
+            <p class="pm-history-meta">
+                <?php
+                printf(
+                    /* translators: 1: date, 2: user name, 3: match options */
+                    esc_html( $this->was_proposed( $changeset ) ? __( 'Proposed %1$s by %2$s · %3$s', 'phrasematch' ) : __( 'Applied %1$s by %2$s · %3$s', 'phrasematch' ) ),
+                    esc_html( $this->format_date( $changeset['created_at'] ) ),
+                    esc_html( $this->get_user_name( $changeset['user_id'] ) ),
+                    esc_html( $this->describe_match_options( $changeset['match_options'] ) )
+                );
+
+                if ( $hidden > 0 ) {
+                    echo ' · ';
+                    printf(
+                        /* translators: %d: number of items */
+                        esc_html( _n( '%d item you cannot edit is not shown.', '%d items you cannot edit are not shown.', $hidden, 'phrasematch' ) ),
+                        (int) $hidden
+                    );
+                }
+                ?>
+            </p>
+
+            <div id="phrasematch-history-notices"></div>
+
+            <div class="pm-card pm-card-flush">
+                <div class="pm-table-wrap">
+                    <table class="pm-table pm-history-table">
+                        <thead>
+                            <tr>
+                                <th class="pm-col-post"><?php esc_html_e( 'Item', 'phrasematch' ); ?></th>
+                                <th><?php esc_html_e( 'Changes', 'phrasematch' ); ?></th>
+                                <th class="pm-col-status"><?php esc_html_e( 'Status', 'phrasematch' ); ?></th>
+                                <th class="pm-col-actions"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <?php foreach ( $items as $item ) : ?>
+                                <?php $edit_url = $this->store->get_edit_url( $item['object_key'] ); ?>
+                                <tr>
+                                    <td>
+                                        <?php if ( $edit_url ) : ?>
+                                            <a class="pm-post-link" href="<?php echo esc_url( $edit_url ); ?>" target="_blank"><?php echo esc_html( $item['title_after'] ?: __( '(no title)', 'phrasematch' ) ); ?></a>
+                                        <?php else : ?>
+                                            <?php echo esc_html( $item['title_after'] ?: __( '(no title)', 'phrasematch' ) ); ?>
+                                        <?php endif; ?>
+                                        <?php if ( $item['title_before'] !== $item['title_after'] ) : ?>
+                                            <span class="pm-post-meta">
+                                                <?php
+                                                /* translators: %s: title before the change */
+                                                echo esc_html( sprintf( __( 'was: %s', 'phrasematch' ), $item['title_before'] ) );
+                                                ?>
+                                            </span>
+                                        <?php endif; ?>
+                                    </td>
+                                    <td>
+                                        <?php echo esc_html( $this->describe_occurrences( $item['occurrences'] ) ); ?>
+                                        <span class="pm-post-meta"><?php echo esc_html( $this->describe_fields( $item ) ); ?></span>
+                                    </td>
+                                    <td>
+                                        <?php $this->render_status_badge( $item['status'] ); ?>
+                                        <?php $this->render_edited_badge( $item ); ?>
+                                        <?php if ( $item['reviewed_by'] ) : ?>
+                                            <span class="pm-post-meta">
+                                                <?php
+                                                /* translators: %s: user name */
+                                                echo esc_html( sprintf( __( 'Reviewed by %s', 'phrasematch' ), $this->get_user_name( $item['reviewed_by'] ) ) );
+                                                ?>
+                                            </span>
+                                        <?php endif; ?>
+                                    </td>
+                                    <td>
+                                        <?php if ( 'applied' === $item['status'] && $this->can_revert() ) : ?>
+                                            <button
+                                                type="button"
+                                                class="button button-small phrasematch-revert-btn"
+                                                data-changeset="<?php echo esc_attr( (string) $changeset['id'] ); ?>"
+                                                data-item="<?php echo esc_attr( (string) $item['id'] ); ?>"
+                                            >
+                                                <?php esc_html_e( 'Revert', 'phrasematch' ); ?>
+                                            </button>
+                                        <?php endif; ?>
+                                    </td>
+                                </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        <?php
+    }
+
+    /**
+     * Count, per changeset, its items, those the current user can edit, and
+     * those of them that are applied.
+     *
+     * @return array<int, array{visible: int, applied: int, total: int}> By changeset ID;
+     *                                                                   only changesets with visible items.
+     */
+    private function get_visible_counts(): array {
+        $user_id = get_current_user_id();
+        $allowed = [];
+        $counts  = [];
+
+        foreach ( $this->journal->get_item_summaries() as $changeset_id => $items ) {
+            $visible = 0;
+            $applied = 0;
+
+            foreach ( $items as $item ) {
+                $key = $item['object_key'];
+
+                if ( ! isset( $allowed[ $key ] ) ) {
+                    $allowed[ $key ] = Capabilities::can_edit_object( $user_id, $key );
+                }
+
+                if ( $allowed[ $key ] ) {
+                    $visible++;
+                    $applied += (int) ( 'applied' === $item['status'] );
+                }
+            }
+
+            if ( $visible > 0 ) {
+                $counts[ $changeset_id ] = [
+                    'visible' => $visible,
+                    'applied' => $applied,
+                    'total'   => count( $items ),
+                ];
+            }
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Whether the current user may revert changes: users whose changes need
+     * approval may not, as reverting saves right away.
+     */
+    private function can_revert(): bool {
+        return current_user_can( Capabilities::MODIFY ) && ! Capabilities::requires_approval( get_current_user_id() );
+    }
+
+    /**
+     * Number of proposed changes on the Review tab of the current user.
+     */
+    public function count_pending(): int {
+        return count( $this->get_review_items() );
+    }
+
+    /**
+     * Proposed changes that wait for approval and concern the current user:
+     * approvers get those of items they can edit, everyone gets their own so
+     * that they can withdraw them.
+     *
+     * @return array<int, array> Pending items, see Journal::get_pending_items().
+     */
+    private function get_review_items(): array {
+        $user_id  = get_current_user_id();
+        $approver = current_user_can( Capabilities::APPROVE );
+
+        return array_values( array_filter( $this->journal->get_pending_items(), static function ( array $item ) use ( $user_id, $approver ): bool {
+            return $user_id === $item['user_id'] || ( $approver && Capabilities::can_edit_object( $user_id, $item['object_key'] ) );
+        } ) );
+    }
+
+    /**
+     * Render the Review tab: the proposed changes that wait for approval, with
+     * their diff and buttons to approve or reject them, or to withdraw one's own.
+     */
+    public function render_review(): void {
+        $items = $this->get_review_items();
+        ?>
+            <p class="pm-history-meta">
+                <?php
+                if ( current_user_can( Capabilities::APPROVE ) ) {
+                    esc_html_e( 'Changes proposed for approval are saved only once they are approved. Approving an item that was edited after the proposal asks before overwriting those edits.', 'phrasematch' );
+                } else {
+                    esc_html_e( 'Your proposed changes are saved once a user who can approve changes approves them. Withdraw a proposal to drop it.', 'phrasematch' );
+                }
+                ?>
+            </p>
+
+            <div id="phrasematch-history-notices"></div>
+
+            <div class="pm-card pm-card-flush">
+                <div class="pm-table-wrap">
+                    <table class="pm-table pm-history-table pm-review-table">
+                        <thead>
+                            <tr>
+                                <th class="pm-col-post"><?php esc_html_e( 'Item', 'phrasematch' ); ?></th>
+                                <th><?php esc_html_e( 'Proposed Changes', 'phrasematch' ); ?></th>
+                                <th class="pm-col-actions"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <?php if ( empty( $items ) ) : ?>
+                                <tr>
+                                    <td colspan="3" class="pm-empty"><?php esc_html_e( 'No changes are waiting for approval.', 'phrasematch' ); ?></td>
+                                </tr>
+                            <?php endif; ?>
+                            <?php foreach ( $items as $item ) : ?>
+                                <?php $edit_url = $this->store->get_edit_url( $item['object_key'] ); ?>
+                                <tr>
+                                    <td>
+                                        <?php if ( $edit_url ) : ?>
+                                            <a class="pm-post-link" href="<?php echo esc_url( $edit_url ); ?>" target="_blank"><?php echo esc_html( $this->store->get_label( $item['object_key'] ) ); ?></a>
+                                        <?php else : ?>
+                                            <?php echo esc_html( $this->store->get_label( $item['object_key'] ) ); ?>
+                                        <?php endif; ?>
+                                        <span class="pm-post-meta">
+                                            <?php
+                                            printf(
+                                                /* translators: 1: user name, 2: date */
+                                                esc_html__( 'Proposed by %1$s, %2$s', 'phrasematch' ),
+                                                esc_html( $this->get_user_name( $item['user_id'] ) ),
+                                                esc_html( $this->format_date( $item['created_at'] ) )
+                                            );
+                                            ?>
+                                        </span>
+                                        <?php $this->render_edited_badge( $item ); ?>
+                                    </td>
+                                    <td>
+                                        <?php
+                                        printf(
+                                            /* translators: 1: phrase, 2: summary of the changes */
+                                            esc_html__( '“%1$s”: %2$s', 'phrasematch' ),
+                                            esc_html( $item['phrase'] ),
+                                            esc_html( $this->describe_occurrences( $item['occurrences'] ) )
+                                        );
+                                        ?>
+                                        <details class="pm-review-diff">
+                                            <summary><?php echo esc_html( $this->describe_fields( $item ) ); ?></summary>
+                                            <div class="pm-diff-post">
+                                                <?php
+                                                foreach ( $item['fields_after'] as $field => $after ) {
+                                                    // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped by wp_text_diff().
+                                                    echo self::render_field_diff( (string) ( $item['fields_before'][ $field ] ?? '' ), (string) $after, $this->store->get_field_label( $item['object_key'], (string) $field ) );
+                                                }
+                                                ?>
+                                            </div>
+                                        </details>
+                                    </td>
+                                    <td>
+                                        <?php if ( get_current_user_id() !== $item['user_id'] ) : ?>
+                                            <button
+                                                type="button"
+                                                class="button button-primary button-small phrasematch-review-btn"
+                                                data-decision="approve"
+                                                data-changeset="<?php echo esc_attr( (string) $item['changeset_id'] ); ?>"
+                                                data-item="<?php echo esc_attr( (string) $item['id'] ); ?>"
+                                            >
+                                                <?php esc_html_e( 'Approve', 'phrasematch' ); ?>
+                                            </button>
+                                        <?php endif; ?>
+                                        <button
+                                            type="button"
+                                            class="button button-small phrasematch-review-btn"
+                                            data-decision="reject"
+                                            data-changeset="<?php echo esc_attr( (string) $item['changeset_id'] ); ?>"
+                                            data-item="<?php echo esc_attr( (string) $item['id'] ); ?>"
+                                        >
+                                            <?php get_current_user_id() !== $item['user_id'] ? esc_html_e( 'Reject', 'phrasematch' ) : esc_html_e( 'Withdraw', 'phrasematch' ); ?>
+                                        </button>
+                                    </td>
+                                </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        <?php
+    }
+
+    /**
+     * Render a side-by-side diff table of one field, or '' when it is unchanged.
+     *
+     * Serialized and JSON values are shown as indented JSON, so a change in a
+     * long page builder layout gets a short diff.
+     *
+     * @param string $before Raw value before the change.
+     * @param string $after  Raw value after the change.
+     * @param string $label  Field label shown above the diff.
+     *
+     * @return string Diff HTML (escaped by wp_text_diff()).
+     */
+    public static function render_field_diff( string $before, string $after, string $label ): string {
+        if ( $before === $after ) {
+            return '';
+        }
+
+        return wp_text_diff(
+            self::get_diff_text( $before ),
+            self::get_diff_text( $after ),
+            [
+                'title'           => $label,
+                'title_left'      => __( 'Before', 'phrasematch' ),
+                'title_right'     => __( 'After', 'phrasematch' ),
+                'show_split_view' => true,
+            ]
+        );
+    }
+
+    /**
+     * Readable form of a raw field value: serialized and JSON values as indented JSON.
+     *
+     * @param string $raw Raw field value.
+     *
+     * @return string Text to diff.
+     */
+    private static function get_diff_text( string $raw ): string {
+        $data = is_serialized( $raw ) ? maybe_unserialize( $raw ) : ( new Json_Adapter() )->decode( $raw );
+
+        if ( null === $data ) {
+            return $raw;
+        }
+
+        return (string) wp_json_encode( $data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+    }
+
+    /**
+     * Whether a changeset was proposed for approval rather than applied right away.
+     *
+     * @param array $changeset Changeset with its items.
+     */
+    private function was_proposed( array $changeset ): bool {
+        foreach ( $changeset['items'] as $item ) {
+            if ( 'pending' === $item['status'] || $item['reviewed_by'] ) {
+                return true;
+            }
+        }
+
+        return 'pending' === $changeset['status'] || 'rejected' === $changeset['status'];
+    }
+
+    /**
+     * Render the warning badge of an item whose object was edited after it was recorded.
+     *
+     * @param array $item Changeset item with its `modified_since` flag.
+     */
+    private function render_edited_badge( array $item ): void {
+        if ( ! $item['modified_since'] ) {
+            return;
+        }
+
+        $title = 'pending' === $item['status']
+            ? __( 'The item was edited after these changes were proposed. Approving them will discard those edits.', 'phrasematch' )
+            : __( 'The item was edited after this change. Reverting will discard those edits.', 'phrasematch' );
+        ?>
+            <span class="pm-badge pm-badge-warning" title="<?php echo esc_attr( $title ); ?>">
+                <?php esc_html_e( 'Edited since', 'phrasematch' ); ?>
+            </span>
+        <?php
+    }
+
+    /**
+     * Render a status badge for a changeset or item status.
+     *
+     * @param string $status Status slug.
+     */
+    private function render_status_badge( string $status ): void {
+        $labels = [
+            'pending'            => __( 'Awaiting approval', 'phrasematch' ),
+            'applied'            => __( 'Applied', 'phrasematch' ),
+            'rejected'           => __( 'Rejected', 'phrasematch' ),
+            'partially_reverted' => __( 'Partially reverted', 'phrasematch' ),
+            'reverted'           => __( 'Reverted', 'phrasematch' ),
+        ];
+
+        printf(
+            '<span class="pm-badge pm-badge-%1$s">%2$s</span>',
+            esc_attr( str_replace( '_', '-', $status ) ),
+            esc_html( $labels[ $status ] ?? $status )
+        );
+    }
+
+    /**
+     * Summarize the occurrences applied to one item, e.g. "2 removed (text only), 1 replaced with “X”".
+     *
+     * @param array $occurrences Occurrences stored with the item.
+     *
+     * @return string Summary.
+     */
+    private function describe_occurrences( array $occurrences ): string {
+        $mode_labels = [
+            'text_only'       => __( 'text only', 'phrasematch' ),
+            'html_element'    => __( 'HTML element', 'phrasematch' ),
+            'gutenberg_block' => __( 'Gutenberg block', 'phrasematch' ),
+            'parent_block'    => __( 'Parent block', 'phrasematch' ),
+        ];
+
+        $removed  = [];
+        $replaced = [];
+        foreach ( $occurrences as $occ ) {
+            if ( '' !== (string) ( $occ['replace_with'] ?? '' ) ) {
+                $replaced[ $occ['replace_with'] ] = ( $replaced[ $occ['replace_with'] ] ?? 0 ) + 1;
+            } else {
+                $mode             = $mode_labels[ $occ['mode'] ?? 'text_only' ] ?? $occ['mode'];
+                $removed[ $mode ] = ( $removed[ $mode ] ?? 0 ) + 1;
+            }
+        }
+
+        $parts = [];
+        foreach ( $removed as $mode => $count ) {
+            /* translators: 1: number of occurrences, 2: removal mode */
+            $parts[] = sprintf( __( '%1$d removed (%2$s)', 'phrasematch' ), $count, $mode );
+        }
+        foreach ( $replaced as $text => $count ) {
+            /* translators: 1: number of occurrences, 2: replacement text */
+            $parts[] = sprintf( __( '%1$d replaced with “%2$s”', 'phrasematch' ), $count, $text );
+        }
+
+        return implode( ', ', $parts );
+    }
+
+    /**
+     * List the fields an item changed, e.g. "Content, Custom field: seo_description".
+     *
+     * @param array $item Changeset item.
+     *
+     * @return string Field labels.
+     */
+    private function describe_fields( array $item ): string {
+        $labels = [];
+        foreach ( array_keys( $item['fields_after'] ) as $field ) {
+            $labels[] = $this->store->get_field_label( $item['object_key'], (string) $field );
+        }
+
+        return implode( ', ', $labels );
+    }
+
+    /**
+     * Describe the enabled match options, e.g. "Whole word, Case-sensitive".
+     *
+     * @param array $options Match options.
+     *
+     * @return string Description.
+     */
+    private function describe_match_options( array $options ): string {
+        $labels = [
+            'case_sensitive' => __( 'Case-sensitive', 'phrasematch' ),
+            'whole_word'     => __( 'Whole word', 'phrasematch' ),
+            'regex'          => __( 'Regular expression', 'phrasematch' ),
+            'ignore_accents' => __( 'Ignore accents', 'phrasematch' ),
+            'visible_text'   => __( 'Across tags and spaces', 'phrasematch' ),
+        ];
+
+        $enabled = array_intersect_key( $labels, array_filter( $options ) );
+
+        return empty( $enabled ) ? __( 'Exact phrase', 'phrasematch' ) : implode( ', ', $enabled );
+    }
+
+    /**
+     * Format a GMT datetime from the journal in the site's timezone.
+     *
+     * @param string $gmt_datetime MySQL datetime in GMT.
+     *
+     * @return string Formatted date.
+     */
+    private function format_date( string $gmt_datetime ): string {
+        return get_date_from_gmt( $gmt_datetime, get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) );
+    }
+
+    /**
+     * Get a user's display name.
+     *
+     * @param int $user_id User ID.
+     *
+     * @return string Display name, or a placeholder for deleted users.
+     */
+    private function get_user_name( int $user_id ): string {
+        $user = get_userdata( $user_id );
+
+        return $user ? $user->display_name : __( '(unknown user)', 'phrasematch' );
+    }
+}
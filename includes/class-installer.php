@@ -0,0 +1,120 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Creates and upgrades the plugin's custom database tables.
+ *
+ * Tables are (re)built with dbDelta() whenever the stored schema version differs
+ * from DB_VERSION, so adding a column only requires updating the schema below
+ * and bumping the version.
+ */
+class Installer {
+
+    /**
+     * Current schema version.
+     */
+    private const DB_VERSION = '4';
+
+    /**
+     * Option holding the installed schema version.
+     */
+    private const VERSION_OPTION = 'phrasematch_db_version';
+
+    /**
+     * Get the full (prefixed) name of a plugin table.
+     *
+     * @param string $name Short table name, e.g. 'changesets'.
+     *
+     * @return string Prefixed table name.
+     */
+    public static function table( string $name ): string {
+        global $wpdb;
+
+        return $wpdb->prefix . 'phrasematch_' . $name;
+    }
+
+    /**
+     * Install the schema if it is missing or outdated.
+     */
+    public static function maybe_upgrade(): void {
+        if ( self::DB_VERSION !== get_option( self::VERSION_OPTION ) ) {
+            self::install();
+        }
+    }
+
+    /**
+     * Create or update all plugin tables. Used as the activation hook.
+     */
+    public static function install(): void {
+        global $wpdb;
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $changesets      = self::table( 'changesets' );
+        $items           = self::table( 'changeset_items' );
+        $audit_log       = self::table( 'audit_log' );
+
+        dbDelta( [
+            "CREATE TABLE {$changesets} (
+                id bigint(20) unsigned NOT NULL auto_increment,
+                user_id bigint(20) unsigned NOT NULL default 0,
+                phrase text NOT NULL,
+                match_options text NOT NULL,
+                status varchar(20) NOT NULL default 'applied',
+                item_count int(11) unsigned NOT NULL default 0,
+                created_at datetime NOT NULL default '0000-00-00 00:00:00',
+                PRIMARY KEY  (id),
+                KEY created_at (created_at)
+            ) {$charset_collate};",
+            "CREATE TABLE {$items} (
+                id bigint(20) unsigned NOT NULL auto_increment,
+                changeset_id bigint(20) unsigned NOT NULL,
+                post_id bigint(20) unsigned NOT NULL,
+                object_key varchar(191) NOT NULL default '',
+                title_before text NOT NULL,
+                title_after text NOT NULL,
+                fields_before longtext NULL,
+                fields_after longtext NULL,
+                occurrences longtext NOT NULL,
+                status varchar(20) NOT NULL default 'applied',
+                reverted_at datetime NULL,
+                reviewed_by bigint(20) unsigned NOT NULL default 0,
+                reviewed_at datetime NULL,
+                PRIMARY KEY  (id),
+                KEY changeset_id (changeset_id),
+                KEY post_id (post_id),
+                KEY status (status)
+            ) {$charset_collate};",
+            "CREATE TABLE {$audit_log} (
+                id bigint(20) unsigned NOT NULL auto_increment,
+                created_at datetime NOT NULL default '0000-00-00 00:00:00',
+                user_id bigint(20) unsigned NOT NULL default 0,
+                action varchar(20) NOT NULL default '',
+                source varchar(20) NOT NULL default '',
+                phrase text NOT NULL,
+                post_id bigint(20) unsigned NOT NULL default 0,
+                object_key varchar(191) NOT NULL default '',
+                location varchar(20) NOT NULL default '',
+                mode varchar(20) NOT NULL default '',
+                replace_with text NOT NULL,
+                success tinyint(1) NOT NULL default 0,
+                message text NOT NULL,
+                changeset_id bigint(20) unsigned NOT NULL default 0,
+                PRIMARY KEY  (id),
+                KEY created_at (created_at),
+                KEY user_id (user_id),
+                KEY post_id (post_id)
+            ) {$charset_collate};",
+        ] );
+
+        update_option( self::VERSION_OPTION, self::DB_VERSION );
+    }
+}
@@ -0,0 +1,702 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Custom tables have no WordPress API; rows change on every write.
+
+/**
+ * Records every modification run as a changeset so it can be rolled back.
+ *
+ * A changeset stores who ran it, the phrase and match options; each of its items
+ * stores the raw values of one object's changed fields (see Content_Store) before
+ * and after the change, plus the occurrences (offset, mode, replacement) that were
+ * applied. Unlike revisions this works for every post type and for terms,
+ * comments, widgets and custom fields, and a whole batch can be reverted at once.
+ *
+ * Items recorded before fields were tracked only hold a post's title and content;
+ * they are read back as post_title/post_content fields.
+ *
+ * A changeset can also be a proposal: its items are computed but not saved, and
+ * wait for another user to approve (which saves them) or reject them, one by
+ * one (see History_Page::render_review()).
+ *
+ * Item statuses: pending | applied | rejected | reverted.
+ * Changeset statuses: pending (items left to review) | applied | partially_reverted | reverted | rejected (every item).
+ */
+class Journal {
+
+    private Content_Store $store;
+
+    public function __construct( Content_Store $store ) {
+        $this->store = $store;
+    }
+
+    /**
+     * Open a new changeset.
+     *
+     * @param int    $user_id       User who runs the modification.
+     * @param string $phrase        The phrase, or the label of the rule set (see Rule_Set::get_label()).
+     * @param array  $match_options The match options used.
+     * @param string $status        'applied', or 'pending' for a proposal.
+     *
+     * @return int Changeset ID (0 when it could not be stored).
+     */
+    public function create_changeset( int $user_id, string $phrase, array $match_options, string $status = 'applied' ): int {
+        global $wpdb;
+
+        $inserted = $wpdb->insert(
+            Installer::table( 'changesets' ),
+            [
+                'user_id'       => $user_id,
+                'phrase'        => $phrase,
+                'match_options' => wp_json_encode( $match_options ),
+                'status'        => $status,
+                'created_at'    => current_time( 'mysql', true ),
+            ],
+            [ '%d', '%s', '%s', '%s', '%s' ]
+        );
+
+        return $inserted ? (int) $wpdb->insert_id : 0;
+    }
+
+    /**
+     * Record one modified object, or one proposed change.
+     *
+     * @param int    $changeset_id Changeset ID.
+     * @param string $object_key   Object key, e.g. 'post:12'.
+     * @param array  $before       Field => raw value before the change.
+     * @param array  $after        Field => raw value as stored after the change, or as proposed.
+     * @param array  $occurrences  The occurrences that were applied (field, path, block, attribute, char_offset, mode, location, replace_with).
+     * @param string $status       'applied', or 'pending' for a proposal.
+     */
+    public function add_item( int $changeset_id, string $object_key, array $before, array $after, array $occurrences, string $status = 'applied' ): void {
+        global $wpdb;
+
+        $parsed = Content_Store::parse_key( $object_key );
+
+        if ( 0 === $changeset_id || null === $parsed ) {
+            return;
+        }
+
+        $label = $this->store->get_label( $object_key );
+
+        $wpdb->insert(
+            Installer::table( 'changeset_items' ),
+            [
+                'changeset_id'  => $changeset_id,
+                'post_id'       => 'post' === $parsed['type'] ? (int) $parsed['id'] : 0,
+                'object_key'    => $object_key,
+                'title_before'  => $before['post_title'] ?? $label,
+                'title_after'   => $after['post_title'] ?? $label,
+                'fields_before' => wp_json_encode( $before ),
+                'fields_after'  => wp_json_encode( $after ),
+                'occurrences'   => wp_json_encode( array_values( $occurrences ) ),
+                'status'        => $status,
+            ],
+            [ '%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s' ]
+        );
+    }
+
+    /**
+     * Close a changeset: store its item count, or delete it when nothing was changed.
+     *
+     * @param int $changeset_id Changeset ID.
+     */
+    public function finish_changeset( int $changeset_id ): void {
+        global $wpdb;
+
+        if ( 0 === $changeset_id ) {
+            return;
+        }
+
+        $items = Installer::table( 'changeset_items' );
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is not user input.
+        $count = (int) $wpdb->get_var( $wpdb->prepare( "SELECT COUNT(*) FROM {$items} WHERE changeset_id = %d", $changeset_id ) );
+
+        if ( 0 === $count ) {
+            $wpdb->delete( Installer::table( 'changesets' ), [ 'id' => $changeset_id ], [ '%d' ] );
+            return;
+        }
+
+        $wpdb->update(
+            Installer::table( 'changesets' ),
+            [ 'item_count' => $count ],
+            [ 'id' => $changeset_id ],
+            [ '%d' ],
+            [ '%d' ]
+        );
+    }
+
+    /**
+     * Get a page of changesets, newest first.
+     *
+     * @param int        $page     1-based page number.
+     * @param int        $per_page Changesets per page.
+     * @param int[]|null $ids      Only these changesets; null for all.
+     *
+     * @return array{items: array<int, array>, total: int}
+     */
+    public function get_changesets( int $page, int $per_page, ?array $ids = null ): array {
+        global $wpdb;
+
+        if ( null !== $ids && empty( $ids ) ) {
+            return [
+                'items' => [],
+                'total' => 0,
+            ];
+        }
+
+        $table  = Installer::table( 'changesets' );
+        $offset = max( 0, $page - 1 ) * $per_page;
+        $where  = null === $ids ? '1=1' : 'id IN (' . implode( ',', array_map( 'intval', $ids ) ) . ')';
+
+        // phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is not user input; IDs are cast to integers.
+        $total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table} WHERE {$where}" );
+        $rows  = $wpdb->get_results(
+            $wpdb->prepare( "SELECT * FROM {$table} WHERE {$where} ORDER BY id DESC LIMIT %d OFFSET %d", $per_page, $offset ),
+            ARRAY_A
+        );
+        // phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+        return [
+            'items' => array_map( [ $this, 'hydrate_changeset' ], $rows ? $rows : [] ),
+            'total' => $total,
+        ];
+    }
+
+    /**
+     * Get the object key and status of the items of every changeset.
+     *
+     * @return array<int, array<int, array{object_key: string, status: string}>> Items by changeset ID.
+     */
+    public function get_item_summaries(): array {
+        global $wpdb;
+
+        $items = Installer::table( 'changeset_items' );
+
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is not user input.
+        $rows      = $wpdb->get_results( "SELECT changeset_id, object_key, status FROM {$items} ORDER BY id ASC", ARRAY_A );
+        $summaries = [];
+
+        foreach ( $rows ? $rows : [] as $row ) {
+            $summaries[ (int) $row['changeset_id'] ][] = [
+                'object_key' => $row['object_key'],
+                'status'     => $row['status'],
+            ];
+        }
+
+        return $summaries;
+    }
+
+    /**
+     * Get a changeset with all of its items.
+     *
+     * Each item carries its `object_key`, the `fields_before` and `fields_after`
+     * maps, and a `modified_since` flag that is true when the object no longer
+     * matches what this changeset stored, i.e. it was edited afterwards (see
+     * is_modified_since()).
+     *
+     * @param int $changeset_id Changeset ID.
+     *
+     * @return array|null The changeset or null when it does not exist.
+     */
+    public function get_changeset( int $changeset_id ): ?array {
+        global $wpdb;
+
+        $table = Installer::table( 'changesets' );
+        $items = Installer::table( 'changeset_items' );
+
+        // phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table names are not user input.
+        $row = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $changeset_id ), ARRAY_A );
+        if ( ! $row ) {
+            return null;
+        }
+
+        $item_rows = $wpdb->get_results(
+            $wpdb->prepare( "SELECT * FROM {$items} WHERE changeset_id = %d ORDER BY id ASC", $changeset_id ),
+            ARRAY_A
+        );
+        // phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+        $changeset          = $this->hydrate_changeset( $row );
+        $changeset['items'] = [];
+
+        foreach ( $item_rows ? $item_rows : [] as $item ) {
+            $item                   = $this->hydrate_item( $item );
+            $item['modified_since'] = in_array( $item['status'], [ 'applied', 'pending' ], true ) && $this->is_modified_since( $item );
+
+            $changeset['items'][] = $item;
+        }
+
+        return $changeset;
+    }
+
+    /**
+     * Get the proposed changes that wait for review, oldest first.
+     *
+     * Each item is shaped like the items of get_changeset(), plus the `phrase`,
+     * `match_options`, proposing `user_id` and `created_at` of its changeset.
+     *
+     * @return array<int, array> Pending items.
+     */
+    public function get_pending_items(): array {
+        global $wpdb;
+
+        $table = Installer::table( 'changesets' );
+        $items = Installer::table( 'changeset_items' );
+
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table names are not user input.
+        $rows = $wpdb->get_results( "SELECT i.*, c.user_id, c.phrase, c.match_options, c.created_at FROM {$items} i INNER JOIN {$table} c ON c.id = i.changeset_id WHERE i.status = 'pending' ORDER BY i.id ASC", ARRAY_A );
+
+        return array_map( function ( array $row ): array {
+            $item                   = $this->hydrate_item( $row );
+            $item['changeset_id']   = (int) $item['changeset_id'];
+            $item['user_id']        = (int) $item['user_id'];
+            $item['match_options']  = json_decode( (string) $item['match_options'], true ) ?: [];
+            $item['modified_since'] = $this->is_modified_since( $item );
+
+            return $item;
+        }, $rows ? $rows : [] );
+    }
+
+    /**
+     * Revert a changeset, or selected items of it, to the stored "before" state.
+     *
+     * Objects edited after the changeset was applied, or open in the editor right
+     * now, are reported as conflicts and nothing is reverted unless $force is
+     * true, in which case those later edits are overwritten. Objects open in the
+     * editor are skipped even then.
+     *
+     * @param int   $changeset_id Changeset ID.
+     * @param int[] $item_ids     Items to revert; empty for all applied items.
+     * @param bool  $force        Revert even objects that were edited since.
+     *
+     * @return array{success: bool, message: string, conflicts: array, results: array}
+     */
+    public function revert( int $changeset_id, array $item_ids, bool $force ): array {
+        $changeset = $this->get_changeset( $changeset_id );
+
+        if ( null === $changeset ) {
+            return [
+                'success'   => false,
+                'message'   => __( 'Changeset not found.', 'phrasematch' ),
+                'conflicts' => [],
+                'results'   => [],
+            ];
+        }
+
+        $targets = $this->select_items( $changeset, $item_ids, 'applied' );
+
+        if ( empty( $targets ) ) {
+            return [
+                'success'   => false,
+                'message'   => __( 'Nothing left to revert in this changeset.', 'phrasematch' ),
+                'conflicts' => [],
+                'results'   => [],
+            ];
+        }
+
+        $conflicts = $this->get_conflicts( $targets );
+
+        if ( ! empty( $conflicts ) && ! $force ) {
+            return [
+                'success'   => false,
+                'message'   => __( 'Some items were edited after this changeset was applied, or are being edited right now.', 'phrasematch' ),
+                'conflicts' => $conflicts,
+                'results'   => [],
+            ];
+        }
+
+        $results = [];
+        foreach ( $targets as $item ) {
+            $results[] = $this->revert_item( $item );
+        }
+
+        $this->refresh_status( $changeset_id );
+
+        return [
+            'success'   => true,
+            'message'   => '',
+            'conflicts' => [],
+            'results'   => $results,
+        ];
+    }
+
+    /**
+     * Approve proposed items of a changeset: save their proposed values.
+     *
+     * Objects edited after the changes were proposed, or open in the editor
+     * right now, are reported as conflicts and nothing is saved unless $force is
+     * true, in which case the proposed values overwrite those edits. Objects
+     * open in the editor are skipped even then.
+     *
+     * @param int   $changeset_id Changeset ID.
+     * @param int[] $item_ids     Items to approve; empty for all pending items.
+     * @param bool  $force        Approve even objects that were edited since.
+     * @param int   $user_id      User who approves.
+     *
+     * @return array{success: bool, message: string, conflicts: array, results: array}
+     */
+    public function approve( int $changeset_id, array $item_ids, bool $force, int $user_id ): array {
+        $changeset = $this->get_changeset( $changeset_id );
+        $targets   = null === $changeset ? [] : $this->select_items( $changeset, $item_ids, 'pending' );
+
+        if ( empty( $targets ) ) {
+            return [
+                'success'   => false,
+                'message'   => __( 'Nothing left to review in this changeset.', 'phrasematch' ),
+                'conflicts' => [],
+                'results'   => [],
+            ];
+        }
+
+        $conflicts = $this->get_conflicts( $targets );
+
+        if ( ! empty( $conflicts ) && ! $force ) {
+            return [
+                'success'   => false,
+                'message'   => __( 'Some items were edited after these changes were proposed, or are being edited right now.', 'phrasematch' ),
+                'conflicts' => $conflicts,
+                'results'   => [],
+            ];
+        }
+
+        $results = [];
+        foreach ( $targets as $item ) {
+            $results[] = $this->approve_item( $item, $user_id );
+        }
+
+        $this->refresh_status( $changeset_id );
+
+        return [
+            'success'   => true,
+            'message'   => '',
+            'conflicts' => [],
+            'results'   => $results,
+        ];
+    }
+
+    /**
+     * Reject proposed items of a changeset; nothing is saved.
+     *
+     * @param int   $changeset_id Changeset ID.
+     * @param int[] $item_ids     Items to reject; empty for all pending items.
+     * @param int   $user_id      User who rejects.
+     *
+     * @return array{success: bool, message: string, conflicts: array, results: array}
+     */
+    public function reject( int $changeset_id, array $item_ids, int $user_id ): array {
+        $changeset = $this->get_changeset( $changeset_id );
+        $targets   = null === $changeset ? [] : $this->select_items( $changeset, $item_ids, 'pending' );
+
+        if ( empty( $targets ) ) {
+            return [
+                'success'   => false,
+                'message'   => __( 'Nothing left to review in this changeset.', 'phrasematch' ),
+                'conflicts' => [],
+                'results'   => [],
+            ];
+        }
+
+        $results = [];
+        foreach ( $targets as $item ) {
+            $this->set_reviewed( $item['id'], 'rejected', $user_id );
+
+            $results[] = [
+                'post_id'    => $item['post_id'],
+                'object_key' => $item['object_key'],
+                'title'      => $this->store->get_label( $item['object_key'] ),
+                'success'    => true,
+                'message'    => __( 'Rejected.', 'phrasematch' ),
+            ];
+        }
+
+        $this->refresh_status( $changeset_id );
+
+        return [
+            'success'   => true,
+            'message'   => '',
+            'conflicts' => [],
+            'results'   => $results,
+        ];
+    }
+
+    /**
+     * Whether the object was changed after this item was recorded: for an applied
+     * item it no longer holds the values saved, for a proposal it no longer holds
+     * the values the changes were computed from.
+     *
+     * @param array $item Changeset item, as returned by get_changeset().
+     */
+    public function is_modified_since( array $item ): bool {
+        $expected = 'pending' === $item['status'] ? $item['fields_before'] : $item['fields_after'];
+        $current  = $this->store->read( $item['object_key'], array_keys( $expected ) );
+
+        return null === $current || $current !== $expected;
+    }
+
+    /**
+     * Get the items of a changeset with a status, limited to the given IDs.
+     *
+     * @param array  $changeset Changeset, as returned by get_changeset().
+     * @param int[]  $item_ids  Item IDs; empty for all.
+     * @param string $status    Item status.
+     *
+     * @return array<int, array> Items.
+     */
+    private function select_items( array $changeset, array $item_ids, string $status ): array {
+        return array_filter( $changeset['items'], static function ( array $item ) use ( $item_ids, $status ): bool {
+            return $status === $item['status'] && ( empty( $item_ids ) || in_array( $item['id'], $item_ids, true ) );
+        } );
+    }
+
+    /**
+     * Describe the items whose object was edited since they were recorded, or
+     * is being edited right now (see Content_Store::get_lock_holder()).
+     *
+     * @param array $items Items, as returned by get_changeset().
+     *
+     * @return array<int, array{item_id: int, post_id: int, object_key: string, title: string, locked_by: string}>
+     */
+    private function get_conflicts( array $items ): array {
+        $conflicts = [];
+
+        foreach ( $items as $item ) {
+            $locked_by = $this->store->get_lock_holder( $item['object_key'] );
+
+            if ( $item['modified_since'] || '' !== $locked_by ) {
+                $conflicts[] = [
+                    'item_id'    => $item['id'],
+                    'post_id'    => $item['post_id'],
+                    'object_key' => $item['object_key'],
+                    'title'      => $this->store->get_label( $item['object_key'] ),
+                    'locked_by'  => $locked_by,
+                ];
+            }
+        }
+
+        return $conflicts;
+    }
+
+    /**
+     * Save one proposed item and mark it applied.
+     *
+     * @param array $item    Pending changeset item.
+     * @param int   $user_id User who approves.
+     *
+     * @return array{post_id: int, object_key: string, title: string, success: bool, message: string}
+     */
+    private function approve_item( array $item, int $user_id ): array {
+        global $wpdb;
+
+        $result = $this->check_unlocked( $item['object_key'] );
+        if ( ! is_wp_error( $result ) ) {
+            $result = $this->store->write( $item['object_key'], $item['fields_after'] );
+        }
+
+        if ( is_wp_error( $result ) ) {
+            return [
+                'post_id'    => $item['post_id'],
+                'object_key' => $item['object_key'],
+                'title'      => $this->store->get_label( $item['object_key'] ),
+                'success'    => false,
+                'message'    => $result->get_error_message(),
+            ];
+        }
+
+        // Store what was actually saved (after filters), so reverting can tell later edits apart.
+        $stored = $this->store->read( $item['object_key'], array_keys( $item['fields_after'] ) );
+        if ( null !== $stored && $stored !== $item['fields_after'] ) {
+            $wpdb->update(
+                Installer::table( 'changeset_items' ),
+                [
+                    'title_after'  => $stored['post_title'] ?? $item['title_after'],
+                    'fields_after' => wp_json_encode( $stored ),
+                ],
+                [ 'id' => $item['id'] ],
+                [ '%s', '%s' ],
+                [ '%d' ]
+            );
+        }
+
+        $this->set_reviewed( $item['id'], 'applied', $user_id );
+
+        return [
+            'post_id'    => $item['post_id'],
+            'object_key' => $item['object_key'],
+            'title'      => $this->store->get_label( $item['object_key'] ),
+            'success'    => true,
+            'message'    => __( 'Approved and saved.', 'phrasematch' ),
+        ];
+    }
+
+    /**
+     * Record the review of a proposed item.
+     *
+     * @param int    $item_id Item ID.
+     * @param string $status  'applied' or 'rejected'.
+     * @param int    $user_id Reviewer.
+     */
+    private function set_reviewed( int $item_id, string $status, int $user_id ): void {
+        global $wpdb;
+
+        $wpdb->update(
+            Installer::table( 'changeset_items' ),
+            [
+                'status'      => $status,
+                'reviewed_by' => $user_id,
+                'reviewed_at' => current_time( 'mysql', true ),
+            ],
+            [ 'id' => $item_id ],
+            [ '%s', '%d', '%s' ],
+            [ '%d' ]
+        );
+    }
+
+    /**
+     * Make sure nobody has an object open in the editor before writing to it.
+     *
+     * @param string $object_key Object key.
+     *
+     * @return true|\WP_Error
+     */
+    private function check_unlocked( string $object_key ) {
+        $lock_holder = $this->store->get_lock_holder( $object_key );
+
+        if ( '' === $lock_holder ) {
+            return true;
+        }
+
+        return new \WP_Error(
+            'phrasematch_locked',
+            sprintf(
+                /* translators: %s: user name */
+                __( 'Skipped: %s is editing this item right now. Try again once they are done.', 'phrasematch' ),
+                $lock_holder
+            )
+        );
+    }
+
+    /**
+     * Restore one object's fields to their "before" values and mark the item reverted.
+     *
+     * @param array $item Changeset item.
+     *
+     * @return array{post_id: int, object_key: string, title: string, success: bool, message: string}
+     */
+    private function revert_item( array $item ): array {
+        global $wpdb;
+
+        $result = $this->check_unlocked( $item['object_key'] );
+        if ( ! is_wp_error( $result ) ) {
+            $result = $this->store->write( $item['object_key'], $item['fields_before'] );
+        }
+
+        if ( is_wp_error( $result ) ) {
+            return [
+                'post_id'    => $item['post_id'],
+                'object_key' => $item['object_key'],
+                'title'      => $this->store->get_label( $item['object_key'] ),
+                'success'    => false,
+                'message'    => $result->get_error_message(),
+            ];
+        }
+
+        $wpdb->update(
+            Installer::table( 'changeset_items' ),
+            [
+                'status'      => 'reverted',
+                'reverted_at' => current_time( 'mysql', true ),
+            ],
+            [ 'id' => $item['id'] ],
+            [ '%s', '%s' ],
+            [ '%d' ]
+        );
+
+        return [
+            'post_id'    => $item['post_id'],
+            'object_key' => $item['object_key'],
+            'title'      => $this->store->get_label( $item['object_key'] ),
+            'success'    => true,
+            'message'    => __( 'Reverted.', 'phrasematch' ),
+        ];
+    }
+
+    /**
+     * Recompute a changeset's status from its items.
+     *
+     * @param int $changeset_id Changeset ID.
+     */
+    private function refresh_status( int $changeset_id ): void {
+        global $wpdb;
+
+        $items = Installer::table( 'changeset_items' );
+
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is not user input.
+        $statuses = $wpdb->get_col( $wpdb->prepare( "SELECT status FROM {$items} WHERE changeset_id = %d", $changeset_id ) );
+
+        // Rejected proposals were never applied; the rest decides the status.
+        $statuses = array_values( array_diff( $statuses, [ 'rejected' ] ) );
+        $reverted = count( array_keys( $statuses, 'reverted', true ) );
+
+        if ( in_array( 'pending', $statuses, true ) ) {
+            $status = 'pending';
+        } elseif ( empty( $statuses ) ) {
+            $status = 'rejected';
+        } elseif ( 0 === $reverted ) {
+            $status = 'applied';
+        } elseif ( count( $statuses ) === $reverted ) {
+            $status = 'reverted';
+        } else {
+            $status = 'partially_reverted';
+        }
+
+        $wpdb->update(
+            Installer::table( 'changesets' ),
+            [ 'status' => $status ],
+            [ 'id' => $changeset_id ],
+            [ '%s' ],
+            [ '%d' ]
+        );
+    }
+
+    /**
+     * Cast a changeset row's fields to their proper types.
+     *
+     * @param array $row Raw database row.
+     *
+     * @return array Changeset.
+     */
+    private function hydrate_changeset( array $row ): array {
+        $row['id']            = (int) $row['id'];
+        $row['user_id']       = (int) $row['user_id'];
+        $row['item_count']    = (int) $row['item_count'];
+        $row['match_options'] = json_decode( (string) $row['match_options'], true ) ?: [];
+
+        return $row;
+    }
+
+    /**
+     * Cast a changeset item row's fields to their proper types and decode its field maps.
+     *
+     * @param array $item Raw database row.
+     *
+     * @return array Changeset item.
+     */
+    private function hydrate_item( array $item ): array {
+        $item['id']          = (int) $item['id'];
+        $item['post_id']     = (int) $item['post_id'];
+        $item['reviewed_by'] = (int) ( $item['reviewed_by'] ?? 0 );
+        $item['occurrences']   = json_decode( (string) $item['occurrences'], true ) ?: [];
+        $item['fields_before'] = json_decode( (string) $item['fields_before'], true ) ?: [];
+        $item['fields_after']  = json_decode( (string) $item['fields_after'], true ) ?: [];
+
+        return $item;
+    }
+}
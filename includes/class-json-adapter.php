@@ -0,0 +1,77 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Content adapter for custom fields holding a JSON object or array.
+ *
+ * Objects are decoded as plain objects rather than arrays, so an empty object
+ * is written back as {} and not as []. The value is encoded again the way it
+ * was stored: slashes and non-ASCII characters stay escaped or unescaped as
+ * they were.
+ */
+class Json_Adapter implements Content_Adapter {
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_name(): string {
+        return 'json';
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_label(): string {
+        return '';
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function supports( string $meta_key, string $raw ): bool {
+        $raw = ltrim( $raw );
+
+        return '' !== $raw && in_array( $raw[0], [ '{', '[' ], true ) && null !== $this->decode( $raw );
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function decode( string $raw ) {
+        $data = json_decode( $raw );
+
+        return is_array( $data ) || $data instanceof \stdClass ? $data : null;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_texts( $data ): array {
+        return array_map( static function ( array $leaf ): array {
+            return $leaf + [ 'label' => Content_Adapters::get_path_label( $leaf['path'] ) ];
+        }, Content_Adapters::get_string_leaves( $data ) );
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function encode( $data, string $raw ): string {
+        $flags = 0;
+
+        if ( false === strpos( $raw, '\/' ) ) {
+            $flags |= JSON_UNESCAPED_SLASHES;
+        }
+        if ( ! preg_match( '/\\\\u[0-9a-fA-F]{4}/', $raw ) ) {
+            $flags |= JSON_UNESCAPED_UNICODE;
+        }
+
+        return (string) wp_json_encode( $data, $flags );
+    }
+}
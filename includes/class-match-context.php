@@ -0,0 +1,248 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Classifies where in a piece of HTML a match was found.
+ *
+ * The Scanner searches raw markup, so a phrase can turn up in places a visitor
+ * never reads and that break the page when edited: an href, an alt text, the
+ * attributes of a shortcode, a code sample or an HTML comment. Each match gets
+ * one of these contexts:
+ *  - text:            Visible text (the default).
+ *  - block_attribute: A block attribute value, reported by the Scanner with its
+ *                     attribute path and safely re-serialized when edited.
+ *  - attribute:       Inside an HTML tag, e.g. an alt, title or class value.
+ *  - url:             A URL, either an href/src-like attribute value or a bare URL in text.
+ *  - shortcode:       The opening or closing tag of a registered shortcode, including its attributes.
+ *  - code:            The content of a code, pre, script, style or textarea element, or a code block.
+ *  - comment:         An HTML comment.
+ *
+ * The markup is tokenized once per string; classify() then looks a match up
+ * against the collected spans, most specific context first.
+ */
+class Match_Context {
+
+    /**
+     * All contexts.
+     */
+    public const CONTEXTS = [ 'text', 'block_attribute', 'attribute', 'url', 'shortcode', 'code', 'comment' ];
+
+    /**
+     * Contexts included in a scan by default: the ones that are safe to edit.
+     */
+    public const DEFAULT_CONTEXTS = [ 'text', 'block_attribute' ];
+
+    /**
+     * Attributes whose value is a URL (or a list of URLs).
+     */
+    private const URL_ATTRIBUTES = [ 'href', 'src', 'srcset', 'action', 'formaction', 'cite', 'poster', 'data', 'background', 'longdesc', 'usemap', 'xlink:href' ];
+
+    /**
+     * Elements whose content is code rather than prose.
+     */
+    private const CODE_ELEMENTS = [ 'code', 'pre', 'script', 'style', 'textarea' ];
+
+    /**
+     * Blocks whose content is code.
+     */
+    private const CODE_BLOCKS = [ 'core/code' ];
+
+    private Block_Tree $tree;
+
+    /**
+     * Spans per context, each a [ start, end ) byte range.
+     *
+     * @var array<string, array<int, int[]>>
+     */
+    private array $spans = [
+        'comment'   => [],
+        'url'       => [],
+        'attribute' => [],
+        'code'      => [],
+        'shortcode' => [],
+        'bare_url'  => [],
+    ];
+
+    /**
+     * @param string     $text The string the matches were found in.
+     * @param Block_Tree $tree Blocks of the string.
+     */
+    public function __construct( string $text, Block_Tree $tree ) {
+        $this->tree = $tree;
+
+        $this->collect_comments( $text );
+        $this->collect_tags( $text );
+        $this->collect_code( $text );
+        $this->collect_shortcodes( $text, 0 );
+
+        if ( preg_match_all( '#\b(?:https?|ftp)://[^\s<>"\'\[\]]+#i', $text, $urls, PREG_OFFSET_CAPTURE ) ) {
+            foreach ( $urls[0] as $url ) {
+                $this->spans['bare_url'][] = [ $url[1], $url[1] + strlen( $url[0] ) ];
+            }
+        }
+    }
+
+    /**
+     * Keep only known contexts.
+     *
+     * @param string[] $contexts Requested contexts.
+     *
+     * @return string[] Valid contexts, in CONTEXTS order.
+     */
+    public static function sanitize_contexts( array $contexts ): array {
+        return array_values( array_intersect( self::CONTEXTS, $contexts ) );
+    }
+
+    /**
+     * Get the context of a match.
+     *
+     * @param int $offset Byte offset of the match.
+     * @param int $length Byte length of the match.
+     *
+     * @return string One of CONTEXTS (never 'block_attribute', which the Scanner assigns itself).
+     */
+    public function classify( int $offset, int $length ): string {
+        foreach ( [ 'comment', 'url', 'attribute', 'code' ] as $context ) {
+            if ( $this->overlaps( $context, $offset, $length ) ) {
+                return $context;
+            }
+        }
+
+        foreach ( $this->tree->get_chain( $offset, $length ) as $block ) {
+            if ( in_array( $block['name'], self::CODE_BLOCKS, true ) ) {
+                return 'code';
+            }
+        }
+
+        if ( $this->overlaps( 'shortcode', $offset, $length ) ) {
+            return 'shortcode';
+        }
+
+        return $this->overlaps( 'bare_url', $offset, $length ) ? 'url' : 'text';
+    }
+
+    /**
+     * Whether a match overlaps any span of a context.
+     *
+     * @param string $context Key of $spans.
+     * @param int    $offset  Byte offset of the match.
+     * @param int    $length  Byte length of the match.
+     *
+     * @return bool
+     */
+    private function overlaps( string $context, int $offset, int $length ): bool {
+        $end = $offset + max( 1, $length );
+
+        foreach ( $this->spans[ $context ] as $span ) {
+            if ( $offset < $span[1] && $end > $span[0] ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Collect HTML comments; an unterminated comment runs to the end of the string.
+     *
+     * @param string $text The string.
+     */
+    private function collect_comments( string $text ): void {
+        if ( preg_match_all( '/<!--.*?(?:-->|$)/s', $text, $comments, PREG_OFFSET_CAPTURE ) ) {
+            foreach ( $comments[0] as $comment ) {
+                $this->spans['comment'][] = [ $comment[1], $comment[1] + strlen( $comment[0] ) ];
+            }
+        }
+    }
+
+    /**
+     * Collect tags: URL attribute values as 'url', the rest of each tag as 'attribute'.
+     *
+     * @param string $text The string.
+     */
+    private function collect_tags( string $text ): void {
+        if ( ! preg_match_all( '#</?[a-zA-Z][^\s/>]*(?:[^>"\']|"[^"]*"|\'[^\']*\')*>#', $text, $tags, PREG_OFFSET_CAPTURE ) ) {
+            return;
+        }
+
+        foreach ( $tags[0] as $tag ) {
+            $this->spans['attribute'][] = [ $tag[1], $tag[1] + strlen( $tag[0] ) ];
+
+            if ( ! preg_match_all( '#([^\s=/>"\']+)\s*=\s*("[^"]*"|\'[^\']*\'|[^\s>"\']+)#', $tag[0], $attributes, PREG_OFFSET_CAPTURE | PREG_SET_ORDER ) ) {
+                continue;
+            }
+
+            foreach ( $attributes as $attribute ) {
+                if ( in_array( strtolower( $attribute[1][0] ), self::URL_ATTRIBUTES, true ) ) {
+                    $start                = $tag[1] + $attribute[2][1];
+                    $this->spans['url'][] = [ $start, $start + strlen( $attribute[2][0] ) ];
+                }
+            }
+        }
+    }
+
+    /**
+     * Collect the content of code-like elements.
+     *
+     * @param string $text The string.
+     */
+    private function collect_code( string $text ): void {
+        $pattern = '#<(' . implode( '|', self::CODE_ELEMENTS ) . ')\b[^>]*>(.*?)</\1\s*>#is';
+
+        if ( preg_match_all( $pattern, $text, $elements, PREG_OFFSET_CAPTURE | PREG_SET_ORDER ) ) {
+            foreach ( $elements as $element ) {
+                $this->spans['code'][] = [ $element[2][1], $element[2][1] + strlen( $element[2][0] ) ];
+            }
+        }
+    }
+
+    /**
+     * Collect the opening and closing tags of registered shortcodes, including
+     * shortcodes nested in another shortcode's content. The content itself is
+     * left to the other contexts.
+     *
+     * @param string $text The string (or shortcode content) to search.
+     * @param int    $base Offset of $text in the whole string.
+     */
+    private function collect_shortcodes( string $text, int $base ): void {
+        global $shortcode_tags;
+
+        if ( empty( $shortcode_tags ) || false === strpos( $text, '[' ) ) {
+            return;
+        }
+
+        if ( ! preg_match_all( '/' . get_shortcode_regex() . '/', $text, $shortcodes, PREG_OFFSET_CAPTURE | PREG_SET_ORDER ) ) {
+            return;
+        }
+
+        foreach ( $shortcodes as $shortcode ) {
+            $start = $base + $shortcode[0][1];
+            $end   = $start + strlen( $shortcode[0][0] );
+
+            // [[tag]] is an escaped shortcode and shows as text.
+            if ( '[' === $shortcode[1][0] && ']' === ( $shortcode[6][0] ?? '' ) ) {
+                continue;
+            }
+
+            if ( ! isset( $shortcode[5] ) || -1 === $shortcode[5][1] ) {
+                $this->spans['shortcode'][] = [ $start, $end ];
+                continue;
+            }
+
+            $content_start = $base + $shortcode[5][1];
+            $content_end   = $content_start + strlen( $shortcode[5][0] );
+
+            $this->spans['shortcode'][] = [ $start, $content_start ];
+            $this->spans['shortcode'][] = [ $content_end, $end ];
+
+            $this->collect_shortcodes( $shortcode[5][0], $content_start );
+        }
+    }
+}
@@ -0,0 +1,717 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Locates a search phrase inside a string according to the selected match options.
+ *
+ * Supported options (they can be combined):
+ *  - case_sensitive: Letter case must match exactly.
+ *  - whole_word:     The match must not be part of a longer word ("cat" does not hit "category").
+ *  - regex:          The phrase is a PCRE pattern without delimiters; replacements may use $1-style groups.
+ *  - ignore_accents: Letters match with or without diacritics ("cafe" hits "café" and
+ *                    "Café" hits "cafe"). Has no effect in regex mode.
+ *  - visible_text:   Match the text as a reader sees it: inline tags are ignored, entities
+ *                    decoded and whitespace (including &nbsp; and line breaks) collapsed, so
+ *                    "limited time offer" hits `limited <strong>time</strong>&nbsp;offer`.
+ *                    The match then covers the raw markup in between (see Visible_Text).
+ *
+ * Matching is UTF-8 aware: case-insensitive matching uses Unicode case folding
+ * ("Ä" matches "ä"), and accented letters may be precomposed or followed by
+ * combining marks. Subjects that are not valid UTF-8 fall back to a byte-wise
+ * search for plain phrases.
+ *
+ * Shared by the Scanner and the Remover so that an occurrence found during a scan
+ * is verified with exactly the same rules before it is modified. Offsets and
+ * lengths are byte positions, consistent with PHP string functions, and always
+ * fall on character boundaries.
+ */
+class Matcher {
+
+    /**
+     * Match options and their defaults.
+     */
+    public const DEFAULT_OPTIONS = [
+        'case_sensitive' => false,
+        'whole_word'     => false,
+        'regex'          => false,
+        'ignore_accents' => false,
+        'visible_text'   => false,
+    ];
+
+    /**
+     * Characters that count as part of a word for whole-word matching.
+     */
+    private const WORD_CHARS = '[\p{L}\p{M}\p{N}_]';
+
+    /**
+     * Unicode ranges searched for accented forms of Latin letters: Latin-1
+     * Supplement, Latin Extended-A and -B, and Latin Extended Additional.
+     */
+    private const ACCENTED_RANGES = [ [ 0xC0, 0x24F ], [ 0x1E00, 0x1EFF ] ];
+
+    /**
+     * Accented variants per base letter, built on first use (see get_accent_variants()).
+     *
+     * @var array<string, string>|null
+     */
+    private static ?array $accent_variants = null;
+
+    private string $phrase;
+    private array $options;
+
+    /**
+     * The literal phrase as searched for; whitespace is collapsed in visible_text mode.
+     */
+    private string $needle;
+
+    /**
+     * Visible text of the last subject searched in visible_text mode, reused while
+     * the Remover verifies several occurrences in the same string.
+     */
+    private ?Visible_Text $view = null;
+    private string $view_subject = '';
+
+    /**
+     * Compiled PCRE pattern, or empty string when a plain substring search is used.
+     */
+    private string $pattern = '';
+
+    /**
+     * Validation error for the phrase/options, or empty string when valid.
+     */
+    private string $error = '';
+
+    /**
+     * @param string $phrase  The phrase (or regular expression) to search for.
+     * @param array  $options Match options, see DEFAULT_OPTIONS.
+     */
+    public function __construct( string $phrase, array $options = [] ) {
+        $this->phrase  = $phrase;
+        $this->options = array_merge( self::DEFAULT_OPTIONS, array_intersect_key( $options, self::DEFAULT_OPTIONS ) );
+        $this->needle  = $phrase;
+
+        // Visible text has single spaces only.
+        if ( $this->options['visible_text'] && ! $this->options['regex'] ) {
+            $this->needle = trim( (string) preg_replace( '/(?:\s|\xC2\xA0)+/', ' ', $phrase ) );
+        }
+
+        if ( '' === $this->needle ) {
+            $this->error = __( 'Please enter a phrase to search for.', 'phrasematch' );
+            return;
+        }
+
+        // Accent folding only applies to literal phrases.
+        if ( $this->options['regex'] ) {
+            $this->options['ignore_accents'] = false;
+        }
+
+        // A byte-wise search is exact only for case-sensitive literal phrases.
+        if ( $this->options['regex'] || $this->options['whole_word'] || $this->options['ignore_accents'] || ! $this->options['case_sensitive'] ) {
+            $this->compile();
+        }
+    }
+
+    /**
+     * Normalize match options received from a request.
+     *
+     * Accepts either a list of enabled option names (as sent by the admin form)
+     * or an option => bool map.
+     *
+     * @param array $raw Raw options.
+     *
+     * @return array<string, bool> Options keyed as in DEFAULT_OPTIONS.
+     */
+    public static function sanitize_options( array $raw ): array {
+        $options = self::DEFAULT_OPTIONS;
+
+        foreach ( $raw as $key => $value ) {
+            $name = sanitize_key( is_int( $key ) ? (string) $value : (string) $key );
+
+            if ( ! array_key_exists( $name, $options ) ) {
+                continue;
+            }
+
+            $options[ $name ] = is_int( $key ) || filter_var( $value, FILTER_VALIDATE_BOOLEAN );
+        }
+
+        return $options;
+    }
+
+    /**
+     * Sanitize a phrase received from a request.
+     *
+     * Regular expressions are kept verbatim (sanitize_text_field() would mangle
+     * patterns such as `<\w+>`); plain phrases are sanitized as text.
+     *
+     * @param string $raw     Unslashed phrase.
+     * @param array  $options Normalized match options.
+     *
+     * @return string Sanitized phrase.
+     */
+    public static function sanitize_phrase( string $raw, array $options ): string {
+        return ! empty( $options['regex'] ) ? wp_check_invalid_utf8( trim( $raw ) ) : sanitize_text_field( $raw );
+    }
+
+    /**
+     * Get the phrase (or pattern) as entered.
+     */
+    public function get_phrase(): string {
+        return $this->phrase;
+    }
+
+    /**
+     * Get the normalized match options.
+     *
+     * @return array<string, bool>
+     */
+    public function get_options(): array {
+        return $this->options;
+    }
+
+    /**
+     * Get a single match option.
+     */
+    public function get_option( string $name ): bool {
+        return ! empty( $this->options[ $name ] );
+    }
+
+    /**
+     * Get the validation error, or empty string when the phrase is usable.
+     */
+    public function get_error(): string {
+        return $this->error;
+    }
+
+    /**
+     * Literal text every match is guaranteed to contain, for use in an SQL LIKE prefilter.
+     *
+     * In regex mode this is the longest run of literal characters the pattern
+     * requires (see get_regex_literal()).
+     *
+     * @return string The literal, or empty string when no literal is known (a regex
+     *                without a required literal, accents ignored, where the database
+     *                collation may not fold them, or visible text, where markup may sit
+     *                between the words).
+     */
+    public function get_like_term(): string {
+        if ( $this->options['ignore_accents'] || $this->options['visible_text'] || '' !== $this->error ) {
+            return '';
+        }
+
+        return $this->options['regex'] ? $this->get_regex_literal() : $this->phrase;
+    }
+
+    /**
+     * Find all non-overlapping matches in the subject.
+     *
+     * @param string $subject The string to search.
+     *
+     * @return array<int, array{offset: int, length: int, text: string, groups: string[]}>
+     */
+    public function find_all( string $subject ): array {
+        if ( '' !== $this->error || '' === $subject ) {
+            return [];
+        }
+
+        if ( ! $this->options['visible_text'] ) {
+            return $this->find_all_in( $subject );
+        }
+
+        $view = $this->get_view( $subject );
+
+        return array_map( function ( array $match ) use ( $subject, $view ): array {
+            return $this->to_raw_match( $subject, $view, $match );
+        }, $this->find_all_in( $view->get_text() ) );
+    }
+
+    /**
+     * Get the match that starts exactly at the given offset, if any.
+     *
+     * @param string $subject The string to check.
+     * @param int    $offset  Byte-offset where the match must start.
+     *
+     * @return array{offset: int, length: int, text: string, groups: string[]}|null
+     */
+    public function match_at( string $subject, int $offset ): ?array {
+        if ( '' !== $this->error || $offset < 0 || $offset >= strlen( $subject ) ) {
+            return null;
+        }
+
+        if ( ! $this->options['visible_text'] ) {
+            return $this->match_at_in( $subject, $offset );
+        }
+
+        $view    = $this->get_view( $subject );
+        $visible = $view->from_raw( $offset );
+        $match   = null === $visible ? null : $this->match_at_in( $view->get_text(), $visible );
+
+        return null === $match ? null : $this->to_raw_match( $subject, $view, $match );
+    }
+
+    /**
+     * Find all non-overlapping matches in a string searched as is.
+     *
+     * @param string $subject The string to search.
+     *
+     * @return array<int, array{offset: int, length: int, text: string, groups: string[]}>
+     */
+    private function find_all_in( string $subject ): array {
+        if ( '' === $subject ) {
+            return [];
+        }
+
+        if ( $this->is_byte_search( $subject ) ) {
+            return $this->find_all_plain( $subject );
+        }
+
+        if ( ! preg_match_all( $this->pattern, $subject, $sets, PREG_SET_ORDER | PREG_OFFSET_CAPTURE ) ) {
+            return [];
+        }
+
+        $matches = [];
+        foreach ( $sets as $set ) {
+            if ( '' === $set[0][0] ) {
+                continue;
+            }
+            $matches[] = $this->build_match( $set );
+        }
+
+        return $matches;
+    }
+
+    /**
+     * Get the match that starts at an offset of a string searched as is.
+     *
+     * @param string $subject The string to check.
+     * @param int    $offset  Byte-offset where the match must start.
+     *
+     * @return array{offset: int, length: int, text: string, groups: string[]}|null
+     */
+    private function match_at_in( string $subject, int $offset ): ?array {
+        if ( $offset < 0 || $offset >= strlen( $subject ) ) {
+            return null;
+        }
+
+        if ( $this->is_byte_search( $subject ) ) {
+            $length  = strlen( $this->needle );
+            $segment = substr( $subject, $offset, $length );
+            $equal   = $this->options['case_sensitive']
+                ? $segment === $this->needle
+                : strtolower( $segment ) === strtolower( $this->needle );
+
+            return $equal ? [
+                'offset' => $offset,
+                'length' => $length,
+                'text'   => $segment,
+                'groups' => [],
+            ] : null;
+        }
+
+        // Matching from the offset (rather than on a substring) keeps lookbehinds working.
+        if ( ! preg_match( $this->pattern, $subject, $set, PREG_OFFSET_CAPTURE, $offset ) ) {
+            return null;
+        }
+
+        if ( $set[0][1] !== $offset || '' === $set[0][0] ) {
+            return null;
+        }
+
+        return $this->build_match( $set );
+    }
+
+    /**
+     * Get the visible text of a subject, reusing the last one when it is the same string.
+     *
+     * @param string $subject Raw subject.
+     *
+     * @return Visible_Text
+     */
+    private function get_view( string $subject ): Visible_Text {
+        if ( null === $this->view || $subject !== $this->view_subject ) {
+            $this->view         = new Visible_Text( $subject );
+            $this->view_subject = $subject;
+        }
+
+        return $this->view;
+    }
+
+    /**
+     * Map a match in the visible text to the raw subject. The text becomes the raw
+     * markup; the groups keep their visible text.
+     *
+     * @param string       $subject Raw subject.
+     * @param Visible_Text $view    Visible text of the subject.
+     * @param array        $match   Match in the visible text.
+     *
+     * @return array{offset: int, length: int, text: string, groups: string[]}
+     */
+    private function to_raw_match( string $subject, Visible_Text $view, array $match ): array {
+        list( $start, $end ) = $view->to_raw( $match['offset'], $match['offset'] + $match['length'] );
+
+        return [
+            'offset' => $start,
+            'length' => $end - $start,
+            'text'   => substr( $subject, $start, $end - $start ),
+            'groups' => $match['groups'],
+        ];
+    }
+
+    /**
+     * Expand capture-group references ($1, ${1}, \1) in a replacement string.
+     *
+     * Only applies in regex mode; otherwise the replacement is used literally.
+     *
+     * @param string $replacement The replacement text.
+     * @param array  $match       A match as returned by find_all()/match_at().
+     *
+     * @return string The expanded replacement.
+     */
+    public function expand_replacement( string $replacement, array $match ): string {
+        if ( ! $this->options['regex'] ) {
+            return $replacement;
+        }
+
+        $groups = array_merge( [ $match['text'] ], $match['groups'] );
+
+        return (string) preg_replace_callback(
+            '/\\\\(\d{1,2})|\$(\d{1,2})|\$\{(\d{1,2})\}/',
+            static function ( array $ref ) use ( $groups ): string {
+                $index = (int) end( $ref );
+                return $groups[ $index ] ?? '';
+            },
+            $replacement
+        );
+    }
+
+    /**
+     * Whether the subject is searched byte by byte rather than with the pattern:
+     * for case-sensitive literal phrases, and for literal phrases in text that is
+     * not valid UTF-8 (which the pattern cannot match).
+     *
+     * @param string $subject The string to search.
+     *
+     * @return bool
+     */
+    private function is_byte_search( string $subject ): bool {
+        if ( '' === $this->pattern ) {
+            return true;
+        }
+
+        return ! $this->options['regex'] && ! $this->options['whole_word'] && 1 !== preg_match( '//u', $subject );
+    }
+
+    /**
+     * Plain substring search, byte by byte.
+     *
+     * @param string $subject The string to search.
+     *
+     * @return array<int, array{offset: int, length: int, text: string, groups: string[]}>
+     */
+    private function find_all_plain( string $subject ): array {
+        $matches    = [];
+        $search_pos = 0;
+        $phrase_len = strlen( $this->needle );
+        $haystack   = $this->options['case_sensitive'] ? $subject : strtolower( $subject );
+        $needle     = $this->options['case_sensitive'] ? $this->needle : strtolower( $this->needle );
+
+        while ( ( $pos = strpos( $haystack, $needle, $search_pos ) ) !== false ) {
+            $matches[]  = [
+                'offset' => $pos,
+                'length' => $phrase_len,
+                'text'   => substr( $subject, $pos, $phrase_len ),
+                'groups' => [],
+            ];
+            $search_pos = $pos + $phrase_len;
+        }
+
+        return $matches;
+    }
+
+    /**
+     * Build a match record from a PREG_OFFSET_CAPTURE set.
+     *
+     * @param array $set One match set (full match followed by capture groups).
+     *
+     * @return array{offset: int, length: int, text: string, groups: string[]}
+     */
+    private function build_match( array $set ): array {
+        $groups = [];
+        foreach ( array_slice( $set, 1, null, true ) as $key => $group ) {
+            if ( is_int( $key ) ) {
+                $groups[] = $group[0];
+            }
+        }
+
+        return [
+            'offset' => $set[0][1],
+            'length' => strlen( $set[0][0] ),
+            'text'   => $set[0][0],
+            'groups' => $groups,
+        ];
+    }
+
+    /**
+     * Compile the PCRE pattern and validate it.
+     */
+    private function compile(): void {
+        // A phrase that is not valid UTF-8 can only be searched for byte by byte.
+        if ( ! $this->options['regex'] && 1 !== preg_match( '//u', $this->needle ) ) {
+            return;
+        }
+
+        if ( $this->options['regex'] ) {
+            $body = $this->escape_delimiter( $this->phrase );
+        } elseif ( $this->options['ignore_accents'] ) {
+            $body = $this->build_accent_pattern( $this->needle );
+        } else {
+            $body = preg_quote( $this->needle, '#' );
+        }
+
+        if ( $this->options['whole_word'] ) {
+            $body = '(?<!' . self::WORD_CHARS . ')(?:' . $body . ')(?!' . self::WORD_CHARS . ')';
+        }
+
+        $pattern = '#' . $body . '#u' . ( $this->options['case_sensitive'] ? '' : 'i' );
+
+        // Capture the compilation warning so it can be reported to the user.
+        $warning = '';
+        set_error_handler( static function ( int $errno, string $errstr ) use ( &$warning ): bool {
+            $warning = $errstr;
+            return true;
+        } );
+        $result = preg_match( $pattern, '' );
+        restore_error_handler();
+
+        if ( false === $result ) {
+            $this->error = sprintf(
+                /* translators: %s: PCRE compilation error */
+                __( 'Invalid regular expression: %s', 'phrasematch' ),
+                '' !== $warning ? preg_replace( '/^preg_match\(\):\s*/', '', $warning ) : __( 'unknown error', 'phrasematch' )
+            );
+            return;
+        }
+
+        if ( 1 === $result ) {
+            $this->error = __( 'Invalid regular expression: the pattern matches an empty string.', 'phrasematch' );
+            return;
+        }
+
+        $this->pattern = $pattern;
+    }
+
+    /**
+     * Build a pattern body in which every letter also matches its accented forms.
+     *
+     * Each letter becomes a class of the letter and its variants (so "e" and "é"
+     * in the phrase both match e, é, è, ê, …), optionally followed by combining
+     * marks for decomposed text. Other characters are matched literally.
+     *
+     * @param string $phrase The phrase.
+     *
+     * @return string Pattern body for "#" delimiters.
+     */
+    private function build_accent_pattern( string $phrase ): string {
+        $variants = self::get_accent_variants();
+        $body     = '';
+
+        foreach ( (array) preg_split( '//u', $phrase, -1, PREG_SPLIT_NO_EMPTY ) as $char ) {
+            $base  = remove_accents( $char, 'en_US' );
+            $body .= isset( $variants[ $base ] ) ? '[' . $variants[ $base ] . ']\p{Mn}*' : preg_quote( $char, '#' );
+        }
+
+        return $body;
+    }
+
+    /**
+     * Map every ASCII letter that has accented forms to a character class body
+     * listing the letter and those forms, e.g. "e" => "eèéêë…".
+     *
+     * Variants are derived from remove_accents() with a neutral locale, so a German
+     * locale's "ä" => "ae" transliteration does not take "ä" away from "a".
+     *
+     * @return array<string, string> Base letter => escaped class body.
+     */
+    private static function get_accent_variants(): array {
+        if ( null !== self::$accent_variants ) {
+            return self::$accent_variants;
+        }
+
+        $chars = [];
+        foreach ( self::ACCENTED_RANGES as $range ) {
+            for ( $code_point = $range[0]; $code_point <= $range[1]; $code_point++ ) {
+                $chars[] = html_entity_decode( '&#' . $code_point . ';', ENT_QUOTES, 'UTF-8' );
+            }
+        }
+
+        // One call for all characters; remove_accents() builds large tables each time.
+        $bases    = explode( "\n", remove_accents( implode( "\n", $chars ), 'en_US' ) );
+        $variants = [];
+
+        foreach ( $chars as $index => $char ) {
+            $base = $bases[ $index ] ?? '';
+
+            if ( 1 === strlen( $base ) && ctype_alpha( $base ) ) {
+                $variants[ $base ] = ( $variants[ $base ] ?? $base ) . $char;
+            }
+        }
+
+        self::$accent_variants = array_map( static function ( string $class ): string {
+            return preg_quote( $class, '#' );
+        }, $variants );
+
+        return self::$accent_variants;
+    }
+
+    /**
+     * Find the longest run of literal characters that every match of the regex contains.
+     *
+     * Only the top level of the pattern is considered: groups, character classes,
+     * escapes such as \d and anything optional end a run, and a pattern with a
+     * top-level alternation, inline options, \Q...\E quoting or an escape that
+     * takes an argument (such as \p{Greek}, \x41 or \k<name>) has no known literal.
+     *
+     * @return string The literal, or empty string when there is none.
+     */
+    private function get_regex_literal(): string {
+        $chars = preg_split( '//u', $this->phrase, -1, PREG_SPLIT_NO_EMPTY );
+
+        if ( false === $chars ) {
+            return '';
+        }
+
+        $count    = count( $chars );
+        $runs     = [];
+        $run      = '';
+        $depth    = 0;
+        $in_class = false;
+        $literal  = false; // Whether the last top-level token was a literal character in $run.
+
+        for ( $i = 0; $i < $count; $i++ ) {
+            $char = $chars[ $i ];
+
+            // Escapes: punctuation is literal; letters and digits are classes, assertions or references.
+            if ( '\\' === $char ) {
+                $next = $chars[ ++$i ] ?? '';
+
+                // Quoting, and escapes whose argument would otherwise be read as literal text.
+                if ( in_array( $next, [ 'Q', 'E', 'p', 'P', 'x', 'N', 'g', 'k', 'o', 'c' ], true ) || ctype_digit( $next ) ) {
+                    return '';
+                }
+
+                if ( 0 === $depth && ! $in_class ) {
+                    if ( '' !== $next && 1 !== preg_match( '/^[\p{L}\p{N}\s]$/u', $next ) ) {
+                        $run    .= $next;
+                        $literal = true;
+                    } else {
+                        $runs[]  = $run;
+                        $run     = '';
+                        $literal = false;
+                    }
+                }
+                continue;
+            }
+
+            if ( $in_class ) {
+                if ( '[' === $char && ':' === ( $chars[ $i + 1 ] ?? '' ) ) {
+                    // POSIX class such as [:alpha:].
+                    while ( $i + 1 < $count && ! ( ':' === $chars[ $i ] && ']' === $chars[ $i + 1 ] ) ) {
+                        $i++;
+                    }
+                    $i++;
+                } elseif ( ']' === $char ) {
+                    $in_class = false;
+                }
+                continue;
+            }
+
+            if ( '[' === $char ) {
+                $in_class = true;
+
+                // A "]" right after "[" or "[^" is part of the class.
+                if ( '^' === ( $chars[ $i + 1 ] ?? '' ) ) {
+                    $i++;
+                }
+                if ( ']' === ( $chars[ $i + 1 ] ?? '' ) ) {
+                    $i++;
+                }
+            } elseif ( '(' === $char ) {
+                // Inline options such as (?i) or (?x) change how the rest is read.
+                if ( '?' === ( $chars[ $i + 1 ] ?? '' ) && 1 === preg_match( '/^[a-zA-Z^-]*[):]/', implode( '', array_slice( $chars, $i + 2, 16 ) ) ) ) {
+                    return '';
+                }
+                $depth++;
+            } elseif ( ')' === $char ) {
+                $depth = max( 0, $depth - 1 );
+            } elseif ( 0 < $depth ) {
+                continue;
+            } elseif ( '|' === $char ) {
+                return '';
+            } elseif ( '?' === $char || '*' === $char || '+' === $char || ( '{' === $char && 1 === preg_match( '/^(\d*),?\d*\}/', implode( '', array_slice( $chars, $i + 1, 16 ) ), $quantifier ) ) ) {
+                // A quantifier that allows zero repetitions makes the character before it optional.
+                $optional = '?' === $char || '*' === $char || ( '{' === $char && 0 === (int) $quantifier[1] );
+
+                if ( $literal && $optional ) {
+                    $run = (string) mb_substr( $run, 0, -1, 'UTF-8' );
+                }
+                if ( '{' === $char ) {
+                    $i += mb_strlen( $quantifier[0], 'UTF-8' );
+                }
+
+                $runs[]  = $run;
+                $run     = '';
+                $literal = false;
+                continue;
+            }
+
+            if ( 0 < $depth || '[' === $char || ')' === $char || '.' === $char || '^' === $char || '$' === $char ) {
+                $runs[]  = $run;
+                $run     = '';
+                $literal = false;
+                continue;
+            }
+
+            $run    .= $char;
+            $literal = true;
+        }
+
+        $runs[] = $run;
+
+        usort( $runs, static function ( string $a, string $b ): int {
+            return strlen( $b ) <=> strlen( $a ) ?: strcmp( $a, $b );
+        } );
+
+        return $runs[0];
+    }
+
+    /**
+     * Escape unescaped "#" delimiters in a user-supplied pattern.
+     *
+     * @param string $pattern The raw pattern.
+     *
+     * @return string Pattern safe to wrap in "#" delimiters.
+     */
+    private function escape_delimiter( string $pattern ): string {
+        $escaped = '';
+        $length  = strlen( $pattern );
+
+        for ( $i = 0; $i < $length; $i++ ) {
+            $char = $pattern[ $i ];
+
+            if ( '\\' === $char && $i + 1 < $length ) {
+                $escaped .= $char . $pattern[ ++$i ];
+                continue;
+            }
+
+            $escaped .= '#' === $char ? '\\#' : $char;
+        }
+
+        return $escaped;
+    }
+}
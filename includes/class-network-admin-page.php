@@ -0,0 +1,92 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Renders the PhraseMatch page in Network Admin, which scans the selected sites
+ * of a multisite network and changes their content.
+ *
+ * The page is the Scan tab of Admin_Page with a site picker: admin.js scans the
+ * sites one after the other through the network_* AJAX actions (see
+ * Ajax_Handler), which switch to each site in turn. Results name their site and
+ * are grouped by it, and changes are recorded in the History tab and audit log
+ * of the site they were made on. The page requires Capabilities::NETWORK.
+ */
+class Network_Admin_Page {
+
+    private Admin_Page $admin_page;
+
+    public function __construct( Admin_Page $admin_page ) {
+        $this->admin_page = $admin_page;
+    }
+
+    /**
+     * Get the sites that can be scanned: all sites of the network except archived,
+     * deleted and spam ones.
+     *
+     * @return \WP_Site[]
+     */
+    public static function get_sites(): array {
+        return get_sites( [
+            'network_id' => get_current_network_id(),
+            'archived'   => 0,
+            'deleted'    => 0,
+            'spam'       => 0,
+            'number'     => 0,
+        ] );
+    }
+
+    /**
+     * Whether a site can be scanned, see get_sites().
+     *
+     * @param int $site_id Site ID.
+     */
+    public static function is_scannable_site( int $site_id ): bool {
+        $site = $site_id ? get_site( $site_id ) : null;
+
+        return null !== $site
+            && get_current_network_id() === (int) $site->network_id
+            && ! (int) $site->archived
+            && ! (int) $site->deleted
+            && ! (int) $site->spam;
+    }
+
+    /**
+     * Register the network admin menu item.
+     */
+    public function register_menu(): void {
+        add_menu_page(
+            __( 'PhraseMatch', 'phrasematch' ),
+            __( 'PhraseMatch', 'phrasematch' ),
+            Capabilities::NETWORK,
+            'phrasematch-network',
+            [ $this, 'render' ],
+            'dashicons-search'
+        );
+    }
+
+    /**
+     * Render the network admin page.
+     */
+    public function render(): void {
+        ?>
+        <div class="wrap" id="phrasematch-app">
+
+            <!-- Header -->
+            <div class="pm-header">
+                <h1 class="pm-title"><?php esc_html_e( 'PhraseMatch', 'phrasematch' ); ?> <span class="pm-version"><?php echo esc_html( PHRASEMATCH_VERSION ); ?></span></h1>
+                <p class="pm-subtitle"><?php esc_html_e( 'Find, remove, or replace specific phrases across the sites of your network. Changes are recorded in the History tab of each site.', 'phrasematch' ); ?></p>
+            </div>
+
+            <?php $this->admin_page->render_scan_tab( true ); ?>
+
+        </div>
+        <?php
+    }
+}
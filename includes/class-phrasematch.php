@@ -11,43 +11,82 @@ if ( ! defined( 'ABSPATH' ) ) {
 /**
  * Main plugin orchestrator.
  *
- * Registers the admin menu, enqueues assets, and wires up
- * the AJAX handler so every piece talks to every other piece.
+ * Registers the admin menus, enqueues assets, and wires up
+ * the AJAX handler, REST routes, the saved search scheduler (and,
+ * under WP-CLI, the `wp phrasematch` command) so every piece talks
+ * to every other piece.
  */
 class PhraseMatch {
 
     private Admin_Page $admin_page;
     private Ajax_Handler $ajax_handler;
+    private Rest_Controller $rest_controller;
+    private Scanner $scanner;
+    private Scan_State $scan_state;
+    private Saved_Searches $saved_searches;
+    private Scheduler $scheduler;
 
     /**
      * Initialize the plugin components and hook into WordPress.
      */
     public function init(): void {
-        $scanner            = new Scanner();
-        $remover            = new Remover();
-        $this->admin_page   = new Admin_Page();
-        $this->ajax_handler = new Ajax_Handler( $scanner, $remover );
+        Installer::maybe_upgrade();
 
-        // Register the admin menu page.
+        $store                 = new Content_Store();
+        $this->scanner         = new Scanner( $store );
+        $this->scan_state      = new Scan_State();
+        $this->saved_searches  = new Saved_Searches();
+        $remover               = new Remover( $store );
+        $journal               = new Journal( $store );
+        $audit_log             = new Audit_Log();
+        $this->scheduler       = new Scheduler( $this->saved_searches, $this->scanner, $remover, $journal, $store, $audit_log );
+        $capabilities          = new Capabilities();
+        $settings_page         = new Settings_Page();
+        $audit_log_page        = new Audit_Log_Page( $audit_log, $store );
+        $this->admin_page      = new Admin_Page( new History_Page( $journal, $store ), new Saved_Searches_Page( $this->saved_searches ), $audit_log_page, $settings_page );
+        $network_admin_page    = new Network_Admin_Page( $this->admin_page );
+        $this->ajax_handler    = new Ajax_Handler( $this->scanner, $remover, $this->scan_state, $journal, $store, $this->saved_searches, $this->scheduler, $audit_log, new Render_Preview( $store, $remover ) );
+        $this->rest_controller = new Rest_Controller( $this->scanner, $remover, $journal, $store, $audit_log );
+
+        // Grant the plugin capabilities to administrators, save the role settings and export the audit log.
+        $capabilities->register();
+        $settings_page->register();
+        $audit_log_page->register();
+
+        // Register the admin menu page, and the Network Admin page on multisite.
         add_action( 'admin_menu', [ $this->admin_page, 'register_menu' ] );
+        add_action( 'network_admin_menu', [ $network_admin_page, 'register_menu' ] );
 
-        // Enqueue admin assets only on the plugin page.
+        // Enqueue admin assets only on the plugin pages.
         add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
 
         // Register AJAX actions.
         $this->ajax_handler->register();
+
+        // Run saved searches on their schedule and show their notices.
+        $this->scheduler->register();
+
+        // Register the phrasematch/v1 REST routes.
+        add_action( 'rest_api_init', [ $this->rest_controller, 'register_routes' ] );
+
+        // Register the `wp phrasematch` command.
+        if ( defined( 'WP_CLI' ) && WP_CLI ) {
+            \WP_CLI::add_command( 'phrasematch', new CLI_Command( $this->scanner, $remover, $journal, $audit_log ) );
+        }
     }
 
     /**
-     * Enqueue JS and CSS on the plugin admin page only.
+     * Enqueue JS and CSS on the plugin admin pages only.
      *
      * @param string $hook_suffix The current admin page hook suffix.
      */
     public function enqueue_assets( string $hook_suffix ): void {
-        if ( 'tools_page_phrasematch' !== $hook_suffix ) {
+        if ( ! in_array( $hook_suffix, [ 'tools_page_phrasematch', 'toplevel_page_phrasematch-network' ], true ) ) {
             return;
         }
 
+        $network = is_network_admin();
+
         $css_file = PHRASEMATCH_PLUGIN_DIR . 'assets/css/admin.css';
         $js_file  = PHRASEMATCH_PLUGIN_DIR . 'assets/js/admin.js';
 
@@ -66,10 +105,19 @@ class PhraseMatch {
             true
         );
 
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only: loads a saved search into the form.
+        $search_id    = isset( $_GET['saved_search'] ) && ! $network ? absint( $_GET['saved_search'] ) : 0;
+        $saved_search = $search_id ? $this->saved_searches->get( $search_id ) : null;
+
         wp_localize_script( 'phrasematch-admin', 'PhraseMatchData', [
-            'ajax_url' => admin_url( 'admin-ajax.php' ),
-            'nonce'    => wp_create_nonce( 'phrasematch_nonce' ),
-            'per_page' => 15,
+            'ajax_url'          => admin_url( 'admin-ajax.php' ),
+            'nonce'             => wp_create_nonce( 'phrasematch_nonce' ),
+            'per_page'          => 15,
+            'batch_size'        => $this->scanner->get_batch_size(),
+            'scan_state'        => $network ? null : $this->scan_state->get( get_current_user_id() ),
+            'saved_search'      => $saved_search,
+            'can_remove_blocks' => current_user_can( Capabilities::REMOVE_BLOCKS ),
+            'network'           => $network,
         ] );
     }
 }
@@ -9,156 +9,641 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 /**
- * Handles removal and replacement of phrase occurrences in post titles and content.
+ * Handles removal and replacement of phrase occurrences in any text field the
+ * Scanner reports: post titles, content, excerpts and custom fields, menu item
+ * labels, term descriptions, comments and widget settings.
+ *
+ * Occurrences are addressed by object key and field (see Content_Store), plus a
+ * path and an adapter for values inside structured custom fields (serialized
+ * arrays, JSON, page builder layouts; see Content_Adapter). The raw value is
+ * read and decoded, the string at the path is modified, and the value is encoded
+ * by the same adapter and written back through the WordPress APIs, so serialized
+ * data keeps valid lengths and JSON stays valid.
  *
  * Uses char_offset (byte-offset) to target each occurrence directly.
  * Occurrences are processed from highest offset to lowest so that
  * earlier positions in the string remain valid after each modification.
  *
- * Supports three removal modes (content only — titles always use text_only):
+ * Supports four removal modes (single-line fields such as titles and menu
+ * labels, and block attributes, always use text_only):
  *  - text_only:       Remove just the phrase text.
  *  - html_element:    Remove the wrapping HTML element whose sole content is the phrase.
- *  - gutenberg_block: Remove the entire Gutenberg block (including comment markers).
+ *  - gutenberg_block: Remove the innermost Gutenberg block enclosing the phrase
+ *                     (including comment markers and inner blocks).
+ *  - parent_block:    Remove the block that contains the innermost one, e.g. the
+ *                     group or column around a paragraph.
+ *
+ * Blocks are located with Block_Tree. Text inside block comments is never
+ * edited directly: a phrase in a block attribute is addressed by the block's
+ * path and the attribute's keys, and the block's delimiter is re-serialized.
  *
  * When a non-empty replace_with value is provided, the phrase is substituted
- * with the replacement text (removal mode is ignored).
+ * with the replacement text (removal mode is ignored). In regex mode the
+ * replacement may reference capture groups ($1, ${1} or \1).
+ *
+ * A match found across inline markup (the visible_text option) is edited so the
+ * markup stays balanced: tags whose partner lies outside the match are kept.
+ *
+ * Each occurrence is re-verified with the same Matcher used for the scan, so
+ * match options (case, whole word, regex) apply identically here. preview()
+ * runs the same logic without saving, for the diff shown before confirming.
+ *
+ * An object is left alone when it changed after the scan: each occurrence
+ * carries the hash of its field's raw value at scan time (and, for posts, the
+ * post's modification time), and if any of them no longer matches the object is
+ * skipped as stale rather than editing what may now be a different occurrence.
+ * Posts that another user is editing (the post edit lock) are skipped as well.
+ * Skipped objects are reported with `skipped` set to 'stale' or 'locked'.
+ *
+ * Occurrences of several rules (see Rule_Set) are applied to an object in one
+ * update: each occurrence names its rule and is verified with that rule's
+ * Matcher. When matches of different rules overlap, the occurrence of the
+ * earlier rule is applied and the other is skipped and reported.
  */
 class Remover {
 
     /**
-     * Remove selected occurrences from a single post.
+     * Field modified for each location that maps to a fixed field. Custom fields
+     * and widgets name their field per occurrence.
+     */
+    private const LOCATION_FIELDS = [
+        'title'     => 'post_title',
+        'content'   => 'post_content',
+        'excerpt'   => 'post_excerpt',
+        'menu_item' => 'post_title',
+        'term'      => 'description',
+        'comment'   => 'comment_content',
+    ];
+
+    /**
+     * Locations holding single-line text, where only the phrase itself is removed.
+     */
+    public const TEXT_ONLY_LOCATIONS = [ 'title', 'menu_item' ];
+
+    /**
+     * Removal modes, from narrowest to widest.
+     */
+    public const MODES = [ 'text_only', 'html_element', 'gutenberg_block', 'parent_block' ];
+
+    private Content_Store $store;
+
+    public function __construct( Content_Store $store ) {
+        $this->store = $store;
+    }
+
+    /**
+     * Validate selected occurrences (as sent by a client) and group them by object.
+     *
+     * Each item names its object with `object_key`; `post_id` is accepted for
+     * post items. Unknown modes fall back to text_only, unknown locations to
+     * content, and single-line fields and block attributes are always text_only.
+     * Items without a valid object, field or offset are dropped.
      *
-     * @param int    $post_id      The post ID.
-     * @param string $phrase       The phrase to remove.
-     * @param array  $occurrences  Array of [ 'char_offset' => int, 'mode' => string, 'location' => string, 'replace_with' => string ].
+     * @param array $items List of [ 'object_key', 'field', 'path', 'adapter', 'block', 'attribute', 'char_offset', 'location', 'mode', 'replace_with', 'rule', 'content_hash', 'modified' ].
      *
-     * @return array{success: bool, message: string, revisions_url: string}
+     * @return array<string, array> Object key => list of occurrences, ready for remove() or preview().
      */
-    public function remove( int $post_id, string $phrase, array $occurrences ): array {
-        $post = get_post( $post_id );
+    public function group_occurrences( array $items ): array {
+        $grouped = [];
 
-        if ( ! $post ) {
+        foreach ( $items as $item ) {
+            if ( ! is_array( $item ) ) {
+                continue;
+            }
+
+            $object_key   = isset( $item['object_key'] ) ? (string) $item['object_key'] : Content_Store::key( 'post', absint( $item['post_id'] ?? 0 ) );
+            $mode         = sanitize_key( $item['mode'] ?? 'text_only' );
+            $char_offset  = (int) ( $item['char_offset'] ?? -1 );
+            $location     = sanitize_key( $item['location'] ?? 'content' );
+            $replace_with = isset( $item['replace_with'] ) ? sanitize_text_field( $item['replace_with'] ) : '';
+            $path         = isset( $item['path'] ) && is_array( $item['path'] ) ? $this->sanitize_path( $item['path'] ) : [];
+            $adapter      = sanitize_key( $item['adapter'] ?? '' );
+            $attribute    = isset( $item['attribute'] ) && is_array( $item['attribute'] ) ? $this->sanitize_path( $item['attribute'] ) : [];
+            $block        = isset( $item['block'] ) && is_array( $item['block'] ) ? array_map( 'absint', $item['block'] ) : [];
+            $content_hash = isset( $item['content_hash'] ) && preg_match( '/^[a-f0-9]{32}$/', (string) $item['content_hash'] ) ? (string) $item['content_hash'] : '';
+            $modified     = isset( $item['modified'] ) && preg_match( '/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/', (string) $item['modified'] ) ? (string) $item['modified'] : '';
+
+            if ( null === Content_Store::parse_key( $object_key ) || 'post:0' === $object_key || $char_offset < 0 ) {
+                continue;
+            }
+
+            if ( ! in_array( $mode, self::MODES, true ) ) {
+                $mode = 'text_only';
+            }
+
+            if ( ! in_array( $location, Scanner::SOURCES, true ) ) {
+                $location = 'content';
+            }
+
+            if ( isset( self::LOCATION_FIELDS[ $location ] ) ) {
+                $field = self::LOCATION_FIELDS[ $location ];
+                $path  = [];
+            } else {
+                $field = (string) ( $item['field'] ?? '' );
+
+                if ( 'meta' === $location ? ! preg_match( '/^meta:\d+$/', $field ) : sanitize_key( $field ) !== $field || '' === $field ) {
+                    continue;
+                }
+            }
+
+            // A path is followed in the value as decoded by its adapter.
+            if ( empty( $path ) ) {
+                $adapter = '';
+            } elseif ( '' === $adapter ) {
+                continue;
+            }
+
+            // A block attribute is addressed by the block that holds it.
+            if ( ! empty( $attribute ) && empty( $block ) ) {
+                continue;
+            }
+
+            // Single-line fields and attribute values are always text_only when removing.
+            if ( ( in_array( $location, self::TEXT_ONLY_LOCATIONS, true ) || ! empty( $attribute ) ) && '' === $replace_with ) {
+                $mode = 'text_only';
+            }
+
+            $grouped[ $object_key ][] = [
+                'field'        => $field,
+                'path'         => $path,
+                'adapter'      => $adapter,
+                'block'        => empty( $attribute ) ? [] : $block,
+                'attribute'    => $attribute,
+                'char_offset'  => $char_offset,
+                'mode'         => $mode,
+                'location'     => $location,
+                'replace_with' => $replace_with,
+                'rule'         => absint( $item['rule'] ?? 0 ),
+                'content_hash' => $content_hash,
+                'modified'     => $modified,
+            ];
+        }
+
+        return $grouped;
+    }
+
+    /**
+     * Remove or replace selected occurrences in a single object.
+     *
+     * @param string    $object_key  Object key, e.g. 'post:12'.
+     * @param Matcher[] $matchers    Matcher of each rule used for the scan, by rule index (see Rule_Set::get_matchers()).
+     * @param array     $occurrences Occurrences as returned by group_occurrences().
+     *
+     * On success the result also holds the raw values of the changed fields
+     * before and after the change (as stored), for the change journal. An object
+     * that changed since the scan, or is being edited, is not modified and the
+     * result names the reason in `skipped`.
+     *
+     * @return array{success: bool, message: string, revisions_url: string, skipped?: string, before?: array, after?: array}
+     */
+    public function remove( string $object_key, array $matchers, array $occurrences ): array {
+        $changes = $this->compute( $object_key, $matchers, $occurrences );
+
+        if ( ! $changes['success'] ) {
+            return $changes + [ 'revisions_url' => '' ];
+        }
+
+        if ( ! empty( $changes['after'] ) ) {
+            $result = $this->store->write( $object_key, $changes['after'] );
+
+            if ( is_wp_error( $result ) ) {
+                return [
+                    'success'       => false,
+                    'message'       => $result->get_error_message(),
+                    'revisions_url' => '',
+                ];
+            }
+
+            // Re-read so "after" reflects what was actually stored (after filters).
+            $stored = $this->store->read( $object_key, array_keys( $changes['after'] ) );
+            if ( null !== $stored ) {
+                $changes['after'] = $stored;
+            }
+        }
+
+        return $changes + [ 'revisions_url' => $this->get_revisions_url( $object_key ) ];
+    }
+
+    /**
+     * Dry run of remove(): compute the changed field values without saving anything.
+     *
+     * @param string    $object_key  Object key.
+     * @param Matcher[] $matchers    Matcher of each rule used for the scan, by rule index.
+     * @param array     $occurrences Same shape as for remove().
+     *
+     * @return array{success: bool, message: string, skipped?: string, before?: array, after?: array}
+     */
+    public function preview( string $object_key, array $matchers, array $occurrences ): array {
+        return $this->compute( $object_key, $matchers, $occurrences );
+    }
+
+    /**
+     * Compute the changed field values like preview(), to be stored as a proposal
+     * that is saved only once another user approves it (see Journal::approve()).
+     *
+     * @param string    $object_key  Object key.
+     * @param Matcher[] $matchers    Matcher of each rule used for the scan, by rule index.
+     * @param array     $occurrences Same shape as for remove().
+     *
+     * @return array{success: bool, message: string, revisions_url: string, skipped?: string, before?: array, after?: array}
+     */
+    public function propose( string $object_key, array $matchers, array $occurrences ): array {
+        return $this->compute( $object_key, $matchers, $occurrences, true ) + [ 'revisions_url' => '' ];
+    }
+
+    /**
+     * Read the affected fields and apply the occurrences to them in memory.
+     *
+     * @param string    $object_key  Object key.
+     * @param Matcher[] $matchers    Matcher of each rule used for the scan, by rule index.
+     * @param array     $occurrences Occurrences to apply.
+     * @param bool      $proposed    Whether the changes are proposed rather than made, for the message.
+     *
+     * @return array{success: bool, message: string, skipped?: string, before?: array, after?: array}
+     *               before/after hold only the fields whose value changed.
+     */
+    private function compute( string $object_key, array $matchers, array $occurrences, bool $proposed = false ): array {
+        $before = $this->store->read( $object_key, array_unique( array_column( $occurrences, 'field' ) ) );
+
+        if ( null === $before ) {
             return [
-                'success'       => false,
-                'message'       => __( 'Post not found.', 'phrasematch' ),
-                'revisions_url' => '',
+                'success' => false,
+                'message' => __( 'Item not found.', 'phrasematch' ),
             ];
         }
 
-        $title   = $post->post_title;
-        $content = $post->post_content;
+        $skipped = $this->check_unchanged( $object_key, $before, $occurrences );
+
+        if ( null !== $skipped ) {
+            return $skipped + [ 'success' => false ];
+        }
+
+        $changes = $this->apply( $before, $matchers, $occurrences );
+
+        if ( 0 === $changes['removed'] + $changes['replaced'] ) {
+            return [
+                'success' => false,
+                'message' => __( 'No matching occurrences found to modify.', 'phrasematch' ),
+            ];
+        }
 
-        // Separate title vs content occurrences.
-        $title_occs   = [];
-        $content_occs = [];
+        $after = array_diff_assoc( $changes['values'], $before );
+
+        return [
+            'success' => true,
+            'message' => $this->build_message( $changes['removed'], $changes['replaced'], $changes['skipped'], $proposed ),
+            'before'  => array_intersect_key( $before, $after ),
+            'after'   => $after,
+        ];
+    }
+
+    /**
+     * Make sure an object can be modified safely: it is not being edited by
+     * another user, and none of the fields has changed since the scan.
+     *
+     * Occurrences from clients that send no field hash are checked against the
+     * post's modification time instead; without either they are not checked.
+     *
+     * @param string                $object_key  Object key.
+     * @param array<string, string> $values      Current raw values of the fields.
+     * @param array                 $occurrences Occurrences to apply.
+     *
+     * @return array{skipped: string, message: string}|null Why the object is skipped, or null when it can be modified.
+     */
+    private function check_unchanged( string $object_key, array $values, array $occurrences ): ?array {
+        $lock_holder = $this->store->get_lock_holder( $object_key );
+
+        if ( '' !== $lock_holder ) {
+            return [
+                'skipped' => 'locked',
+                'message' => sprintf(
+                    /* translators: %s: user name */
+                    __( 'Skipped: %s is editing this item right now. Try again once they are done.', 'phrasematch' ),
+                    $lock_holder
+                ),
+            ];
+        }
+
+        $modified = null;
 
         foreach ( $occurrences as $occ ) {
-            $location = $occ['location'] ?? 'content';
-            if ( 'title' === $location ) {
-                $title_occs[] = $occ;
+            if ( '' !== ( $occ['content_hash'] ?? '' ) ) {
+                $stale = Content_Store::hash( $values[ $occ['field'] ] ) !== $occ['content_hash'];
+            } elseif ( '' !== ( $occ['modified'] ?? '' ) ) {
+                $modified = $modified ?? $this->store->get_modified( $object_key );
+                $stale    = $modified !== $occ['modified'];
             } else {
-                $content_occs[] = $occ;
+                $stale = false;
+            }
+
+            if ( $stale ) {
+                return [
+                    'skipped' => 'stale',
+                    'message' => __( 'Skipped: the item was edited after the scan. Rescan it to review its current matches.', 'phrasematch' ),
+                ];
             }
         }
 
+        return null;
+    }
+
+    /**
+     * Apply the occurrences to raw field values in memory.
+     *
+     * @param array<string, string> $values      Field => raw value.
+     * @param Matcher[]             $matchers    Matcher of each rule used for the scan, by rule index.
+     * @param array                 $occurrences Occurrences to apply.
+     *
+     * @return array{values: array<string, string>, removed: int, replaced: int, skipped: int}
+     */
+    private function apply( array $values, array $matchers, array $occurrences ): array {
+        // Group by field and path: each group edits one string.
+        $groups = [];
+        foreach ( $occurrences as $occ ) {
+            $groups[ $occ['field'] . "\0" . wp_json_encode( $occ['path'] ) ][] = $occ;
+        }
+
         $removed_count  = 0;
         $replaced_count = 0;
+        $skipped_count  = 0;
 
-        // --- Process title occurrences (always text_only for removal) ---
-        // Sort by char_offset descending so later offsets are processed first.
-        if ( ! empty( $title_occs ) ) {
-            usort( $title_occs, static function ( array $a, array $b ): int {
-                return (int) $b['char_offset'] <=> (int) $a['char_offset'];
-            } );
+        foreach ( $groups as $group ) {
+            $field   = $group[0]['field'];
+            $path    = $group[0]['path'];
+            $adapter = null;
 
-            foreach ( $title_occs as $occ ) {
-                $offset      = (int) $occ['char_offset'];
-                $replace_with = $occ['replace_with'] ?? '';
+            if ( empty( $path ) ) {
+                $data = null;
+                $text = $values[ $field ];
+            } else {
+                // A string inside a structured value, e.g. an ACF array or an Elementor layout.
+                $adapter = Content_Adapters::get( $group[0]['adapter'] );
+                $data    = null === $adapter ? null : $adapter->decode( $values[ $field ] );
+                $text    = null === $data ? null : Content_Adapters::get_at_path( $data, $path );
 
-                // Verify the phrase is still at this offset (case-insensitive).
-                if ( ! $this->phrase_exists_at( $title, $phrase, $offset ) ) {
+                if ( ! is_string( $text ) ) {
                     continue;
                 }
+            }
+
+            $units = $this->get_units( $text, $this->drop_overlaps( $text, $matchers, $group, $skipped_count ) );
 
-                if ( '' !== $replace_with ) {
-                    $title = $this->replace_at_offset( $title, $phrase, $offset, $replace_with );
-                    $replaced_count++;
+            foreach ( $units as $unit ) {
+                if ( isset( $unit['block'] ) ) {
+                    $changed = $this->apply_to_attribute( $text, $matchers, $unit );
                 } else {
-                    $title = $this->remove_text_only( $title, $phrase, $offset );
-                    $removed_count++;
+                    $changed = $this->apply_occurrence( $text, $matchers, $unit['occurrences'][0], has_blocks( $text ) ? new Block_Tree( $text ) : null );
                 }
+
+                $text            = $changed['text'];
+                $removed_count  += $changed['removed'];
+                $replaced_count += $changed['replaced'];
+                $skipped_count  += $changed['skipped'] ?? 0;
+            }
+
+            if ( 'post_content' === $field ) {
+                // Clean up double blank lines left behind in content.
+                $text = preg_replace( "/(\n\s*){3,}/", "\n\n", $text );
+            } elseif ( 'post_title' === $field ) {
+                // Trim whitespace from titles in case removal left leading/trailing spaces.
+                $text = trim( $text );
             }
+
+            $values[ $field ] = null === $adapter ? $text : $adapter->encode( $this->set_at_path( $data, $path, $text ), $values[ $field ] );
         }
 
-        // --- Process content occurrences ---
-        // Sort by char_offset descending so later offsets are processed first.
-        if ( ! empty( $content_occs ) ) {
-            usort( $content_occs, static function ( array $a, array $b ): int {
-                return (int) $b['char_offset'] <=> (int) $a['char_offset'];
-            } );
+        return [
+            'values'   => $values,
+            'removed'  => $removed_count,
+            'replaced' => $replaced_count,
+            'skipped'  => $skipped_count,
+        ];
+    }
+
+    /**
+     * Drop occurrences that overlap an occurrence of an earlier rule.
+     *
+     * Offsets all refer to the unmodified string, so overlaps are found before
+     * anything is edited: occurrences are taken in rule order, and one whose
+     * match overlaps a match already taken is skipped. Occurrences in block
+     * attributes are left to apply_to_attribute(), which does the same per value.
+     *
+     * @param string    $text        The string the occurrences were found in.
+     * @param Matcher[] $matchers    Matcher of each rule, by rule index.
+     * @param array     $occurrences Occurrences in the string.
+     * @param int       $skipped     Incremented for each occurrence dropped.
+     *
+     * @return array Occurrences to apply.
+     */
+    private function drop_overlaps( string $text, array $matchers, array $occurrences, int &$skipped ): array {
+        $ordered = $occurrences;
+        usort( $ordered, static function ( array $a, array $b ): int {
+            return [ $a['rule'] ?? 0, (int) $a['char_offset'] ] <=> [ $b['rule'] ?? 0, (int) $b['char_offset'] ];
+        } );
 
-            foreach ( $content_occs as $occ ) {
-                $offset       = (int) $occ['char_offset'];
-                $mode         = sanitize_key( $occ['mode'] );
-                $replace_with = $occ['replace_with'] ?? '';
+        $kept  = [];
+        $taken = [];
 
-                // Verify the phrase is still at this offset (case-insensitive).
-                if ( ! $this->phrase_exists_at( $content, $phrase, $offset ) ) {
-                    continue;
-                }
+        foreach ( $ordered as $occ ) {
+            $matcher = $matchers[ $occ['rule'] ?? 0 ] ?? null;
 
-                if ( '' !== $replace_with ) {
-                    $content = $this->replace_at_offset( $content, $phrase, $offset, $replace_with );
-                    $replaced_count++;
-                } else {
-                    $content = $this->remove_at_offset( $content, $phrase, $offset, $mode );
-                    $removed_count++;
+            if ( ! empty( $occ['attribute'] ) || null === $matcher ) {
+                $kept[] = $occ;
+                continue;
+            }
+
+            // Stale occurrences are kept; apply_occurrence() skips them.
+            $match = $matcher->match_at( $text, (int) $occ['char_offset'] );
+            if ( null === $match ) {
+                $kept[] = $occ;
+                continue;
+            }
+
+            $start = $match['offset'];
+            $end   = $start + $match['length'];
+
+            foreach ( $taken as $range ) {
+                if ( $start < $range[1] && $end > $range[0] ) {
+                    ++$skipped;
+                    continue 2;
                 }
             }
+
+            $taken[] = [ $start, $end ];
+            $kept[]  = $occ;
         }
 
-        $modified_count = $removed_count + $replaced_count;
+        return $kept;
+    }
 
-        if ( 0 === $modified_count ) {
-            return [
-                'success'       => false,
-                'message'       => __( 'No matching occurrences found to modify.', 'phrasematch' ),
-                'revisions_url' => '',
-            ];
+    /**
+     * Order the occurrences in one string into edits, from the last position in
+     * the string to the first so that earlier positions stay valid.
+     *
+     * Each occurrence in the text is an edit of its own. Occurrences inside the
+     * same block attribute are one edit, positioned at the start of the block,
+     * since the block's comment delimiter is rewritten as a whole.
+     *
+     * @param string $text        The string being edited.
+     * @param array  $occurrences Occurrences in the string.
+     *
+     * @return array<int, array{position: int, occurrences: array, block?: array}> Edits.
+     */
+    private function get_units( string $text, array $occurrences ): array {
+        $tree  = null;
+        $units = [];
+
+        foreach ( $occurrences as $occ ) {
+            if ( empty( $occ['attribute'] ) ) {
+                $units[] = [
+                    'position'    => (int) $occ['char_offset'],
+                    'occurrences' => [ $occ ],
+                ];
+                continue;
+            }
+
+            $tree  = $tree ?? new Block_Tree( $text );
+            $block = $tree->get_block( $occ['block'] );
+
+            if ( null === $block ) {
+                continue;
+            }
+
+            $key = wp_json_encode( [ $occ['block'], $occ['attribute'] ] );
+            if ( ! isset( $units[ $key ] ) ) {
+                $units[ $key ] = [
+                    'position'    => $block['start'],
+                    'block'       => $block,
+                    'occurrences' => [],
+                ];
+            }
+            $units[ $key ]['occurrences'][] = $occ;
         }
 
-        // Clean up double blank lines left behind in content.
-        $content = preg_replace( "/(\n\s*){3,}/", "\n\n", $content );
+        usort( $units, static function ( array $a, array $b ): int {
+            return $b['position'] <=> $a['position'];
+        } );
 
-        // Trim whitespace from title in case removal left leading/trailing spaces.
-        $title = trim( $title );
+        return $units;
+    }
 
-        $result = wp_update_post(
-            [
-                'ID'           => $post_id,
-                'post_title'   => $title,
-                'post_content' => $content,
-            ],
-            true
-        );
+    /**
+     * Remove or replace a single occurrence.
+     *
+     * @param string          $text     The string being edited.
+     * @param Matcher[]       $matchers Matcher of each rule used for the scan, by rule index.
+     * @param array           $occ      The occurrence.
+     * @param Block_Tree|null $tree     Blocks of the string, or null when it has none.
+     *
+     * @return array{text: string, removed: int, replaced: int} The string and what changed.
+     */
+    private function apply_occurrence( string $text, array $matchers, array $occ, ?Block_Tree $tree ): array {
+        $offset       = (int) $occ['char_offset'];
+        $replace_with = $occ['replace_with'] ?? '';
+        $matcher      = $matchers[ $occ['rule'] ?? 0 ] ?? null;
+        $unchanged    = [
+            'text'     => $text,
+            'removed'  => 0,
+            'replaced' => 0,
+        ];
+
+        if ( null === $matcher ) {
+            return $unchanged;
+        }
+
+        // Verify the phrase is still at this offset.
+        $match = $matcher->match_at( $text, $offset );
+        if ( null === $match ) {
+            return $unchanged;
+        }
+
+        // Block comments are never edited as text; attribute values are addressed by path.
+        if ( null !== $tree && $tree->overlaps_delimiter( $offset, strlen( $match['text'] ) ) ) {
+            return $unchanged;
+        }
+
+        if ( '' !== $replace_with ) {
+            $replacement = $matcher->expand_replacement( $replace_with, $match );
 
-        if ( is_wp_error( $result ) ) {
             return [
-                'success'       => false,
-                'message'       => $result->get_error_message(),
-                'revisions_url' => '',
+                'text'     => $this->replace_at_offset( $text, $match['text'], $offset, $replacement ),
+                'removed'  => 0,
+                'replaced' => 1,
             ];
         }
 
-        // Build revisions URL.
-        $revisions     = wp_get_post_revisions( $post_id, [ 'numberposts' => 1 ] );
-        $revisions_url = '';
-        if ( ! empty( $revisions ) ) {
-            $latest_revision = reset( $revisions );
-            $revisions_url   = admin_url( 'revision.php?revision=' . $latest_revision->ID );
+        return [
+            'text'     => $this->remove_at_offset( $text, $match['text'], $offset, sanitize_key( $occ['mode'] ), $tree ),
+            'removed'  => 1,
+            'replaced' => 0,
+        ];
+    }
+
+    /**
+     * Apply occurrences inside one block attribute and re-serialize the block.
+     *
+     * @param string    $text     The string holding the block.
+     * @param Matcher[] $matchers Matcher of each rule used for the scan, by rule index.
+     * @param array     $unit     Edit from get_units().
+     *
+     * @return array{text: string, removed: int, replaced: int, skipped: int} The string and what changed.
+     */
+    private function apply_to_attribute( string $text, array $matchers, array $unit ): array {
+        $result = [
+            'text'     => $text,
+            'removed'  => 0,
+            'replaced' => 0,
+            'skipped'  => 0,
+        ];
+
+        // Later edits may have shifted sibling blocks; only touch the block the offsets belong to.
+        $block = ( new Block_Tree( $text ) )->get_block( $unit['block']['path'] );
+        if ( null === $block || $block['name'] !== $unit['block']['name'] ) {
+            return $result;
+        }
+
+        $attribute = $unit['occurrences'][0]['attribute'];
+        $value     = Content_Adapters::get_at_path( $block['attrs'], $attribute );
+        if ( ! is_string( $value ) ) {
+            return $result;
+        }
+
+        $attribute_occurrences = array_map( static function ( array $occ ): array {
+            return array_merge( $occ, [ 'attribute' => [] ] );
+        }, $unit['occurrences'] );
+
+        $occurrences = $this->drop_overlaps( $value, $matchers, $attribute_occurrences, $result['skipped'] );
+        usort( $occurrences, static function ( array $a, array $b ): int {
+            return (int) $b['char_offset'] <=> (int) $a['char_offset'];
+        } );
+
+        foreach ( $occurrences as $occ ) {
+            // An attribute value is plain text: there is no wrapper to remove.
+            $changed = $this->apply_occurrence( $value, $matchers, array_merge( $occ, [ 'mode' => 'text_only' ] ), null );
+
+            $value               = $changed['text'];
+            $result['removed']  += $changed['removed'];
+            $result['replaced'] += $changed['replaced'];
+        }
+
+        if ( $result['removed'] + $result['replaced'] > 0 ) {
+            $result['text'] = Block_Tree::replace_attributes( $text, $block, $this->set_at_path( $block['attrs'], $attribute, $value ) );
         }
 
-        // Build a descriptive success message.
+        return $result;
+    }
+
+    /**
+     * Build a descriptive success message, e.g. "Modified 3 occurrence(s): 2 removed, 1 replaced."
+     *
+     * @param int  $removed_count  Occurrences removed.
+     * @param int  $replaced_count Occurrences replaced.
+     * @param int  $skipped_count  Occurrences skipped because they overlap another rule's.
+     * @param bool $proposed       Whether the changes were proposed for approval rather than made.
+     *
+     * @return string Message.
+     */
+    private function build_message( int $removed_count, int $replaced_count, int $skipped_count = 0, bool $proposed = false ): string {
         $parts = [];
         if ( $removed_count > 0 ) {
             /* translators: %d: number of occurrences removed */
@@ -168,55 +653,111 @@ class Remover {
             /* translators: %d: number of occurrences replaced */
             $parts[] = sprintf( __( '%d replaced', 'phrasematch' ), $replaced_count );
         }
-        $message = sprintf(
+
+        if ( $proposed ) {
+            /* translators: %1$d: total to modify, %2$s: breakdown (e.g. "2 removed, 1 replaced") */
+            $format = __( 'Proposed changes to %1$d occurrence(s) for approval: %2$s.', 'phrasematch' );
+        } else {
             /* translators: %1$d: total modified, %2$s: breakdown (e.g. "2 removed, 1 replaced") */
-            __( 'Modified %1$d occurrence(s): %2$s.', 'phrasematch' ),
-            $modified_count,
-            implode( ', ', $parts )
-        );
+            $format = __( 'Modified %1$d occurrence(s): %2$s.', 'phrasematch' );
+        }
 
-        return [
-            'success'       => true,
-            'message'       => $message,
-            'revisions_url' => $revisions_url,
-        ];
+        $message = sprintf( $format, $removed_count + $replaced_count, implode( ', ', $parts ) );
+
+        if ( $skipped_count > 0 ) {
+            $message .= ' ' . sprintf(
+                /* translators: %d: number of occurrences skipped */
+                __( '%d skipped because they overlap a change of an earlier rule.', 'phrasematch' ),
+                $skipped_count
+            );
+        }
+
+        return $message;
     }
 
     /**
-     * Check whether the phrase exists at the given byte-offset (case-insensitive).
+     * Get the URL of a post's latest revision, or '' for other objects and posts without revisions.
      *
-     * @param string $content The content string.
-     * @param string $phrase  The phrase to check.
-     * @param int    $offset  Byte-offset to check at.
+     * @param string $object_key Object key.
      *
-     * @return bool True if the phrase is found at the offset.
+     * @return string URL.
      */
-    private function phrase_exists_at( string $content, string $phrase, int $offset ): bool {
-        $phrase_len = strlen( $phrase );
+    private function get_revisions_url( string $object_key ): string {
+        $parsed = Content_Store::parse_key( $object_key );
 
-        if ( $offset < 0 || $offset + $phrase_len > strlen( $content ) ) {
-            return false;
+        if ( null === $parsed || 'post' !== $parsed['type'] ) {
+            return '';
         }
 
-        $segment = substr( $content, $offset, $phrase_len );
+        $revisions = wp_get_post_revisions( (int) $parsed['id'], [ 'numberposts' => 1 ] );
+        if ( empty( $revisions ) ) {
+            return '';
+        }
+        $latest = reset( $revisions );
 
-        return strtolower( $segment ) === strtolower( $phrase );
+        return admin_url( 'revision.php?revision=' . $latest->ID );
+    }
+
+    /**
+     * Keep only scalar path segments; numeric strings become integers.
+     *
+     * @param array $path Path from the request.
+     *
+     * @return array<int|string> Path.
+     */
+    private function sanitize_path( array $path ): array {
+        $clean = [];
+        foreach ( $path as $segment ) {
+            if ( ! is_scalar( $segment ) ) {
+                return [];
+            }
+            $clean[] = is_numeric( $segment ) && (string) (int) $segment === (string) $segment ? (int) $segment : (string) $segment;
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Set the value at a path inside decoded data.
+     *
+     * @param mixed  $data  Decoded value.
+     * @param array  $path  Keys to follow; must exist (see Content_Adapters::get_at_path()).
+     * @param string $value New value.
+     *
+     * @return mixed Updated data.
+     */
+    private function set_at_path( $data, array $path, string $value ) {
+        if ( empty( $path ) ) {
+            return $value;
+        }
+
+        $segment = array_shift( $path );
+
+        if ( is_array( $data ) ) {
+            $data[ $segment ] = $this->set_at_path( $data[ $segment ], $path, $value );
+        } elseif ( $data instanceof \stdClass ) {
+            $data->{$segment} = $this->set_at_path( $data->{$segment}, $path, $value );
+        }
+
+        return $data;
     }
 
     /**
      * Remove the phrase (or its wrapper) at a specific byte-offset.
      *
-     * @param string $content The post content.
-     * @param string $phrase  The phrase.
-     * @param int    $offset  Byte-offset of the phrase.
-     * @param string $mode    Removal mode: text_only | html_element | gutenberg_block.
+     * @param string          $content The post content.
+     * @param string          $phrase  The matched text at the offset.
+     * @param int             $offset  Byte-offset of the phrase.
+     * @param string          $mode    Removal mode: text_only | html_element | gutenberg_block | parent_block.
+     * @param Block_Tree|null $tree    Blocks of the content, or null when it has none.
      *
      * @return string Modified content.
      */
-    private function remove_at_offset( string $content, string $phrase, int $offset, string $mode ): string {
+    private function remove_at_offset( string $content, string $phrase, int $offset, string $mode, ?Block_Tree $tree = null ): string {
         switch ( $mode ) {
             case 'gutenberg_block':
-                return $this->remove_gutenberg_block( $content, $phrase, $offset );
+            case 'parent_block':
+                return $this->remove_gutenberg_block( $content, $phrase, $offset, $tree, 'parent_block' === $mode );
 
             case 'html_element':
                 return $this->remove_html_element( $content, $phrase, $offset );
@@ -231,7 +772,7 @@ class Remover {
      * Remove just the phrase text at the given offset.
      */
     private function remove_text_only( string $content, string $phrase, int $offset ): string {
-        return substr( $content, 0, $offset ) . substr( $content, $offset + strlen( $phrase ) );
+        return $this->splice( $content, $offset, strlen( $phrase ), '' );
     }
 
     /**
@@ -245,7 +786,101 @@ class Remover {
      * @return string Modified content.
      */
     private function replace_at_offset( string $content, string $phrase, int $offset, string $replacement ): string {
-        return substr( $content, 0, $offset ) . $replacement . substr( $content, $offset + strlen( $phrase ) );
+        return $this->splice( $content, $offset, strlen( $phrase ), $replacement );
+    }
+
+    /**
+     * Replace a byte range with text, keeping the markup around it balanced.
+     *
+     * A match in visible_text mode can span inline tags, e.g.
+     * `<strong>limited time</strong> offer`, matched from "limited". Elements
+     * that open and close inside the range go with it; a tag whose partner lies
+     * outside the range is kept after the replacement, so the text before and
+     * after stays well-formed. Elements left empty around the edit are removed.
+     *
+     * @param string $content     The content string.
+     * @param int    $offset      Byte-offset of the range.
+     * @param int    $length      Byte length of the range.
+     * @param string $replacement The replacement text, '' to remove.
+     *
+     * @return string Modified content.
+     */
+    private function splice( string $content, int $offset, int $length, string $replacement ): string {
+        $before  = substr( $content, 0, $offset );
+        $segment = (string) substr( $content, $offset, $length );
+        $after   = (string) substr( $content, $offset + $length );
+
+        if ( false === strpos( $segment, '<' ) ) {
+            return $before . $replacement . $after;
+        }
+
+        $middle = $replacement . implode( '', $this->get_unbalanced_tags( $segment ) );
+        $inline = implode( '|', Visible_Text::INLINE_ELEMENTS );
+
+        // Drop elements emptied by the edit: an opener right before the edit closed
+        // right at its start, and an opener at its end closed right after it.
+        do {
+            $changed = false;
+
+            if ( preg_match( '#<(' . $inline . ')\b[^>]*>$#i', $before, $open )
+                && preg_match( '#^</' . $open[1] . '\s*>#i', $middle, $close ) ) {
+                $before  = substr( $before, 0, -strlen( $open[0] ) );
+                $middle  = substr( $middle, strlen( $close[0] ) );
+                $changed = true;
+            }
+
+            if ( preg_match( '#<(' . $inline . ')\b[^>]*>$#i', $middle, $open )
+                && preg_match( '#^</' . $open[1] . '\s*>#i', $after, $close ) ) {
+                $middle  = substr( $middle, 0, -strlen( $open[0] ) );
+                $after   = substr( $after, strlen( $close[0] ) );
+                $changed = true;
+            }
+        } while ( $changed );
+
+        return $before . $middle . $after;
+    }
+
+    /**
+     * Get the tags of a markup fragment that close an element opened before it or
+     * open an element closed after it, in order.
+     *
+     * @param string $fragment Markup fragment.
+     *
+     * @return string[] Tags.
+     */
+    private function get_unbalanced_tags( string $fragment ): array {
+        $kept = [];
+        $open = [];
+
+        preg_match_all( '#<(/?)([a-zA-Z][^\s/>]*)(?:[^>"\']|"[^"]*"|\'[^\']*\')*>#', $fragment, $tags, PREG_OFFSET_CAPTURE | PREG_SET_ORDER );
+
+        foreach ( $tags as $tag ) {
+            $name = strtolower( $tag[2][0] );
+
+            if ( '/' === $tag[1][0] ) {
+                $last = end( $open );
+
+                if ( false !== $last && $last['name'] === $name ) {
+                    array_pop( $open );
+                } else {
+                    $kept[ $tag[0][1] ] = $tag[0][0];
+                }
+            } elseif ( ! in_array( $name, Visible_Text::VOID_ELEMENTS, true ) && '/>' !== substr( $tag[0][0], -2 ) ) {
+                $open[] = [
+                    'name'   => $name,
+                    'offset' => $tag[0][1],
+                    'tag'    => $tag[0][0],
+                ];
+            }
+        }
+
+        foreach ( $open as $tag ) {
+            $kept[ $tag['offset'] ] = $tag['tag'];
+        }
+
+        ksort( $kept );
+
+        return array_values( $kept );
     }
 
     /**
@@ -275,29 +910,19 @@ class Remover {
     }
 
     /**
-     * Remove the entire Gutenberg block that wraps the phrase.
-     * Falls back to html_element removal if no block is found.
+     * Remove the innermost Gutenberg block enclosing the phrase, or the block
+     * that contains that one. Falls back to html_element removal if the phrase
+     * is not inside a block, and to the innermost block if it has no parent.
      */
-    private function remove_gutenberg_block( string $content, string $phrase, int $offset ): string {
-        $escaped = preg_quote( $phrase, '#' );
-
-        // Match a full Gutenberg block whose visible content is only the phrase.
-        $pattern = '#<!--\s*wp:\w+(?:\s+\{[^}]*\})?\s*-->\s*'
-            . '<(\w+)[^>]*>\s*(?:<\w+[^>]*>\s*)*' . $escaped . '(?:\s*</\w+>)*\s*</\1>\s*'
-            . '<!--\s*/wp:\w+\s*-->#is';
-
-        if ( preg_match_all( $pattern, $content, $matches, PREG_OFFSET_CAPTURE | PREG_SET_ORDER ) ) {
-            foreach ( $matches as $set ) {
-                $match_start = $set[0][1];
-                $match_end   = $match_start + strlen( $set[0][0] );
+    private function remove_gutenberg_block( string $content, string $phrase, int $offset, ?Block_Tree $tree, bool $parent ): string {
+        $chain = null === $tree ? [] : $tree->get_chain( $offset, strlen( $phrase ) );
 
-                if ( $offset >= $match_start && $offset < $match_end ) {
-                    return substr( $content, 0, $match_start ) . substr( $content, $match_end );
-                }
-            }
+        if ( empty( $chain ) ) {
+            return $this->remove_html_element( $content, $phrase, $offset );
         }
 
-        // Fallback: try html_element removal.
-        return $this->remove_html_element( $content, $phrase, $offset );
+        $block = $parent && count( $chain ) > 1 ? $chain[ count( $chain ) - 2 ] : end( $chain );
+
+        return Block_Tree::remove_block( $content, $block );
     }
 }
@@ -0,0 +1,330 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Renders the object of a scan result roughly the way visitors see it, for the
+ * preview panel of the Scan tab: once as it is now, with the match highlighted,
+ * and once with the result's change applied, with the changed text highlighted.
+ *
+ * A post is shown with its title and its content run through `the_content`, so
+ * blocks, shortcodes and embeds render as on the site; excerpts, terms, comments
+ * and widgets go through their own display filters, and custom fields are shown
+ * on their own. The page is a standalone HTML document with the block library
+ * and the theme's styles, meant for a sandboxed iframe.
+ *
+ * To find the match in the rendered output, markers made of plain letters are
+ * put around it in the raw field, survive the filters, and are then turned into
+ * <mark> elements. A match that ends up inside a tag, or is dropped by the
+ * filters (e.g. in an HTML comment), is reported as not highlighted.
+ */
+class Render_Preview {
+
+    /**
+     * Markers put around the highlighted text before rendering.
+     */
+    private const MARK_START = 'PHRASEMATCHMARKSTART';
+    private const MARK_END   = 'PHRASEMATCHMARKEND';
+
+    private Content_Store $store;
+    private Remover $remover;
+
+    public function __construct( Content_Store $store, Remover $remover ) {
+        $this->store   = $store;
+        $this->remover = $remover;
+    }
+
+    /**
+     * Render an object before and, optionally, after one occurrence is applied.
+     *
+     * @param string    $object_key  Object key.
+     * @param array     $occurrence  One occurrence, as returned by Remover::group_occurrences().
+     * @param Matcher[] $matchers    Matcher of each rule used for the scan, by rule index.
+     * @param bool      $with_change Also render the object with the change applied.
+     *
+     * @return array{success: bool, message: string, before?: string, before_marked?: bool, after?: string, after_marked?: bool, after_message?: string}
+     *               before/after are HTML documents; after_message says why there is no "after" document.
+     */
+    public function render( string $object_key, array $occurrence, array $matchers, bool $with_change ): array {
+        $parsed = Content_Store::parse_key( $object_key );
+        $fields = null !== $parsed && 'post' === $parsed['type'] ? [ 'post_title', 'post_content' ] : [];
+        $values = null === $parsed ? null : $this->store->read( $object_key, array_unique( array_merge( $fields, [ $occurrence['field'] ] ) ) );
+
+        if ( null === $values ) {
+            return [
+                'success' => false,
+                'message' => __( 'Item not found.', 'phrasematch' ),
+            ];
+        }
+
+        // The offset of a match in a block attribute is relative to the attribute value.
+        $text    = $this->get_text( $values[ $occurrence['field'] ], $occurrence );
+        $matcher = $matchers[ $occurrence['rule'] ] ?? null;
+        $match   = null === $text || null === $matcher || ! empty( $occurrence['attribute'] ) ? null : $matcher->match_at( $text, $occurrence['char_offset'] );
+        $stale   = '' !== $occurrence['content_hash'] && Content_Store::hash( $values[ $occurrence['field'] ] ) !== $occurrence['content_hash'];
+
+        if ( $stale || ( null === $match && empty( $occurrence['attribute'] ) ) ) {
+            return [
+                'success' => false,
+                'message' => __( 'The item was edited after the scan. Rescan it to preview its current matches.', 'phrasematch' ),
+            ];
+        }
+
+        // A string inside a structured field is rendered on its own; a block attribute has no place in it to mark.
+        $field  = $occurrence['field'];
+        $shown  = null === $text ? $values : array_merge( $values, [ $field => $text ] );
+        $before = $this->render_document( $parsed, $field, null === $match ? $shown : array_merge( $shown, [ $field => $this->insert_markers( $text, $match['offset'], $match['offset'] + $match['length'] ) ] ) );
+        $result = [
+            'success'       => true,
+            'message'       => '',
+            'before'        => $before['html'],
+            'before_marked' => $before['marked'],
+            'after'         => '',
+            'after_marked'  => false,
+            'after_message' => '',
+        ];
+
+        if ( ! $with_change ) {
+            return $result;
+        }
+
+        $changes = $this->remover->preview( $object_key, $matchers, [ $occurrence ] );
+
+        if ( ! $changes['success'] ) {
+            $result['after_message'] = $changes['message'];
+            return $result;
+        }
+
+        $after      = array_merge( $values, $changes['after'] );
+        $after_text = $this->get_text( $after[ $field ], $occurrence );
+
+        if ( null !== $after_text ) {
+            $range = null === $match ? null : $this->get_changed_range( $text, $after_text );
+            $after = array_merge( $after, [ $field => null === $range ? $after_text : $this->insert_markers( $after_text, $range[0], $range[1] ) ] );
+        }
+
+        $rendered               = $this->render_document( $parsed, $field, $after );
+        $result['after']        = $rendered['html'];
+        $result['after_marked'] = $rendered['marked'];
+
+        return $result;
+    }
+
+    /**
+     * Get the string an occurrence was found in: the field, or the string at its
+     * path inside a structured field.
+     *
+     * @param string $raw        Raw field value.
+     * @param array  $occurrence Occurrence.
+     *
+     * @return string|null Null when the path no longer exists.
+     */
+    private function get_text( string $raw, array $occurrence ): ?string {
+        if ( empty( $occurrence['path'] ) ) {
+            return $raw;
+        }
+
+        $adapter = Content_Adapters::get( $occurrence['adapter'] );
+        $data    = null === $adapter ? null : $adapter->decode( $raw );
+        $text    = null === $data ? null : Content_Adapters::get_at_path( $data, $occurrence['path'] );
+
+        return is_string( $text ) ? $text : null;
+    }
+
+    /**
+     * Put the markers around a range of a string. A range boundary inside a tag
+     * or an HTML comment is moved out of it, so the markers stay in text.
+     *
+     * @param string $text  String.
+     * @param int    $start Byte-offset where the range starts.
+     * @param int    $end   Byte-offset where the range ends.
+     *
+     * @return string String with markers.
+     */
+    private function insert_markers( string $text, int $start, int $end ): string {
+        if ( $this->is_in_tag( $text, $start ) ) {
+            $start = (int) strrpos( substr( $text, 0, $start ), '<' );
+        }
+
+        if ( $end > $start && $this->is_in_tag( $text, $end ) ) {
+            $close = strpos( $text, '>', $end );
+            $end   = false === $close ? strlen( $text ) : $close + 1;
+        }
+
+        return substr( $text, 0, $start ) . self::MARK_START . substr( $text, $start, $end - $start ) . self::MARK_END . substr( $text, $end );
+    }
+
+    /**
+     * Find the part of a string that a change replaced: everything between the
+     * longest common prefix and the longest common suffix of both versions.
+     *
+     * @param string $before String before the change.
+     * @param string $after  String after the change.
+     *
+     * @return int[] Start and end byte-offsets in $after; equal for a removal.
+     */
+    private function get_changed_range( string $before, string $after ): array {
+        $max   = min( strlen( $before ), strlen( $after ) );
+        $start = 0;
+
+        while ( $start < $max && $before[ $start ] === $after[ $start ] ) {
+            ++$start;
+        }
+
+        $suffix = 0;
+        while ( $suffix < $max - $start && $before[ strlen( $before ) - 1 - $suffix ] === $after[ strlen( $after ) - 1 - $suffix ] ) {
+            ++$suffix;
+        }
+
+        $end = strlen( $after ) - $suffix;
+
+        // Keep multibyte characters whole.
+        while ( $start > 0 && $start < strlen( $after ) && 0x80 === ( ord( $after[ $start ] ) & 0xC0 ) ) {
+            --$start;
+        }
+        while ( $end < strlen( $after ) && 0x80 === ( ord( $after[ $end ] ) & 0xC0 ) ) {
+            ++$end;
+        }
+
+        return [ $start, max( $start, $end ) ];
+    }
+
+    /**
+     * Whether a byte-offset of an HTML string lies inside a tag or comment.
+     *
+     * @param string $html   HTML.
+     * @param int    $offset Byte-offset.
+     */
+    private function is_in_tag( string $html, int $offset ): bool {
+        $head  = substr( $html, 0, $offset );
+        $open  = strrpos( $head, '<' );
+        $close = strrpos( $head, '>' );
+
+        return false !== $open && ( false === $close || $open > $close );
+    }
+
+    /**
+     * Render an object's fields as a standalone HTML document and turn the
+     * markers into <mark> elements.
+     *
+     * @param array                 $parsed Parsed object key.
+     * @param string                $field  Field of the occurrence.
+     * @param array<string, string> $values Field => value to render.
+     *
+     * @return array{html: string, marked: bool}
+     */
+    private function render_document( array $parsed, string $field, array $values ): array {
+        $body   = $this->render_body( $parsed, $field, $values );
+        $start  = strpos( $body, self::MARK_START );
+        $marked = false !== $start && ! $this->is_in_tag( $body, $start ) && false !== strpos( $body, self::MARK_END, $start );
+
+        $body = $marked
+            ? str_replace( [ self::MARK_START, self::MARK_END ], [ '<mark class="pm-preview-mark">', '</mark>' ], $body )
+            : str_replace( [ self::MARK_START, self::MARK_END ], '', $body );
+
+        $styles = [ includes_url( 'css/dist/block-library/style.min.css' ), get_stylesheet_uri() ];
+        $head   = '<meta charset="' . esc_attr( get_bloginfo( 'charset' ) ) . '">';
+
+        foreach ( $styles as $url ) {
+            $head .= '<link rel="stylesheet" href="' . esc_url( $url ) . '">';
+        }
+
+        if ( function_exists( 'wp_get_global_stylesheet' ) ) {
+            $head .= '<style>' . wp_get_global_stylesheet() . '</style>';
+        }
+
+        $head .= '<style>'
+            . 'body { margin: 0; padding: 24px; }'
+            . '.pm-preview-mark { background: #fff3b0; outline: 2px solid #dba617; color: inherit; }'
+            . '.pm-preview-mark:empty { display: inline-block; width: 3px; height: 1.2em; vertical-align: text-bottom; background: #d63638; outline: 0; }'
+            . '.pm-preview-field { margin-top: 24px; padding-top: 12px; border-top: 1px dashed #c3c4c7; }'
+            . '</style>';
+
+        return [
+            'html'   => '<!DOCTYPE html><html><head>' . $head . '</head><body class="pm-preview">' . $body . '</body></html>',
+            'marked' => $marked,
+        ];
+    }
+
+    /**
+     * Render the fields of an object with the filters WordPress displays them with.
+     *
+     * @param array                 $parsed Parsed object key.
+     * @param string                $field  Field of the occurrence.
+     * @param array<string, string> $values Field => value.
+     *
+     * @return string HTML.
+     */
+    private function render_body( array $parsed, string $field, array $values ): string {
+        $id = (int) $parsed['id'];
+
+        switch ( $parsed['type'] ) {
+            case 'post':
+                $post = get_post( $id );
+
+                if ( ! $post instanceof \WP_Post ) {
+                    return '';
+                }
+
+                // Filters of the_content read the global post.
+                $previous        = $GLOBALS['post'] ?? null;
+                $GLOBALS['post'] = $post; // phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited -- Restored below.
+                setup_postdata( $post );
+
+                $html = '<h1 class="wp-block-post-title entry-title">' . apply_filters( 'the_title', $values['post_title'], $id ) . '</h1>';
+
+                if ( 'post_excerpt' === $field ) {
+                    $html .= '<div class="entry-summary">' . apply_filters( 'the_excerpt', $values['post_excerpt'] ) . '</div>';
+                } elseif ( 'post_title' === $field || 'post_content' === $field ) {
+                    $html .= '<div class="wp-block-post-content entry-content">' . apply_filters( 'the_content', $values['post_content'] ) . '</div>';
+                } else {
+                    $html .= $this->render_field_section( $this->store->get_field_label( Content_Store::key( 'post', $id ), $field ), $values[ $field ] );
+                }
+
+                $GLOBALS['post'] = $previous; // phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited -- Restoring the global.
+                if ( $previous instanceof \WP_Post ) {
+                    setup_postdata( $previous );
+                }
+
+                return $html;
+
+            case 'term':
+                $term = get_term( $id );
+                $name = $term instanceof \WP_Term ? $term->name : '';
+
+                return '<h1 class="wp-block-query-title">' . esc_html( $name ) . '</h1>'
+                    . '<div class="taxonomy-description">' . apply_filters( 'term_description', $values['description'], $id, $term instanceof \WP_Term ? $term->taxonomy : '', 'display' ) . '</div>';
+
+            case 'comment':
+                $comment = get_comment( $id );
+
+                return '<div class="comment-content">' . apply_filters( 'comment_text', $values['comment_content'], $comment, [] ) . '</div>';
+
+            case 'widget':
+                return $this->render_field_section( $this->store->get_label( Content_Store::key( 'widget', $parsed['id'] ) ), $values[ $field ] );
+        }
+
+        return '';
+    }
+
+    /**
+     * Render a value that has no display filter of its own, e.g. a custom field,
+     * under its label: block markup is rendered as blocks, other text gets paragraphs.
+     *
+     * @param string $label Label shown above the value.
+     * @param string $value Value.
+     *
+     * @return string HTML.
+     */
+    private function render_field_section( string $label, string $value ): string {
+        return '<section class="pm-preview-field"><h2>' . esc_html( $label ) . '</h2>'
+            . ( has_blocks( $value ) ? do_blocks( $value ) : wpautop( do_shortcode( $value ) ) )
+            . '</section>';
+    }
+}
@@ -0,0 +1,605 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * REST API under the phrasematch/v1 namespace, for external tools that
+ * authenticate with application passwords.
+ *
+ *  - GET  /phrasematch/v1/scan   One page (batch of candidate objects) of matches.
+ *                                Pass the previous response's `cursor` until
+ *                                `done` is true; a `Link: rel="next"` header
+ *                                points at the next page. The first page counts
+ *                                the candidates for `X-WP-Total`; the link
+ *                                carries that count on as `total`.
+ *  - POST /phrasematch/v1/apply  Remove or replace selected occurrences, or just
+ *                                report the result with `dry_run`. Applied changes
+ *                                are recorded in the change journal; with
+ *                                `propose` they are recorded for approval only.
+ */
+class Rest_Controller {
+
+    /**
+     * Route namespace.
+     */
+    public const NAMESPACE = 'phrasematch/v1';
+
+    /**
+     * Largest page size accepted for `per_page`.
+     */
+    private const MAX_PER_PAGE = 500;
+
+    private Scanner $scanner;
+    private Remover $remover;
+    private Journal $journal;
+    private Content_Store $store;
+    private Audit_Log $audit_log;
+
+    public function __construct( Scanner $scanner, Remover $remover, Journal $journal, Content_Store $store, Audit_Log $audit_log ) {
+        $this->scanner   = $scanner;
+        $this->remover   = $remover;
+        $this->journal   = $journal;
+        $this->store     = $store;
+        $this->audit_log = $audit_log;
+    }
+
+    /**
+     * Register the routes. Hooked to rest_api_init.
+     */
+    public function register_routes(): void {
+        register_rest_route( self::NAMESPACE, '/scan', [
+            [
+                'methods'             => \WP_REST_Server::READABLE,
+                'callback'            => [ $this, 'scan' ],
+                'permission_callback' => [ $this, 'check_permission' ],
+                'args'                => $this->get_scan_args(),
+            ],
+            'schema' => [ $this, 'get_scan_schema' ],
+        ] );
+
+        register_rest_route( self::NAMESPACE, '/apply', [
+            [
+                'methods'             => \WP_REST_Server::CREATABLE,
+                'callback'            => [ $this, 'apply' ],
+                'permission_callback' => [ $this, 'check_permission' ],
+                'args'                => $this->get_apply_args(),
+            ],
+            'schema' => [ $this, 'get_apply_schema' ],
+        ] );
+    }
+
+    /**
+     * Scanning requires the scan capability and applying the modify capability,
+     * as on the admin page (see Capabilities). Each object is checked as well.
+     *
+     * @param \WP_REST_Request $request Request.
+     *
+     * @return true|\WP_Error
+     */
+    public function check_permission( \WP_REST_Request $request ) {
+        $cap = 'GET' === $request->get_method() ? Capabilities::SCAN : Capabilities::MODIFY;
+
+        if ( current_user_can( $cap ) ) {
+            return true;
+        }
+
+        return new \WP_Error(
+            'rest_forbidden',
+            __( 'You do not have permission to perform this action.', 'phrasematch' ),
+            [ 'status' => rest_authorization_required_code() ]
+        );
+    }
+
+    /**
+     * GET /scan: scan one page of candidate objects.
+     *
+     * @param \WP_REST_Request $request Request.
+     *
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function scan( \WP_REST_Request $request ) {
+        $matcher = $this->get_matcher( $request );
+        if ( is_wp_error( $matcher ) ) {
+            return $matcher;
+        }
+
+        $post_types = $request['post_types'];
+        $statuses   = $request['statuses'];
+        $sources    = Scanner::sanitize_sources( $request['sources'] );
+        $contexts   = Match_Context::sanitize_contexts( $request['contexts'] );
+        $per_page   = (int) $request['per_page'];
+        $invalid    = array_diff( $post_types, get_post_types( [ 'public' => true ] ) );
+
+        if ( ! empty( $invalid ) ) {
+            return new \WP_Error(
+                'rest_invalid_param',
+                sprintf(
+                    /* translators: %s: comma-separated post types */
+                    __( 'Unknown or non-public post type(s): %s.', 'phrasematch' ),
+                    implode( ', ', $invalid )
+                ),
+                [ 'status' => 400 ]
+            );
+        }
+
+        // Objects the user cannot edit are neither scanned nor counted, so they do not show in the totals either.
+        $batch = $this->scanner->scan_batch( $matcher, $post_types, $statuses, $sources, $contexts, (string) $request['cursor'], $per_page, get_current_user_id() );
+
+        // Log and count a scan once, not for every page; later pages get the total through `total`.
+        $total = $request['total'];
+        if ( '' === (string) $request['cursor'] ) {
+            $this->audit_log->log_scan( get_current_user_id(), 'rest', $matcher->get_phrase(), $post_types, $sources );
+            $total = $this->scanner->count_candidates( $matcher, $post_types, $statuses, $sources, get_current_user_id() );
+        }
+
+        $response = rest_ensure_response( [
+            'results' => $batch['results'],
+            'scanned' => $batch['scanned'],
+            'cursor'  => $batch['cursor'],
+            'done'    => $batch['done'],
+        ] );
+
+        if ( null !== $total ) {
+            $response->header( 'X-WP-Total', (string) $total );
+            $response->header( 'X-WP-TotalPages', (string) (int) ceil( $total / $per_page ) );
+        }
+
+        if ( ! $batch['done'] ) {
+            $next_args = [ 'cursor' => $batch['cursor'] ];
+            if ( null !== $total ) {
+                $next_args['total'] = $total;
+            }
+
+            $next = add_query_arg(
+                urlencode_deep( array_merge( $request->get_query_params(), $next_args ) ),
+                rest_url( self::NAMESPACE . '/scan' )
+            );
+            $response->link_header( 'next', $next );
+        }
+
+        return $response;
+    }
+
+    /**
+     * POST /apply: remove or replace the given occurrences.
+     *
+     * @param \WP_REST_Request $request Request.
+     *
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function apply( \WP_REST_Request $request ) {
+        $matcher = $this->get_matcher( $request );
+        if ( is_wp_error( $matcher ) ) {
+            return $matcher;
+        }
+
+        $grouped = $this->remover->group_occurrences( $request['items'] );
+        $dry_run = (bool) $request['dry_run'];
+        $propose = ! $dry_run && ( $request['propose'] || Capabilities::requires_approval( get_current_user_id() ) );
+        $status  = $propose ? 'pending' : 'applied';
+
+        if ( empty( $grouped ) ) {
+            return new \WP_Error(
+                'rest_invalid_param',
+                __( 'Missing phrase or items to process.', 'phrasematch' ),
+                [ 'status' => 400 ]
+            );
+        }
+
+        $changeset_id = $dry_run ? 0 : $this->journal->create_changeset( get_current_user_id(), $matcher->get_phrase(), $matcher->get_options(), $status );
+        $results      = [];
+
+        foreach ( $grouped as $object_key => $occurrences ) {
+            $object_key = (string) $object_key;
+            $denied     = Capabilities::check_changes( get_current_user_id(), $object_key, $occurrences );
+
+            if ( '' !== $denied ) {
+                $result = [
+                    'success' => false,
+                    'message' => $denied,
+                ];
+            } elseif ( $dry_run ) {
+                $result = $this->remover->preview( $object_key, [ $matcher ], $occurrences );
+            } else {
+                $result = $propose
+                    ? $this->remover->propose( $object_key, [ $matcher ], $occurrences )
+                    : $this->remover->remove( $object_key, [ $matcher ], $occurrences );
+
+                if ( $result['success'] ) {
+                    $this->journal->add_item( $changeset_id, $object_key, $result['before'], $result['after'], $occurrences, $status );
+                }
+            }
+
+            if ( ! $dry_run ) {
+                $this->audit_log->log_changes( get_current_user_id(), 'rest', $matcher->get_phrase(), $object_key, $occurrences, $result, $result['success'] ? $changeset_id : 0, $propose ? 'propose' : 'apply' );
+            }
+
+            $results[] = [
+                'object_key' => $object_key,
+                'title'      => $this->store->get_label( $object_key ),
+                'success'    => $result['success'],
+                'message'    => $result['message'],
+                'skipped'    => $result['skipped'] ?? '',
+                'before'     => $result['before'] ?? null,
+                'after'      => $result['after'] ?? null,
+            ];
+        }
+
+        if ( ! $dry_run ) {
+            $this->journal->finish_changeset( $changeset_id );
+
+            // The changeset is deleted when nothing was modified.
+            if ( ! in_array( true, wp_list_pluck( $results, 'success' ), true ) ) {
+                $changeset_id = 0;
+            }
+        }
+
+        return rest_ensure_response( [
+            'dry_run'      => $dry_run,
+            'proposed'     => $propose,
+            'changeset_id' => $changeset_id ? $changeset_id : null,
+            'results'      => $results,
+        ] );
+    }
+
+    /**
+     * Arguments of GET /scan.
+     *
+     * @return array Argument schema.
+     */
+    private function get_scan_args(): array {
+        return array_merge( $this->get_match_args(), [
+            'post_types' => [
+                'description' => __( 'Post types to scan.', 'phrasematch' ),
+                'type'        => 'array',
+                'items'       => [ 'type' => 'string' ],
+                'default'     => [ 'post', 'page' ],
+                'minItems'    => 1,
+            ],
+            'statuses'   => [
+                'description' => __( 'Post statuses to include.', 'phrasematch' ),
+                'type'        => 'array',
+                'items'       => [ 'type' => 'string' ],
+                'default'     => [ 'publish' ],
+                'minItems'    => 1,
+            ],
+            'sources'    => [
+                'description' => __( 'Where to search.', 'phrasematch' ),
+                'type'        => 'array',
+                'items'       => [
+                    'type' => 'string',
+                    'enum' => Scanner::SOURCES,
+                ],
+                'default'     => Scanner::DEFAULT_SOURCES,
+                'minItems'    => 1,
+            ],
+            'contexts'   => [
+                'description' => __( 'Match contexts to report. By default matches in HTML attributes, URLs, shortcode tags, code and HTML comments are skipped.', 'phrasematch' ),
+                'type'        => 'array',
+                'items'       => [
+                    'type' => 'string',
+                    'enum' => Match_Context::CONTEXTS,
+                ],
+                'default'     => Match_Context::DEFAULT_CONTEXTS,
+                'minItems'    => 1,
+            ],
+            'cursor'     => [
+                'description' => __( 'Where to continue. Pass the previous page\'s cursor; omit for the first page.', 'phrasematch' ),
+                'type'        => 'string',
+                'default'     => '',
+                'pattern'     => '^([a-z_]+:[0-9]+)?$',
+            ],
+            'per_page'   => [
+                'description' => __( 'Number of candidate objects examined per page.', 'phrasematch' ),
+                'type'        => 'integer',
+                'default'     => $this->scanner->get_batch_size(),
+                'minimum'     => 1,
+                'maximum'     => self::MAX_PER_PAGE,
+            ],
+            'total'      => [
+                'description' => __( 'The X-WP-Total of the first page, passed on by the `next` link. Later pages only send the total headers when it is given.', 'phrasematch' ),
+                'type'        => 'integer',
+                'minimum'     => 0,
+            ],
+        ] );
+    }
+
+    /**
+     * Arguments of POST /apply.
+     *
+     * @return array Argument schema.
+     */
+    private function get_apply_args(): array {
+        return array_merge( $this->get_match_args(), [
+            'items'   => [
+                'description' => __( 'Occurrences to modify, as returned by /scan.', 'phrasematch' ),
+                'type'        => 'array',
+                'required'    => true,
+                'minItems'    => 1,
+                'items'       => [
+                    'type'                 => 'object',
+                    'additionalProperties' => false,
+                    'properties'           => [
+                        'object_key'   => [
+                            'description' => __( 'Object the match was found in, from /scan.', 'phrasematch' ),
+                            'type'        => 'string',
+                            'pattern'     => '^(post|term|comment|widget):[a-z0-9_-]+$',
+                        ],
+                        'post_id'      => [
+                            'description' => __( 'Post ID; shorthand for object_key post:{ID}.', 'phrasematch' ),
+                            'type'        => 'integer',
+                            'minimum'     => 1,
+                        ],
+                        'field'        => [
+                            'description' => __( 'Field the match was found in, from /scan. Required for meta and widget locations.', 'phrasematch' ),
+                            'type'        => 'string',
+                        ],
+                        'path'         => [
+                            'description' => __( 'Keys of the string inside a serialized or JSON custom field, from /scan.', 'phrasematch' ),
+                            'type'        => 'array',
+                            'items'       => [ 'type' => [ 'string', 'integer' ] ],
+                        ],
+                        'adapter'      => [
+                            'description' => __( 'Content adapter that decodes the custom field, from /scan. Required with a path.', 'phrasematch' ),
+                            'type'        => 'string',
+                        ],
+                        'block'        => [
+                            'description' => __( 'Path of the block holding the attribute, from the last entry of blocks in /scan. Required with attribute.', 'phrasematch' ),
+                            'type'        => 'array',
+                            'items'       => [
+                                'type'    => 'integer',
+                                'minimum' => 0,
+                            ],
+                        ],
+                        'attribute'    => [
+                            'description' => __( 'Keys of the block attribute the match was found in, from /scan.', 'phrasematch' ),
+                            'type'        => 'array',
+                            'items'       => [ 'type' => [ 'string', 'integer' ] ],
+                        ],
+                        'char_offset'  => [
+                            'description' => __( 'Byte offset of the match, from /scan.', 'phrasematch' ),
+                            'type'        => 'integer',
+                            'minimum'     => 0,
+                            'required'    => true,
+                        ],
+                        'location'     => [
+                            'type' => 'string',
+                            'enum' => Scanner::SOURCES,
+                        ],
+                        'mode'         => [
+                            'description' => __( 'What to remove. Ignored when replace_with is set.', 'phrasematch' ),
+                            'type'        => 'string',
+                            'enum'        => Remover::MODES,
+                        ],
+                        'replace_with' => [
+                            'description' => __( 'Replacement text; empty to remove the match.', 'phrasematch' ),
+                            'type'        => 'string',
+                        ],
+                        'content_hash' => [
+                            'description' => __( 'Hash of the field at scan time, from /scan. The item is skipped when the field has changed since.', 'phrasematch' ),
+                            'type'        => 'string',
+                            'pattern'     => '^[a-f0-9]{32}$',
+                        ],
+                        'modified'     => [
+                            'description' => __( 'Modification time of the post at scan time (GMT), from /scan. Checked when content_hash is not given.', 'phrasematch' ),
+                            'type'        => 'string',
+                        ],
+                    ],
+                ],
+            ],
+            'dry_run' => [
+                'description' => __( 'Report the result without saving anything.', 'phrasematch' ),
+                'type'        => 'boolean',
+                'default'     => false,
+            ],
+            'propose' => [
+                'description' => __( 'Record the changes for approval in the Review tab instead of saving them. Always on for users whose changes require approval; ignored for dry runs.', 'phrasematch' ),
+                'type'        => 'boolean',
+                'default'     => false,
+            ],
+        ] );
+    }
+
+    /**
+     * Arguments shared by all routes: the phrase and match options.
+     *
+     * @return array Argument schema.
+     */
+    private function get_match_args(): array {
+        return [
+            'phrase'        => [
+                'description' => __( 'The phrase, or with the regex option a PCRE pattern without delimiters.', 'phrasematch' ),
+                'type'        => 'string',
+                'required'    => true,
+                'minLength'   => 1,
+            ],
+            'match_options' => [
+                'description' => __( 'Enabled match options.', 'phrasematch' ),
+                'type'        => 'array',
+                'items'       => [
+                    'type' => 'string',
+                    'enum' => array_keys( Matcher::DEFAULT_OPTIONS ),
+                ],
+                'default'     => [],
+            ],
+        ];
+    }
+
+    /**
+     * Response schema of GET /scan.
+     *
+     * @return array JSON schema.
+     */
+    public function get_scan_schema(): array {
+        return [
+            '$schema'    => 'http://json-schema.org/draft-04/schema#',
+            'title'      => 'phrasematch-scan',
+            'type'       => 'object',
+            'properties' => [
+                'results' => [
+                    'type'  => 'array',
+                    'items' => [
+                        'type'       => 'object',
+                        'properties' => [
+                            'post_id'          => [
+                                'description' => __( 'Post ID; 0 for terms, comments and widgets.', 'phrasematch' ),
+                                'type'        => 'integer',
+                            ],
+                            'object_key'       => [
+                                'description' => __( 'Object the match was found in, e.g. post:12, term:5, comment:9 or widget:text-2.', 'phrasematch' ),
+                                'type'        => 'string',
+                            ],
+                            'title'            => [ 'type' => 'string' ],
+                            'edit_url'         => [ 'type' => 'string' ],
+                            'revisions_url'    => [ 'type' => 'string' ],
+                            'post_type'        => [
+                                'description' => __( 'Post type, taxonomy, "comment" or widget type.', 'phrasematch' ),
+                                'type'        => 'string',
+                            ],
+                            'post_status'      => [ 'type' => 'string' ],
+                            'location'         => [ 'type' => 'string', 'enum' => Scanner::SOURCES ],
+                            'field'            => [ 'type' => 'string' ],
+                            'path'             => [
+                                'type'  => 'array',
+                                'items' => [ 'type' => [ 'string', 'integer' ] ],
+                            ],
+                            'adapter'          => [
+                                'description' => __( 'Content adapter that decoded the custom field, e.g. serialized, json or elementor; empty for plain text.', 'phrasematch' ),
+                                'type'        => 'string',
+                            ],
+                            'field_label'      => [
+                                'description' => __( 'Meta key, widget setting or block attribute the match was found in, with the readable path of a string inside a structured field.', 'phrasematch' ),
+                                'type'        => 'string',
+                            ],
+                            'blocks'           => [
+                                'description' => __( 'Blocks enclosing the match, outermost first, with their parse_blocks() paths.', 'phrasematch' ),
+                                'type'        => 'array',
+                                'items'       => [
+                                    'type'       => 'object',
+                                    'properties' => [
+                                        'name' => [ 'type' => 'string' ],
+                                        'path' => [
+                                            'type'  => 'array',
+                                            'items' => [ 'type' => 'integer' ],
+                                        ],
+                                    ],
+                                ],
+                            ],
+                            'attribute'        => [
+                                'description' => __( 'Keys of the block attribute the match was found in; empty for matches in the text.', 'phrasematch' ),
+                                'type'        => 'array',
+                                'items'       => [ 'type' => [ 'string', 'integer' ] ],
+                            ],
+                            'occurrence_index' => [ 'type' => 'integer' ],
+                            'char_offset'      => [ 'type' => 'integer' ],
+                            'match_length'     => [ 'type' => 'integer' ],
+                            'snippet'          => [
+                                'description' => __( 'Escaped HTML with the match wrapped in <mark>.', 'phrasematch' ),
+                                'type'        => 'string',
+                            ],
+                            'context'          => [
+                                'description' => __( 'Where in the markup the match was found.', 'phrasematch' ),
+                                'type'        => 'string',
+                                'enum'        => Match_Context::CONTEXTS,
+                            ],
+                            'wrapping'         => [ 'type' => 'string', 'enum' => [ 'plain', 'html_element', 'gutenberg_block' ] ],
+                            'modified'         => [
+                                'description' => __( 'Modification time of the post (GMT); empty for terms, comments and widgets.', 'phrasematch' ),
+                                'type'        => 'string',
+                            ],
+                            'content_hash'     => [
+                                'description' => __( 'Hash of the field the match was found in; pass it to /apply to skip fields edited since the scan.', 'phrasematch' ),
+                                'type'        => 'string',
+                            ],
+                        ],
+                    ],
+                ],
+                'scanned' => [
+                    'description' => __( 'Candidate objects examined in this page; only objects the user can edit are examined.', 'phrasematch' ),
+                    'type'        => 'integer',
+                ],
+                'cursor'  => [
+                    'description' => __( 'Cursor for the next page.', 'phrasematch' ),
+                    'type'        => 'string',
+                ],
+                'done'    => [
+                    'description' => __( 'Whether this was the last page.', 'phrasematch' ),
+                    'type'        => 'boolean',
+                ],
+            ],
+        ];
+    }
+
+    /**
+     * Response schema of POST /apply.
+     *
+     * @return array JSON schema.
+     */
+    public function get_apply_schema(): array {
+        $fields = [
+            'description'          => __( 'Raw values of the changed fields, keyed by field.', 'phrasematch' ),
+            'type'                 => [ 'object', 'null' ],
+            'additionalProperties' => [ 'type' => 'string' ],
+        ];
+
+        return [
+            '$schema'    => 'http://json-schema.org/draft-04/schema#',
+            'title'      => 'phrasematch-apply',
+            'type'       => 'object',
+            'properties' => [
+                'dry_run'      => [ 'type' => 'boolean' ],
+                'proposed'     => [
+                    'description' => __( 'Whether the changes were recorded for approval instead of saved.', 'phrasematch' ),
+                    'type'        => 'boolean',
+                ],
+                'changeset_id' => [
+                    'description' => __( 'Change journal entry that can revert this run, or that holds the proposed changes; null for dry runs or when nothing changed.', 'phrasematch' ),
+                    'type'        => [ 'integer', 'null' ],
+                ],
+                'results'      => [
+                    'type'  => 'array',
+                    'items' => [
+                        'type'       => 'object',
+                        'properties' => [
+                            'object_key' => [ 'type' => 'string' ],
+                            'title'      => [ 'type' => 'string' ],
+                            'success'    => [ 'type' => 'boolean' ],
+                            'message'    => [ 'type' => 'string' ],
+                            'skipped'    => [
+                                'description' => __( 'Why the object was left alone: "stale" when it changed after the scan, "locked" when someone is editing it.', 'phrasematch' ),
+                                'type'        => 'string',
+                                'enum'        => [ '', 'stale', 'locked' ],
+                            ],
+                            'before'     => $fields,
+                            'after'      => $fields,
+                        ],
+                    ],
+                ],
+            ],
+        ];
+    }
+
+    /**
+     * Build the Matcher from the request.
+     *
+     * @param \WP_REST_Request $request Request.
+     *
+     * @return Matcher|\WP_Error Matcher, or an error for an invalid pattern.
+     */
+    private function get_matcher( \WP_REST_Request $request ) {
+        $options = Matcher::sanitize_options( (array) $request['match_options'] );
+        $matcher = new Matcher( Matcher::sanitize_phrase( (string) $request['phrase'], $options ), $options );
+
+        if ( '' !== $matcher->get_error() ) {
+            return new \WP_Error( 'phrasematch_invalid_phrase', $matcher->get_error(), [ 'status' => 400 ] );
+        }
+
+        return $matcher;
+    }
+}
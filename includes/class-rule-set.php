@@ -0,0 +1,355 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * A list of rules searched in one run, e.g. the old → new term pairs of a rebrand.
+ *
+ * Each rule is a phrase with the replacement and removal mode suggested for its
+ * matches; the match options apply to every rule. A plain phrase scan is a set
+ * of one rule (see from_phrase()), so scanning and applying work the same way
+ * for both.
+ *
+ * Rule sets are exchanged as CSV, one rule per line:
+ *
+ *     phrase,replacement,mode
+ *     Acme Corp,Globex,
+ *     "Acme, Inc.",Globex Inc.,
+ *     limited time offer,,gutenberg_block
+ *
+ * The replacement and mode columns are optional; an empty replacement means the
+ * match is removed. Tab- and semicolon-separated lines (as pasted from a
+ * spreadsheet) are accepted as well, and quoted cells may span lines. A header
+ * row and lines starting with "#" are skipped.
+ *
+ * Rules keep their order: results are tagged with the index of their rule, and
+ * when matches of two rules overlap the earlier rule wins (see Remover).
+ */
+class Rule_Set {
+
+    /**
+     * Maximum number of rules in one set.
+     */
+    public const MAX_RULES = 200;
+
+    /**
+     * Column names of a header row, by column. The first row is a header only
+     * when every non-empty cell is one of these, so a rule for the word "old"
+     * is not mistaken for one.
+     */
+    private const HEADER_CELLS = [
+        [ 'phrase', 'find', 'search', 'old' ],
+        [ 'replacement', 'replace', 'replace_with', 'new' ],
+        [ 'mode' ],
+    ];
+
+    /**
+     * Rules, each with phrase, replace_with and mode.
+     *
+     * @var array<int, array{phrase: string, replace_with: string, mode: string}>
+     */
+    private array $rules;
+
+    /**
+     * Matcher of each rule, by rule index.
+     *
+     * @var Matcher[]
+     */
+    private array $matchers = [];
+
+    private array $options;
+
+    /**
+     * Whether the set was entered as rules rather than as a single phrase.
+     */
+    private bool $batch;
+
+    private string $error = '';
+
+    /**
+     * @param array $rules   Rules as returned by sanitize_rules().
+     * @param array $options Normalized match options, see Matcher::DEFAULT_OPTIONS.
+     * @param bool  $batch   Whether the rules were entered as a rule set.
+     */
+    public function __construct( array $rules, array $options, bool $batch = true ) {
+        $this->rules   = array_values( $rules );
+        $this->options = $options;
+        $this->batch   = $batch;
+
+        if ( empty( $this->rules ) ) {
+            $this->error = $batch
+                ? __( 'Please enter at least one rule.', 'phrasematch' )
+                : __( 'Please enter a phrase to search for.', 'phrasematch' );
+            return;
+        }
+
+        if ( count( $this->rules ) > self::MAX_RULES ) {
+            /* translators: %d: maximum number of rules */
+            $this->error = sprintf( __( 'A rule set can hold at most %d rules.', 'phrasematch' ), self::MAX_RULES );
+            return;
+        }
+
+        foreach ( $this->rules as $index => $rule ) {
+            $matcher = new Matcher( $rule['phrase'], $options );
+
+            if ( '' === $this->error && '' !== $matcher->get_error() ) {
+                $this->error = $batch ? sprintf(
+                    /* translators: 1: rule number, 2: phrase, 3: error message */
+                    __( 'Rule %1$d (“%2$s”): %3$s', 'phrasematch' ),
+                    $index + 1,
+                    $rule['phrase'],
+                    $matcher->get_error()
+                ) : $matcher->get_error();
+            }
+
+            $this->matchers[ $index ] = $matcher;
+        }
+    }
+
+    /**
+     * Build the set of one rule for a plain phrase scan.
+     *
+     * @param string $phrase  Sanitized phrase.
+     * @param array  $options Normalized match options.
+     *
+     * @return self
+     */
+    public static function from_phrase( string $phrase, array $options ): self {
+        $rules = '' === $phrase ? [] : [
+            [
+                'phrase'       => $phrase,
+                'replace_with' => '',
+                'mode'         => 'text_only',
+            ],
+        ];
+
+        return new self( $rules, $options, false );
+    }
+
+    /**
+     * Build a rule set from CSV.
+     *
+     * @param string $csv     Unslashed CSV text.
+     * @param array  $options Normalized match options.
+     *
+     * @return self
+     */
+    public static function from_csv( string $csv, array $options ): self {
+        return new self( self::sanitize_rules( self::parse_csv( $csv ), $options ), $options );
+    }
+
+    /**
+     * Split CSV text into rows of cells.
+     *
+     * Quoted cells may span lines, as spreadsheets write them.
+     *
+     * @param string $csv CSV text.
+     *
+     * @return array<int, string[]> Rows without blank lines, comments and header.
+     */
+    public static function parse_csv( string $csv ): array {
+        $csv = (string) preg_replace( '/^\xEF\xBB\xBF/', '', $csv );
+
+        if ( '' === trim( $csv ) ) {
+            return [];
+        }
+
+        $first = '';
+        foreach ( (array) preg_split( '/\r\n|\r|\n/', $csv ) as $line ) {
+            if ( '' !== trim( $line ) && 0 !== strpos( ltrim( $line ), '#' ) ) {
+                $first = $line;
+                break;
+            }
+        }
+
+        $handle = fopen( 'php://temp', 'r+' );
+        fwrite( $handle, $csv );
+        rewind( $handle );
+
+        $delimiter = self::detect_delimiter( $first );
+        $rows      = [];
+        $first_row = true;
+
+        while ( false !== ( $cells = fgetcsv( $handle, 0, $delimiter, '"', '' ) ) ) {
+            $cells = array_map( 'trim', array_map( 'strval', $cells ) );
+
+            if ( '' === implode( '', $cells ) || 0 === strpos( $cells[0], '#' ) ) {
+                continue;
+            }
+
+            $is_first  = $first_row;
+            $first_row = false;
+
+            if ( $is_first && self::is_header( $cells ) ) {
+                continue;
+            }
+
+            $rows[] = $cells;
+        }
+
+        fclose( $handle );
+
+        return $rows;
+    }
+
+    /**
+     * Whether the first row of a CSV is a header: every non-empty cell names its column.
+     *
+     * @param string[] $cells Trimmed cells.
+     */
+    private static function is_header( array $cells ): bool {
+        foreach ( $cells as $index => $cell ) {
+            if ( '' === $cell && 0 < $index ) {
+                continue;
+            }
+
+            if ( ! in_array( strtolower( $cell ), self::HEADER_CELLS[ $index ] ?? [], true ) ) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Turn CSV rows (or rule arrays) into rules, dropping rows without a phrase.
+     *
+     * @param array $rows    Rows of [ phrase, replacement, mode ] cells, or arrays keyed phrase, replace_with, mode.
+     * @param array $options Normalized match options, used to sanitize the phrases.
+     *
+     * @return array<int, array{phrase: string, replace_with: string, mode: string}> Rules.
+     */
+    public static function sanitize_rules( array $rows, array $options ): array {
+        $rules = [];
+
+        foreach ( $rows as $row ) {
+            if ( ! is_array( $row ) ) {
+                continue;
+            }
+
+            $phrase = Matcher::sanitize_phrase( (string) ( $row['phrase'] ?? $row[0] ?? '' ), $options );
+            $mode   = sanitize_key( (string) ( $row['mode'] ?? $row[2] ?? '' ) );
+
+            if ( '' === $phrase ) {
+                continue;
+            }
+
+            $rules[] = [
+                'phrase'       => $phrase,
+                'replace_with' => sanitize_text_field( (string) ( $row['replace_with'] ?? $row[1] ?? '' ) ),
+                'mode'         => in_array( $mode, Remover::MODES, true ) ? $mode : 'text_only',
+            ];
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Get the rules.
+     *
+     * @return array<int, array{phrase: string, replace_with: string, mode: string}>
+     */
+    public function get_rules(): array {
+        return $this->rules;
+    }
+
+    /**
+     * Get the matcher of every rule, by rule index.
+     *
+     * @return Matcher[]
+     */
+    public function get_matchers(): array {
+        return $this->matchers;
+    }
+
+    /**
+     * Get the normalized match options shared by all rules.
+     *
+     * @return array<string, bool>
+     */
+    public function get_options(): array {
+        return $this->options;
+    }
+
+    /**
+     * Whether the set was entered as rules rather than as a single phrase.
+     */
+    public function is_batch(): bool {
+        return $this->batch;
+    }
+
+    /**
+     * Get the first validation error, or empty string when every rule is usable.
+     */
+    public function get_error(): string {
+        return $this->error;
+    }
+
+    /**
+     * Short description for headings and the change history: the phrase itself,
+     * or the number of rules followed by the first few of them.
+     */
+    public function get_label(): string {
+        if ( ! $this->batch ) {
+            return $this->rules[0]['phrase'] ?? '';
+        }
+
+        $shown = array_map( static function ( array $rule ): string {
+            return '' === $rule['replace_with'] ? $rule['phrase'] : $rule['phrase'] . ' → ' . $rule['replace_with'];
+        }, array_slice( $this->rules, 0, 5 ) );
+
+        return sprintf(
+            /* translators: 1: number of rules, 2: list of rules */
+            _n( '%1$d rule: %2$s', '%1$d rules: %2$s', count( $this->rules ), 'phrasematch' ),
+            count( $this->rules ),
+            implode( '; ', $shown ) . ( count( $this->rules ) > 5 ? '; …' : '' )
+        );
+    }
+
+    /**
+     * Serialize the rules as CSV, e.g. to restore the rule set form.
+     *
+     * @return string CSV text, '' for a plain phrase scan.
+     */
+    public function to_csv(): string {
+        if ( ! $this->batch ) {
+            return '';
+        }
+
+        $handle = fopen( 'php://temp', 'r+' );
+
+        foreach ( $this->rules as $rule ) {
+            fputcsv( $handle, [ $rule['phrase'], $rule['replace_with'], 'text_only' === $rule['mode'] ? '' : $rule['mode'] ], ',', '"', '' );
+        }
+
+        rewind( $handle );
+        $csv = (string) stream_get_contents( $handle );
+        fclose( $handle );
+
+        return $csv;
+    }
+
+    /**
+     * Guess the delimiter of a CSV line: comma, tab or semicolon, whichever occurs most.
+     *
+     * @param string $line First line of the CSV.
+     *
+     * @return string Delimiter.
+     */
+    public static function detect_delimiter( string $line ): string {
+        $counts = [
+            ','  => substr_count( $line, ',' ),
+            "\t" => substr_count( $line, "\t" ),
+            ';'  => substr_count( $line, ';' ),
+        ];
+        arsort( $counts );
+
+        return 0 === reset( $counts ) ? ',' : (string) key( $counts );
+    }
+}
@@ -0,0 +1,157 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Renders the Saved Searches tab: every saved search with its schedule and the
+ * outcome of its last run.
+ *
+ * Searches are created and edited from the Scan tab; running and deleting them
+ * is handled over AJAX by Ajax_Handler.
+ */
+class Saved_Searches_Page {
+
+    private Saved_Searches $searches;
+
+    public function __construct( Saved_Searches $searches ) {
+        $this->searches = $searches;
+    }
+
+    /**
+     * Render the list of saved searches.
+     */
+    public function render(): void {
+        $searches = $this->searches->get_all();
+        ?>
+            <p class="pm-history-meta">
+                <?php esc_html_e( 'Saved searches run on a schedule and report new occurrences by email or as a dashboard notice. To create one, set up a scan on the Scan tab and choose “Save search…”.', 'phrasematch' ); ?>
+            </p>
+
+            <div id="phrasematch-saved-notices"></div>
+
+            <div class="pm-card pm-card-flush">
+                <div class="pm-table-wrap">
+                    <table class="pm-table pm-history-table pm-saved-table">
+                        <thead>
+                            <tr>
+                                <th><?php esc_html_e( 'Name', 'phrasematch' ); ?></th>
+                                <th class="pm-col-schedule"><?php esc_html_e( 'Schedule', 'phrasematch' ); ?></th>
+                                <th class="pm-col-last-run"><?php esc_html_e( 'Last run', 'phrasematch' ); ?></th>
+                                <th class="pm-col-actions"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <?php if ( empty( $searches ) ) : ?>
+                                <tr>
+                                    <td colspan="4" class="pm-empty"><?php esc_html_e( 'No saved searches yet.', 'phrasematch' ); ?></td>
+                                </tr>
+                            <?php endif; ?>
+                            <?php foreach ( $searches as $search ) : ?>
+                                <tr>
+                                    <td>
+                                        <a class="pm-post-link" href="<?php echo esc_url( Scheduler::get_view_url( $search['id'] ) ); ?>">
+                                            <?php echo esc_html( $search['name'] ); ?>
+                                        </a>
+                                        <span class="pm-post-meta"><?php echo esc_html( $search['phrase'] ); ?></span>
+                                    </td>
+                                    <td>
+                                        <?php echo esc_html( $this->describe_schedule( $search ) ); ?>
+                                        <?php if ( $search['auto_apply'] ) : ?>
+                                            <span class="pm-badge pm-badge-warning"><?php esc_html_e( 'Auto-apply', 'phrasematch' ); ?></span>
+                                        <?php endif; ?>
+                                    </td>
+                                    <td><?php $this->render_last_run( $search ); ?></td>
+                                    <td>
+                                        <button type="button" class="button button-small phrasematch-run-search-btn" data-search="<?php echo esc_attr( (string) $search['id'] ); ?>">
+                                            <?php esc_html_e( 'Run now', 'phrasematch' ); ?>
+                                        </button>
+                                        <button type="button" class="button-link button-link-delete phrasematch-delete-search-btn" data-search="<?php echo esc_attr( (string) $search['id'] ); ?>">
+                                            <?php esc_html_e( 'Delete', 'phrasematch' ); ?>
+                                        </button>
+                                    </td>
+                                </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        <?php
+    }
+
+    /**
+     * Render the outcome of a search's last run.
+     *
+     * @param array $search Saved search.
+     */
+    private function render_last_run( array $search ): void {
+        if ( ! $search['last_run'] ) {
+            esc_html_e( 'Never', 'phrasematch' );
+            return;
+        }
+
+        echo esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) $search['last_run'] ) );
+        ?>
+        <span class="pm-post-meta">
+            <?php
+            printf(
+                /* translators: 1: number of occurrences, 2: number of new occurrences */
+                esc_html__( '%1$d found, %2$d new', 'phrasematch' ),
+                (int) $search['last_total'],
+                (int) $search['last_new']
+            );
+            ?>
+            <?php if ( $search['last_changeset'] ) : ?>
+                · <a href="<?php echo esc_url( Admin_Page::get_changeset_url( (int) $search['last_changeset'] ) ); ?>"><?php esc_html_e( 'Auto-applied changes', 'phrasematch' ); ?></a>
+            <?php endif; ?>
+        </span>
+        <?php
+    }
+
+    /**
+     * Describe when a search runs and how it reports, e.g. "Daily · Email, Dashboard notice".
+     *
+     * @param array $search Saved search.
+     *
+     * @return string Description.
+     */
+    private function describe_schedule( array $search ): string {
+        $schedules     = self::get_schedule_labels();
+        $notifications = array_intersect_key( self::get_notification_labels(), array_flip( $search['notify'] ) );
+        $description   = $schedules[ $search['schedule'] ] ?? $search['schedule'];
+
+        return empty( $notifications ) ? $description : $description . ' · ' . implode( ', ', $notifications );
+    }
+
+    /**
+     * Labels of the schedules, see Saved_Searches::SCHEDULES.
+     *
+     * @return array<string, string>
+     */
+    public static function get_schedule_labels(): array {
+        return [
+            ''           => __( 'Manually', 'phrasematch' ),
+            'hourly'     => __( 'Hourly', 'phrasematch' ),
+            'twicedaily' => __( 'Twice daily', 'phrasematch' ),
+            'daily'      => __( 'Daily', 'phrasematch' ),
+            'weekly'     => __( 'Weekly', 'phrasematch' ),
+        ];
+    }
+
+    /**
+     * Labels of the notification channels, see Saved_Searches::NOTIFICATIONS.
+     *
+     * @return array<string, string>
+     */
+    public static function get_notification_labels(): array {
+        return [
+            'email'  => __( 'Email', 'phrasematch' ),
+            'notice' => __( 'Dashboard notice', 'phrasematch' ),
+        ];
+    }
+}
@@ -0,0 +1,236 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Stores named searches that can be re-run by hand or on a schedule (see Scheduler).
+ *
+ * A saved search holds the same parameters as a scan from the admin page (the
+ * phrase or rule set, match options, post types, statuses, sources and match
+ * contexts), how it is scheduled and reported, and a summary of its last run.
+ * All searches live in one option; what a search has already reported (and the
+ * progress of a run in the background) is kept in a separate option per search,
+ * since it grows with the number of matches.
+ */
+class Saved_Searches {
+
+    /**
+     * Option holding all saved searches, keyed by ID.
+     */
+    private const OPTION = 'phrasematch_saved_searches';
+
+    /**
+     * Prefix of the per-search option holding its seen matches and run progress.
+     */
+    private const STATE_OPTION_PREFIX = 'phrasematch_saved_search_';
+
+    /**
+     * Valid schedules; '' runs the search only on demand.
+     */
+    public const SCHEDULES = [ '', 'hourly', 'twicedaily', 'daily', 'weekly' ];
+
+    /**
+     * Ways to report new occurrences.
+     */
+    public const NOTIFICATIONS = [ 'email', 'notice' ];
+
+    /**
+     * Modes for auto-apply; 'auto' removes the wrapping detected for each match.
+     */
+    public const AUTO_MODES = [ 'auto', 'text_only', 'html_element', 'gutenberg_block', 'parent_block' ];
+
+    /**
+     * Get all saved searches, ordered by name.
+     *
+     * @return array<int, array> Saved searches keyed by ID.
+     */
+    public function get_all(): array {
+        $searches = get_option( self::OPTION, [] );
+        $searches = is_array( $searches ) ? $searches : [];
+
+        uasort( $searches, static function ( array $a, array $b ): int {
+            return strcasecmp( $a['name'], $b['name'] );
+        } );
+
+        return $searches;
+    }
+
+    /**
+     * Get a saved search.
+     *
+     * @param int $id Saved search ID.
+     *
+     * @return array|null The saved search, or null when it does not exist.
+     */
+    public function get( int $id ): ?array {
+        return $this->get_all()[ $id ] ?? null;
+    }
+
+    /**
+     * Create or update a saved search. The summary of its last run is kept on update.
+     *
+     * @param array $search Search as returned by sanitize(); an `id` of 0 creates a new one.
+     *
+     * @return array The stored search.
+     */
+    public function save( array $search ): array {
+        $searches = get_option( self::OPTION, [] );
+        $searches = is_array( $searches ) ? $searches : [];
+        $id       = (int) ( $search['id'] ?? 0 );
+
+        if ( ! isset( $searches[ $id ] ) ) {
+            $id     = empty( $searches ) ? 1 : max( array_keys( $searches ) ) + 1;
+            $search = array_merge( $search, [
+                'id'             => $id,
+                'last_run'       => 0,
+                'last_total'     => 0,
+                'last_new'       => 0,
+                'last_changeset' => 0,
+                'matched_keys'   => [],
+                'unseen'         => false,
+            ] );
+        } else {
+            $search = array_merge( $searches[ $id ], $search, [ 'id' => $id ] );
+        }
+
+        $searches[ $id ] = $search;
+        update_option( self::OPTION, $searches, false );
+
+        return $search;
+    }
+
+    /**
+     * Update some fields of a saved search, e.g. the summary of a run.
+     *
+     * @param int   $id     Saved search ID.
+     * @param array $fields Fields to change.
+     *
+     * @return array|null The updated search, or null when it does not exist.
+     */
+    public function update( int $id, array $fields ): ?array {
+        $searches = get_option( self::OPTION, [] );
+
+        if ( ! is_array( $searches ) || ! isset( $searches[ $id ] ) ) {
+            return null;
+        }
+
+        $searches[ $id ] = array_merge( $searches[ $id ], $fields );
+        update_option( self::OPTION, $searches, false );
+
+        return $searches[ $id ];
+    }
+
+    /**
+     * Delete a saved search and its state.
+     *
+     * @param int $id Saved search ID.
+     */
+    public function delete( int $id ): void {
+        $searches = get_option( self::OPTION, [] );
+
+        if ( is_array( $searches ) && isset( $searches[ $id ] ) ) {
+            unset( $searches[ $id ] );
+            update_option( self::OPTION, $searches, false );
+        }
+
+        delete_option( self::STATE_OPTION_PREFIX . $id );
+    }
+
+    /**
+     * Get what a search has already reported and the progress of its current run.
+     *
+     * @param int $id Saved search ID.
+     *
+     * @return array{seen: array<string, int>, run: array|null}
+     */
+    public function get_state( int $id ): array {
+        $state = get_option( self::STATE_OPTION_PREFIX . $id, [] );
+
+        return [
+            'seen' => is_array( $state ) && is_array( $state['seen'] ?? null ) ? $state['seen'] : [],
+            'run'  => is_array( $state ) && is_array( $state['run'] ?? null ) ? $state['run'] : null,
+        ];
+    }
+
+    /**
+     * Store a search's state.
+     *
+     * @param int   $id    Saved search ID.
+     * @param array $state State as returned by get_state().
+     */
+    public function save_state( int $id, array $state ): void {
+        update_option( self::STATE_OPTION_PREFIX . $id, $state, false );
+    }
+
+    /**
+     * Build the rule set a saved search scans with.
+     *
+     * @param array $search Saved search.
+     *
+     * @return Rule_Set
+     */
+    public static function get_rule_set( array $search ): Rule_Set {
+        if ( '' !== $search['rules'] ) {
+            return Rule_Set::from_csv( $search['rules'], $search['match_options'] );
+        }
+
+        return Rule_Set::from_phrase( $search['phrase'], $search['match_options'] );
+    }
+
+    /**
+     * Build a saved search from unslashed form input.
+     *
+     * The search itself is taken from the rule set (see get_rule_set()), so only
+     * its label and rules CSV are stored. Validation beyond sanitizing is left to
+     * the caller: the rule set's error, the name and the recipients.
+     *
+     * @param array    $input   Raw input: id, name, schedule, notify, recipients, auto_apply, auto_mode.
+     * @param Rule_Set $rules   The phrase (or rules) and match options to search with.
+     * @param array    $filters Sanitized post_types, statuses, sources and contexts.
+     * @param int      $user_id User who owns the search; scheduled changes are made as this user.
+     *
+     * @return array Saved search.
+     */
+    public static function sanitize( array $input, Rule_Set $rules, array $filters, int $user_id ): array {
+        $schedule  = sanitize_key( (string) ( $input['schedule'] ?? '' ) );
+        $notify    = isset( $input['notify'] ) && is_array( $input['notify'] ) ? array_map( 'sanitize_key', $input['notify'] ) : [];
+        $auto_mode = sanitize_key( (string) ( $input['auto_mode'] ?? 'auto' ) );
+
+        return [
+            'id'            => absint( $input['id'] ?? 0 ),
+            'name'          => sanitize_text_field( (string) ( $input['name'] ?? '' ) ),
+            'user_id'       => $user_id,
+            'phrase'        => $rules->get_label(),
+            'rules'         => $rules->to_csv(),
+            'match_options' => $rules->get_options(),
+            'post_types'    => array_values( $filters['post_types'] ),
+            'statuses'      => array_values( $filters['statuses'] ),
+            'sources'       => array_values( $filters['sources'] ),
+            'contexts'      => array_values( $filters['contexts'] ),
+            'schedule'      => in_array( $schedule, self::SCHEDULES, true ) ? $schedule : '',
+            'notify'        => array_values( array_intersect( self::NOTIFICATIONS, $notify ) ),
+            'recipients'    => implode( ', ', self::parse_recipients( (string) ( $input['recipients'] ?? '' ) ) ),
+            'auto_apply'    => ! empty( $input['auto_apply'] ),
+            'auto_mode'     => in_array( $auto_mode, self::AUTO_MODES, true ) ? $auto_mode : 'auto',
+        ];
+    }
+
+    /**
+     * Split a list of email addresses, dropping invalid ones.
+     *
+     * @param string $recipients Comma- or whitespace-separated addresses.
+     *
+     * @return string[] Valid addresses.
+     */
+    public static function parse_recipients( string $recipients ): array {
+        $emails = preg_split( '/[\s,;]+/', $recipients, -1, PREG_SPLIT_NO_EMPTY );
+
+        return array_values( array_unique( array_filter( array_map( 'sanitize_email', (array) $emails ), 'is_email' ) ) );
+    }
+}
@@ -0,0 +1,115 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Persists the progress of a batched scan per user so an interrupted scan can be resumed.
+ *
+ * Only the scan parameters (for a rule set, its rules as CSV), the batch cursor and
+ * the keys of objects that had matches are stored; the results themselves are
+ * rebuilt from those keys on resume, which keeps the stored state small even on
+ * very large sites.
+ */
+class Scan_State {
+
+    /**
+     * User meta key holding the state of the user's current scan.
+     */
+    private const META_KEY = 'phrasematch_scan_state';
+
+    /**
+     * Get the user's unfinished scan, if any.
+     *
+     * @param int $user_id User ID.
+     *
+     * @return array|null The stored state or null.
+     */
+    public function get( int $user_id ): ?array {
+        $state = get_user_meta( $user_id, self::META_KEY, true );
+
+        return is_array( $state ) && ! empty( $state['scan_id'] ) ? $state : null;
+    }
+
+    /**
+     * Start tracking a new scan, replacing any previous one.
+     *
+     * @param int      $user_id     User ID.
+     * @param Rule_Set $rules       The phrase (or rules) and match options.
+     * @param string[] $post_types  Post types being scanned.
+     * @param string[] $statuses    Post statuses being scanned.
+     * @param string[] $sources     Sources being scanned.
+     * @param string[] $contexts    Match contexts being reported.
+     * @param int      $total_items Number of candidate objects the scan will examine.
+     *
+     * @return array The new state.
+     */
+    public function start( int $user_id, Rule_Set $rules, array $post_types, array $statuses, array $sources, array $contexts, int $total_items ): array {
+        $state = [
+            'scan_id'       => wp_generate_uuid4(),
+            'phrase'        => $rules->get_label(),
+            'rules'         => $rules->to_csv(),
+            'match_options' => $rules->get_options(),
+            'post_types'    => array_values( $post_types ),
+            'statuses'      => array_values( $statuses ),
+            'sources'       => array_values( $sources ),
+            'contexts'      => array_values( $contexts ),
+            'total_items'   => $total_items,
+            'scanned_items' => 0,
+            'cursor'        => '',
+            'matched_keys'  => [],
+            'updated'       => time(),
+        ];
+
+        update_user_meta( $user_id, self::META_KEY, $state );
+
+        return $state;
+    }
+
+    /**
+     * Record a finished batch. The state is removed once the scan is done.
+     *
+     * @param int    $user_id User ID.
+     * @param string $scan_id ID of the scan the batch belongs to.
+     * @param array  $batch   Batch as returned by Scanner::scan_batch().
+     *
+     * @return array|null Updated state, or null when the scan is not the one being tracked.
+     */
+    public function advance( int $user_id, string $scan_id, array $batch ): ?array {
+        $state = $this->get( $user_id );
+
+        if ( null === $state || $state['scan_id'] !== $scan_id ) {
+            return null;
+        }
+
+        $state['scanned_items'] += (int) $batch['scanned'];
+        $state['cursor']         = (string) $batch['cursor'];
+        $state['matched_keys']   = array_values( array_unique( array_merge(
+            $state['matched_keys'],
+            wp_list_pluck( $batch['results'], 'object_key' )
+        ) ) );
+        $state['updated']        = time();
+
+        if ( $batch['done'] ) {
+            $this->clear( $user_id );
+        } else {
+            update_user_meta( $user_id, self::META_KEY, $state );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Forget the user's scan.
+     *
+     * @param int $user_id User ID.
+     */
+    public function clear( int $user_id ): void {
+        delete_user_meta( $user_id, self::META_KEY );
+    }
+}
@@ -9,76 +9,453 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 /**
- * Scans post titles and content for a given phrase and returns per-occurrence
- * results with context snippets and wrapping-type detection.
+ * Scans site content for a given phrase and returns per-occurrence results with
+ * context snippets and wrapping-type detection.
  *
- * Matching uses byte-offset semantics (PHP string functions). For UTF-8 content,
- * offsets are byte positions, not character positions.
+ * Sources (see SOURCES) cover post titles, content and excerpts, custom fields
+ * (including the strings inside serialized arrays, JSON and page builder
+ * layouts; see Content_Adapters), nav menu item labels, widget settings, term
+ * descriptions and comments. Each result names the object and
+ * field it was found in (see Content_Store) so the Remover can modify it.
+ *
+ * Text with block markup is read as a block tree (see Block_Tree): each result
+ * lists the blocks enclosing the match with their paths, and string attributes
+ * of blocks are searched as well.
+ *
+ * Each result carries the modification time of its object (posts only) and a
+ * hash of the raw value of its field, so the Remover can refuse to edit a field
+ * that changed after the scan.
+ *
+ * Each match is classified by context (visible text, HTML attribute, URL,
+ * shortcode, code, comment; see Match_Context), and only the requested contexts
+ * are reported, so links and markup are not listed for editing by default.
+ *
+ * Matching is delegated to a Matcher, so case-sensitive, whole-word and regex
+ * scans share the same rules as the Remover's offset verification.
+ *
+ * A Rule_Set is scanned rule by rule (see scan_rules_batch()), and each result
+ * names the rule that found it.
+ *
+ * Large sites are scanned in batches. Objects are walked one phase at a time
+ * (posts, menu items, comments, terms, widgets) in ascending ID order; the
+ * cursor "phase:last_id" each batch returns is where the next batch (or an
+ * interrupted scan) continues.
+ *
+ * Offsets and lengths are byte positions (as PHP string functions use), not
+ * character positions; the Matcher only reports matches on UTF-8 character
+ * boundaries, and snippets are cut on character boundaries as well.
  */
 class Scanner {
 
+    /**
+     * Selectable scan sources. A result's location is one of these.
+     */
+    public const SOURCES = [ 'title', 'content', 'excerpt', 'meta', 'menu_item', 'widget', 'term', 'comment' ];
+
+    /**
+     * Sources scanned when none are given.
+     */
+    public const DEFAULT_SOURCES = [ 'title', 'content' ];
+
+    /**
+     * Sources holding single-line text, which has no HTML wrapping.
+     */
+    private const PLAIN_SOURCES = [ 'title', 'menu_item' ];
+
+    /**
+     * Sources found on posts of the selected post types.
+     */
+    public const POST_SOURCES = [ 'title', 'content', 'excerpt', 'meta' ];
+
+    /**
+     * Scan phases in cursor order.
+     */
+    private const PHASES = [ 'posts', 'menu_items', 'comments', 'terms', 'widgets' ];
+
+    /**
+     * Internal custom fields that never hold editable text.
+     */
+    private const SKIPPED_META_KEYS = [
+        '_edit_lock',
+        '_edit_last',
+        '_encloseme',
+        '_pingme',
+        '_thumbnail_id',
+        '_wp_attached_file',
+        '_wp_attachment_metadata',
+        '_wp_old_date',
+        '_wp_old_slug',
+        '_wp_page_template',
+        '_wp_trash_meta_status',
+        '_wp_trash_meta_time',
+    ];
+
     /**
      * Number of characters of context to show around each match.
      */
     private const CONTEXT_CHARS = 80;
 
     /**
-     * Scan the selected post types for occurrences of the phrase.
+     * Default number of candidate objects examined per batch.
+     */
+    private const BATCH_SIZE = 100;
+
+    /**
+     * Most candidate objects examined per batch for a user, as a multiple of
+     * the batch size, however few of them the user can edit.
+     */
+    private const MAX_EXAMINED_FACTOR = 4;
+
+    private Content_Store $store;
+
+    public function __construct( Content_Store $store ) {
+        $this->store = $store;
+    }
+
+    /**
+     * Keep the known sources of a list, falling back to DEFAULT_SOURCES when none remain.
+     *
+     * @param array $sources Requested sources.
+     *
+     * @return string[] Sources.
+     */
+    public static function sanitize_sources( array $sources ): array {
+        $sources = array_values( array_intersect( self::SOURCES, array_map( 'strval', $sources ) ) );
+
+        return empty( $sources ) ? self::DEFAULT_SOURCES : $sources;
+    }
+
+    /**
+     * Scan the selected sources for occurrences of the phrase.
+     *
+     * Runs every batch in one call; use scan_batch() where request time is limited.
+     *
+     * @param Matcher  $matcher    The phrase and match options to search with.
+     * @param string[] $post_types Post types to search.
+     * @param string[] $statuses   Post statuses to include.
+     * @param string[] $sources    Sources to search.
+     * @param string[] $contexts   Match contexts to report (see Match_Context).
+     *
+     * @return array<int, array> Array of occurrence records.
+     */
+    public function scan( Matcher $matcher, array $post_types, array $statuses, array $sources = self::DEFAULT_SOURCES, array $contexts = Match_Context::DEFAULT_CONTEXTS ): array {
+        $results = [];
+        $cursor  = '';
+
+        do {
+            $batch   = $this->scan_batch( $matcher, $post_types, $statuses, $sources, $contexts, $cursor );
+            $results = array_merge( $results, $batch['results'] );
+            $cursor  = $batch['cursor'];
+        } while ( ! $batch['done'] );
+
+        return $results;
+    }
+
+    /**
+     * Scan the next batch of candidate objects after the given cursor.
      *
-     * @param string   $phrase     The phrase to search for.
+     * @param Matcher  $matcher    The phrase and match options to search with.
      * @param string[] $post_types Post types to search.
      * @param string[] $statuses   Post statuses to include.
+     * @param string[] $sources    Sources to search.
+     * @param string[] $contexts   Match contexts to report (see Match_Context).
+     * @param string   $cursor     Cursor returned by the previous batch; '' to start.
+     * @param int      $limit      Candidate objects to examine; 0 for get_batch_size().
+     * @param int      $user_id    Only examine (and count) objects this user can edit; 0 for all.
+     *                             Objects the user cannot edit do not count towards $limit,
+     *                             but a batch looks at no more than MAX_EXAMINED_FACTOR
+     *                             times $limit candidates, so it may end short of $limit
+     *                             without being done.
+     *
+     * @return array{results: array, cursor: string, scanned: int, done: bool}
+     */
+    public function scan_batch( Matcher $matcher, array $post_types, array $statuses, array $sources, array $contexts, string $cursor = '', int $limit = 0, int $user_id = 0 ): array {
+        $phases = $this->get_phases( $post_types, $statuses, $sources );
+
+        if ( '' !== $matcher->get_error() || empty( $phases ) ) {
+            return [
+                'results' => [],
+                'cursor'  => $cursor,
+                'scanned' => 0,
+                'done'    => true,
+            ];
+        }
+
+        list( $phase, $after_id ) = $this->parse_cursor( $cursor, $phases );
+
+        $limit    = $limit > 0 ? $limit : $this->get_batch_size();
+        $max      = $limit * self::MAX_EXAMINED_FACTOR;
+        $index    = (int) array_search( $phase, $phases, true );
+        $results  = [];
+        $scanned  = 0;
+        $examined = 0;
+        $done     = false;
+
+        // A phase that runs out before the batch is full hands the rest of the batch to the next phase.
+        while ( true ) {
+            if ( 'widgets' === $phase ) {
+                // Widget settings live in a handful of options and are scanned in one go.
+                $instances = $this->filter_editable( 'widgets', $this->get_widget_instances(), $user_id );
+
+                return [
+                    'results' => $this->filter_contexts( array_merge( $results, $this->scan_widgets( $matcher, $instances ) ), $contexts ),
+                    'cursor'  => 'widgets:0',
+                    'scanned' => $scanned + count( $instances ),
+                    'done'    => true,
+                ];
+            }
+
+            $wanted    = min( $limit - $scanned, $max - $examined );
+            $ids       = $this->get_candidate_ids( $phase, $matcher, $post_types, $statuses, $sources, $after_id, $wanted );
+            $editable  = array_keys( $this->filter_editable( $phase, array_flip( $ids ), $user_id ) );
+            $results   = array_merge( $results, $this->scan_ids( $phase, $matcher, $editable, $sources ) );
+            $scanned  += count( $editable );
+            $examined += count( $ids );
+            $after_id  = empty( $ids ) ? $after_id : (int) max( $ids );
+
+            if ( $scanned >= $limit || $examined >= $max ) {
+                break;
+            }
+
+            // Objects the user cannot edit left room in the batch; the phase may have more.
+            if ( count( $ids ) === $wanted ) {
+                continue;
+            }
+
+            if ( ! isset( $phases[ $index + 1 ] ) ) {
+                $done = true;
+                break;
+            }
+
+            $phase    = $phases[ ++$index ];
+            $after_id = 0;
+        }
+
+        return [
+            'results' => $this->filter_contexts( $results, $contexts ),
+            'cursor'  => $phase . ':' . $after_id,
+            'scanned' => $scanned,
+            'done'    => $done,
+        ];
+    }
+
+    /**
+     * Number of candidate objects examined per batch.
+     *
+     * Lower it with the `phrasematch_scan_batch_size` filter on hosts with tight time limits.
+     */
+    public function get_batch_size(): int {
+        return max( 1, (int) apply_filters( 'phrasematch_scan_batch_size', self::BATCH_SIZE ) );
+    }
+
+    /**
+     * Scan specific objects, e.g. to restore the results of an interrupted scan.
+     *
+     * Objects outside the selected post types, statuses or sources are skipped.
+     *
+     * @param Matcher  $matcher     The phrase and match options to search with.
+     * @param string[] $object_keys Object keys to scan, e.g. 'post:12'.
+     * @param string[] $post_types  Post types to include.
+     * @param string[] $statuses    Post statuses to include.
+     * @param string[] $sources     Sources to search.
+     * @param string[] $contexts    Match contexts to report (see Match_Context).
      *
      * @return array<int, array> Array of occurrence records.
      */
-    public function scan( string $phrase, array $post_types, array $statuses ): array {
-        if ( '' === $phrase || empty( $post_types ) ) {
+    public function scan_objects( Matcher $matcher, array $object_keys, array $post_types, array $statuses, array $sources, array $contexts ): array {
+        if ( '' !== $matcher->get_error() ) {
             return [];
         }
 
-        $posts = $this->get_posts_containing_phrase( $phrase, $post_types, $statuses );
+        $ids = [];
+        foreach ( $object_keys as $key ) {
+            $parsed = Content_Store::parse_key( (string) $key );
+            if ( null !== $parsed ) {
+                $ids[ $parsed['type'] ][] = $parsed['id'];
+            }
+        }
+
         $results = [];
 
-        foreach ( $posts as $post ) {
-            $base = [
-                'post_id'       => $post->ID,
-                'title'         => get_the_title( $post ),
-                'edit_url'      => get_edit_post_link( $post->ID, 'raw' ),
-                'revisions_url' => $this->get_revisions_url_for_post( $post->ID ),
-                'post_type'     => $post->post_type,
-                'post_status'   => $post->post_status,
-            ];
+        if ( ! empty( $ids['post'] ) ) {
+            $post_ids = array_map( 'intval', $ids['post'] );
+            _prime_post_caches( $post_ids, false, false );
+
+            $menu_items = [];
+            $posts      = [];
+            foreach ( $post_ids as $post_id ) {
+                $post = get_post( $post_id );
+                if ( ! $post ) {
+                    continue;
+                }
+                if ( 'nav_menu_item' === $post->post_type ) {
+                    $menu_items[] = $post_id;
+                } elseif ( in_array( $post->post_type, $post_types, true ) && in_array( $post->post_status, $statuses, true ) ) {
+                    $posts[] = $post_id;
+                }
+            }
+
+            $phases = $this->get_phases( $post_types, $statuses, $sources );
+            if ( in_array( 'posts', $phases, true ) ) {
+                $results = array_merge( $results, $this->scan_ids( 'posts', $matcher, $posts, $sources ) );
+            }
+            if ( in_array( 'menu_items', $phases, true ) ) {
+                $results = array_merge( $results, $this->scan_ids( 'menu_items', $matcher, $menu_items, $sources ) );
+            }
+        }
+
+        if ( ! empty( $ids['comment'] ) && in_array( 'comment', $sources, true ) ) {
+            $results = array_merge( $results, $this->scan_ids( 'comments', $matcher, array_map( 'intval', $ids['comment'] ), $sources ) );
+        }
+
+        if ( ! empty( $ids['term'] ) && in_array( 'term', $sources, true ) ) {
+            $results = array_merge( $results, $this->scan_ids( 'terms', $matcher, array_map( 'intval', $ids['term'] ), $sources ) );
+        }
+
+        if ( ! empty( $ids['widget'] ) && in_array( 'widget', $sources, true ) ) {
+            $instances = array_intersect_key( $this->get_widget_instances(), array_flip( $ids['widget'] ) );
+            $results   = array_merge( $results, $this->scan_widgets( $matcher, $instances ) );
+        }
+
+        return $this->filter_contexts( $results, $contexts );
+    }
+
+    /**
+     * Count the candidate objects a full scan will examine (used for progress reporting).
+     *
+     * @param Matcher  $matcher    The phrase and match options.
+     * @param string[] $post_types Post types to include.
+     * @param string[] $statuses   Post statuses to include.
+     * @param string[] $sources    Sources to search.
+     * @param int      $user_id    Only count objects this user can edit; 0 for all.
+     *
+     * @return int Number of candidate objects.
+     */
+    public function count_candidates( Matcher $matcher, array $post_types, array $statuses, array $sources = self::DEFAULT_SOURCES, int $user_id = 0 ): int {
+        global $wpdb;
+
+        $count = 0;
 
-            // --- Check post title ---
-            $title_occurrences = $this->find_occurrences( $post->post_title, $phrase );
+        foreach ( $this->get_phases( $post_types, $statuses, $sources ) as $phase ) {
+            if ( 'widgets' === $phase ) {
+                $count += count( $this->filter_editable( $phase, $this->get_widget_instances(), $user_id ) );
+                continue;
+            }
 
-            foreach ( $title_occurrences as $index => $offset ) {
-                $snippet = $this->build_snippet( $post->post_title, $phrase, $offset );
+            list( $table, $id_column, $where, $prepare_args ) = $this->build_candidate_query( $phase, $matcher, $post_types, $statuses, $sources );
 
-                $results[] = array_merge( $base, [
-                    'location'         => 'title',
-                    'occurrence_index' => $index,
-                    'char_offset'      => $offset,
-                    'snippet'          => $snippet,
-                    'wrapping'         => 'plain', // titles have no HTML wrapping
-                ] );
+            // phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.ReplacementsWrongNumber, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Exact phrase LIKE not possible via WP_Query. Dynamic placeholders; table and column names are not user input.
+            if ( $user_id > 0 ) {
+                $ids    = $wpdb->get_col( $wpdb->prepare( "SELECT DISTINCT {$id_column} FROM {$table} WHERE {$where}", ...$prepare_args ) );
+                $count += count( $this->filter_editable( $phase, array_flip( array_map( 'intval', $ids ) ), $user_id ) );
+            } else {
+                $count += (int) $wpdb->get_var(
+                    $wpdb->prepare( "SELECT COUNT(DISTINCT {$id_column}) FROM {$table} WHERE {$where}", ...$prepare_args )
+                );
             }
+            // phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.ReplacementsWrongNumber, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        }
+
+        return $count;
+    }
+
+    /**
+     * Keep the objects of a phase that a user can edit.
+     *
+     * @param string $phase   Phase.
+     * @param array  $objects Anything keyed by object ID (widget ID for widgets).
+     * @param int    $user_id User ID; 0 keeps every object.
+     *
+     * @return array The editable entries of $objects.
+     */
+    private function filter_editable( string $phase, array $objects, int $user_id ): array {
+        if ( 0 === $user_id ) {
+            return $objects;
+        }
+
+        $types = [
+            'posts'      => 'post',
+            'menu_items' => 'post',
+            'comments'   => 'comment',
+            'terms'      => 'term',
+            'widgets'    => 'widget',
+        ];
+
+        return array_filter( $objects, static function ( $id ) use ( $phase, $types, $user_id ): bool {
+            return Capabilities::can_edit_object( $user_id, Content_Store::key( $types[ $phase ], $id ) );
+        }, ARRAY_FILTER_USE_KEY );
+    }
+
+    /**
+     * Scan the next batch for a rule set.
+     *
+     * The rules are searched one after the other, each through all selected
+     * sources, so every batch runs a single matcher. Results carry the index of
+     * their rule in `rule`. The cursor is "rule/cursor", e.g. "2/posts:120".
+     *
+     * @param Rule_Set $rules      The rules and match options to search with.
+     * @param string[] $post_types Post types to search.
+     * @param string[] $statuses   Post statuses to include.
+     * @param string[] $sources    Sources to search.
+     * @param string[] $contexts   Match contexts to report (see Match_Context).
+     * @param string   $cursor     Cursor returned by the previous batch; '' to start.
+     * @param int      $limit      Candidate objects to examine; 0 for get_batch_size().
+     * @param int      $user_id    Only examine (and count) objects this user can edit; 0 for all.
+     *
+     * @return array{results: array, cursor: string, scanned: int, done: bool}
+     */
+    public function scan_rules_batch( Rule_Set $rules, array $post_types, array $statuses, array $sources, array $contexts, string $cursor = '', int $limit = 0, int $user_id = 0 ): array {
+        $matchers = $rules->get_matchers();
+
+        if ( '' !== $rules->get_error() ) {
+            return [
+                'results' => [],
+                'cursor'  => $cursor,
+                'scanned' => 0,
+                'done'    => true,
+            ];
+        }
+
+        $rule  = preg_match( '#^(\d+)/(.*)$#', $cursor, $m ) && isset( $matchers[ (int) $m[1] ] ) ? (int) $m[1] : 0;
+        $inner = isset( $m[2] ) && $rule === (int) $m[1] ? $m[2] : '';
+        $batch = $this->scan_batch( $matchers[ $rule ], $post_types, $statuses, $sources, $contexts, $inner, $limit, $user_id );
+
+        foreach ( $batch['results'] as $index => $result ) {
+            $batch['results'][ $index ]['rule'] = $rule;
+        }
+
+        if ( $batch['done'] && isset( $matchers[ $rule + 1 ] ) ) {
+            $batch['cursor'] = ( $rule + 1 ) . '/';
+            $batch['done']   = false;
+        } else {
+            $batch['cursor'] = $rule . '/' . $batch['cursor'];
+        }
+
+        return $batch;
+    }
+
+    /**
+     * Scan specific objects for every rule of a set (see scan_objects()).
+     *
+     * @param Rule_Set $rules       The rules and match options to search with.
+     * @param string[] $object_keys Object keys to scan, e.g. 'post:12'.
+     * @param string[] $post_types  Post types to include.
+     * @param string[] $statuses    Post statuses to include.
+     * @param string[] $sources     Sources to search.
+     * @param string[] $contexts    Match contexts to report (see Match_Context).
+     *
+     * @return array<int, array> Array of occurrence records, each with its `rule`.
+     */
+    public function scan_rules_objects( Rule_Set $rules, array $object_keys, array $post_types, array $statuses, array $sources, array $contexts ): array {
+        if ( '' !== $rules->get_error() ) {
+            return [];
+        }
 
-            // --- Check post content ---
-            $content     = $post->post_content;
-            $occurrences = $this->find_occurrences( $content, $phrase );
-
-            foreach ( $occurrences as $index => $offset ) {
-                $wrapping = $this->detect_wrapping( $content, $phrase, $offset );
-                $snippet  = $this->build_snippet( $content, $phrase, $offset );
-
-                $results[] = array_merge( $base, [
-                    'location'         => 'content',
-                    'occurrence_index' => $index,
-                    'char_offset'      => $offset,
-                    'snippet'          => $snippet,
-                    'wrapping'         => $wrapping, // 'plain', 'html_element', or 'gutenberg_block'
-                ] );
+        $results = [];
+
+        foreach ( $rules->get_matchers() as $rule => $matcher ) {
+            foreach ( $this->scan_objects( $matcher, $object_keys, $post_types, $statuses, $sources, $contexts ) as $result ) {
+                $results[] = $result + [ 'rule' => $rule ];
             }
         }
 
@@ -86,66 +463,546 @@ class Scanner {
     }
 
     /**
-     * Get post IDs that contain the exact phrase (title or content), then load full post objects.
+     * Count the candidate objects a full scan of a rule set examines: the sum over its rules.
      *
-     * Uses a direct LIKE query so exact phrase matches are found; WP_Query 's' is term-based and can miss phrases.
+     * @param Rule_Set $rules      The rules and match options.
+     * @param string[] $post_types Post types to include.
+     * @param string[] $statuses   Post statuses to include.
+     * @param string[] $sources    Sources to search.
+     * @param int      $user_id    Only count objects this user can edit; 0 for all.
+     *
+     * @return int Number of candidate objects.
+     */
+    public function count_rules_candidates( Rule_Set $rules, array $post_types, array $statuses, array $sources, int $user_id = 0 ): int {
+        $count = 0;
+
+        foreach ( $rules->get_matchers() as $matcher ) {
+            $count += $this->count_candidates( $matcher, $post_types, $statuses, $sources, $user_id );
+        }
+
+        return $count;
+    }
+
+    /**
+     * Phases needed for the selected sources, in cursor order.
      *
-     * @param string   $phrase     The exact phrase to search for.
      * @param string[] $post_types Post types to include.
      * @param string[] $statuses   Post statuses to include.
+     * @param string[] $sources    Sources to search.
      *
-     * @return \WP_Post[] Array of post objects.
+     * @return string[] Phases.
      */
-    private function get_posts_containing_phrase( string $phrase, array $post_types, array $statuses ): array {
-        global $wpdb;
+    private function get_phases( array $post_types, array $statuses, array $sources ): array {
+        $active = [
+            'posts'      => ! empty( $post_types ) && ! empty( $statuses ) && ! empty( array_intersect( self::POST_SOURCES, $sources ) ),
+            'menu_items' => in_array( 'menu_item', $sources, true ),
+            'comments'   => in_array( 'comment', $sources, true ),
+            'terms'      => in_array( 'term', $sources, true ),
+            'widgets'    => in_array( 'widget', $sources, true ),
+        ];
+
+        return array_values( array_filter( self::PHASES, static function ( string $phase ) use ( $active ): bool {
+            return $active[ $phase ];
+        } ) );
+    }
+
+    /**
+     * Split a cursor into its phase and last ID. Unknown cursors start at the first phase.
+     *
+     * @param string   $cursor Cursor, e.g. 'posts:120'.
+     * @param string[] $phases Active phases.
+     *
+     * @return array{0: string, 1: int}
+     */
+    private function parse_cursor( string $cursor, array $phases ): array {
+        if ( preg_match( '/^([a-z_]+):(\d+)$/', $cursor, $m ) && in_array( $m[1], $phases, true ) ) {
+            return [ $m[1], (int) $m[2] ];
+        }
+
+        return [ $phases[0], 0 ];
+    }
+
+    /**
+     * Scan objects of one phase by ID.
+     *
+     * @param string   $phase   Phase.
+     * @param Matcher  $matcher The phrase and match options.
+     * @param int[]    $ids     Object IDs.
+     * @param string[] $sources Sources to search.
+     *
+     * @return array<int, array> Array of occurrence records.
+     */
+    private function scan_ids( string $phase, Matcher $matcher, array $ids, array $sources ): array {
+        if ( empty( $ids ) ) {
+            return [];
+        }
+
+        $results = [];
 
-        $cache_key = 'phrasematch_ids_' . md5( $phrase . '|' . implode( ',', $post_types ) . '|' . implode( ',', $statuses ) );
-        $ids       = wp_cache_get( $cache_key, 'phrasematch' );
-        if ( false !== $ids ) {
-            if ( empty( $ids ) ) {
-                return [];
+        switch ( $phase ) {
+            case 'posts':
+            case 'menu_items':
+                _prime_post_caches( $ids, false, false );
+                $meta = 'posts' === $phase && in_array( 'meta', $sources, true ) ? $this->get_meta_rows( $ids ) : [];
+
+                foreach ( $ids as $id ) {
+                    $post = get_post( $id );
+                    if ( $post ) {
+                        $results = array_merge( $results, $this->scan_post( $matcher, $post, $sources, $meta[ $id ] ?? [] ) );
+                    }
+                }
+                break;
+
+            case 'comments':
+                foreach ( $ids as $id ) {
+                    $comment = get_comment( $id );
+                    if ( $comment ) {
+                        $results = array_merge( $results, $this->scan_text( $matcher, (string) $comment->comment_content, $this->get_base( 'comment', $id, 'comment', wp_get_comment_status( $comment ) ), 'comment', 'comment_content' ) );
+                    }
+                }
+                break;
+
+            case 'terms':
+                foreach ( $ids as $id ) {
+                    $term = get_term( $id );
+                    if ( $term instanceof \WP_Term ) {
+                        $results = array_merge( $results, $this->scan_text( $matcher, (string) $term->description, $this->get_base( 'term', $id, $term->taxonomy, '' ), 'term', 'description' ) );
+                    }
+                }
+                break;
+        }
+
+        return $results;
+    }
+
+    /**
+     * Find all occurrences in a single post (or nav menu item).
+     *
+     * @param Matcher  $matcher The phrase and match options.
+     * @param \WP_Post $post    The post to scan.
+     * @param string[] $sources Sources to search.
+     * @param array    $meta    The post's meta rows (meta_id, meta_key, meta_value).
+     *
+     * @return array<int, array> Array of occurrence records.
+     */
+    private function scan_post( Matcher $matcher, \WP_Post $post, array $sources, array $meta ): array {
+        $base = $this->get_base( 'post', $post->ID, $post->post_type, $post->post_status );
+
+        // A custom menu item label is stored as the item's title.
+        if ( 'nav_menu_item' === $post->post_type ) {
+            return $this->scan_text( $matcher, $post->post_title, $base, 'menu_item', 'post_title' );
+        }
+
+        $results = [];
+        $fields  = [
+            'title'   => 'post_title',
+            'content' => 'post_content',
+            'excerpt' => 'post_excerpt',
+        ];
+
+        foreach ( $fields as $source => $field ) {
+            if ( in_array( $source, $sources, true ) ) {
+                $results = array_merge( $results, $this->scan_text( $matcher, $post->$field, $base, $source, $field ) );
+            }
+        }
+
+        foreach ( $meta as $row ) {
+            $field = 'meta:' . $row->meta_id;
+
+            $adapter = Content_Adapters::find( (string) $row->meta_key, (string) $row->meta_value );
+            $data    = null === $adapter ? null : $adapter->decode( $row->meta_value );
+
+            if ( null === $data ) {
+                $results = array_merge( $results, $this->scan_text( $matcher, $row->meta_value, $base, 'meta', $field, [], $row->meta_key ) );
+                continue;
+            }
+
+            // Strings inside structured values are addressed by their path and decoded again by the same adapter.
+            $field_label  = '' === $adapter->get_label() ? $row->meta_key : $adapter->get_label();
+            $adapter_base = array_merge( $base, [ 'adapter' => $adapter->get_name() ] );
+
+            foreach ( $adapter->get_texts( $data ) as $text ) {
+                $label   = '' === $text['label'] ? $field_label : $field_label . ' · ' . $text['label'];
+                $results = array_merge( $results, $this->scan_text( $matcher, $text['value'], $adapter_base, 'meta', $field, $text['path'], $label, $row->meta_value ) );
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Find all occurrences in the given widget instances.
+     *
+     * @param Matcher              $matcher   The phrase and match options.
+     * @param array<string, array> $instances Widget ID => instance settings.
+     *
+     * @return array<int, array> Array of occurrence records.
+     */
+    private function scan_widgets( Matcher $matcher, array $instances ): array {
+        $results = [];
+
+        foreach ( $instances as $widget_id => $instance ) {
+            $base = $this->get_base( 'widget', $widget_id, Content_Store::split_widget_id( (string) $widget_id )[0], '' );
+
+            foreach ( $instance as $setting => $value ) {
+                if ( is_string( $value ) && sanitize_key( (string) $setting ) === (string) $setting ) {
+                    $results = array_merge( $results, $this->scan_text( $matcher, $value, $base, 'widget', (string) $setting, [], (string) $setting ) );
+                }
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Build occurrence records for every match in one string.
+     *
+     * Strings with block markup also get the blocks enclosing each match, and the
+     * string attributes of their blocks are searched too (see scan_block_attributes()).
+     *
+     * @param Matcher     $matcher     The phrase and match options.
+     * @param string      $text        The string to search.
+     * @param array       $base        Fields shared by all results of the object (see get_base()).
+     * @param string      $location    Source the string belongs to.
+     * @param string      $field       Content_Store field holding the string.
+     * @param array       $path        Keys of the string inside a structured field value (see Content_Adapter).
+     * @param string      $field_label Name shown for the field, e.g. the meta key.
+     * @param string|null $raw         Raw value of the field when $text is a string inside it; defaults to $text.
+     *
+     * @return array<int, array> Array of occurrence records.
+     */
+    private function scan_text( Matcher $matcher, string $text, array $base, string $location, string $field, array $path = [], string $field_label = '', ?string $raw = null ): array {
+        $results = [];
+        $plain   = in_array( $location, self::PLAIN_SOURCES, true );
+        $tree    = $plain ? null : new Block_Tree( $text );
+        $context = null;
+
+        $base['content_hash'] = Content_Store::hash( $raw ?? $text );
+
+        // A match across markup covers the tags between its words; classify it by where it starts.
+        $visible = $matcher->get_option( 'visible_text' );
+
+        foreach ( $matcher->find_all( $text ) as $index => $match ) {
+            $chain = [];
+
+            if ( null !== $tree ) {
+                // Text inside a block comment is an attribute value, reported with the block's attributes.
+                if ( $tree->overlaps_delimiter( $match['offset'], $match['length'] ) ) {
+                    continue;
+                }
+                $chain   = $tree->get_chain( $match['offset'], $match['length'] );
+                $context = $context ?? new Match_Context( $text, $tree );
             }
-            $posts = get_posts( [
-                'post__in'       => array_map( 'intval', (array) $ids ),
-                'post_type'      => $post_types,
-                'post_status'    => $statuses,
-                'posts_per_page' => -1,
-                'no_found_rows'  => true,
-                'orderby'        => 'post__in',
+
+            $results[] = array_merge( $base, [
+                'location'         => $location,
+                'field'            => $field,
+                'path'             => $path,
+                'field_label'      => $field_label,
+                'occurrence_index' => $index,
+                'char_offset'      => $match['offset'],
+                'match_length'     => $match['length'],
+                'snippet'          => $this->build_snippet( $text, $match['offset'], $match['length'] ),
+                'blocks'           => $this->describe_blocks( $chain ),
+                'attribute'        => [],
+                'context'          => null === $context ? 'text' : $context->classify( $match['offset'], $visible ? 1 : $match['length'] ),
+                // Single-line text has no HTML wrapping; otherwise 'plain', 'html_element', or 'gutenberg_block'.
+                'wrapping'         => $plain ? 'plain' : $this->detect_wrapping( $text, $match, $chain ),
             ] );
-            return $posts;
         }
 
-        $phrase_like = '%' . $wpdb->esc_like( $phrase ) . '%';
-        $type_placeholders   = implode( ',', array_fill( 0, count( $post_types ), '%s' ) );
-        $status_placeholders = implode( ',', array_fill( 0, count( $statuses ), '%s' ) );
-        $prepare_args       = array_merge( $post_types, $statuses, [ $phrase_like, $phrase_like ] );
+        if ( null !== $tree ) {
+            $results = array_merge( $results, $this->scan_block_attributes( $matcher, $tree, $base, $location, $field, $path, $field_label ) );
+        }
+
+        return $results;
+    }
+
+    /**
+     * Build occurrence records for matches in the string attributes of blocks,
+     * e.g. the alt text of an image or the message of a dynamic block that has
+     * no markup of its own.
+     *
+     * The offset of such a match is relative to the attribute value, which is
+     * addressed by the block path and the attribute's keys.
+     *
+     * @param Matcher    $matcher     The phrase and match options.
+     * @param Block_Tree $tree        Blocks of the string.
+     * @param array      $base        Fields shared by all results of the object (see get_base()).
+     * @param string     $location    Source the string belongs to.
+     * @param string     $field       Content_Store field holding the string.
+     * @param array      $path        Keys of the string inside a structured field value (see Content_Adapter).
+     * @param string     $field_label Name shown for the field, e.g. the meta key.
+     *
+     * @return array<int, array> Array of occurrence records.
+     */
+    private function scan_block_attributes( Matcher $matcher, Block_Tree $tree, array $base, string $location, string $field, array $path, string $field_label ): array {
+        $results = [];
+
+        foreach ( $tree->get_blocks() as $block ) {
+            foreach ( Content_Adapters::get_string_leaves( $block['attrs'] ) as $leaf ) {
+                $label = sprintf(
+                    /* translators: %1$s: block name, %2$s: attribute name */
+                    __( '%1$s attribute "%2$s"', 'phrasematch' ),
+                    $block['name'],
+                    implode( '.', $leaf['path'] )
+                );
+
+                foreach ( $matcher->find_all( $leaf['value'] ) as $index => $match ) {
+                    $results[] = array_merge( $base, [
+                        'location'         => $location,
+                        'field'            => $field,
+                        'path'             => $path,
+                        'field_label'      => '' === $field_label ? $label : $field_label . ' · ' . $label,
+                        'occurrence_index' => $index,
+                        'char_offset'      => $match['offset'],
+                        'match_length'     => $match['length'],
+                        'snippet'          => $this->build_snippet( $leaf['value'], $match['offset'], $match['length'] ),
+                        'blocks'           => $this->describe_blocks( $tree->get_lineage( $block ) ),
+                        'attribute'        => $leaf['path'],
+                        'context'          => 'block_attribute',
+                        'wrapping'         => 'plain',
+                    ] );
+                }
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Drop results whose match context was not requested.
+     *
+     * @param array    $results  Occurrence records.
+     * @param string[] $contexts Contexts to keep.
+     *
+     * @return array<int, array> Occurrence records.
+     */
+    private function filter_contexts( array $results, array $contexts ): array {
+        return array_values( array_filter( $results, static function ( array $result ) use ( $contexts ): bool {
+            return in_array( $result['context'], $contexts, true );
+        } ) );
+    }
+
+    /**
+     * Reduce blocks to the name and path reported with each result.
+     *
+     * @param array $blocks Blocks from a Block_Tree, outermost first.
+     *
+     * @return array<int, array{name: string, path: int[]}> Block names and paths.
+     */
+    private function describe_blocks( array $blocks ): array {
+        return array_map( static function ( array $block ): array {
+            return [
+                'name' => $block['name'],
+                'path' => $block['path'],
+            ];
+        }, $blocks );
+    }
+
+    /**
+     * Fields shared by all results of one object.
+     *
+     * @param string     $type   Object type: post, term, comment or widget.
+     * @param int|string $id     Object ID.
+     * @param string     $kind   Post type, taxonomy, 'comment' or widget base.
+     * @param string     $status Post or comment status.
+     *
+     * @return array Result fields.
+     */
+    private function get_base( string $type, $id, string $kind, string $status ): array {
+        $key = Content_Store::key( $type, $id );
+
+        return [
+            'post_id'       => 'post' === $type ? (int) $id : 0,
+            'object_key'    => $key,
+            'title'         => $this->store->get_label( $key ),
+            'edit_url'      => $this->store->get_edit_url( $key ),
+            'revisions_url' => 'post' === $type ? $this->get_revisions_url_for_post( (int) $id ) : '',
+            'post_type'     => 'comment' === $type ? 'comment' : $kind,
+            'post_status'   => $status,
+            'modified'      => $this->store->get_modified( $key ),
+            'adapter'       => '',
+        ];
+    }
+
+    /**
+     * Get the meta rows of the given posts, skipping internal keys.
+     *
+     * Filter the skipped keys with `phrasematch_skipped_meta_keys`.
+     *
+     * @param int[] $post_ids Post IDs.
+     *
+     * @return array<int, object[]> Post ID => rows with meta_id, meta_key and meta_value.
+     */
+    private function get_meta_rows( array $post_ids ): array {
+        global $wpdb;
+
+        $skipped      = (array) apply_filters( 'phrasematch_skipped_meta_keys', self::SKIPPED_META_KEYS );
+        $placeholders = implode( ',', array_fill( 0, count( $post_ids ), '%d' ) );
+
+        // phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.ReplacementsWrongNumber, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Meta IDs are needed to address each value; get_post_meta() does not return them. Dynamic placeholders.
+        $rows = $wpdb->get_results(
+            $wpdb->prepare( "SELECT meta_id, post_id, meta_key, meta_value FROM {$wpdb->postmeta} WHERE post_id IN ($placeholders) ORDER BY meta_id ASC", ...$post_ids )
+        );
+        // phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.ReplacementsWrongNumber, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+        $grouped = [];
+        foreach ( $rows ? $rows : [] as $row ) {
+            if ( ! in_array( $row->meta_key, $skipped, true ) && 0 !== strpos( (string) $row->meta_key, '_menu_item_' ) ) {
+                $grouped[ (int) $row->post_id ][] = $row;
+            }
+        }
+
+        return $grouped;
+    }
+
+    /**
+     * Get every widget instance that has settings, keyed by widget ID.
+     *
+     * Reads the widget_{id_base} options directly so inactive widgets and block
+     * widgets are included even when their widget class is not registered.
+     *
+     * @return array<string, array> Widget ID => instance settings.
+     */
+    private function get_widget_instances(): array {
+        global $wpdb;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Widget options can only be listed by name pattern.
+        $names = $wpdb->get_col( $wpdb->prepare( "SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s ORDER BY option_name ASC", $wpdb->esc_like( 'widget_' ) . '%' ) );
+
+        $instances = [];
+        foreach ( $names as $name ) {
+            $id_base = substr( $name, strlen( 'widget_' ) );
+            $option  = get_option( $name );
+
+            if ( ! is_array( $option ) || ! preg_match( '/^[a-z0-9_-]+$/', $id_base ) ) {
+                continue;
+            }
+
+            foreach ( $option as $number => $instance ) {
+                if ( is_int( $number ) && is_array( $instance ) && ! empty( $instance ) ) {
+                    $instances[ $id_base . '-' . $number ] = $instance;
+                }
+            }
+        }
+
+        return $instances;
+    }
+
+    /**
+     * Get the next batch of object IDs in a phase that may contain the phrase.
+     *
+     * Uses a direct LIKE query so exact phrase matches are found; WP_Query 's' is term-based and can miss phrases.
+     * The LIKE prefilter only narrows the candidates; the Matcher makes the final decision
+     * (case, whole word). Regex scans prefilter on the longest literal the pattern requires, if any.
+     *
+     * @param string   $phase      Phase: posts, menu_items, comments or terms.
+     * @param Matcher  $matcher    The phrase and match options.
+     * @param string[] $post_types Post types to include.
+     * @param string[] $statuses   Post statuses to include.
+     * @param string[] $sources    Sources to search.
+     * @param int      $after_id   Only return IDs greater than this.
+     * @param int      $limit      Maximum number of IDs to return.
+     *
+     * @return int[] Object IDs in ascending order.
+     */
+    private function get_candidate_ids( string $phase, Matcher $matcher, array $post_types, array $statuses, array $sources, int $after_id, int $limit ): array {
+        global $wpdb;
+
+        list( $table, $id_column, $where, $prepare_args ) = $this->build_candidate_query( $phase, $matcher, $post_types, $statuses, $sources );
+        $prepare_args = array_merge( $prepare_args, [ $after_id, $limit ] );
 
-        // phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.ReplacementsWrongNumber, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Exact phrase LIKE not possible via WP_Query; result cached above. Dynamic IN placeholders; placeholder vars safe.
+        // phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.ReplacementsWrongNumber, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Exact phrase LIKE not possible via WP_Query; batches are cursor-based so caching would serve stale IDs. Dynamic placeholders; table and column names are not user input.
         $ids = $wpdb->get_col(
             $wpdb->prepare(
-                "SELECT ID FROM {$wpdb->posts} WHERE post_type IN ($type_placeholders) AND post_status IN ($status_placeholders) AND ( post_title LIKE %s OR post_content LIKE %s )",
+                "SELECT DISTINCT {$id_column} FROM {$table} WHERE {$where} AND {$id_column} > %d ORDER BY {$id_column} ASC LIMIT %d",
                 ...$prepare_args
             )
         );
         // phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.ReplacementsWrongNumber, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
 
-        wp_cache_set( $cache_key, $ids ? $ids : [], 'phrasematch' );
+        return array_map( 'intval', $ids );
+    }
 
-        if ( empty( $ids ) ) {
-            return [];
+    /**
+     * Build the table, ID column and WHERE clause (with placeholders) selecting candidates of a phase.
+     *
+     * @param string   $phase      Phase: posts, menu_items, comments or terms.
+     * @param Matcher  $matcher    The phrase and match options.
+     * @param string[] $post_types Post types to include.
+     * @param string[] $statuses   Post statuses to include.
+     * @param string[] $sources    Sources to search.
+     *
+     * @return array{0: string, 1: string, 2: string, 3: array} Table, ID column, SQL fragment and its prepare() arguments.
+     */
+    private function build_candidate_query( string $phase, Matcher $matcher, array $post_types, array $statuses, array $sources ): array {
+        global $wpdb;
+
+        $like_term   = $matcher->get_like_term();
+        $phrase_like = '%' . $wpdb->esc_like( $like_term ) . '%';
+
+        // $conditions maps each SQL condition to the prepare() argument(s) of its placeholders.
+        switch ( $phase ) {
+            case 'menu_items':
+                $where        = "post_type = 'nav_menu_item'";
+                $prepare_args = [];
+                $conditions   = [ 'post_title LIKE %s' => $phrase_like ];
+                $table        = $wpdb->posts;
+                $id_column    = 'ID';
+                break;
+
+            case 'comments':
+                $where        = "comment_approved IN ('0','1')";
+                $prepare_args = [];
+                $conditions   = [ 'comment_content LIKE %s' => $phrase_like ];
+                $table        = $wpdb->comments;
+                $id_column    = 'comment_ID';
+                break;
+
+            case 'terms':
+                $where        = "description <> ''";
+                $prepare_args = [];
+                $conditions   = [ 'description LIKE %s' => $phrase_like ];
+                $table        = $wpdb->term_taxonomy;
+                $id_column    = 'term_id';
+                break;
+
+            default:
+                $type_placeholders   = implode( ',', array_fill( 0, count( $post_types ), '%s' ) );
+                $status_placeholders = implode( ',', array_fill( 0, count( $statuses ), '%s' ) );
+                $where               = "post_type IN ($type_placeholders) AND post_status IN ($status_placeholders)";
+                $prepare_args        = array_merge( $post_types, $statuses );
+                $table               = $wpdb->posts;
+                $id_column           = 'ID';
+                $conditions          = [];
+
+                foreach ( [ 'title' => 'post_title', 'content' => 'post_content', 'excerpt' => 'post_excerpt' ] as $source => $column ) {
+                    if ( in_array( $source, $sources, true ) ) {
+                        $conditions[ "{$column} LIKE %s" ] = $phrase_like;
+                    }
+                }
+                if ( in_array( 'meta', $sources, true ) ) {
+                    $meta_like = "EXISTS ( SELECT 1 FROM {$wpdb->postmeta} pm WHERE pm.post_id = ID AND pm.meta_value LIKE %s )";
+
+                    // JSON fields may store the phrase with escaped slashes and characters (see Json_Adapter).
+                    $json_term = substr( (string) wp_json_encode( $like_term ), 1, -1 );
+                    $meta_args = $json_term === $like_term ? [ $phrase_like ] : [ $phrase_like, '%' . $wpdb->esc_like( $json_term ) . '%' ];
+
+                    $conditions[ '( ' . implode( ' OR ', array_fill( 0, count( $meta_args ), $meta_like ) ) . ' )' ] = $meta_args;
+                }
+                break;
         }
 
-        $posts = get_posts( [
-            'post__in'       => array_map( 'intval', $ids ),
-            'post_type'      => $post_types,
-            'post_status'    => $statuses,
-            'posts_per_page' => -1,
-            'no_found_rows'  => true,
-            'orderby'        => 'post__in',
-        ] );
+        if ( '' !== $like_term ) {
+            $where .= ' AND ( ' . implode( ' OR ', array_keys( $conditions ) ) . ' )';
+
+            foreach ( $conditions as $args ) {
+                $prepare_args = array_merge( $prepare_args, (array) $args );
+            }
+        }
 
-        return $posts;
+        return [ $table, $id_column, $where, $prepare_args ];
     }
 
     /**
@@ -166,65 +1023,33 @@ class Scanner {
     }
 
     /**
-     * Find all byte-offsets of the phrase in the content (case-insensitive).
+     * Detect the widest wrapper whose sole content is the match: the innermost
+     * Gutenberg block enclosing it, or an HTML element.
      *
-     * @param string $content The post content.
-     * @param string $phrase  The phrase to locate.
-     *
-     * @return int[] Array of byte-offsets.
-     */
-    private function find_occurrences( string $content, string $phrase ): array {
-        $offsets    = [];
-        $search_pos = 0;
-        $phrase_len = strlen( $phrase );
-        $lower      = strtolower( $content );
-        $lower_phr  = strtolower( $phrase );
-
-        while ( ( $pos = strpos( $lower, $lower_phr, $search_pos ) ) !== false ) {
-            $offsets[]  = $pos;
-            $search_pos = $pos + $phrase_len;
-        }
-
-        return $offsets;
-    }
-
-    /**
-     * Detect whether the phrase at the given offset is wrapped in an HTML element
-     * and/or a full Gutenberg block.
-     *
-     * @param string $content The post content.
-     * @param string $phrase  The phrase.
-     * @param int    $offset  Byte-offset of the phrase in content.
+     * @param string $content The text the match was found in.
+     * @param array  $match   Match as returned by Matcher::find_all().
+     * @param array  $chain   Blocks enclosing the match, outermost first.
      *
      * @return string 'gutenberg_block', 'html_element', or 'plain'.
      */
-    private function detect_wrapping( string $content, string $phrase, int $offset ): string {
-        $escaped = preg_quote( $phrase, '#' );
+    private function detect_wrapping( string $content, array $match, array $chain ): string {
+        if ( ! empty( $chain ) ) {
+            $inner = Block_Tree::get_inner_content( $content, end( $chain ) );
 
-        // Check for Gutenberg block wrapping first (most specific).
-        $block_pattern = '#<!--\s*wp:\w+(?:\s+\{[^}]*\})?\s*-->\s*'
-            . '<(\w+)[^>]*>\s*' . $escaped . '\s*</\1>\s*'
-            . '<!--\s*/wp:\w+\s*-->#is';
-
-        if ( preg_match_all( $block_pattern, $content, $all_matches, PREG_OFFSET_CAPTURE | PREG_SET_ORDER ) ) {
-            foreach ( $all_matches as $set ) {
-                $full_match_start = $set[0][1];
-                $full_match_end   = $full_match_start + strlen( $set[0][0] );
-                if ( $offset >= $full_match_start && $offset < $full_match_end ) {
-                    return 'gutenberg_block';
-                }
+            if ( trim( wp_strip_all_tags( $inner ) ) === trim( wp_strip_all_tags( $match['text'] ) ) ) {
+                return 'gutenberg_block';
             }
         }
 
         // Check for HTML element wrapping (phrase is the sole content of a tag).
         // Support nested wrappers like <p><strong>phrase</strong></p> — match innermost.
-        $html_pattern = '#<(\w+)[^>]*>\s*' . $escaped . '\s*</\1>#is';
+        $html_pattern = '#<(\w+)[^>]*>\s*' . preg_quote( $match['text'], '#' ) . '\s*</\1>#is';
 
         if ( preg_match_all( $html_pattern, $content, $all_matches, PREG_OFFSET_CAPTURE | PREG_SET_ORDER ) ) {
             foreach ( $all_matches as $set ) {
                 $full_match_start = $set[0][1];
                 $full_match_end   = $full_match_start + strlen( $set[0][0] );
-                if ( $offset >= $full_match_start && $offset < $full_match_end ) {
+                if ( $match['offset'] >= $full_match_start && $match['offset'] < $full_match_end ) {
                     return 'html_element';
                 }
             }
@@ -237,32 +1062,24 @@ class Scanner {
      * Build a context snippet around the match with highlighting markup.
      *
      * @param string $content The post content.
-     * @param string $phrase  The phrase.
-     * @param int    $offset  Byte-offset of the phrase.
+     * @param int    $offset  Byte-offset of the match.
+     * @param int    $length  Byte-length of the match.
      *
-     * @return string HTML snippet with the phrase wrapped in <mark>.
+     * @return string HTML snippet with the match wrapped in <mark>.
      */
-    private function build_snippet( string $content, string $phrase, int $offset ): string {
-        $phrase_len = strlen( $phrase );
-        $start      = max( 0, $offset - self::CONTEXT_CHARS );
-        $end        = min( strlen( $content ), $offset + $phrase_len + self::CONTEXT_CHARS );
-
-        $before = substr( $content, $start, $offset - $start );
-        $match  = substr( $content, $offset, $phrase_len );
-        $after  = substr( $content, $offset + $phrase_len, $end - ( $offset + $phrase_len ) );
+    private function build_snippet( string $content, int $offset, int $length ): string {
+        $head   = substr( $content, 0, $offset );
+        $tail   = substr( $content, $offset + $length );
+        $before = mb_substr( $head, -self::CONTEXT_CHARS, null, 'UTF-8' );
+        $match  = substr( $content, $offset, $length );
+        $after  = mb_substr( $tail, 0, self::CONTEXT_CHARS, 'UTF-8' );
 
         // Trim to word boundaries where possible.
-        if ( $start > 0 ) {
+        if ( strlen( $before ) < strlen( $head ) ) {
             $space_pos = strpos( $before, ' ' );
-            if ( false !== $space_pos ) {
-                $before = '…' . ltrim( substr( $before, $space_pos ) );
-            } else {
-                $before = strlen( $before ) > self::CONTEXT_CHARS
-                    ? '…' . substr( $before, - self::CONTEXT_CHARS )
-                    : '…' . $before;
-            }
+            $before    = false !== $space_pos ? '…' . ltrim( substr( $before, $space_pos ) ) : '…' . $before;
         }
-        if ( $end < strlen( $content ) ) {
+        if ( strlen( $after ) < strlen( $tail ) ) {
             $last_space = strrpos( $after, ' ' );
             if ( false !== $last_space ) {
                 $after = substr( $after, 0, $last_space );
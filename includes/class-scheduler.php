@@ -0,0 +1,516 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Runs saved searches on their WP-Cron schedule and reports new occurrences.
+ *
+ * A run scans in batches like the admin page does, for up to TIME_LIMIT seconds
+ * per request; a longer run continues in a follow-up cron event from the stored
+ * cursor. While scanning, the number of matches per field (and rule) is counted
+ * and, at the end, compared with what the search reported before: more matches
+ * in a field than last time are new occurrences. Those are reported by email
+ * and/or as a notice on the dashboard, linking to the Scan tab with the matching
+ * items loaded.
+ *
+ * With auto-apply, every batch's matches are removed (or, for rules with a
+ * replacement, replaced) right away as the owner of the search, and the run is
+ * recorded in the change journal like any other. Auto-apply is skipped when the
+ * owner no longer has the modify capability (Capabilities::MODIFY), or when
+ * their changes require approval (see Capabilities::requires_approval()):
+ * matches are then only reported.
+ */
+class Scheduler {
+
+    /**
+     * Recurring event that starts a run of a saved search.
+     */
+    public const RUN_HOOK = 'phrasematch_run_saved_search';
+
+    /**
+     * Single event that continues a run that did not finish in one request.
+     */
+    public const CONTINUE_HOOK = 'phrasematch_continue_saved_search';
+
+    /**
+     * Seconds a run scans per request before it continues in another cron event.
+     */
+    private const TIME_LIMIT = 20;
+
+    /**
+     * A run started this many seconds ago without finishing is considered dead and restarted.
+     */
+    private const STALE_RUN = HOUR_IN_SECONDS;
+
+    /**
+     * Items listed in a notification email.
+     */
+    private const EMAIL_ITEMS = 25;
+
+    private Saved_Searches $searches;
+    private Scanner $scanner;
+    private Remover $remover;
+    private Journal $journal;
+    private Content_Store $store;
+    private Audit_Log $audit_log;
+
+    public function __construct( Saved_Searches $searches, Scanner $scanner, Remover $remover, Journal $journal, Content_Store $store, Audit_Log $audit_log ) {
+        $this->searches  = $searches;
+        $this->scanner   = $scanner;
+        $this->remover   = $remover;
+        $this->journal   = $journal;
+        $this->store     = $store;
+        $this->audit_log = $audit_log;
+    }
+
+    /**
+     * Hook the cron events and the dashboard notice.
+     */
+    public function register(): void {
+        add_action( self::RUN_HOOK, [ $this, 'start' ] );
+        add_action( self::CONTINUE_HOOK, [ $this, 'resume' ] );
+        add_action( 'admin_init', [ $this, 'maybe_reschedule' ] );
+        add_action( 'admin_notices', [ $this, 'render_notices' ] );
+        add_action( 'admin_post_phrasematch_dismiss_saved_search', [ $this, 'handle_dismiss' ] );
+        add_action( 'admin_post_phrasematch_view_saved_search', [ $this, 'handle_view' ] );
+    }
+
+    /**
+     * URL that opens the results of a saved search and dismisses its notice.
+     *
+     * @param int $id Saved search ID.
+     */
+    public static function get_view_url( int $id ): string {
+        return wp_nonce_url(
+            add_query_arg( [ 'action' => 'phrasematch_view_saved_search', 'id' => $id ], admin_url( 'admin-post.php' ) ),
+            'phrasematch_view_saved_search_' . $id
+        );
+    }
+
+    /**
+     * (Re)schedule a saved search according to its schedule.
+     *
+     * @param array $search Saved search.
+     */
+    public function schedule( array $search ): void {
+        wp_clear_scheduled_hook( self::RUN_HOOK, [ $search['id'] ] );
+
+        if ( '' !== $search['schedule'] ) {
+            $schedules = wp_get_schedules();
+            $interval  = $schedules[ $search['schedule'] ]['interval'] ?? DAY_IN_SECONDS;
+
+            wp_schedule_event( time() + $interval, $search['schedule'], self::RUN_HOOK, [ $search['id'] ] );
+        }
+    }
+
+    /**
+     * Schedule saved searches whose event is missing, e.g. after the plugin was
+     * deactivated and activated again.
+     */
+    public function maybe_reschedule(): void {
+        foreach ( $this->searches->get_all() as $search ) {
+            if ( '' !== $search['schedule'] && false === wp_next_scheduled( self::RUN_HOOK, [ $search['id'] ] ) ) {
+                $this->schedule( $search );
+            }
+        }
+    }
+
+    /**
+     * Remove every event of a saved search.
+     *
+     * @param int $id Saved search ID.
+     */
+    public function unschedule( int $id ): void {
+        wp_clear_scheduled_hook( self::RUN_HOOK, [ $id ] );
+        wp_clear_scheduled_hook( self::CONTINUE_HOOK, [ $id ] );
+    }
+
+    /**
+     * Remove the events of all saved searches. Used as the deactivation hook.
+     */
+    public static function unschedule_all(): void {
+        wp_unschedule_hook( self::RUN_HOOK );
+        wp_unschedule_hook( self::CONTINUE_HOOK );
+    }
+
+    /**
+     * Start a run of a saved search, unless one is already in progress.
+     *
+     * Hooked to RUN_HOOK, and called directly to run a search now.
+     *
+     * @param int $id Saved search ID.
+     *
+     * @return bool Whether the run finished within this request.
+     */
+    public function start( int $id ): bool {
+        $search = $this->searches->get( $id );
+
+        if ( null === $search ) {
+            $this->unschedule( $id );
+            return true;
+        }
+
+        $state = $this->searches->get_state( $id );
+
+        if ( null !== $state['run'] && $state['run']['started'] > time() - self::STALE_RUN ) {
+            return false;
+        }
+
+        $state['run'] = [
+            'started'      => time(),
+            'cursor'       => '',
+            'counts'       => [],
+            'matched_keys' => [],
+            'applied_keys' => [],
+            'changeset_id' => 0,
+        ];
+        $this->searches->save_state( $id, $state );
+
+        $this->audit_log->log_scan( (int) $search['user_id'], 'schedule', $search['phrase'], $search['post_types'], $search['sources'] );
+
+        return $this->resume( $id );
+    }
+
+    /**
+     * Scan the next batches of a run and finish it when the scan is done.
+     *
+     * Hooked to CONTINUE_HOOK.
+     *
+     * @param int $id Saved search ID.
+     *
+     * @return bool Whether the run finished.
+     */
+    public function resume( int $id ): bool {
+        $search = $this->searches->get( $id );
+        $state  = $this->searches->get_state( $id );
+
+        if ( null === $search || null === $state['run'] ) {
+            return true;
+        }
+
+        $rules = Saved_Searches::get_rule_set( $search );
+
+        // A rule set that no longer compiles (e.g. after a PCRE upgrade) cannot be run.
+        if ( '' !== $rules->get_error() ) {
+            $state['run'] = null;
+            $this->searches->save_state( $id, $state );
+            return true;
+        }
+
+        $auto_apply = $search['auto_apply'] && user_can( $search['user_id'], Capabilities::MODIFY ) && ! Capabilities::requires_approval( $search['user_id'] );
+        $deadline   = microtime( true ) + self::TIME_LIMIT;
+        $run        = $state['run'];
+
+        if ( $auto_apply && 0 === get_current_user_id() ) {
+            wp_set_current_user( $search['user_id'] );
+        }
+
+        do {
+            $batch = $this->scanner->scan_rules_batch( $rules, $search['post_types'], $search['statuses'], $search['sources'], $search['contexts'], $run['cursor'] );
+
+            // Like a scan on the admin page, a search only reports what its owner can edit.
+            $batch['results'] = Capabilities::filter_results( (int) $search['user_id'], $batch['results'] );
+
+            foreach ( $batch['results'] as $result ) {
+                $fingerprint                   = $this->get_fingerprint( $result );
+                $run['counts'][ $fingerprint ] = ( $run['counts'][ $fingerprint ] ?? 0 ) + 1;
+                $run['matched_keys'][]         = $result['object_key'];
+            }
+
+            $run['matched_keys'] = array_values( array_unique( $run['matched_keys'] ) );
+            $run['cursor']       = $batch['cursor'];
+
+            if ( $auto_apply && ! empty( $batch['results'] ) ) {
+                $run = $this->apply( $search, $rules, $batch['results'], $run );
+            }
+
+            $state['run'] = $run;
+            $this->searches->save_state( $id, $state );
+        } while ( ! $batch['done'] && microtime( true ) < $deadline );
+
+        if ( ! $batch['done'] ) {
+            wp_schedule_single_event( time(), self::CONTINUE_HOOK, [ $id ] );
+            return false;
+        }
+
+        $this->finish( $search, $state['seen'], $run );
+
+        return true;
+    }
+
+    /**
+     * Render a notice for every saved search with new occurrences that have not been looked at.
+     *
+     * Shown on the dashboard and the PhraseMatch page to users who can run scans.
+     */
+    public function render_notices(): void {
+        $screen = get_current_screen();
+
+        if ( null === $screen || ! in_array( $screen->id, [ 'dashboard', 'tools_page_phrasematch' ], true ) || ! current_user_can( Capabilities::SCAN ) ) {
+            return;
+        }
+
+        foreach ( $this->searches->get_all() as $search ) {
+            if ( empty( $search['unseen'] ) ) {
+                continue;
+            }
+
+            $dismiss_url = wp_nonce_url(
+                add_query_arg( [ 'action' => 'phrasematch_dismiss_saved_search', 'id' => $search['id'] ], admin_url( 'admin-post.php' ) ),
+                'phrasematch_dismiss_saved_search_' . $search['id']
+            );
+            ?>
+            <div class="notice notice-warning">
+                <p>
+                    <?php
+                    printf(
+                        /* translators: 1: saved search name, 2: number of new occurrences */
+                        esc_html( _n( 'PhraseMatch: the saved search “%1$s” found %2$d new occurrence.', 'PhraseMatch: the saved search “%1$s” found %2$d new occurrences.', (int) $search['last_new'], 'phrasematch' ) ),
+                        esc_html( $search['name'] ),
+                        (int) $search['last_new']
+                    );
+                    ?>
+                    <a href="<?php echo esc_url( self::get_view_url( $search['id'] ) ); ?>"><?php esc_html_e( 'View results', 'phrasematch' ); ?></a>
+                    |
+                    <a href="<?php echo esc_url( $dismiss_url ); ?>"><?php esc_html_e( 'Dismiss', 'phrasematch' ); ?></a>
+                </p>
+            </div>
+            <?php
+        }
+    }
+
+    /**
+     * admin-post handler: dismiss the new-occurrences notice of a saved search.
+     */
+    public function handle_dismiss(): void {
+        $id = isset( $_GET['id'] ) ? absint( $_GET['id'] ) : 0;
+
+        check_admin_referer( 'phrasematch_dismiss_saved_search_' . $id );
+
+        if ( ! current_user_can( Capabilities::SCAN ) ) {
+            wp_die( esc_html__( 'You do not have permission to perform this action.', 'phrasematch' ) );
+        }
+
+        $this->searches->update( $id, [ 'unseen' => false ] );
+
+        wp_safe_redirect( wp_get_referer() ?: admin_url() );
+        exit;
+    }
+
+    /**
+     * admin-post handler: open the results of a saved search, dismissing its notice.
+     */
+    public function handle_view(): void {
+        $id = isset( $_GET['id'] ) ? absint( $_GET['id'] ) : 0;
+
+        check_admin_referer( 'phrasematch_view_saved_search_' . $id );
+
+        if ( ! current_user_can( Capabilities::SCAN ) ) {
+            wp_die( esc_html__( 'You do not have permission to perform this action.', 'phrasematch' ) );
+        }
+
+        $this->searches->update( $id, [ 'unseen' => false ] );
+
+        wp_safe_redirect( Admin_Page::get_saved_search_url( $id ) );
+        exit;
+    }
+
+    /**
+     * Store the summary of a finished run and report new occurrences.
+     *
+     * @param array $search Saved search.
+     * @param array $seen   Matches per fingerprint reported by earlier runs.
+     * @param array $run    The finished run.
+     */
+    private function finish( array $search, array $seen, array $run ): void {
+        $new_keys = [];
+        $new      = 0;
+
+        foreach ( $run['counts'] as $fingerprint => $count ) {
+            $added = $count - ( $seen[ $fingerprint ] ?? 0 );
+
+            if ( $added > 0 ) {
+                $object_key              = strstr( (string) $fingerprint, '|', true );
+                $new_keys[ $object_key ] = ( $new_keys[ $object_key ] ?? 0 ) + $added;
+                $new                    += $added;
+            }
+        }
+
+        // Matches removed by auto-apply are gone; only those that could not be applied are still seen.
+        $applied = array_flip( $run['applied_keys'] );
+        $seen    = array_filter( $run['counts'], static function ( string $fingerprint ) use ( $applied ): bool {
+            return ! isset( $applied[ strstr( $fingerprint, '|', true ) ] );
+        }, ARRAY_FILTER_USE_KEY );
+
+        if ( $run['changeset_id'] ) {
+            $this->journal->finish_changeset( $run['changeset_id'] );
+        }
+
+        $search = $this->searches->update( $search['id'], [
+            'last_run'       => time(),
+            'last_total'     => array_sum( $run['counts'] ),
+            'last_new'       => $new,
+            'last_changeset' => empty( $run['applied_keys'] ) ? 0 : $run['changeset_id'],
+            'matched_keys'   => array_values( array_diff( $run['matched_keys'], $run['applied_keys'] ) ),
+            'unseen'         => $new > 0 && in_array( 'notice', $search['notify'], true ) ? true : $search['unseen'],
+        ] );
+
+        $this->searches->save_state( $search['id'], [
+            'seen' => $seen,
+            'run'  => null,
+        ] );
+
+        if ( $new > 0 && in_array( 'email', $search['notify'], true ) ) {
+            $this->send_email( $search, $new_keys );
+        }
+    }
+
+    /**
+     * Remove or replace every match of a batch (auto-apply).
+     *
+     * The removal mode is the search's auto_mode, or for a rule that names a mode,
+     * that mode; rules with a replacement replace their matches.
+     *
+     * @param array    $search  Saved search.
+     * @param Rule_Set $rules   The search's rules.
+     * @param array    $results Scan results of the batch.
+     * @param array    $run     The run in progress.
+     *
+     * @return array The run with the modified objects and changeset recorded.
+     */
+    private function apply( array $search, Rule_Set $rules, array $results, array $run ): array {
+        $rule_list = $rules->get_rules();
+        $items     = [];
+
+        foreach ( $results as $result ) {
+            $rule  = $rule_list[ $result['rule'] ] ?? null;
+            $mode  = null !== $rule && 'text_only' !== $rule['mode'] ? $rule['mode'] : $search['auto_mode'];
+            $block = empty( $result['attribute'] ) ? [] : end( $result['blocks'] );
+
+            $items[] = [
+                'object_key'   => $result['object_key'],
+                'field'        => $result['field'],
+                'path'         => $result['path'],
+                'adapter'      => $result['adapter'] ?? '',
+                'block'        => empty( $block ) ? [] : $block['path'],
+                'attribute'    => $result['attribute'],
+                'char_offset'  => $result['char_offset'],
+                'location'     => $result['location'],
+                // 'plain' is the scanner's name for text_only; group_occurrences() falls back to it.
+                'mode'         => 'auto' === $mode ? $result['wrapping'] : $mode,
+                'replace_with' => null !== $rule ? $rule['replace_with'] : '',
+                'rule'         => $result['rule'],
+                'content_hash' => $result['content_hash'],
+            ];
+        }
+
+        if ( 0 === $run['changeset_id'] ) {
+            $run['changeset_id'] = $this->journal->create_changeset( get_current_user_id(), $rules->get_label(), $rules->get_options() );
+        }
+
+        foreach ( $this->remover->group_occurrences( $items ) as $object_key => $occurrences ) {
+            $object_key = (string) $object_key;
+
+            // E.g. a block removal by an owner who may only remove text: the match is still reported.
+            $denied = Capabilities::check_changes( (int) $search['user_id'], $object_key, $occurrences );
+            $result = '' === $denied
+                ? $this->remover->remove( $object_key, $rules->get_matchers(), $occurrences )
+                : [ 'success' => false, 'message' => $denied ];
+
+            if ( $result['success'] ) {
+                $this->journal->add_item( $run['changeset_id'], $object_key, $result['before'], $result['after'], $occurrences );
+                $run['applied_keys'][] = $object_key;
+            }
+
+            $this->audit_log->log_changes( get_current_user_id(), 'schedule', $rules->get_label(), $object_key, $occurrences, $result, $result['success'] ? $run['changeset_id'] : 0 );
+        }
+
+        $run['applied_keys'] = array_values( array_unique( $run['applied_keys'] ) );
+
+        return $run;
+    }
+
+    /**
+     * Email the recipients of a saved search about its new occurrences.
+     *
+     * @param array              $search   Saved search, with the summary of the run.
+     * @param array<string, int> $new_keys Object key => number of new occurrences.
+     */
+    private function send_email( array $search, array $new_keys ): void {
+        $recipients = Saved_Searches::parse_recipients( $search['recipients'] );
+
+        if ( empty( $recipients ) ) {
+            $recipients = [ (string) get_option( 'admin_email' ) ];
+        }
+
+        $subject = sprintf(
+            /* translators: 1: site name, 2: saved search name, 3: number of new occurrences */
+            _n( '[%1$s] PhraseMatch: %3$d new occurrence for “%2$s”', '[%1$s] PhraseMatch: %3$d new occurrences for “%2$s”', (int) $search['last_new'], 'phrasematch' ),
+            wp_specialchars_decode( (string) get_option( 'blogname' ), ENT_QUOTES ),
+            $search['name'],
+            (int) $search['last_new']
+        );
+
+        $lines = [
+            sprintf(
+                /* translators: 1: saved search name, 2: phrase or rule set, 3: number of new occurrences, 4: total number of occurrences */
+                __( 'The saved search “%1$s” (%2$s) found %3$d new occurrence(s), %4$d in total, in these items:', 'phrasematch' ),
+                $search['name'],
+                $search['phrase'],
+                (int) $search['last_new'],
+                (int) $search['last_total']
+            ),
+            '',
+        ];
+
+        foreach ( array_slice( $new_keys, 0, self::EMAIL_ITEMS, true ) as $object_key => $count ) {
+            $edit_url = $this->store->get_edit_url( (string) $object_key );
+            $lines[]  = sprintf( '- %1$s (%2$d)%3$s', $this->store->get_label( (string) $object_key ), $count, $edit_url ? ' ' . $edit_url : '' );
+        }
+
+        if ( count( $new_keys ) > self::EMAIL_ITEMS ) {
+            /* translators: %d: number of items not listed */
+            $lines[] = sprintf( __( '…and %d more.', 'phrasematch' ), count( $new_keys ) - self::EMAIL_ITEMS );
+        }
+
+        $lines[] = '';
+
+        if ( $search['last_changeset'] ) {
+            $lines[] = __( 'Auto-apply has modified these items. Review or undo the changes:', 'phrasematch' );
+            $lines[] = Admin_Page::get_changeset_url( (int) $search['last_changeset'] );
+        }
+
+        if ( ! empty( $search['matched_keys'] ) ) {
+            $lines[] = __( 'Review the matches:', 'phrasematch' );
+            $lines[] = Admin_Page::get_saved_search_url( (int) $search['id'] );
+        }
+
+        wp_mail( $recipients, $subject, implode( "\n", $lines ) );
+    }
+
+    /**
+     * Identify the field (and rule) a match was found in, so that runs can be compared.
+     *
+     * Offsets are left out because they shift whenever the text before a match is
+     * edited; a field with more matches than last time has new ones.
+     *
+     * @param array $result Scan result.
+     *
+     * @return string Fingerprint, starting with the object key and "|".
+     */
+    private function get_fingerprint( array $result ): string {
+        return implode( '|', [
+            $result['object_key'],
+            $result['field'],
+            wp_json_encode( $result['path'] ),
+            wp_json_encode( $result['attribute'] ),
+            (int) ( $result['rule'] ?? 0 ),
+        ] );
+    }
+}
@@ -0,0 +1,60 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Content adapter for serialized custom fields, e.g. the arrays of ACF or SEO
+ * plugins. Re-serializing keeps the string lengths valid.
+ */
+class Serialized_Adapter implements Content_Adapter {
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_name(): string {
+        return 'serialized';
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_label(): string {
+        return '';
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function supports( string $meta_key, string $raw ): bool {
+        return is_serialized( $raw );
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function decode( string $raw ) {
+        return maybe_unserialize( $raw );
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function get_texts( $data ): array {
+        return array_map( static function ( array $leaf ): array {
+            return $leaf + [ 'label' => Content_Adapters::get_path_label( $leaf['path'] ) ];
+        }, Content_Adapters::get_string_leaves( $data ) );
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    public function encode( $data, string $raw ): string {
+        return (string) maybe_serialize( $data );
+    }
+}
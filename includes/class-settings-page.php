@@ -0,0 +1,116 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Renders the Settings tab, where administrators choose which roles may scan,
+ * modify content, remove elements or blocks and approve changes (see
+ * Capabilities) and whether changes need approval, and saves it.
+ */
+class Settings_Page {
+
+    /**
+     * Register the admin-post handler of the settings form.
+     */
+    public function register(): void {
+        add_action( 'admin_post_phrasematch_save_settings', [ $this, 'handle_save' ] );
+    }
+
+    /**
+     * Render the role settings.
+     */
+    public function render(): void {
+        $labels = Capabilities::get_labels();
+        ?>
+            <p class="pm-history-meta">
+                <?php esc_html_e( 'Choose what each role may do. Administrators can always do everything, and users only see and change the items they are allowed to edit.', 'phrasematch' ); ?>
+            </p>
+
+            <?php // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only flag set by handle_save(). ?>
+            <?php if ( isset( $_GET['updated'] ) ) : ?>
+                <div class="notice notice-success inline"><p><?php esc_html_e( 'Settings saved.', 'phrasematch' ); ?></p></div>
+            <?php endif; ?>
+
+            <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+                <input type="hidden" name="action" value="phrasematch_save_settings" />
+                <?php wp_nonce_field( 'phrasematch_save_settings' ); ?>
+
+                <div class="pm-card pm-card-flush">
+                    <div class="pm-table-wrap">
+                        <table class="pm-table pm-settings-table">
+                            <thead>
+                                <tr>
+                                    <th><?php esc_html_e( 'Role', 'phrasematch' ); ?></th>
+                                    <?php foreach ( $labels as $label ) : ?>
+                                        <th class="pm-col-cap"><?php echo esc_html( $label ); ?></th>
+                                    <?php endforeach; ?>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <?php foreach ( Capabilities::get_editable_roles() as $name => $role ) : ?>
+                                    <tr>
+                                        <td><?php echo esc_html( translate_user_role( wp_roles()->role_names[ $name ] ?? $name ) ); ?></td>
+                                        <?php foreach ( $labels as $cap => $label ) : ?>
+                                            <td class="pm-col-cap">
+                                                <input
+                                                    type="checkbox"
+                                                    name="phrasematch_roles[<?php echo esc_attr( $name ); ?>][]"
+                                                    value="<?php echo esc_attr( $cap ); ?>"
+                                                    aria-label="<?php echo esc_attr( $label ); ?>"
+                                                    <?php checked( $role->has_cap( $cap ) ); ?>
+                                                />
+                                            </td>
+                                        <?php endforeach; ?>
+                                    </tr>
+                                <?php endforeach; ?>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <p class="pm-history-meta">
+                    <?php esc_html_e( 'Each permission includes the ones to its left.', 'phrasematch' ); ?>
+                </p>
+
+                <p>
+                    <label>
+                        <input type="checkbox" name="phrasematch_require_approval" value="1" <?php checked( (bool) get_option( Capabilities::REQUIRE_APPROVAL_OPTION ) ); ?> />
+                        <?php esc_html_e( 'Require approval: changes by users who cannot approve changes are proposed for review in the Review tab instead of being saved.', 'phrasematch' ); ?>
+                    </label>
+                </p>
+
+                <?php submit_button( __( 'Save Settings', 'phrasematch' ) ); ?>
+            </form>
+        <?php
+    }
+
+    /**
+     * admin-post handler: save the capabilities of each role.
+     */
+    public function handle_save(): void {
+        check_admin_referer( 'phrasematch_save_settings' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'You do not have permission to perform this action.', 'phrasematch' ) );
+        }
+
+        $input     = isset( $_POST['phrasematch_roles'] ) && is_array( $_POST['phrasematch_roles'] ) ? wp_unslash( $_POST['phrasematch_roles'] ) : [];
+        $role_caps = [];
+
+        foreach ( $input as $role => $caps ) {
+            $role_caps[ sanitize_key( (string) $role ) ] = array_map( 'sanitize_key', (array) $caps );
+        }
+
+        Capabilities::set_role_caps( $role_caps );
+        update_option( Capabilities::REQUIRE_APPROVAL_OPTION, empty( $_POST['phrasematch_require_approval'] ) ? 0 : 1 );
+
+        wp_safe_redirect( Admin_Page::get_tab_url( 'settings', [ 'updated' => 1 ] ) );
+        exit;
+    }
+}
@@ -0,0 +1,232 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * The visible text of an HTML string, with a map back to the raw markup.
+ *
+ * Used by the Matcher's visible_text mode so that "limited time offer" is found
+ * in `limited <strong>time</strong>&nbsp;offer`:
+ *  - inline tags (strong, em, a, span, …) and comments are dropped;
+ *  - entities are decoded, and &nbsp; counts as whitespace;
+ *  - every run of whitespace becomes a single space, even across dropped tags;
+ *  - block-level tags, <br> aside, become a separator that no phrase can match
+ *    across, so a match never spans two paragraphs.
+ *
+ * Positions in the visible text are mapped back to byte ranges of the raw
+ * string, which then hold the whole markup between the first and last matched
+ * character.
+ */
+class Visible_Text {
+
+    /**
+     * Elements that do not break the flow of text.
+     */
+    public const INLINE_ELEMENTS = [
+        'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'img', 'ins',
+        'kbd', 'mark', 'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr',
+    ];
+
+    /**
+     * Elements that never have a closing tag.
+     */
+    public const VOID_ELEMENTS = [ 'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr' ];
+
+    /**
+     * Character standing in for a block boundary; it never occurs in a phrase.
+     */
+    private const SEPARATOR = "\x1F";
+
+    /**
+     * Tokens of the raw string: comments, tags, entities, whitespace, and runs of other text.
+     */
+    private const TOKEN_PATTERN = '#<!--.*?(?:-->|$)|</?[a-zA-Z][^\s/>]*(?:[^>"\']|"[^"]*"|\'[^\']*\')*>|&(?:[a-zA-Z][a-zA-Z0-9]*|\#[0-9]+|\#x[0-9a-fA-F]+);|\xC2\xA0|\s+|(?:[^<&\s\xC2]|\xC2(?!\xA0))+|.#s';
+
+    private string $text = '';
+
+    /**
+     * Segments of the visible text, in order. Each maps `length` bytes starting
+     * at `start` in the visible text to the raw bytes [raw_start, raw_end); in an
+     * exact segment every byte maps to the byte at the same distance.
+     *
+     * @var array<int, array{start: int, length: int, raw_start: int, raw_end: int, exact: bool}>
+     */
+    private array $segments = [];
+
+    /**
+     * @param string $html Raw HTML.
+     */
+    public function __construct( string $html ) {
+        preg_match_all( self::TOKEN_PATTERN, $html, $tokens, PREG_OFFSET_CAPTURE );
+
+        $skip_until = -1;
+
+        foreach ( $tokens[0] as $token ) {
+            list( $raw, $offset ) = $token;
+            $end                  = $offset + strlen( $raw );
+
+            // Inside a script or style element.
+            if ( $offset < $skip_until ) {
+                continue;
+            }
+
+            if ( 0 === strpos( $raw, '<!--' ) ) {
+                // Block delimiters separate blocks; other comments are invisible.
+                if ( preg_match( '#^<!--\s+/?wp:#', $raw ) ) {
+                    $this->add( self::SEPARATOR, $offset, $end, false );
+                }
+                continue;
+            }
+
+            if ( '<' === $raw[0] && strlen( $raw ) > 1 ) {
+                $name = strtolower( (string) preg_replace( '#^</?([a-zA-Z][^\s/>]*).*$#s', '$1', $raw ) );
+
+                if ( in_array( $name, [ 'script', 'style' ], true ) && '/' !== $raw[1] ) {
+                    $close      = stripos( $html, '</' . $name, $end );
+                    $skip_until = false === $close ? strlen( $html ) : $close;
+                    $this->add( self::SEPARATOR, $offset, $end, false );
+                } elseif ( 'br' === $name ) {
+                    $this->add_space( $offset, $end );
+                } elseif ( ! in_array( $name, self::INLINE_ELEMENTS, true ) ) {
+                    $this->add( self::SEPARATOR, $offset, $end, false );
+                }
+                continue;
+            }
+
+            if ( '&' === $raw[0] && strlen( $raw ) > 1 ) {
+                $decoded = html_entity_decode( $raw, ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+
+                if ( "\xC2\xA0" === $decoded || '' === trim( $decoded ) ) {
+                    $this->add_space( $offset, $end );
+                } else {
+                    $this->add( $decoded, $offset, $end, $decoded === $raw );
+                }
+                continue;
+            }
+
+            if ( "\xC2\xA0" === $raw || '' === trim( $raw ) ) {
+                $this->add_space( $offset, $end );
+                continue;
+            }
+
+            $this->add( $raw, $offset, $end, true );
+        }
+    }
+
+    /**
+     * Get the visible text.
+     */
+    public function get_text(): string {
+        return $this->text;
+    }
+
+    /**
+     * Map a range of the visible text to the raw string.
+     *
+     * @param int $start Start offset in the visible text.
+     * @param int $end   End offset (exclusive) in the visible text; must be greater than $start.
+     *
+     * @return int[] Raw [ start, end ) offsets.
+     */
+    public function to_raw( int $start, int $end ): array {
+        $first = $this->segments[ $this->find_segment( $start ) ];
+        $last  = $this->segments[ $this->find_segment( $end - 1 ) ];
+
+        return [
+            $first['exact'] ? $first['raw_start'] + $start - $first['start'] : $first['raw_start'],
+            $last['exact'] ? $last['raw_start'] + $end - $last['start'] : $last['raw_end'],
+        ];
+    }
+
+    /**
+     * Map a raw offset to the visible text.
+     *
+     * @param int $raw_offset Byte offset in the raw string.
+     *
+     * @return int|null Offset in the visible text, or null when the raw offset is
+     *                  not where a visible character starts.
+     */
+    public function from_raw( int $raw_offset ): ?int {
+        foreach ( $this->segments as $segment ) {
+            if ( $raw_offset < $segment['raw_start'] ) {
+                return null;
+            }
+
+            if ( $raw_offset === $segment['raw_start'] ) {
+                return $segment['start'];
+            }
+
+            if ( $segment['exact'] && $raw_offset < $segment['raw_end'] ) {
+                return $segment['start'] + $raw_offset - $segment['raw_start'];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Append visible text.
+     *
+     * @param string $text      Visible text.
+     * @param int    $raw_start Start of its raw source.
+     * @param int    $raw_end   End of its raw source.
+     * @param bool   $exact     Whether the text is the raw source verbatim.
+     */
+    private function add( string $text, int $raw_start, int $raw_end, bool $exact ): void {
+        $this->segments[] = [
+            'start'     => strlen( $this->text ),
+            'length'    => strlen( $text ),
+            'raw_start' => $raw_start,
+            'raw_end'   => $raw_end,
+            'exact'     => $exact,
+        ];
+        $this->text      .= $text;
+    }
+
+    /**
+     * Append whitespace, merging it into a space right before it.
+     *
+     * @param int $raw_start Start of the raw whitespace.
+     * @param int $raw_end   End of the raw whitespace.
+     */
+    private function add_space( int $raw_start, int $raw_end ): void {
+        $last = count( $this->segments ) - 1;
+
+        if ( $last >= 0 && ' ' === substr( $this->text, -1 ) && ! $this->segments[ $last ]['exact'] ) {
+            $this->segments[ $last ]['raw_end'] = $raw_end;
+            return;
+        }
+
+        $this->add( ' ', $raw_start, $raw_end, false );
+    }
+
+    /**
+     * Find the segment holding an offset of the visible text (binary search).
+     *
+     * @param int $offset Offset in the visible text.
+     *
+     * @return int Segment index.
+     */
+    private function find_segment( int $offset ): int {
+        $low  = 0;
+        $high = count( $this->segments ) - 1;
+
+        while ( $low < $high ) {
+            $mid = intdiv( $low + $high + 1, 2 );
+
+            if ( $this->segments[ $mid ]['start'] <= $offset ) {
+                $low = $mid;
+            } else {
+                $high = $mid - 1;
+            }
+        }
+
+        return $low;
+    }
+}
@@ -0,0 +1,69 @@
+<?php
+declare(strict_types=1);
+
+namespace PhraseMatch;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Decodes a structured custom field value (a serialized array, JSON, a page
+ * builder's layout) into the strings to search, and encodes it again after
+ * the Remover changed one of them.
+ *
+ * Strings are addressed by their path of keys inside the decoded value. The
+ * Scanner names the adapter in each result, and the Remover decodes the field
+ * with the same adapter, edits the string at the path and writes back what
+ * encode() returns. See Content_Adapters for the registered adapters.
+ */
+interface Content_Adapter {
+
+    /**
+     * Unique name, stored with scan results (lowercase, as sanitize_key() keeps it).
+     */
+    public function get_name(): string;
+
+    /**
+     * Name shown for fields decoded by this adapter, or '' to show the meta key.
+     */
+    public function get_label(): string;
+
+    /**
+     * Whether the adapter decodes a custom field.
+     *
+     * @param string $meta_key Meta key.
+     * @param string $raw      Raw meta value.
+     */
+    public function supports( string $meta_key, string $raw ): bool;
+
+    /**
+     * Decode a raw value.
+     *
+     * @param string $raw Raw meta value.
+     *
+     * @return mixed Decoded value (arrays and plain objects), or null when it cannot be decoded.
+     */
+    public function decode( string $raw );
+
+    /**
+     * The strings of a decoded value that may be searched and edited.
+     *
+     * @param mixed $data Decoded value.
+     *
+     * @return array<int, array{path: array, value: string, label: string}> Strings with their
+     *         paths and a readable label of where they are, e.g. "Heading widget › title".
+     */
+    public function get_texts( $data ): array;
+
+    /**
+     * Encode a decoded value for storage.
+     *
+     * @param mixed  $data Decoded value with edited strings.
+     * @param string $raw  Raw value it was decoded from, to keep its formatting.
+     *
+     * @return string Raw meta value.
+     */
+    public function encode( $data, string $raw ): string;
+}
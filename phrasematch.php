@@ -28,10 +28,46 @@ define( 'PHRASEMATCH_PLUGIN_BASENAME', plugin_basename( __FILE__ ) );
 
 // Autoload includes.
 require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-phrasematch.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-installer.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-capabilities.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-content-store.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-block-tree.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-match-context.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-visible-text.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-matcher.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-rule-set.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-action-plan.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/interface-content-adapter.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-content-adapters.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-serialized-adapter.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-json-adapter.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-elementor-adapter.php';
 require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-scanner.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-scan-state.php';
 require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-remover.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-render-preview.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-journal.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-audit-log.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-saved-searches.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-scheduler.php';
 require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-admin-page.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-network-admin-page.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-history-page.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-saved-searches-page.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-audit-log-page.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-settings-page.php';
 require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-ajax-handler.php';
+require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-rest-controller.php';
+
+if ( defined( 'WP_CLI' ) && WP_CLI ) {
+    require_once PHRASEMATCH_PLUGIN_DIR . 'includes/class-cli-command.php';
+}
+
+// Create the custom tables on activation.
+register_activation_hook( __FILE__, [ PhraseMatch\Installer::class, 'install' ] );
+
+// Stop running saved searches on deactivation; see Scheduler::maybe_reschedule().
+register_deactivation_hook( __FILE__, [ PhraseMatch\Scheduler::class, 'unschedule_all' ] );
 
 // Boot the plugin.
 add_action( 'plugins_loaded', static function (): void {